@@ -1,6 +1,19 @@
 
 const path = require('path');
 
+// A malformed AI_PRICING shouldn't keep the server from starting; the defaults still apply
+const parsePricingOverrides = value => {
+  if (!value) return {};
+  try {
+    const overrides = JSON.parse(value);
+    if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) return overrides;
+    console.warn('⚠️ AI_PRICING must be a JSON object, using the default pricing');
+  } catch (error) {
+    console.warn('⚠️ AI_PRICING is not valid JSON, using the default pricing:', error.message);
+  }
+  return {};
+};
+
 module.exports = {
   // Database configuration
   database: {
@@ -20,19 +33,217 @@ module.exports = {
   content: {
     contentTypes: ['post', 'story', 'reel', 'video', 'short', 'article', 'thread'],
     platforms: ['instagram', 'tiktok', 'youtube', 'twitter', 'linkedin', 'facebook'],
-    tones: ['professional', 'casual', 'humorous', 'inspiring', 'educational', 'persuasive']
+    tones: ['professional', 'casual', 'humorous', 'inspiring', 'educational', 'persuasive'],
+    // Languages with localized fallback templates; AI generation accepts any language
+    languages: ['pt', 'en', 'es'],
+    defaultLanguage: process.env.DEFAULT_LANGUAGE || 'pt',
+    // viralScore ranges used by search facets and analytics reports
+    scoreBuckets: [
+      { key: '0-24', min: 0, max: 24 },
+      { key: '25-49', min: 25, max: 49 },
+      { key: '50-74', min: 50, max: 74 },
+      { key: '75-100', min: 75, max: 100 }
+    ],
+    // Hard limits per platform, in characters (X weighs URLs and wide characters like the platform does)
+    limits: {
+      twitter: { text: 280 },
+      instagram: { caption: 2200, hashtags: 30 },
+      tiktok: { caption: 2200 },
+      youtube: { title: 100, description: 5000, hashtags: 15 },
+      linkedin: { text: 3000 },
+      facebook: { text: 63206 }
+    },
+    // Platforms where hashtags can go in the first comment instead of the post
+    firstCommentPlatforms: ['instagram', 'linkedin']
   },
   
   // AI configuration
   ai: {
     timeout: 30000,
     maxRetries: 3,
+    // Max platform versions generated at once for a multi-platform request
+    fanOutConcurrency: 3,
+    // Model calls per generation before schema-invalid JSON is repaired heuristically
+    structuredOutputAttempts: 3,
+    // Provider used when a request doesn't ask for one, then the order tried on failure
+    defaultProvider: process.env.AI_PROVIDER || null,
+    failoverOrder: (process.env.AI_FAILOVER_ORDER || 'openai,anthropic,local')
+      .split(',')
+      .map(provider => provider.trim())
+      .filter(Boolean),
+    providers: {
+      openai: {
+        models: {
+          default: 'gpt-4',
+          fast: 'gpt-3.5-turbo',
+          vision: 'gpt-4-vision-preview',
+          image: 'dall-e-3'
+        }
+      },
+      anthropic: {
+        models: {
+          default: 'claude-3-5-sonnet-latest',
+          fast: 'claude-3-haiku-20240307',
+          vision: 'claude-3-5-sonnet-latest'
+        }
+      },
+      local: {
+        // Any OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 for Ollama
+        baseUrl: process.env.LOCAL_LLM_BASE_URL || null,
+        // Local models run on modest hardware, so they get longer than ai.timeout
+        timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT, 10) || 120000,
+        models: {
+          default: process.env.LOCAL_LLM_MODEL || 'llama3',
+          fast: process.env.LOCAL_LLM_MODEL || 'llama3',
+          vision: process.env.LOCAL_LLM_VISION_MODEL || null
+        }
+      }
+    },
+    // Requests and tokens per minute for each provider. A `models` entry
+    // overrides them for one model, e.g. models: { 'gpt-4': { rpm: 500, tpm: 10000 } }.
+    // Providers without an entry are not limited.
     rateLimits: {
       openai: { rpm: 3500, tpm: 90000 },
       anthropic: { rpm: 50, tpm: 40000 }
+    },
+    // Pause after a 429 when the provider doesn't send Retry-After (doubles per consecutive 429)
+    rateLimitBackoff: {
+      baseDelay: 1000,
+      maxDelay: 60000
+    },
+    // USD per 1K tokens (per image for image models), looked up by model, then provider,
+    // then `default`. AI_PRICING takes a JSON object with entries to add or override.
+    pricing: {
+      'gpt-4': { prompt: 0.03, completion: 0.06 },
+      'gpt-4-vision-preview': { prompt: 0.01, completion: 0.03 },
+      'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+      'dall-e-3': { image: 0.04 },
+      'claude-3-5-sonnet-latest': { prompt: 0.003, completion: 0.015 },
+      'claude-3-haiku-20240307': { prompt: 0.00025, completion: 0.00125 },
+      local: { prompt: 0, completion: 0 },
+      default: { prompt: 0.01, completion: 0.03, image: 0.04 },
+      ...parsePricingOverrides(process.env.AI_PRICING)
+    },
+    // Spend caps in USD; unset caps are not enforced. Reaching a cap serves
+    // fallback templates until the day/month (UTC) rolls over.
+    budgets: {
+      monthlyHardCap: parseFloat(process.env.AI_MONTHLY_BUDGET) || null,
+      dailyCap: parseFloat(process.env.AI_DAILY_BUDGET) || null,
+      // Advisory: keyed by the client-supplied user id (utils/request-user), so a
+      // caller can sidestep it. Only the monthly and daily caps bound total spend.
+      userMonthlyCap: parseFloat(process.env.AI_USER_MONTHLY_BUDGET) || null,
+      // Share of a cap after which a warning is logged
+      warningRatio: 0.8
+    }
+  },
+  
+  // Publishing scheduler
+  publishing: {
+    // Publisher used when a schedule doesn't name one
+    publisher: process.env.PUBLISHER || 'file',
+    // How often due schedules are looked up
+    pollInterval: 30000,
+    batchSize: 10,
+    // Attempts per schedule before it is marked failed; retries wait
+    // retryBaseDelay, doubling per attempt up to retryMaxDelay
+    maxAttempts: 5,
+    retryBaseDelay: 60000,
+    retryMaxDelay: 3600000,
+    publishers: {
+      file: {
+        directory: process.env.PUBLISH_DIRECTORY || path.join(__dirname, '..', 'data', 'published')
+      },
+      webhook: {
+        url: process.env.PUBLISH_WEBHOOK_URL || null,
+        secret: process.env.PUBLISH_WEBHOOK_SECRET || null,
+        timeout: 10000
+      }
     }
   },
   
+  // Editorial calendar
+  calendar: {
+    timezone: process.env.CALENDAR_TIMEZONE || 'UTC',
+    // Longest range one calendar request may cover
+    maxRangeDays: 366,
+    // Range of the .ics feed around today
+    feedPastDays: 30,
+    feedFutureDays: 180,
+    // Length of a post's event in calendar apps
+    eventMinutes: 15,
+    // More than maxPosts on one platform within windowMinutes is a conflict
+    conflictRules: {
+      default: { maxPosts: 3, windowMinutes: 180 },
+      instagram: { maxPosts: 2, windowMinutes: 240 },
+      tiktok: { maxPosts: 3, windowMinutes: 240 },
+      youtube: { maxPosts: 1, windowMinutes: 1440 },
+      twitter: { maxPosts: 5, windowMinutes: 60 },
+      linkedin: { maxPosts: 1, windowMinutes: 720 },
+      facebook: { maxPosts: 2, windowMinutes: 240 }
+    }
+  },
+  
+  // Analytics ingestion and reports
+  analytics: {
+    // Snapshots accepted per request (bulk JSON or CSV)
+    maxBatchSize: 5000,
+    maxCsvSize: 5 * 1024 * 1024,
+    // Time series range when none is given, and the longest allowed
+    defaultRangeDays: 30,
+    maxRangeDays: 366
+  },
+  
+  // Viral score model trained from analytics
+  viralModel: {
+    // Posts with fewer views are too noisy to learn from
+    minViews: 100,
+    // Samples a platform needs for its own model; below that it uses the shared one
+    minSamples: 30,
+    // Share of the samples held out to measure the model before refitting on all of them
+    holdoutRatio: 0.2,
+    iterations: 800,
+    learningRate: 0.1,
+    l2: 0.01
+  },
+  
+  // Hashtag research: mined from saved content, YouTube analyses and extractions
+  hashtags: {
+    // Most recent Content rows mined per request
+    maxDocuments: 1000,
+    // Tags in at least this share of the mined documents are broad, the rest niche
+    broadShare: 0.05,
+    // Tags in more than this share of our own posts are overused
+    overusedShare: 0.4,
+    // Documents needed before tiers and overuse are judged from the corpus
+    minDocuments: 20,
+    // Tags recommended per tier and platform
+    mix: {
+      instagram: { broad: 3, niche: 6, branded: 2 },
+      tiktok: { broad: 2, niche: 3, branded: 1 },
+      youtube: { broad: 1, niche: 3, branded: 1 },
+      twitter: { broad: 1, niche: 1, branded: 0 },
+      linkedin: { broad: 1, niche: 2, branded: 1 },
+      facebook: { broad: 1, niche: 2, branded: 1 }
+    },
+    // Brand tags recommended when no brand voice is selected
+    branded: (process.env.BRAND_HASHTAGS || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    // Tags platforms restrict or hide (engagement bait)
+    banned: ['#followforfollow', '#follow4follow', '#f4f', '#followback', '#like4like', '#l4l', '#likeforlike',
+      '#likeforlikes', '#likes4likes', '#tagsforlikes', '#comment4comment', '#c4c', '#spam4spam', '#sub4sub', '#teamfollowback'],
+    // Tags so common that posts drown in them
+    overused: ['#love', '#instagood', '#photooftheday', '#fyp', '#foryou', '#foryoupage', '#viral', '#trending',
+      '#explore', '#explorepage', '#instagram', '#follow', '#like', '#viralcontent']
+  },
+  
+  // Uploaded documents and pages, kept as JSON files for hashtag research
+  extraction: {
+    // URL extraction refuses loopback, private and link-local addresses unless this is on
+    allowPrivateNetworks: process.env.EXTRACTION_ALLOW_PRIVATE_NETWORKS === 'true',
+    maxRedirects: 5,
+    keep: process.env.KEEP_EXTRACTIONS !== 'false',
+    directory: process.env.EXTRACTION_DIRECTORY || path.join(__dirname, '..', 'data', 'extractions')
+  },
+  
   // Cache configuration
   cache: {
     ttl: 300000, // 5 minutes
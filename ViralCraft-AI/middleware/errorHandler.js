@@ -0,0 +1,37 @@
+const logger = require('../utils/logger');
+const { createError } = require('../utils/error-handler');
+
+// Sequelize errors caused by the request data rather than the server
+const CLIENT_ERRORS = ['SequelizeValidationError', 'SequelizeUniqueConstraintError', 'SequelizeForeignKeyConstraintError'];
+
+/**
+ * Error middleware for routers that pass errors to next()
+ */
+const handle = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let statusCode = err.statusCode;
+  let details = err.details;
+  if (!statusCode && CLIENT_ERRORS.includes(err.name)) {
+    statusCode = err.name === 'SequelizeUniqueConstraintError' ? 409 : 400;
+    details = err.errors?.map(error => ({ field: error.path, message: error.message }));
+  }
+
+  // Errors with a status code were raised on purpose; only log the unexpected ones
+  if (!statusCode) {
+    logger.error(`${req.method} ${req.originalUrl} failed`, err);
+  }
+
+  res.status(statusCode || 500).json({
+    success: false,
+    error: err.message,
+    details: details || undefined
+  });
+};
+
+module.exports = {
+  createError,
+  handle
+};
@@ -0,0 +1,62 @@
+/**
+ * Content and Analytics, as the app created them with sync(). A baseline: on
+ * databases from before migrations it only records the tables that hold the
+ * existing content, so rolling back never drops them.
+ */
+
+// Snapshot of config.content when this migration was written; later changes need their own migration
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'linkedin', 'facebook'];
+const CONTENT_TYPES = ['post', 'story', 'reel', 'video', 'short', 'article', 'thread'];
+
+module.exports = {
+  baseline: true,
+
+  async up({ DataTypes, createTable, jsonType, listType }) {
+    await createTable('Contents', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      title: { type: DataTypes.STRING, allowNull: false },
+      type: { type: DataTypes.ENUM(...CONTENT_TYPES), allowNull: false },
+      platform: { type: DataTypes.ENUM(...PLATFORMS, 'universal'), allowNull: false },
+      content: { type: jsonType, allowNull: false },
+      keywords: { type: listType(DataTypes.STRING) },
+      metadata: { type: jsonType },
+      viralScore: { type: DataTypes.INTEGER, defaultValue: 50 },
+      status: { type: DataTypes.ENUM('draft', 'published', 'scheduled', 'archived'), defaultValue: 'draft' },
+      userId: { type: DataTypes.STRING, allowNull: true },
+      publishedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['platform'] },
+      { fields: ['type'] },
+      { fields: ['status'] },
+      { fields: ['viralScore'] },
+      { fields: ['createdAt'] }
+    ]);
+
+    await createTable('Analytics', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'Contents', key: 'id' }
+      },
+      platform: { type: DataTypes.ENUM(...PLATFORMS), allowNull: false },
+      views: { type: DataTypes.INTEGER, defaultValue: 0 },
+      likes: { type: DataTypes.INTEGER, defaultValue: 0 },
+      shares: { type: DataTypes.INTEGER, defaultValue: 0 },
+      comments: { type: DataTypes.INTEGER, defaultValue: 0 },
+      clickThrough: { type: DataTypes.INTEGER, defaultValue: 0 },
+      engagementRate: { type: DataTypes.FLOAT, defaultValue: 0 },
+      recordedAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  // Never run by rollback (baseline); kept to document the reverse of up()
+  async down({ dropTable }) {
+    await dropTable('Analytics');
+    await dropTable('Contents');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Versioned prompt templates
+ */
+
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'linkedin', 'facebook'];
+const CONTENT_TYPES = ['post', 'story', 'reel', 'video', 'short', 'article', 'thread'];
+
+module.exports = {
+  async up({ DataTypes, createTable, listType }) {
+    await createTable('PromptTemplates', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      key: { type: DataTypes.STRING, allowNull: false },
+      platform: { type: DataTypes.ENUM(...PLATFORMS), allowNull: true },
+      contentType: { type: DataTypes.ENUM(...CONTENT_TYPES), allowNull: true },
+      version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      body: { type: DataTypes.TEXT, allowNull: false },
+      variables: { type: listType(DataTypes.STRING) },
+      description: { type: DataTypes.STRING, allowNull: true },
+      isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['key', 'platform', 'contentType', 'version'], unique: true },
+      { fields: ['isActive'] }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('PromptTemplates');
+  }
+};
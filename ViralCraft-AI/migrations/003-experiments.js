@@ -0,0 +1,52 @@
+/**
+ * Prompt A/B experiments and the content generated under each variant
+ */
+
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'linkedin', 'facebook'];
+const CONTENT_TYPES = ['post', 'story', 'reel', 'video', 'short', 'article', 'thread'];
+
+module.exports = {
+  async up({ DataTypes, createTable, jsonType }) {
+    await createTable('Experiments', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      status: { type: DataTypes.ENUM('running', 'paused', 'completed'), defaultValue: 'running' },
+      platform: { type: DataTypes.ENUM(...PLATFORMS), allowNull: true },
+      contentType: { type: DataTypes.ENUM(...CONTENT_TYPES), allowNull: true },
+      variants: { type: jsonType, allowNull: false },
+      startedAt: { type: DataTypes.DATE },
+      endedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['status'] }
+    ]);
+
+    await createTable('ExperimentAssignments', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      experimentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'Experiments', key: 'id' }
+      },
+      variantId: { type: DataTypes.STRING, allowNull: false },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'Contents', key: 'id' }
+      },
+      platform: { type: DataTypes.ENUM(...PLATFORMS), allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['experimentId', 'variantId'] },
+      { fields: ['contentId'] }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('ExperimentAssignments');
+    await dropTable('Experiments');
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Brand voice profiles
+ */
+
+module.exports = {
+  async up({ DataTypes, createTable, jsonType, listType }) {
+    await createTable('BrandVoices', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      name: { type: DataTypes.STRING, allowNull: false, unique: true },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      tone: { type: DataTypes.STRING, allowNull: true },
+      language: { type: DataTypes.STRING, allowNull: true },
+      bannedWords: { type: listType(DataTypes.TEXT) },
+      requiredDisclaimers: { type: listType(DataTypes.TEXT) },
+      emojiSet: { type: listType(DataTypes.TEXT) },
+      hashtagPolicy: { type: jsonType },
+      samplePosts: { type: listType(DataTypes.TEXT) },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('BrandVoices');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Token usage and cost per AI call
+ */
+
+module.exports = {
+  async up({ DataTypes, createTable }) {
+    await createTable('AIUsages', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      userId: { type: DataTypes.STRING, allowNull: true },
+      provider: { type: DataTypes.STRING, allowNull: false },
+      model: { type: DataTypes.STRING, allowNull: true },
+      operation: { type: DataTypes.STRING, allowNull: true },
+      promptTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      completionTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      totalTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      cost: { type: DataTypes.DECIMAL(12, 6), defaultValue: 0 },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['createdAt'] },
+      { fields: ['userId'] },
+      { fields: ['provider'] }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('AIUsages');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Full-text index for content search: an FTS5 table on SQLite, a weighted
+ * tsvector column with a GIN index on Postgres. DatabaseService fills it.
+ */
+
+module.exports = {
+  async up({ sequelize, transaction, isSqlite, DataTypes, addColumn }) {
+    if (isSqlite) {
+      try {
+        await sequelize.query(`CREATE VIRTUAL TABLE IF NOT EXISTS content_search USING fts5(
+          contentId UNINDEXED, title, body, keywords, metadata,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )`, { transaction });
+      } catch (error) {
+        // SQLite builds without FTS5 keep working with the LIKE search
+        console.warn('⚠️ FTS5 not available, content search will use LIKE:', error.message);
+      }
+    } else {
+      await addColumn('Contents', 'searchVector', { type: DataTypes.TSVECTOR, allowNull: true });
+      await sequelize.query('CREATE INDEX IF NOT EXISTS contents_search_vector ON "Contents" USING GIN ("searchVector")', { transaction });
+    }
+  },
+
+  async down({ sequelize, transaction, isSqlite, queryInterface }) {
+    if (isSqlite) {
+      await sequelize.query('DROP TABLE IF EXISTS content_search', { transaction });
+    } else {
+      await sequelize.query('DROP INDEX IF EXISTS contents_search_vector', { transaction });
+      await queryInterface.removeColumn('Contents', 'searchVector', { transaction });
+    }
+  }
+};
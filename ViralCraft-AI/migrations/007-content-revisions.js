@@ -0,0 +1,30 @@
+/**
+ * Revision history of content: a snapshot per update, with its author and changed fields
+ */
+
+module.exports = {
+  async up({ DataTypes, createTable, jsonType, listType }) {
+    await createTable('ContentRevisions', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'Contents', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      revision: { type: DataTypes.INTEGER, allowNull: false },
+      userId: { type: DataTypes.STRING, allowNull: true },
+      changedFields: { type: listType(DataTypes.STRING), allowNull: false },
+      snapshot: { type: jsonType, allowNull: false },
+      viralScore: { type: DataTypes.INTEGER, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['contentId', 'revision'], unique: true }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('ContentRevisions');
+  }
+};
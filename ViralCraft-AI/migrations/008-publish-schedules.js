@@ -0,0 +1,43 @@
+/**
+ * Publish time per content/platform pair, worked by the publishing scheduler
+ */
+
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'linkedin', 'facebook'];
+
+module.exports = {
+  async up({ DataTypes, createTable, jsonType }) {
+    await createTable('PublishSchedules', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'Contents', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      platform: { type: DataTypes.ENUM(...PLATFORMS), allowNull: false },
+      scheduledAt: { type: DataTypes.DATE, allowNull: false },
+      timezone: { type: DataTypes.STRING, allowNull: false, defaultValue: 'UTC' },
+      status: {
+        type: DataTypes.ENUM('pending', 'publishing', 'published', 'failed', 'cancelled'),
+        defaultValue: 'pending'
+      },
+      publisher: { type: DataTypes.STRING, allowNull: true },
+      attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+      nextAttemptAt: { type: DataTypes.DATE, allowNull: false },
+      lastError: { type: DataTypes.TEXT, allowNull: true },
+      result: { type: jsonType, allowNull: true },
+      publishedAt: { type: DataTypes.DATE, allowNull: true },
+      userId: { type: DataTypes.STRING, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['contentId', 'platform'], unique: true },
+      { fields: ['status', 'nextAttemptAt'] },
+      { fields: ['scheduledAt'] }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('PublishSchedules');
+  }
+};
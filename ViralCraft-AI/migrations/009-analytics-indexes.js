@@ -0,0 +1,22 @@
+/**
+ * Indexes for analytics time series and latest-snapshot lookups
+ */
+
+const INDEXES = [
+  { name: 'analytics_content_id_platform_recorded_at', fields: ['contentId', 'platform', 'recordedAt'] },
+  { name: 'analytics_platform_recorded_at', fields: ['platform', 'recordedAt'] }
+];
+
+module.exports = {
+  async up({ queryInterface, transaction }) {
+    for (const index of INDEXES) {
+      await queryInterface.addIndex('Analytics', { ...index, transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const index of INDEXES) {
+      await queryInterface.removeIndex('Analytics', index.name, { transaction });
+    }
+  }
+};
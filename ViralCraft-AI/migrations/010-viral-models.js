@@ -0,0 +1,27 @@
+/**
+ * Viral score models trained from analytics, one row per training run
+ */
+
+module.exports = {
+  async up({ DataTypes, createTable, jsonType }) {
+    await createTable('ViralModels', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      platform: { type: DataTypes.STRING, allowNull: false },
+      algorithm: { type: DataTypes.STRING, allowNull: false, defaultValue: 'logistic-regression' },
+      features: { type: jsonType, allowNull: false },
+      parameters: { type: jsonType, allowNull: false },
+      threshold: { type: DataTypes.FLOAT, allowNull: false },
+      sampleCount: { type: DataTypes.INTEGER, allowNull: false },
+      metrics: { type: jsonType, allowNull: true },
+      userId: { type: DataTypes.STRING, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, [
+      { fields: ['platform', 'createdAt'] }
+    ]);
+  },
+
+  async down({ dropTable }) {
+    await dropTable('ViralModels');
+  }
+};
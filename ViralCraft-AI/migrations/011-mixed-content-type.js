@@ -0,0 +1,16 @@
+/**
+ * "mixed" content type, for one Content row holding versions of different
+ * types (e.g. a twitter thread and an instagram post). SQLite stores ENUMs as
+ * TEXT, so only Postgres needs the new value.
+ */
+
+module.exports = {
+  async up({ sequelize, transaction, isSqlite }) {
+    if (!isSqlite) {
+      await sequelize.query(`ALTER TYPE "enum_Contents_type" ADD VALUE IF NOT EXISTS 'mixed'`, { transaction });
+    }
+  },
+
+  // Postgres can't drop a value from an ENUM in use; leaving it is harmless
+  async down() {}
+};
@@ -0,0 +1,169 @@
+/**
+ * Content Repository - Content persistence for the content routes, over DatabaseService
+ */
+
+const config = require('../config/app');
+const { createError } = require('../utils/error-handler');
+const { diffWords } = require('../utils/text-diff');
+const { versionText } = require('../utils/thread-builder');
+
+// viralScore ranges reported as facets and accepted as the `viralScore` filter
+const SCORE_BUCKETS = config.content.scoreBuckets;
+
+const FACET_FIELDS = ['platform', 'type', 'status'];
+
+class ContentRepository {
+  /**
+   * @param {Object} filters - Column filters, e.g. { platform, status }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array<Object>>} Newest first
+   */
+  async findAll(filters = {}, options = {}) {
+    return this.db().getContent(filters, options);
+  }
+
+  async findById(id) {
+    return this.db().getContentById(id);
+  }
+
+  async create(data) {
+    return this.db().createContent(data);
+  }
+
+  /**
+   * Update content, recording the change as a new revision
+   * @param {Object} options - { userId } author of the change
+   * @returns {Promise<Object|null>} Updated content, or null when it doesn't exist
+   */
+  async update(id, data, options = {}) {
+    return this.db().updateContent(id, data, options);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a row was deleted
+   */
+  async delete(id) {
+    return this.db().deleteContent(id);
+  }
+
+  async findByPlatform(platform, options = {}) {
+    return this.db().getContent({ platform }, options);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Revisions without their snapshots, newest first
+   */
+  async getRevisions(id) {
+    const revisions = await this.db().getContentRevisions(id);
+    return revisions.map(({ snapshot, ...revision }) => revision);
+  }
+
+  async getRevision(id, revision) {
+    return this.db().getContentRevision(id, revision);
+  }
+
+  /**
+   * Word-by-word diff of the title and each platform version between two revisions
+   * @returns {Promise<Object|null>} { from, to, changedFields, title, platforms: { [platform]: { changes, stats } } },
+   *   or null when a revision doesn't exist
+   */
+  async diffRevisions(id, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([this.getRevision(id, fromRevision), this.getRevision(id, toRevision)]);
+    if (!from || !to) return null;
+
+    const before = this.getVersions(from.snapshot);
+    const after = this.getVersions(to.snapshot);
+    const platforms = {};
+    for (const platform of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      platforms[platform] = diffWords(before[platform], after[platform]);
+    }
+
+    const changedFields = Object.keys(to.snapshot)
+      .filter(field => JSON.stringify(from.snapshot[field]) !== JSON.stringify(to.snapshot[field]));
+
+    return {
+      from: { revision: from.revision, userId: from.userId, createdAt: from.createdAt, viralScore: from.viralScore },
+      to: { revision: to.revision, userId: to.userId, createdAt: to.createdAt, viralScore: to.viralScore },
+      changedFields,
+      title: diffWords(from.snapshot.title, to.snapshot.title),
+      platforms
+    };
+  }
+
+  // Platform versions of a snapshot as text; a single text belongs to the content's platform
+  getVersions(snapshot) {
+    const content = snapshot.content;
+    if (content === null || content === undefined) return {};
+    if (typeof content === 'string') return { [snapshot.platform]: content };
+    return Object.fromEntries(Object.entries(content).map(([platform, text]) => [platform, versionText(text)]));
+  }
+
+  /**
+   * Ranked full-text search over title, platform versions, keywords and metadata
+   * @param {string} query - Words to find; every word must match, as a prefix
+   * @param {Object} filters - { platform, type, status, viralScore } where viralScore is a bucket key
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { total, results: [{ ...content, search: { score, title, snippet } }], facets }
+   */
+  async search(query, filters = {}, options = {}) {
+    const terms = this.parseQuery(query);
+    if (terms.length === 0) {
+      throw createError('Search query is required', 400);
+    }
+
+    const searchFilters = {};
+    for (const field of FACET_FIELDS) {
+      if (filters[field]) searchFilters[field] = filters[field];
+    }
+    if (filters.viralScore) {
+      const bucket = SCORE_BUCKETS.find(candidate => candidate.key === filters.viralScore);
+      if (!bucket) {
+        throw createError(`viralScore must be one of ${SCORE_BUCKETS.map(candidate => candidate.key).join(', ')}`, 400);
+      }
+      searchFilters.viralScore = bucket;
+    }
+
+    const db = this.db();
+    const { matches, facetRows } = await db.searchContent(terms, searchFilters, options);
+    const contents = new Map((await db.getContentByIds(matches.map(match => match.id)))
+      .map(content => [content.id, content]));
+
+    return {
+      total: facetRows.length,
+      results: matches
+        .filter(match => contents.has(match.id))
+        .map(({ id, score, title, snippet }) => ({ ...contents.get(id), search: { score, title, snippet } })),
+      facets: this.buildFacets(facetRows)
+    };
+  }
+
+  // Lowercase words, without the characters FTS query syntax would interpret
+  parseQuery(query) {
+    return [...new Set(String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+  }
+
+  buildFacets(rows) {
+    const facets = Object.fromEntries(FACET_FIELDS.map(field => [field, {}]));
+    facets.viralScore = Object.fromEntries(SCORE_BUCKETS.map(bucket => [bucket.key, 0]));
+
+    for (const row of rows) {
+      for (const field of FACET_FIELDS) {
+        facets[field][row[field]] = (facets[field][row[field]] || 0) + 1;
+      }
+      const score = Number(row.viralScore);
+      const bucket = SCORE_BUCKETS.find(candidate => score >= candidate.min && score <= candidate.max);
+      if (bucket) facets.viralScore[bucket.key]++;
+    }
+
+    return facets;
+  }
+
+  db() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    return global.db;
+  }
+}
+
+module.exports = new ContentRepository();
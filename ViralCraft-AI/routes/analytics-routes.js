@@ -0,0 +1,113 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config/app');
+const analyticsService = require('../services/analyticsService');
+const { sendError } = require('../utils/error-handler');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.analytics.maxCsvSize }
+});
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: config.analytics.maxCsvSize });
+
+const sendIngested = (res, { inserted, errors }) => {
+  res.status(201).json({
+    success: true,
+    inserted: inserted.length,
+    rejected: errors.length,
+    snapshots: inserted,
+    errors
+  });
+};
+
+/**
+ * POST /api/analytics
+ * Ingest a snapshot ({ contentId, platform, views, likes, shares, comments,
+ * clickThrough, engagementRate, recordedAt }), an array of them or { snapshots: [...] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body;
+    const snapshots = Array.isArray(body) ? body : Array.isArray(body?.snapshots) ? body.snapshots : [body];
+    sendIngested(res, await analyticsService.ingest(snapshots));
+  } catch (error) {
+    sendError(res, error, 'Error ingesting analytics');
+  }
+});
+
+/**
+ * POST /api/analytics/csv
+ * Ingest snapshots from a CSV upload (multipart field "file") or a text/csv body
+ */
+router.post('/csv', upload.single('file'), csvBody, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : null;
+    if (!text) {
+      return res.status(400).json({ success: false, error: 'Send a CSV file (field "file") or a text/csv body' });
+    }
+
+    sendIngested(res, await analyticsService.ingest(analyticsService.parseCsv(text)));
+  } catch (error) {
+    sendError(res, error, 'Error ingesting analytics CSV');
+  }
+});
+
+/**
+ * GET /api/analytics/timeseries?interval=day|week|month&from=&to=&timezone=&platform=
+ * Growth per platform and period across all content
+ */
+router.get('/timeseries', async (req, res) => {
+  try {
+    const { interval, from, to, timezone, platform } = req.query;
+    const series = await analyticsService.getPlatformTimeSeries({ interval, from, to, timezone, platform });
+    res.json({ success: true, ...series });
+  } catch (error) {
+    sendError(res, error, 'Error building platform time series');
+  }
+});
+
+/**
+ * GET /api/analytics/content/:contentId/timeseries?interval=&from=&to=&timezone=&platform=
+ * Counters and growth of one content per platform and period
+ */
+router.get('/content/:contentId/timeseries', async (req, res) => {
+  try {
+    const { interval, from, to, timezone, platform } = req.query;
+    const series = await analyticsService.getContentTimeSeries(req.params.contentId, { interval, from, to, timezone, platform });
+    res.json({ success: true, ...series });
+  } catch (error) {
+    sendError(res, error, 'Error building content time series');
+  }
+});
+
+/**
+ * GET /api/analytics/leaderboard?metric=engagementRate&platform=&type=&from=&to=&limit=10
+ * Top content by a metric of its latest snapshot
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const { metric, platform, type, from, to, limit } = req.query;
+    const leaderboard = await analyticsService.getLeaderboard({ metric, platform, type, from, to, limit });
+    res.json({ success: true, ...leaderboard });
+  } catch (error) {
+    sendError(res, error, 'Error building leaderboard');
+  }
+});
+
+/**
+ * GET /api/analytics/predictions?platform=&type=&from=&to=
+ * Predicted viralScore vs. actual engagement
+ */
+router.get('/predictions', async (req, res) => {
+  try {
+    const { platform, type, from, to } = req.query;
+    const comparison = await analyticsService.comparePredictions({ platform, type, from, to });
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    sendError(res, error, 'Error comparing predictions');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const brandVoiceService = require('../services/brandVoiceService');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * GET /api/brand-voices
+ */
+router.get('/', async (req, res) => {
+  try {
+    const brandVoices = await brandVoiceService.list();
+    res.json({ success: true, brandVoices });
+  } catch (error) {
+    sendError(res, error, 'Error listing brand voices');
+  }
+});
+
+/**
+ * GET /api/brand-voices/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const brandVoice = await brandVoiceService.get(req.params.id);
+    res.json({ success: true, brandVoice });
+  } catch (error) {
+    sendError(res, error, 'Error fetching brand voice');
+  }
+});
+
+/**
+ * POST /api/brand-voices/:id/check
+ * Check a text against a profile's rules without generating anything
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    const brandVoice = await brandVoiceService.get(req.params.id);
+    const violations = brandVoiceService.check(req.body.text || '', brandVoice);
+
+    res.json({ success: true, passed: violations.length === 0, violations });
+  } catch (error) {
+    sendError(res, error, 'Error checking brand voice');
+  }
+});
+
+/**
+ * POST /api/brand-voices
+ * { name, description, tone, language, bannedWords, requiredDisclaimers,
+ *   emojiSet, hashtagPolicy: { required, banned, max }, samplePosts }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const brandVoice = await brandVoiceService.create(req.body);
+    res.status(201).json({ success: true, brandVoice });
+  } catch (error) {
+    sendError(res, error, 'Error creating brand voice');
+  }
+});
+
+/**
+ * PUT /api/brand-voices/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const brandVoice = await brandVoiceService.update(req.params.id, req.body);
+    res.json({ success: true, brandVoice });
+  } catch (error) {
+    sendError(res, error, 'Error updating brand voice');
+  }
+});
+
+/**
+ * DELETE /api/brand-voices/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await brandVoiceService.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error deleting brand voice');
+  }
+});
+
+module.exports = router;
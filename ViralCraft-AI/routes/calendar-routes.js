@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const { sendError } = require('../utils/error-handler');
+const { getUserId } = require('../utils/request-user');
+
+/**
+ * GET /api/calendar?from=&to=&groupBy=day|week|month&platform=&timezone=
+ * Scheduled and published content grouped by period and platform, with
+ * conflicts (too many posts on a platform within its window). Defaults to
+ * the current month, by day.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, groupBy, platform, timezone } = req.query;
+    const calendar = await calendarService.getCalendar({ from, to, groupBy, platform, timezone });
+    res.json({ success: true, ...calendar });
+  } catch (error) {
+    sendError(res, error, 'Error building calendar');
+  }
+});
+
+/**
+ * GET /api/calendar/feed.ics?platform=
+ * iCalendar feed to subscribe to from calendar apps
+ */
+router.get('/feed.ics', async (req, res) => {
+  try {
+    const feed = await calendarService.buildFeed({ platform: req.query.platform });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="viralcraft-calendar.ics"');
+    res.send(feed);
+  } catch (error) {
+    sendError(res, error, 'Error building calendar feed');
+  }
+});
+
+/**
+ * PATCH /api/calendar/:scheduleId
+ * Reschedule a post: { publishAt, timezone }. Responds with the conflicts at the new time.
+ */
+router.patch('/:scheduleId', async (req, res) => {
+  try {
+    const { publishAt, timezone } = req.body;
+    if (!publishAt) {
+      return res.status(400).json({ success: false, error: 'publishAt is required' });
+    }
+
+    const result = await calendarService.reschedule(req.params.scheduleId, { publishAt, timezone, userId: getUserId(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Error rescheduling post');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/app');
+const platformConstraintService = require('../services/platformConstraintService');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * GET /api/constraints
+ * Hard limits per platform
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    limits: config.content.limits,
+    firstCommentPlatforms: config.content.firstCommentPlatforms
+  });
+});
+
+/**
+ * POST /api/constraints/validate
+ * Check { platform, content, structured } against the platform's limits;
+ * with { fix: true } the fixed content is returned too
+ */
+router.post('/validate', (req, res) => {
+  try {
+    const { platform, content, structured, fix } = req.body;
+    if (!platform || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'platform and content are required' });
+    }
+
+    const { result, constraints } = platformConstraintService.enforce(
+      { content, structured: structured || {} },
+      platform,
+      { fix: fix === true }
+    );
+    res.json({ success: true, ...constraints, result: fix === true ? result : undefined });
+  } catch (error) {
+    sendError(res, error, 'Error validating content');
+  }
+});
+
+/**
+ * POST /api/constraints/thread
+ * Split { platform, content, structured } into numbered posts within the
+ * platform's post limit, hook first and CTA last
+ */
+router.post('/thread', (req, res) => {
+  try {
+    const { platform, content, structured } = req.body;
+    if (!platform || (typeof content !== 'string' && !structured)) {
+      return res.status(400).json({ success: false, error: 'platform and content or structured are required' });
+    }
+
+    const result = platformConstraintService.buildThread({ content: content || '', structured: structured || {} }, platform);
+    res.json({
+      success: true,
+      limit: platformConstraintService.getPostLimit(platform),
+      posts: result.structured.posts
+    });
+  } catch (error) {
+    sendError(res, error, 'Error building thread');
+  }
+});
+
+module.exports = router;
@@ -3,36 +3,118 @@ const express = require('express');
 const router = express.Router();
 const contentRepository = require('../repositories/contentRepository');
 const textAnalysisService = require('../services/textAnalysisService');
+const { versionText } = require('../utils/thread-builder');
+const { getUserId } = require('../utils/request-user');
 const ErrorHandler = require('../middleware/errorHandler');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Analisa o conteúdo, seja um texto único ou uma versão por plataforma
+ * ({ instagram: '...', twitter: ['post 1', 'post 2'] }), no mesmo formato gravado pela geração
+ * @returns {Object} { metadata: { analysis, viralScores }, viralScore }
+ */
+const analyzeVersions = (content, platform) => {
+  if (typeof content === 'string') {
+    const analysis = textAnalysisService.analyzeContent(content, platform);
+    return { metadata: { analysis }, viralScore: analysis.viralScore };
+  }
+
+  const analysis = {};
+  const viralScores = {};
+  for (const [versionPlatform, text] of Object.entries(content)) {
+    analysis[versionPlatform] = textAnalysisService.analyzeContent(versionText(text), versionPlatform);
+    viralScores[versionPlatform] = analysis[versionPlatform].viralScore;
+  }
+
+  // Score geral é a média das plataformas
+  const scores = Object.values(viralScores);
+  return {
+    metadata: { analysis, viralScores },
+    viralScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0
+  };
+};
 
 /**
  * @route   GET /api/content
  * @desc    Obter todos os conteúdos
  * @access  Public
  */
-router.get('/', async (req, res, next) => {
-  try {
-    const { platform, status, limit = 20, offset = 0 } = req.query;
-    
-    // Construir filtros baseados nos parâmetros
-    const filters = {};
-    if (platform) filters.platform = platform;
-    if (status) filters.status = status;
-    
-    // Opções de paginação
-    const options = { limit: parseInt(limit), offset: parseInt(offset) };
-    
-    const contents = await contentRepository.findAll(filters, options);
-    res.json({ 
-      success: true, 
-      count: contents.length,
-      data: contents 
-    });
-  } catch (error) {
-    next(error);
+router.get('/',
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve estar entre 1 e 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset inválido'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+
+      const { platform, status, limit = 20, offset = 0 } = req.query;
+      
+      // Construir filtros baseados nos parâmetros
+      const filters = {};
+      if (platform) filters.platform = platform;
+      if (status) filters.status = status;
+      
+      // Opções de paginação
+      const options = { limit: parseInt(limit), offset: parseInt(offset) };
+      
+      const contents = await contentRepository.findAll(filters, options);
+      res.json({ 
+        success: true, 
+        count: contents.length,
+        data: contents 
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Busca com os filtros e a paginação da query string
+const runSearch = (text, { platform, type, status, viralScore, limit = 20, offset = 0 }) =>
+  contentRepository.search(text, { platform, type, status, viralScore }, {
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+    offset: Math.max(parseInt(offset) || 0, 0)
+  });
+
+const sendSearchResults = (res, { total, results, facets }) => {
+  res.json({
+    success: true,
+    total,
+    count: results.length,
+    data: results,
+    facets
+  });
+};
+
+/**
+ * @route   GET /api/content/search?q=&platform=&type=&status=&viralScore=&limit=&offset=
+ * @desc    Busca textual ranqueada, com trechos destacados (<mark>) e contagens por
+ *          plataforma, tipo, status e faixa de viralScore
+ * @access  Public
+ */
+router.get('/search',
+  query('q').notEmpty().withMessage('Termo de busca é obrigatório'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
+      sendSearchResults(res, await runSearch(req.query.q, req.query));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
  * @route   GET /api/content/:id
@@ -88,26 +170,23 @@ router.post('/',
       }
       
       // Analisar conteúdo antes de salvar
-      const analysis = textAnalysisService.analyzeContent(
-        typeof req.body.content === 'string' ? req.body.content : JSON.stringify(req.body.content),
-        req.body.platform
-      );
+      const { metadata, viralScore } = analyzeVersions(req.body.content, req.body.platform);
       
       // Adicionar metadados da análise
       const contentData = {
         ...req.body,
         metadata: {
           ...req.body.metadata,
-          analysis
+          ...metadata
         },
-        viralScore: analysis.viralScore
+        viralScore
       };
       
       const newContent = await contentRepository.create(contentData);
       res.status(201).json({ 
         success: true, 
         data: newContent,
-        analysis
+        analysis: metadata.analysis
       });
     } catch (error) {
       next(error);
@@ -135,26 +214,37 @@ router.put('/:id',
         });
       }
       
-      // Se o conteúdo foi atualizado, reanalisar
-      let updates = req.body;
+      const existing = await contentRepository.findById(req.params.id);
+      
+      if (!existing) {
+        return next(ErrorHandler.createError('Conteúdo não encontrado', 404));
+      }
+      
+      // Metadados enviados complementam os existentes em vez de substituí-los
+      let updates = {
+        ...req.body,
+        metadata: {
+          ...existing.metadata,
+          ...req.body.metadata
+        }
+      };
       
-      if (req.body.content && req.body.platform) {
-        const analysis = textAnalysisService.analyzeContent(
-          typeof req.body.content === 'string' ? req.body.content : JSON.stringify(req.body.content),
-          req.body.platform
-        );
+      // Se o conteúdo foi atualizado, reanalisar
+      if (req.body.content) {
+        const { metadata, viralScore } = analyzeVersions(req.body.content, req.body.platform || existing.platform);
         
         updates = {
           ...updates,
           metadata: {
             ...updates.metadata,
-            analysis
+            ...metadata
           },
-          viralScore: analysis.viralScore
+          viralScore
         };
       }
       
-      const updatedContent = await contentRepository.update(req.params.id, updates);
+      // Cada atualização gera uma revisão com autor, campos alterados e viralScore
+      const updatedContent = await contentRepository.update(req.params.id, updates, { userId: getUserId(req) });
       
       if (!updatedContent) {
         return next(ErrorHandler.createError('Conteúdo não encontrado', 404));
@@ -221,17 +311,12 @@ router.get('/platform/:platform', async (req, res, next) => {
 
 /**
  * @route   GET /api/content/search/:query
- * @desc    Buscar conteúdos por texto
+ * @desc    Buscar conteúdos por texto (mesmos filtros de GET /api/content/search)
  * @access  Public
  */
 router.get('/search/:query', async (req, res, next) => {
   try {
-    const contents = await contentRepository.search(req.params.query);
-    res.json({ 
-      success: true, 
-      count: contents.length,
-      data: contents 
-    });
+    sendSearchResults(res, await runSearch(req.params.query, req.query));
   } catch (error) {
     next(error);
   }
@@ -246,33 +331,198 @@ router.post('/:id/analyze',
   param('id').isUUID().withMessage('ID inválido'),
   async (req, res, next) => {
     try {
+      // Validar parâmetros
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
       const content = await contentRepository.findById(req.params.id);
       
       if (!content) {
         return next(ErrorHandler.createError('Conteúdo não encontrado', 404));
       }
       
-      const contentText = typeof content.content === 'string' 
-        ? content.content 
-        : JSON.stringify(content.content);
-      
-      const analysis = textAnalysisService.analyzeContent(
-        contentText,
-        content.platform
-      );
+      const { metadata, viralScore } = analyzeVersions(content.content, content.platform);
       
       // Atualizar metadados com a nova análise
       await contentRepository.update(req.params.id, {
         metadata: {
           ...content.metadata,
-          analysis
+          ...metadata
         },
-        viralScore: analysis.viralScore
+        viralScore
+      }, { userId: getUserId(req) });
+      
+      res.json({ 
+        success: true, 
+        data: metadata.analysis,
+        viralScore
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/content/:id/revisions
+ * @desc    Listar as revisões de um conteúdo, da mais recente para a mais antiga
+ * @access  Public
+ */
+router.get('/:id/revisions',
+  param('id').isUUID().withMessage('ID inválido'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
+      const content = await contentRepository.findById(req.params.id);
+      
+      if (!content) {
+        return next(ErrorHandler.createError('Conteúdo não encontrado', 404));
+      }
+      
+      const revisions = await contentRepository.getRevisions(req.params.id);
+      res.json({ 
+        success: true, 
+        count: revisions.length,
+        data: revisions 
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/content/:id/revisions/diff?from=&to=
+ * @desc    Diferença palavra a palavra entre duas revisões, por plataforma
+ *          (padrão: a última revisão contra a anterior)
+ * @access  Public
+ */
+router.get('/:id/revisions/diff',
+  param('id').isUUID().withMessage('ID inválido'),
+  query('from').optional().isInt({ min: 1 }).withMessage('Revisão inicial inválida'),
+  query('to').optional().isInt({ min: 1 }).withMessage('Revisão final inválida'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
+      let to = parseInt(req.query.to);
+      if (!to) {
+        const [latest] = await contentRepository.getRevisions(req.params.id);
+        if (!latest) {
+          return next(ErrorHandler.createError('Conteúdo sem revisões', 404));
+        }
+        to = latest.revision;
+      }
+      const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+      
+      const diff = await contentRepository.diffRevisions(req.params.id, from, to);
+      
+      if (!diff) {
+        return next(ErrorHandler.createError('Revisão não encontrada', 404));
+      }
+      
+      res.json({ success: true, data: diff });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/content/:id/revisions/:revision
+ * @desc    Obter uma revisão, com o conteúdo completo daquele momento
+ * @access  Public
+ */
+router.get('/:id/revisions/:revision',
+  param('id').isUUID().withMessage('ID inválido'),
+  param('revision').isInt({ min: 1 }).withMessage('Revisão inválida'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
+      const revision = await contentRepository.getRevision(req.params.id, parseInt(req.params.revision));
+      
+      if (!revision) {
+        return next(ErrorHandler.createError('Revisão não encontrada', 404));
+      }
+      
+      res.json({ success: true, data: revision });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/content/:id/revisions/:revision/restore
+ * @desc    Restaurar uma revisão antiga; a restauração vira uma nova revisão
+ * @access  Public
+ */
+router.post('/:id/revisions/:revision/restore',
+  param('id').isUUID().withMessage('ID inválido'),
+  param('revision').isInt({ min: 1 }).withMessage('Revisão inválida'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+      
+      const revision = await contentRepository.getRevision(req.params.id, parseInt(req.params.revision));
+      
+      if (!revision) {
+        return next(ErrorHandler.createError('Revisão não encontrada', 404));
+      }
+      
+      const { metadata: previousMetadata, ...fields } = revision.snapshot;
+      
+      // Reanalisar o conteúdo restaurado, como numa atualização
+      const { metadata, viralScore } = analyzeVersions(fields.content, fields.platform);
+      
+      const restored = await contentRepository.update(req.params.id, {
+        ...fields,
+        metadata: {
+          ...previousMetadata,
+          ...metadata
+        },
+        viralScore
+      }, { userId: getUserId(req) });
+      
+      if (!restored) {
+        return next(ErrorHandler.createError('Conteúdo não encontrado', 404));
+      }
       
       res.json({ 
         success: true, 
-        data: analysis 
+        data: restored,
+        restoredFrom: revision.revision
       });
     } catch (error) {
       next(error);
@@ -280,4 +530,7 @@ router.post('/:id/analyze',
   }
 );
 
+// Erros repassados com next() pelas rotas acima
+router.use(ErrorHandler.handle);
+
 module.exports = router;
@@ -20,6 +20,7 @@ router.get('/debug', (req, res) => {
       environment: {
         openaiConfigured: !!process.env.OPENAI_API_KEY,
         anthropicConfigured: !!process.env.ANTHROPIC_API_KEY,
+        localLlmConfigured: !!process.env.LOCAL_LLM_BASE_URL,
         databaseUrl: process.env.DATABASE_URL || 'SQLite (default)',
         logLevel: process.env.LOG_LEVEL || 'info'
       },
@@ -49,28 +50,29 @@ router.get('/test-ai', async (req, res) => {
     const aiService = require('../services/ai');
     
     const testResults = {
-      openai: {
-        configured: !!process.env.OPENAI_API_KEY,
-        status: 'not_tested'
-      },
       fallback: {
         available: true,
         status: 'ready'
       }
     };
 
-    // Test OpenAI if configured
-    if (process.env.OPENAI_API_KEY) {
+    // Test every configured provider
+    for (const [name, provider] of Object.entries(aiService.providers)) {
+      testResults[name] = {
+        configured: provider.isConfigured(),
+        status: 'not_tested'
+      };
+
+      if (!provider.isConfigured()) continue;
+
       try {
-        // Test actual OpenAI connection
-        const aiService = require('../services/ai');
-        const openaiWorking = await aiService.testOpenAI();
-        testResults.openai.status = openaiWorking ? 'working' : 'configured_but_failed';
-        logger.info(`OpenAI service test - ${testResults.openai.status}`);
+        const working = await aiService.testConnection(name);
+        testResults[name].status = working ? 'working' : 'configured_but_failed';
+        logger.info(`${name} service test - ${testResults[name].status}`);
       } catch (error) {
-        testResults.openai.status = 'error';
-        testResults.openai.error = error.message;
-        logger.error('OpenAI service test failed', error);
+        testResults[name].status = 'error';
+        testResults[name].error = error.message;
+        logger.error(`${name} service test failed`, error);
       }
     }
 
@@ -107,12 +109,7 @@ router.post('/reinit-ai', async (req, res) => {
     console.log('🔄 Manual AI service reinitialization requested');
     const aiService = require('../services/ai');
     
-    // Reset AI service state
-    aiService.openai = null;
-    aiService.initialized = false;
-    aiService.fallbackMode = false;
-    
-    // Reinitialize
+    // Reinitialize (providers rebuild their clients)
     const result = await aiService.initialize();
     
     logger.info('AI service reinitialization completed', { 
@@ -125,7 +122,7 @@ router.post('/reinit-ai', async (req, res) => {
       success: true, 
       message: 'AI service reinitialized',
       status: {
-        openaiWorking: result && !aiService.fallbackMode,
+        providers: aiService.getAvailableProviders(),
         fallbackMode: aiService.fallbackMode,
         initialized: aiService.initialized
       }
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const experimentService = require('../services/experimentService');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * GET /api/experiments
+ * List experiments (filter: status)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const experiments = await experimentService.list({ status: req.query.status });
+    res.json({ success: true, experiments });
+  } catch (error) {
+    sendError(res, error, 'Error listing experiments');
+  }
+});
+
+/**
+ * GET /api/experiments/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const experiment = await experimentService.get(req.params.id);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendError(res, error, 'Error fetching experiment');
+  }
+});
+
+/**
+ * GET /api/experiments/:id/report
+ * Per-variant performance with 95% confidence intervals
+ */
+router.get('/:id/report', async (req, res) => {
+  try {
+    const report = await experimentService.report(req.params.id);
+    res.json({ success: true, report });
+  } catch (error) {
+    sendError(res, error, 'Error building experiment report');
+  }
+});
+
+/**
+ * POST /api/experiments
+ * Start an experiment: { name, description, platform, contentType, variants }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, platform, contentType, variants } = req.body;
+    const experiment = await experimentService.create({ name, description, platform, contentType, variants });
+
+    res.status(201).json({ success: true, experiment });
+  } catch (error) {
+    sendError(res, error, 'Error creating experiment');
+  }
+});
+
+/**
+ * PATCH /api/experiments/:id
+ * Rename or change status (running, paused, completed)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, description, status } = req.body;
+    const experiment = await experimentService.update(req.params.id, { name, description, status });
+
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendError(res, error, 'Error updating experiment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const hashtagService = require('../services/hashtagService');
+const brandVoiceService = require('../services/brandVoiceService');
+const { extractHashtags } = require('../utils/hashtags');
+const { sendError } = require('../utils/error-handler');
+
+const loadBrandVoice = brandVoiceId => (brandVoiceId ? brandVoiceService.get(brandVoiceId) : null);
+
+/**
+ * POST /api/hashtags/recommend
+ * Broad, niche and branded hashtags for { topic, keywords, platform }, ranked
+ * from our content, YouTube analyses and extractions; { brandVoiceId } adds
+ * the brand's required tags and flags its banned ones
+ */
+router.post('/recommend', async (req, res) => {
+  try {
+    const { topic, keywords, platform, brandVoiceId } = req.body;
+    if (keywords !== undefined && !Array.isArray(keywords)) {
+      return res.status(400).json({ success: false, error: 'keywords must be an array' });
+    }
+
+    const result = await hashtagService.recommend({
+      topic,
+      keywords: (keywords || []).map(String),
+      platform,
+      brandVoice: await loadBrandVoice(brandVoiceId)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Error recommending hashtags');
+  }
+});
+
+/**
+ * POST /api/hashtags/review
+ * Flag banned and overused tags in { hashtags } or the tags of { content }
+ */
+router.post('/review', async (req, res) => {
+  try {
+    const { hashtags, content, brandVoiceId } = req.body;
+    if (!Array.isArray(hashtags) && typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'hashtags or content is required' });
+    }
+
+    const tags = Array.isArray(hashtags) ? hashtags.map(String) : extractHashtags(content);
+    res.json({ success: true, ...hashtagService.review(tags, await loadBrandVoice(brandVoiceId)) });
+  } catch (error) {
+    sendError(res, error, 'Error reviewing hashtags');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const promptTemplateService = require('../services/promptTemplateService');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * GET /api/prompt-templates
+ * List stored template versions (filters: key, platform, contentType, includeInactive)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { key, platform, contentType, includeInactive } = req.query;
+    const templates = await promptTemplateService.list({
+      key,
+      platform,
+      contentType,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.json({ success: true, templates });
+  } catch (error) {
+    sendError(res, error, 'Error listing prompt templates');
+  }
+});
+
+/**
+ * GET /api/prompt-templates/defaults
+ * Built-in templates with the variables each key accepts
+ */
+router.get('/defaults', (req, res) => {
+  res.json({ success: true, templates: promptTemplateService.getDefaults() });
+});
+
+/**
+ * GET /api/prompt-templates/resolve?key=&platform=&contentType=
+ * The template that generation would use for a scope
+ */
+router.get('/resolve', async (req, res) => {
+  try {
+    const { key, platform, contentType } = req.query;
+    promptTemplateService.validate({ key, platform, contentType, body: '-' });
+
+    const template = await promptTemplateService.resolve(key, { platform, contentType });
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Error resolving prompt template');
+  }
+});
+
+/**
+ * GET /api/prompt-templates/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await promptTemplateService.get(req.params.id);
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Error fetching prompt template');
+  }
+});
+
+/**
+ * POST /api/prompt-templates
+ * Save a template as the next version of its key/platform/contentType scope
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { key, platform, contentType, body, description } = req.body;
+    const template = await promptTemplateService.create({ key, platform, contentType, body, description });
+
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Error creating prompt template');
+  }
+});
+
+/**
+ * PUT /api/prompt-templates/:id
+ * Edit a template; the change is stored as a new version
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { body, description } = req.body;
+    const template = await promptTemplateService.update(req.params.id, { body, description });
+
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Error updating prompt template');
+  }
+});
+
+/**
+ * DELETE /api/prompt-templates/:id
+ * Deactivate a version; generation falls back to the previous active one
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await promptTemplateService.deactivate(req.params.id);
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Error deactivating prompt template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const publishingService = require('../services/publishingService');
+const { sendError } = require('../utils/error-handler');
+const { getUserId } = require('../utils/request-user');
+
+/**
+ * GET /api/schedules?contentId=&platform=&status=&limit=&offset=
+ * List publish schedules, soonest first (status takes a comma-separated list)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { contentId, platform, status, limit, offset } = req.query;
+    const schedules = await publishingService.list(
+      { contentId, platform, status: status ? status.split(',') : undefined },
+      {
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200),
+        offset: Math.max(parseInt(offset) || 0, 0)
+      }
+    );
+    res.json({ success: true, count: schedules.length, schedules });
+  } catch (error) {
+    sendError(res, error, 'Error listing schedules');
+  }
+});
+
+/**
+ * GET /api/schedules/publishers
+ * Registered publishers and which one is the default
+ */
+router.get('/publishers', (req, res) => {
+  res.json({ success: true, publishers: publishingService.listPublishers() });
+});
+
+/**
+ * POST /api/schedules
+ * Schedule a content: { contentId, platforms (or platform), publishAt, timezone, publisher }
+ * publishAt without an offset ("2024-05-10T09:30") is local time in `timezone`
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { contentId, platform, platforms, publishAt, timezone, publisher } = req.body;
+    if (!contentId || !publishAt) {
+      return res.status(400).json({ success: false, error: 'contentId and publishAt are required' });
+    }
+
+    const schedules = await publishingService.schedule({
+      contentId,
+      platforms: platforms || (platform ? [platform] : undefined),
+      publishAt,
+      timezone,
+      publisher,
+      userId: getUserId(req)
+    });
+
+    res.status(201).json({ success: true, schedules });
+  } catch (error) {
+    sendError(res, error, 'Error scheduling content');
+  }
+});
+
+/**
+ * POST /api/schedules/:id/retry
+ * Queue a failed or cancelled schedule again, now
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const schedule = await publishingService.retry(req.params.id, getUserId(req));
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error, 'Error retrying schedule');
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Cancel a pending or failed schedule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await publishingService.cancel(req.params.id, getUserId(req));
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error, 'Error cancelling schedule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const usageService = require('../services/usageService');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * GET /api/usage?userId=&provider=&days=30
+ * Budget status plus daily (last `days` days) and monthly (last 12 months) spend
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId, provider, days } = req.query;
+    const report = await usageService.getReport({ userId, provider, days });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendError(res, error, 'Error fetching AI usage');
+  }
+});
+
+/**
+ * GET /api/usage/budget?userId=
+ * Spend against the configured caps, available without a database
+ */
+router.get('/budget', (req, res) => {
+  res.json({ success: true, budget: usageService.getBudgetStatus(req.query.userId) });
+});
+
+module.exports = router;
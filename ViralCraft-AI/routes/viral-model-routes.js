@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const viralModelService = require('../services/viralModelService');
+const textAnalysisService = require('../services/textAnalysisService');
+const { sendError } = require('../utils/error-handler');
+const { getUserId } = require('../utils/request-user');
+
+/**
+ * GET /api/viral-model
+ * Trained models in use, their metrics and feature weights, and which
+ * platforms still score with the heuristic
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, ...viralModelService.getStatus() });
+});
+
+/**
+ * POST /api/viral-model/train
+ * Retrain from the current analytics: { platform } retrains only that platform
+ * (or 'all' for the shared model)
+ */
+router.post('/train', async (req, res) => {
+  try {
+    const result = await viralModelService.train({ platform: req.body.platform, userId: getUserId(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Error training viral score model');
+  }
+});
+
+/**
+ * POST /api/viral-model/predict
+ * Viral score of { content, platform } with each feature's contribution
+ */
+router.post('/predict', (req, res) => {
+  try {
+    const { content, platform } = req.body;
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'content is required' });
+    }
+
+    res.json({ success: true, platform: platform || null, ...textAnalysisService.scoreViral(content, platform) });
+  } catch (error) {
+    sendError(res, error, 'Error scoring content');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Schema migrations CLI
+ *
+ *   node scripts/migrate.js migrate    Run pending migrations
+ *   node scripts/migrate.js rollback   Undo the last batch
+ *   node scripts/migrate.js status     List applied and pending migrations
+ */
+
+require('dotenv').config();
+
+const COMMANDS = ['migrate', 'rollback', 'status'];
+
+async function run(command) {
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node scripts/migrate.js <${COMMANDS.join('|')}>`);
+    process.exit(1);
+  }
+
+  const databaseService = require('../services/database');
+
+  try {
+    const connected = await databaseService.initialize({ migrate: false });
+    if (!connected) {
+      console.error('❌ Could not connect to the database');
+      process.exit(1);
+    }
+
+    if (command === 'migrate') {
+      const applied = await databaseService.migrate();
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+    } else if (command === 'rollback') {
+      const rolledBack = await databaseService.rollbackMigrations();
+      console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.join(', ')}` : '✅ Nothing to roll back');
+    } else {
+      const migrations = await databaseService.getMigrationStatus();
+      for (const migration of migrations) {
+        const detail = migration.status === 'up'
+          ? `batch ${migration.batch}, ${new Date(migration.executedAt).toISOString()}`
+          : '';
+        console.log(`${migration.status === 'up' ? '✅ up     ' : '⏳ pending'}  ${migration.name}  ${detail}`);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    await databaseService.close();
+    process.exit(1);
+  }
+
+  await databaseService.close();
+  process.exit(0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  run(process.argv[2] || 'migrate');
+}
+
+module.exports = run;
@@ -1,5 +1,3 @@
-
-const { Sequelize } = require('sequelize');
 require('dotenv').config();
 
 async function setupDatabase() {
@@ -9,7 +7,7 @@ async function setupDatabase() {
     // Initialize database service
     const databaseService = require('../services/database');
     
-    // Initialize connection and create tables
+    // Initialize connection and run pending migrations
     const connected = await databaseService.initialize();
     
     if (connected) {
@@ -22,12 +20,10 @@ async function setupDatabase() {
         
         await databaseService.createContent({
           title: 'Welcome to ViralCraft-AI',
-          type: 'social',
+          type: 'post',
           platform: 'instagram',
           content: {
-            text: 'Transform your content creation with AI! 🚀 #ViralCraft #AI #ContentCreation',
-            hashtags: ['#ViralCraft', '#AI', '#ContentCreation'],
-            tone: 'friendly'
+            instagram: 'Transform your content creation with AI! 🚀 #ViralCraft #AI #ContentCreation'
           },
           keywords: ['AI', 'content', 'viral', 'social media'],
           viralScore: 75,
@@ -68,4 +64,5 @@ if (require.main === module) {
   setupDatabase();
 }
 
-module.exports = setupDatabase;dule.exports = setupDatabase;
+module.exports = setupDatabase;
+
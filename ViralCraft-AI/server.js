@@ -8,11 +8,13 @@ const multer = require('multer');
 const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+const config = require('./config/app');
 const logger = require('./utils/logger');
 const { systemMonitoring, requestLogging, errorTracking, getHealthData } = require('./middleware/monitoring');
 
 // Initialize global error handlers
-require('./utils/error-handler');
+const { createError } = require('./utils/error-handler');
+const { getUserId } = require('./utils/request-user');
 
 // Initialize Express app
 const app = express();
@@ -61,6 +63,18 @@ app.use('/static', express.static(path.join(__dirname, 'static'), staticOptions)
 // Initialize AI services and middleware
 const aiService = require('./services/ai');
 const apiCache = require('./middleware/apiCache');
+const extractionService = require('./services/extractionService');
+const textAnalysisService = require('./services/textAnalysisService');
+const experimentService = require('./services/experimentService');
+const brandVoiceService = require('./services/brandVoiceService');
+const translationService = require('./services/translationService');
+const usageService = require('./services/usageService');
+const publishingService = require('./services/publishingService');
+const viralModelService = require('./services/viralModelService');
+const platformConstraintService = require('./services/platformConstraintService');
+const hashtagService = require('./services/hashtagService');
+const { extractHashtags } = require('./utils/hashtags');
+const { initEventStream, sendEvent } = require('./utils/sse');
 
 const initializeAIServices = async () => {
   try {
@@ -82,7 +96,7 @@ const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'text/plain'];
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'text/plain', extractionService.DOCX_MIME_TYPE];
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -109,6 +123,9 @@ const connectDB = async () => {
 
       // Set global reference for routes
       global.db = databaseService;
+      await usageService.initialize();
+      await publishingService.initialize();
+      await viralModelService.initialize();
 
       return true;
     } else {
@@ -152,7 +169,7 @@ app.get('/api/test-integration', async (req, res) => {
       const aiStatus = global.aiService.getStatus();
       tests.aiService = { 
         status: aiStatus.initialized ? 'ok' : 'error', 
-        details: `OpenAI: ${aiStatus.openai ? '✅' : '❌'}, Fallback: ${aiStatus.fallbackMode ? 'enabled' : 'disabled'}` 
+        details: `${Object.entries(aiStatus.providers).map(([name, status]) => `${name}: ${status.available ? '✅' : '❌'}`).join(', ')}, Fallback: ${aiStatus.fallbackMode ? 'enabled' : 'disabled'}` 
       };
     } else {
       tests.aiService = { status: 'error', details: 'AI service not initialized' };
@@ -228,6 +245,7 @@ app.get('/api/health', apiCache(30000), async (req, res) => { // Cache for 30 se
     }
 
     const healthData = getHealthData();
+    const aiStatus = aiService.getStatus();
 
     res.json({ 
       status: 'ok', 
@@ -237,10 +255,12 @@ app.get('/api/health', apiCache(30000), async (req, res) => { // Cache for 30 se
       cpu: healthData.cpu,
       services: {
         database: dbStatus,
-        openai: {
-          configured: !!global.openai,
-          key: global.openai ? 'valid' : 'missing'
-        }
+        ...Object.fromEntries(Object.entries(aiStatus.providers).map(([name, status]) => [name, {
+          configured: status.configured,
+          available: status.available
+        }])),
+        // Calls waiting for rate limit capacity, per provider/model
+        aiQueue: aiStatus.queue
       },
       monitoring: {
         errors: healthData.logs.errors,
@@ -260,6 +280,16 @@ app.get('/api/health', apiCache(30000), async (req, res) => { // Cache for 30 se
   }
 });
 
+// Keep extracted text for hashtag research; a failed write doesn't fail the extraction
+const saveExtraction = async (document, source) => {
+  try {
+    return await extractionService.save(document, source);
+  } catch (error) {
+    console.warn('⚠️ Could not save extraction:', error.message);
+    return null;
+  }
+};
+
 // Extract data from files
 app.post('/api/extract', upload.single('file'), async (req, res) => {
   try {
@@ -270,104 +300,329 @@ app.post('/api/extract', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    if (!global.openai) {
-      return res.status(500).json({ error: 'OpenAI API not configured' });
-    }
-
-    let extractedData = '';
+    let document;
 
     if (file.mimetype.startsWith('image/')) {
-      // Process image with OpenAI Vision
-      const base64Image = file.buffer.toString('base64');
-      const response = await global.openai.chat.completions.create({
-        model: "gpt-4-vision-preview",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: "Extract all text from this image in a structured format:" },
-              { type: "image_url", image_url: { url: `data:${file.mimetype};base64,${base64Image}` } }
-            ]
-          }
-        ],
-        max_tokens: 1000
+      // Read text from the image with a vision-capable provider
+      const { text, provider } = await global.aiService.extractTextFromImage(file.buffer, file.mimetype, {
+        provider: req.body.provider,
+        userId: getUserId(req)
+      });
+      if (!text.trim()) {
+        return res.status(422).json({ error: 'No text found in the image' });
+      }
+      document = extractionService.buildResult('image', text, {
+        sections: extractionService.sectionsFromMarkdown(text),
+        provider
       });
-      extractedData = response.choices[0].message.content;
-    } else if (file.mimetype === 'application/pdf') {
-      // Simulation of PDF processing
-      extractedData = "Content extracted from PDF (simulation)";
     } else {
-      // Process text
-      extractedData = file.buffer.toString('utf-8');
+      // PDF, DOCX and plain text
+      document = await extractionService.extractFile(file);
     }
 
-    res.json({ success: true, data: extractedData });
+    const extractionId = await saveExtraction(document, { fileName: file.originalname });
+    res.json({ success: true, data: document.text, document, extractionId });
   } catch (error) {
     console.error('Extraction error:', error);
-    res.status(500).json({ error: 'Error processing file', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Error processing file', details: error.message });
   }
 });
 
-// Generate content
-app.post('/api/generate', async (req, res) => {
+// Extract article content from a web page
+app.post('/api/extract/url', async (req, res) => {
   try {
-    const { 
-      topic, 
-      contentType, 
-      platform, 
-      keywords, 
-      tone, 
-      extractedData,
-      additionalContext,
-      suggestedTitle,
-      suggestedContent
-    } = req.body;
+    const { url } = req.body;
 
-    // Generate content using AI service
-    const result = await global.aiService.generateContent({
-      topic,
-      contentType,
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const document = await extractionService.extractUrl(url);
+
+    const extractionId = await saveExtraction(document, { url });
+    res.json({ success: true, data: document.text, document, extractionId });
+  } catch (error) {
+    console.error('URL extraction error:', error);
+    const statusCode = error.statusCode || (error.response ? 502 : 500);
+    res.status(statusCode).json({ error: 'Error extracting URL', details: error.message });
+  }
+});
+
+// Pick the generation parameters out of a request
+const getGenerationParams = (req) => {
+  const { 
+    topic, 
+    contentType, 
+    platform, 
+    keywords, 
+    tone, 
+    extractedData,
+    additionalContext,
+    suggestedTitle,
+    suggestedContent,
+    language,
+    provider,
+    model,
+    autoFix
+  } = req.body;
+
+  return {
+    topic,
+    contentType,
+    platform,
+    keywords,
+    tone,
+    extractedData,
+    additionalContext,
+    suggestedTitle,
+    suggestedContent,
+    language,
+    provider,
+    model,
+    // Repair platform limit violations (trim, split into a thread, hashtags to a first comment)
+    autoFix: autoFix === true,
+    userId: getUserId(req)
+  };
+};
+
+// Load the brand voice profile selected with `brandVoiceId`, if any
+const loadBrandVoice = (brandVoiceId) => brandVoiceId ? brandVoiceService.get(brandVoiceId) : null;
+
+// Resolve the platform/content type pairs requested: either `targets`,
+// `platforms` (+ `contentTypes` or a shared `contentType`) or a single `platform`
+const getGenerationTargets = (body) => {
+  let targets;
+
+  if (Array.isArray(body.targets)) {
+    targets = body.targets.map(({ platform, contentType }) => ({ platform, contentType }));
+  } else if (Array.isArray(body.platforms)) {
+    targets = body.platforms.map((platform, index) => ({
       platform,
-      keywords,
-      tone,
-      extractedData,
-      additionalContext,
-      suggestedTitle,
-      suggestedContent
+      contentType: Array.isArray(body.contentTypes) ? body.contentTypes[index] : body.contentType
+    }));
+  } else {
+    targets = [{ platform: body.platform, contentType: body.contentType }];
+  }
+
+  const invalid = targets.find(target => !target.platform || !target.contentType);
+  if (targets.length === 0 || invalid) {
+    throw createError('Each target needs a platform and a contentType', 400);
+  }
+
+  // Checked up front: an unknown platform would only fail on saving, after the provider call
+  for (const { platform, contentType } of targets) {
+    if (!config.content.platforms.includes(platform)) {
+      throw createError(`Unsupported platform "${platform}"`, 400);
+    }
+    if (!config.content.contentTypes.includes(contentType)) {
+      throw createError(`Unsupported content type "${contentType}"`, 400);
+    }
+  }
+
+  // Versions are stored keyed by platform, so each platform can appear only once
+  const platforms = targets.map(target => target.platform);
+  const duplicate = platforms.find((platform, index) => platforms.indexOf(platform) !== index);
+  if (duplicate) {
+    throw createError(`Platform "${duplicate}" requested more than once`, 400);
+  }
+
+  return targets;
+};
+
+// Analyze generated versions and save them on one Content row (if the database is connected)
+const saveGeneratedContent = async (params, generated) => {
+  const { topic, keywords, tone, brandVoice } = params;
+
+  // Brand voice rules are enforced before anything is saved
+  let outputs = generated;
+  let compliance = null;
+  if (brandVoice) {
+    compliance = {};
+    outputs = generated.map(output => {
+      const enforced = brandVoiceService.enforce(output.result, brandVoice);
+      compliance[output.platform] = enforced.compliance;
+      return { ...output, result: enforced.result };
     });
+  }
+  const compliant = !compliance || Object.values(compliance).every(report => report.passed);
+
+  // Threads are laid out as numbered posts, then platform limits are reported
+  // for every version and fixed when asked to
+  const constraints = {};
+  outputs = outputs.map(output => {
+    const laidOut = output.contentType === 'thread'
+      ? platformConstraintService.buildThread(output.result, output.platform)
+      : output.result;
+    const enforced = platformConstraintService.enforce(laidOut, output.platform, { fix: params.autoFix });
+    constraints[output.platform] = enforced.constraints;
+    return { ...output, result: enforced.result };
+  });
 
-    const adaptedContent = {};
-    adaptedContent[platform] = result.content;
-
-    // Save to database (if connected)
-    try {
-      if (global.db && global.db.isConnected) {
-        await global.db.createContent({
-          title: topic,
-          type: contentType,
-          platform: platform,
-          content: adaptedContent,
-          keywords: keywords || [],
-          metadata: {
-            tone,
-            generatedAt: new Date(),
-            model: global.anthropic ? 'claude-3-sonnet' : (global.openai ? 'gpt-4' : 'mock')
-          }
-        });
-      }
-    } catch (dbError) {
-      console.error('Database error:', dbError);
-      // Continue even with database error
+  const adaptedContent = {};
+  const structured = {};
+  const viralScores = {};
+  const analysis = {};
+  const hashtagReview = {};
+
+  for (const { platform, contentType, result } of outputs) {
+    // A thread is stored as its ordered posts
+    adaptedContent[platform] = contentType === 'thread' ? result.structured.posts : result.content;
+    structured[platform] = result.structured;
+    analysis[platform] = textAnalysisService.analyzeContent(result.content, platform);
+    viralScores[platform] = textAnalysisService.calculateViralScore(result.content, platform);
+    // Model hashtags are checked against banned and overused tags, wherever they ended up
+    hashtagReview[platform] = hashtagService.review(
+      extractHashtags([result.content, result.firstComment, ...(result.structured?.hashtags || [])].filter(Boolean).join(' ')),
+      brandVoice
+    );
+  }
+
+  const scores = Object.values(viralScores);
+  const types = [...new Set(outputs.map(output => output.contentType))];
+  let saved = null;
+
+  try {
+    if (!compliant) {
+      console.warn(`⚠️ Content not saved: it breaks the "${brandVoice.name}" brand voice rules`);
+    } else if (global.db && global.db.isConnected) {
+      saved = await global.db.createContent({
+        title: topic,
+        // A row holds one type/platform, so fan-outs are stored as universal, and as
+        // mixed when their types differ (metadata.targets has each version's type)
+        type: types.length === 1 ? types[0] : 'mixed',
+        platform: outputs.length === 1 ? outputs[0].platform : 'universal',
+        content: adaptedContent,
+        keywords: keywords || [],
+        userId: params.userId,
+        // Overall score is the mean of the per-platform scores
+        viralScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+        metadata: {
+          tone,
+          language: outputs[0].result.language,
+          generatedAt: new Date(),
+          targets: outputs.map(({ platform, contentType, result }) => ({
+            platform,
+            contentType,
+            provider: result.provider,
+            model: result.model,
+            // Prompt template versions, to trace results back to the exact prompt
+            promptTemplates: result.promptTemplates,
+            experiment: result.experiment || null
+          })),
+          // Fields per platform (hook, body, cta, hashtags...) so consumers don't parse the prose
+          structured,
+          viralScores,
+          analysis,
+          brandVoice: brandVoice ? { id: brandVoice.id, name: brandVoice.name, compliance } : null,
+          constraints,
+          hashtagReview
+        }
+      });
+      await experimentService.recordAssignments(saved.id, outputs);
     }
+  } catch (dbError) {
+    console.error('Database error:', dbError);
+    // Continue even with database error
+  }
+
+  return { adaptedContent, structured, viralScores, analysis, compliance, constraints, hashtagReview, saved };
+};
+
+// Generate content (one version per requested platform)
+app.post('/api/generate', async (req, res) => {
+  try {
+    const params = getGenerationParams(req);
+    const targets = getGenerationTargets(req.body);
+    params.brandVoice = await loadBrandVoice(req.body.brandVoiceId);
+
+    // Generate content using AI service
+    const outputs = await global.aiService.generateForTargets(params, targets);
+    const { adaptedContent, structured, viralScores, compliance, constraints, hashtagReview, saved } = await saveGeneratedContent(params, outputs);
 
     res.json({ 
       success: true, 
-      content: adaptedContent
+      content: adaptedContent,
+      structured,
+      viralScores,
+      compliance,
+      constraints,
+      hashtagReview,
+      contentId: saved ? saved.id : null
     });
 
   } catch (error) {
     console.error('Generation error:', error);
-    res.status(500).json({ error: 'Error generating content', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Error generating content', details: error.message });
+  }
+});
+
+// Generate content streaming tokens over Server-Sent Events
+app.post('/api/generate/stream', async (req, res) => {
+  const params = getGenerationParams(req);
+
+  // Validated before the stream opens, so bad requests get a status code instead of an error event
+  try {
+    const targets = getGenerationTargets(req.body);
+    if (targets.length > 1) {
+      throw createError('Streaming generates one platform at a time, use /api/generate for several', 400);
+    }
+    Object.assign(params, targets[0]);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: 'Error generating content', details: error.message });
+  }
+
+  const controller = new AbortController();
+
+  // Stop the provider request when the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  initEventStream(res);
+
+  try {
+    params.brandVoice = await loadBrandVoice(req.body.brandVoiceId);
+
+    let result;
+    for await (const event of global.aiService.generateContentStream(params, { signal: controller.signal })) {
+      if (event.type === 'token') {
+        sendEvent(res, 'token', { text: event.text });
+      } else if (event.type === 'progress') {
+        const { type, ...progress } = event;
+        sendEvent(res, 'progress', progress);
+      } else if (event.type === 'result') {
+        result = event.result;
+      }
+    }
+
+    sendEvent(res, 'progress', { stage: 'saving' });
+    const { adaptedContent, structured, analysis, compliance, constraints, hashtagReview, saved } = await saveGeneratedContent(params, [
+      { platform: params.platform, contentType: params.contentType, result }
+    ]);
+
+    sendEvent(res, 'done', {
+      contentId: saved ? saved.id : null,
+      content: adaptedContent,
+      structured: structured[params.platform],
+      provider: result.provider,
+      model: result.model,
+      cached: !!result.cached,
+      analysis: analysis[params.platform],
+      compliance: compliance ? compliance[params.platform] : null,
+      constraints: constraints[params.platform],
+      hashtagReview: hashtagReview[params.platform]
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Streaming generation cancelled by client');
+    } else {
+      console.error('Streaming generation error:', error);
+      sendEvent(res, 'error', { error: 'Error generating content', details: error.message });
+    }
+  } finally {
+    res.end();
   }
 });
 
@@ -383,87 +638,27 @@ app.post('/api/suggest', async (req, res) => {
       keywords, 
       tone, 
       extractedData,
-      additionalContext 
+      additionalContext,
+      language,
+      provider,
+      model,
+      brandVoiceId
     } = req.body;
 
-    // Check if AI services are configured
-    if (!global.openai && !global.anthropic) {
-      return res.status(500).json({ 
-        error: 'AI services not configured. Configure OPENAI_API_KEY and/or ANTHROPIC_API_KEY in .env' 
-      });
-    }
-
-    // Build prompt for title and summary suggestion
-    const systemPrompt = `You are an expert content strategist specializing in viral content creation.
-    Your task is to suggest a compelling title and brief content outline that follows the Soulclap template.
-
-    Platform: ${platform}
-    Type: ${contentType}
-    Tone: ${tone || 'inspiring, accessible and transformative'}`;
-
-    const userPrompt = `
-    Topic: ${topic}
-    Keywords: ${keywords?.join(', ') || ''}
-    ${extractedData ? `\nExtracted data to use as basis:\n${extractedData}` : ''}
-    ${additionalContext ? `\nAdditional context:\n${additionalContext}` : ''}
-
-    Provide:
-    1. A compelling title that would go viral on ${platform}
-    2. A brief outline (3-5 bullet points) of what the content should cover
-    3. A suggested hook to start the content`;
-
-    let suggestion = {};
-
-    // Generate suggestion using available APIs
-    if (global.anthropic) {
-      // Use Claude for suggestion
-      const response = await global.anthropic.messages.create({
-        model: "claude-3-haiku-20240307",
-        system: systemPrompt,
-        messages: [{ role: "user", content: userPrompt }],
-        max_tokens: 1000
-      });
-
-      suggestion.content = response.content[0].text;
-    } else if (global.openai) {
-      // Fallback to OpenAI if Anthropic is not available
-      const response = await global.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        max_tokens: 1000
-      });
-
-      suggestion.content = response.choices[0].message.content;
-    } else {
-      // Simulated suggestion if no API is configured
-      suggestion.content = `# Suggestion for "${topic}"
-
-**Title:** 7 Segredos Infalíveis sobre ${topic} que Ninguém te Contou
-
-**Outline:**
-- O método revolucionário que está transformando ${topic}
-- Como aplicar o princípio 80/20 para resultados imediatos
-- Ferramentas práticas que você pode implementar hoje mesmo
-
-**Hook:** "O que eu descobri sobre ${topic} mudou completamente minha perspectiva - e vai mudar a sua também."`;
-    }
-
-    // Parse the suggestion to extract title, outline and hook
-    try {
-      const titleMatch = suggestion.content.match(/\*\*Title:\*\*\s*(.*?)(?:\n|$)/);
-      const outlineMatch = suggestion.content.match(/\*\*Outline:\*\*([\s\S]*?)(?:\n\n|\*\*|$)/);
-      const hookMatch = suggestion.content.match(/\*\*Hook:\*\*\s*(.*?)(?:\n|$)/);
-
-      suggestion.title = titleMatch ? titleMatch[1].trim() : `${topic} - Título Sugerido`;
-      suggestion.outline = outlineMatch ? outlineMatch[1].trim() : '';
-      suggestion.hook = hookMatch ? hookMatch[1].trim() : '';
-    } catch (parseError) {
-      console.warn('Error parsing suggestion:', parseError);
-      // Use raw content if parsing fails
-    }
+    const suggestion = await global.aiService.generateSuggestion({
+      topic,
+      contentType,
+      platform,
+      keywords,
+      tone,
+      extractedData,
+      additionalContext,
+      language,
+      provider,
+      model,
+      userId: getUserId(req),
+      brandVoice: await loadBrandVoice(brandVoiceId)
+    });
 
     res.json({ 
       success: true, 
@@ -472,20 +667,7 @@ app.post('/api/suggest', async (req, res) => {
 
   } catch (error) {
     console.error('Suggestion error:', error);
-    res.status(500).json({ error: 'Error generating suggestion', details: error.message });
-  }
-});
-
-// Get all content
-app.get('/api/content', async (req, res) => {
-  try {
-    if (!global.db || !global.db.isConnected) {
-      return res.status(404).json({ error: 'Database not connected' });
-    }
-    const contents = await global.db.getContent();
-    res.json({ success: true, contents });
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching content', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Error generating suggestion', details: error.message });
   }
 });
 
@@ -517,55 +699,34 @@ app.get('/api/errors/realtime', async (req, res) => {
   }
 });
 
-// Get content by ID
-app.get('/api/content/:id', async (req, res) => {
+// Create localized variants of a content, stored as Content rows linked to the original
+app.post('/api/content/:id/translate', async (req, res) => {
   try {
-    if (!global.db || !global.db.isConnected) {
-      return res.status(404).json({ error: 'Database not connected' });
-    }
-    const content = await global.db.getContentById(req.params.id);
-    if (!content) {
-      return res.status(404).json({ error: 'Content not found' });
-    }
-    res.json({ success: true, content });
+    const { language, languages, provider, model } = req.body;
+    const translations = await translationService.translate(
+      req.params.id,
+      languages || (language ? [language] : []),
+      { provider, model, userId: getUserId(req) }
+    );
+    res.json({ success: true, translations });
   } catch (error) {
-    res.status(500).json({ error: 'Error fetching content', details: error.message });
-  }
-});
-
-// Update content
-app.put('/api/content/:id', async (req, res) => {
-  try {
-    if (!global.db || !global.db.isConnected) {
-      return res.status(404).json({ error: 'Database not connected' });
-    }
-    const updatedContent = await global.db.updateContent(req.params.id, req.body);
-    if (!updatedContent) {
-      return res.status(404).json({ error: 'Content not found' });
-    }
-    res.json({ success: true, content: updatedContent });
-  } catch (error) {
-    res.status(500).json({ error: 'Error updating content', details: error.message });
+    console.error('Translation error:', error);
+    res.status(error.statusCode || 500).json({ error: 'Error translating content', details: error.message });
   }
 });
 
 // Generate image with DALL-E
 app.post('/api/generate-image', async (req, res) => {
   try {
-    const { prompt, style = 'digital art' } = req.body;
-    if (!global.openai) {
-      return res.status(500).json({ error: 'OpenAI API not configured' });
+    const { prompt, style = 'digital art', provider, model } = req.body;
+    const result = await global.aiService.generateImage(prompt, { style, provider, model, userId: getUserId(req) });
+    if (result.error) {
+      return res.status(500).json({ error: 'Error generating image', details: result.error });
     }
-    const response = await global.openai.images.generate({
-      model: "dall-e-3",
-      prompt: `${prompt}, style: ${style}, high quality, professional`,
-      n: 1,
-      size: "1024x1024",
-      quality: "hd"
-    });
     res.json({ 
       success: true, 
-      imageUrl: response.data[0].url 
+      imageUrl: result.imageUrl,
+      provider: result.provider
     });
   } catch (error) {
     console.error('Image generation error:', error);
@@ -582,6 +743,15 @@ try {
   console.error('❌ Error initializing YouTube routes:', error.message);
 }
 
+try {
+  // Content CRUD, search and analysis (translation stays inline above)
+  const contentRoutes = require('./routes/contentRoutes');
+  app.use('/api/content', contentRoutes);
+  console.log('✅ Content routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing content routes:', error.message);
+}
+
 try {
   const logsRoutes = require('./routes/logs-routes');
   app.use('/api/logs', logsRoutes);
@@ -590,6 +760,86 @@ try {
   console.error('❌ Error initializing logs routes:', error.message);
 }
 
+try {
+  const promptTemplateRoutes = require('./routes/prompt-template-routes');
+  app.use('/api/prompt-templates', promptTemplateRoutes);
+  console.log('✅ Prompt template routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing prompt template routes:', error.message);
+}
+
+try {
+  const experimentRoutes = require('./routes/experiment-routes');
+  app.use('/api/experiments', experimentRoutes);
+  console.log('✅ Experiment routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing experiment routes:', error.message);
+}
+
+try {
+  const brandVoiceRoutes = require('./routes/brand-voice-routes');
+  app.use('/api/brand-voices', brandVoiceRoutes);
+  console.log('✅ Brand voice routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing brand voice routes:', error.message);
+}
+
+try {
+  const usageRoutes = require('./routes/usage-routes');
+  app.use('/api/usage', usageRoutes);
+  console.log('✅ Usage routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing usage routes:', error.message);
+}
+
+try {
+  const scheduleRoutes = require('./routes/schedule-routes');
+  app.use('/api/schedules', scheduleRoutes);
+  console.log('✅ Schedule routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing schedule routes:', error.message);
+}
+
+try {
+  const calendarRoutes = require('./routes/calendar-routes');
+  app.use('/api/calendar', calendarRoutes);
+  console.log('✅ Calendar routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing calendar routes:', error.message);
+}
+
+try {
+  const analyticsRoutes = require('./routes/analytics-routes');
+  app.use('/api/analytics', analyticsRoutes);
+  console.log('✅ Analytics routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing analytics routes:', error.message);
+}
+
+try {
+  const viralModelRoutes = require('./routes/viral-model-routes');
+  app.use('/api/viral-model', viralModelRoutes);
+  console.log('✅ Viral model routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing viral model routes:', error.message);
+}
+
+try {
+  const constraintRoutes = require('./routes/constraint-routes');
+  app.use('/api/constraints', constraintRoutes);
+  console.log('✅ Constraint routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing constraint routes:', error.message);
+}
+
+try {
+  const hashtagRoutes = require('./routes/hashtag-routes');
+  app.use('/api/hashtags', hashtagRoutes);
+  console.log('✅ Hashtag routes initialized');
+} catch (error) {
+  console.error('❌ Error initializing hashtag routes:', error.message);
+}
+
 //Registering debug routes
 try {
   const debugRoutes = require('./routes/debug-routes');
@@ -643,7 +893,7 @@ const logServerInfo = (port, dbConnected) => {
   console.log(`📍 URL: http://0.0.0.0:${port}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📊 Database: ${dbType} ${dbConnected ? '✅' : '❌'}`);
-  console.log(`🤖 AI Services: ${global.openai ? 'OpenAI ✅' : 'OpenAI ❌'} | ${global.anthropic ? 'Anthropic ✅' : 'Anthropic ❌'}`);
+  console.log(`🤖 AI Services: ${Object.entries(aiService.getStatus().providers).map(([name, status]) => `${name} ${status.available ? '✅' : '❌'}`).join(' | ')}`);
   console.log(`💾 Cache: Enabled`);
   console.log(`📈 Monitoring: Active`);
   console.log('─'.repeat(50));
@@ -728,6 +978,8 @@ async function gracefulCleanup() {
   console.log('🧹 Starting cleanup...');
   
   try {
+    publishingService.stop();
+
     // Close database connections
     if (global.db && global.db.close) {
       await global.db.close();
@@ -3,19 +3,50 @@
  * AI Service - Optimized with enhanced performance, caching, and error handling
  */
 
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const config = require('../config/app');
 const logger = require('../utils/logger');
 const performanceService = require('./performanceService');
+const { WorkQueue } = require('../utils/async-manager');
+const OpenAIProvider = require('./providers/openaiProvider');
+const AnthropicProvider = require('./providers/anthropicProvider');
+const LocalProvider = require('./providers/localProvider');
+const outputSchemaService = require('./outputSchemaService');
+const promptTemplateService = require('./promptTemplateService');
+const experimentService = require('./experimentService');
+const brandVoiceService = require('./brandVoiceService');
+const fallbackTemplates = require('./fallbackTemplates');
+const usageService = require('./usageService');
+const rateLimitService = require('./rateLimitService');
+
+// Queue priority per operation when calls exceed the rate limits: the ones a
+// user is waiting on go first, background translations last
+const OPERATION_PRIORITIES = {
+  suggestion: 2,
+  extraction: 2,
+  generation: 1,
+  image: 1,
+  translation: 0
+};
 
 class AIService {
   constructor() {
-    this.openai = null;
+    const providerOptions = name => ({
+      timeout: config.ai.timeout,
+      maxRetries: config.ai.maxRetries,
+      ...config.ai.providers[name]
+    });
+
+    this.providers = {
+      openai: new OpenAIProvider(providerOptions('openai')),
+      anthropic: new AnthropicProvider(providerOptions('anthropic')),
+      local: new LocalProvider(providerOptions('local'))
+    };
+    this.defaultProvider = config.ai.defaultProvider;
+    this.failoverOrder = config.ai.failoverOrder.filter(name => this.providers[name]);
     this.initialized = false;
     this.fallbackMode = false;
     this.requestCache = new Map();
-    this.rateLimits = {
-      openai: { requests: 0, resetTime: 0 }
-    };
     this.metrics = {
       totalRequests: 0,
       successfulRequests: 0,
@@ -28,31 +59,31 @@ class AIService {
     console.log('🤖 Initializing optimized AI service...');
     
     try {
-      if (this.isValidApiKey(process.env.OPENAI_API_KEY)) {
-        console.log('🔧 Creating optimized OpenAI client...');
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-          timeout: 30000,
-          maxRetries: 3,
-          defaultHeaders: {
-            'User-Agent': 'ViralCraft-AI/1.0'
+      const results = await Promise.all(
+        Object.values(this.providers).map(async (provider) => {
+          if (!provider.isConfigured()) return false;
+
+          console.log(`🔧 Creating ${provider.name} client...`);
+          try {
+            return await provider.initialize();
+          } catch (error) {
+            console.error(`❌ ${provider.name} initialization failed:`, error.message);
+            return false;
           }
-        });
+        })
+      );
 
-        const testResult = await this.testConnection();
-        if (testResult) {
-          console.log('✅ OpenAI service optimized and ready');
-          this.fallbackMode = false;
-          global.openai = this.openai;
-        } else {
-          this.enableFallbackMode();
-        }
+      if (results.some(Boolean)) {
+        console.log(`✅ AI providers ready: ${this.getAvailableProviders().join(', ')}`);
+        this.fallbackMode = false;
       } else {
         this.enableFallbackMode();
       }
 
+      if (!this.initialized) {
+        this.startMetricsCollection();
+      }
       this.initialized = true;
-      this.startMetricsCollection();
       return !this.fallbackMode;
 
     } catch (error) {
@@ -62,35 +93,111 @@ class AIService {
     }
   }
 
-  isValidApiKey(key) {
-    return key && 
-           key !== 'your_openai_api_key_here' && 
-           key.length > 20 && 
-           key.startsWith('sk-');
-  }
-
   enableFallbackMode() {
     console.warn('⚠️ Enabling optimized fallback mode');
     this.fallbackMode = true;
-    global.openai = null;
   }
 
-  async testConnection() {
-    if (!this.openai) return false;
+  /**
+   * Fallback templates are served when no provider works or a spend cap is reached
+   * @param {Object} params - Request params ({ userId } for the per-user cap)
+   */
+  isInFallbackMode(params = {}) {
+    return this.fallbackMode || usageService.isOverBudget(params.userId);
+  }
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [{ role: "user", content: "Test connection" }],
-        max_tokens: 5
-      });
-
-      console.log('✅ OpenAI connection verified');
-      return true;
-    } catch (error) {
-      console.error('❌ Connection test failed:', error.message);
-      return false;
+  // Kept for callers that only care about OpenAI
+  get openai() {
+    return this.providers.openai.available ? this.providers.openai.client : null;
+  }
+
+  async testConnection(providerName = 'openai') {
+    const provider = this.providers[providerName];
+    if (!provider || !provider.client) return false;
+    return provider.testConnection();
+  }
+
+  getAvailableProviders() {
+    return Object.values(this.providers)
+      .filter(provider => provider.available)
+      .map(provider => provider.name);
+  }
+
+  /**
+   * Order the providers to try for a request: the requested one first,
+   * then the configured failover order, skipping unavailable providers
+   * @param {string} preferred - Provider requested by the caller
+   * @param {Function} filter - Extra capability check (e.g. vision support)
+   * @returns {Array<Object>} Providers to try, in order
+   */
+  getCandidateProviders(preferred, filter = () => true) {
+    const order = [preferred || this.defaultProvider, ...this.failoverOrder]
+      .filter((name, index, names) => name && names.indexOf(name) === index);
+
+    return order
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.available && filter(provider));
+  }
+
+  /**
+   * Run a completion on the first provider that succeeds
+   * @param {Object} request - { system, prompt, images, modelTier, maxTokens, temperature, signal }
+   * @param {Object} options - { provider, model } requested by the caller, plus
+   *   { userId, operation } to attribute the usage to and an optional queue { priority }
+   * @returns {Promise<Object>} { text, provider, model, usage } where usage includes its cost
+   */
+  async complete(request, options = {}) {
+    usageService.assertBudget(options.userId);
+
+    const candidates = this.getCandidateProviders(
+      options.provider,
+      request.images?.length ? provider => provider.supportsVision : undefined
+    );
+
+    if (candidates.length === 0) {
+      throw new Error('No AI provider available');
+    }
+
+    let lastError;
+    for (const [index, provider] of candidates.entries()) {
+      // A model name only makes sense for the provider it was chosen for
+      const model = index === 0 ? options.model : undefined;
+      const resolvedModel = provider.resolveModel({ ...request, model });
+
+      // Rather than wait out a backoff, try the next provider while there is one
+      if (index < candidates.length - 1 && !this.isServiceAvailable(provider.name, resolvedModel)) {
+        logger.warn(`${provider.name} (${resolvedModel}) is backing off after a 429, trying next provider`);
+        continue;
+      }
+
+      try {
+        const result = await rateLimitService.schedule(
+          provider.name,
+          resolvedModel,
+          request,
+          () => provider.complete({ ...request, model }),
+          { priority: this.getPriority(options), signal: request.signal }
+        );
+        const usage = usageService.record({
+          userId: options.userId,
+          provider: provider.name,
+          model: result.model,
+          operation: options.operation,
+          usage: result.usage
+        });
+        return { ...result, provider: provider.name, usage };
+      } catch (error) {
+        if (request.signal?.aborted) throw error;
+        lastError = error;
+        logger.warn(`${provider.name} completion failed, trying next provider`, { error: error.message });
+      }
     }
+
+    throw lastError;
+  }
+
+  getPriority(options) {
+    return options.priority ?? OPERATION_PRIORITIES[options.operation] ?? 0;
   }
 
   async generateContent(params) {
@@ -98,6 +205,10 @@ class AIService {
     this.metrics.totalRequests++;
 
     try {
+      const fallbackMode = this.isInFallbackMode(params) || this.getCandidateProviders(params.provider).length === 0;
+      // The variant picks the prompt, so it has to be known before the cache lookup
+      if (!fallbackMode) params = await this.assignExperiment(params);
+
       // Check cache first
       const cacheKey = this.generateCacheKey(params);
       const cached = this.getFromCache(cacheKey);
@@ -108,36 +219,38 @@ class AIService {
       }
 
       let result;
-      if (this.fallbackMode || !this.openai) {
+      if (fallbackMode) {
         result = this.generateFallbackContent(params);
-      } else if (this.isServiceAvailable('openai')) {
+      } else {
         try {
-          result = await this.generateWithOpenAI(params);
+          result = await this.generateWithProvider(params);
           this.cacheResult(cacheKey, result);
         } catch (error) {
-          logger.error('OpenAI generation failed, using fallback', error);
+          logger.error('AI generation failed, using fallback', error);
           result = this.generateFallbackContent(params);
         }
-      } else {
-        result = this.generateFallbackContent(params);
       }
 
       this.metrics.successfulRequests++;
-      performanceService.recordAIRequest(Date.now() - startTime, result.tokensUsed || 0, true);
+      performanceService.recordAIRequest(Date.now() - startTime, result.usage, true);
       return result;
 
     } catch (error) {
       this.metrics.failedRequests++;
-      performanceService.recordAIRequest(Date.now() - startTime, 0, false);
+      performanceService.recordAIRequest(Date.now() - startTime, {}, false);
       logger.error('Content generation failed', error);
       return this.generateFallbackContent(params);
     }
   }
 
   generateCacheKey(params) {
-    const { topic, contentType, platform, tone, keywords } = params;
-    const keyString = `${topic}-${contentType}-${platform}-${tone}-${(keywords || []).join(',')}`;
-    return Buffer.from(keyString).toString('base64').slice(0, 32);
+    const { topic, contentType, platform, tone, keywords, provider, model, brandVoice, experiment } = params;
+    const brandVoiceKey = brandVoice ? `${brandVoice.id}@${new Date(brandVoice.updatedAt).getTime()}` : '';
+    // Each variant has its own prompts, and its results must stay attributed to it
+    const experimentKey = experiment ? `${experiment.experimentId}:${experiment.variantId}` : '';
+    const keyString = `${topic}-${contentType}-${platform}-${tone}-${(keywords || []).join(',')}-${provider || ''}-${model || ''}-${brandVoiceKey}-${this.getLanguage(params) || ''}-${experimentKey}`;
+    // Hash the whole key: a truncated encoding made requests sharing a long prefix collide
+    return crypto.createHash('sha256').update(keyString).digest('hex');
   }
 
   getFromCache(key) {
@@ -164,247 +277,504 @@ class AIService {
     });
   }
 
-  async generateWithOpenAI(params) {
-    const { topic, contentType, platform, tone, extractedData } = params;
+  /**
+   * Generate one adapted version per platform, in parallel up to the fan-out cap
+   * @param {Object} params - Shared generation fields (topic, tone, keywords...)
+   * @param {Array<Object>} targets - [{ platform, contentType }]
+   * @returns {Promise<Array<Object>>} [{ platform, contentType, result }] in target order
+   */
+  async generateForTargets(params, targets) {
+    const queue = new WorkQueue({ concurrency: config.ai.fanOutConcurrency });
+
+    return Promise.all(targets.map(target =>
+      // generateContent already falls back on failure, so queue retries would only add latency
+      queue.add(async () => ({
+        ...target,
+        result: await this.generateContent({ ...params, ...target })
+      }), { retries: 0 })
+    ));
+  }
 
-    const systemPrompt = this.buildOptimizedSystemPrompt(contentType, platform, tone);
-    const userPrompt = this.buildOptimizedUserPrompt(topic, extractedData, params);
+  /**
+   * Render the generation prompts from the template registry
+   * @param {Object} params - Same fields as generateContent
+   * @returns {Promise<Object>} Provider request plus its schema and the template versions used
+   */
+  async buildGenerationRequest(params) {
+    const { contentType, platform } = params;
+    const schema = outputSchemaService.getSchema(platform, contentType);
+    const scope = { platform, contentType };
+    const variables = this.getPromptVariables(params);
 
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      max_tokens: 3000,
-      temperature: 0.7,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
+    const overrides = params.experiment?.templates || {};
+
+    const [system, user] = await Promise.all([
+      promptTemplateService.renderTemplate('generation.system', scope, variables, overrides['generation.system']),
+      promptTemplateService.renderTemplate('generation.user', scope, variables, overrides['generation.user'])
+    ]);
 
     return {
-      content: response.choices[0].message.content,
-      provider: 'openai',
-      model: 'gpt-4',
-      tokensUsed: response.usage?.total_tokens || 0,
-      cached: false
+      system: this.withLanguage(this.withBrandVoice(system.text, params.brandVoice), params),
+      prompt: `${user.text}\n\n${outputSchemaService.describe(schema)}`,
+      schema,
+      promptTemplates: [system.template, user.template],
+      maxTokens: 3000,
+      temperature: 0.7,
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
     };
   }
 
-  generateFallbackContent(params) {
-    const { topic, contentType, platform } = params;
+  /**
+   * Attach the prompt variant of a running experiment, if one covers this generation
+   */
+  async assignExperiment(params) {
+    try {
+      return { ...params, experiment: await experimentService.assign(params) };
+    } catch (error) {
+      logger.warn('Experiment assignment failed, using registry prompts', { error: error.message });
+      return params;
+    }
+  }
 
-    const enhancedTemplates = {
-      'instagram': {
-        'post': this.generateInstagramPost(topic),
-        'story': this.generateInstagramStory(topic),
-        'reel': this.generateInstagramReel(topic)
-      },
-      'tiktok': {
-        'video': this.generateTikTokVideo(topic),
-        'trend': this.generateTikTokTrend(topic)
-      },
-      'youtube': {
-        'video': this.generateYouTubeVideo(topic),
-        'short': this.generateYouTubeShort(topic)
-      }
-    };
+  getExperimentTag(params) {
+    return params.experiment
+      ? { experimentId: params.experiment.experimentId, variantId: params.experiment.variantId }
+      : null;
+  }
 
-    const content = enhancedTemplates[platform]?.[contentType] || 
-                   this.generateGenericContent(topic);
+  getPromptVariables(params) {
+    const { topic, contentType, platform, tone, keywords, extractedData, additionalContext, brandVoice } = params;
+    const language = this.getLanguage(params);
 
     return {
-      content,
-      provider: 'fallback',
-      model: 'optimized-template',
-      tokensUsed: 0,
-      cached: false
+      topic,
+      contentType,
+      platform,
+      tone: tone || brandVoice?.tone,
+      keywords,
+      extractedData,
+      additionalContext,
+      language: language ? fallbackTemplates.getLanguageName(language) : null
     };
   }
 
-  generateInstagramPost(topic) {
-    const hooks = [
-      `🚀 ${topic} mudou minha vida em 30 dias`,
-      `💡 O segredo de ${topic} que ninguém conta`,
-      `⚡ Como dominar ${topic} em tempo recorde`
-    ];
-    
-    const hook = hooks[Math.floor(Math.random() * hooks.length)];
-    
-    return `${hook}
-
-✨ Se você quer transformar sua relação com ${topic}, este post é para você!
+  // Explicit language first, then the brand voice's
+  getLanguage(params) {
+    return params.language || params.brandVoice?.language || null;
+  }
 
-💪 3 estratégias comprovadas:
-• Foque no essencial (princípio 80/20)
-• Pratique consistentemente 
-• Meça seus resultados
+  withBrandVoice(systemPrompt, brandVoice) {
+    return brandVoice
+      ? `${systemPrompt}\n\n${brandVoiceService.buildPromptInstructions(brandVoice)}`
+      : systemPrompt;
+  }
 
-📈 Resultados em 30 dias:
-• Mais clareza e foco
-• Melhores resultados
-• Menos stress e ansiedade
+  withLanguage(systemPrompt, params) {
+    const language = this.getLanguage(params);
+    return language
+      ? `${systemPrompt}\n\nEscreva todo o conteúdo (inclusive hashtags e CTA) em ${fallbackTemplates.getLanguageName(language)}, com naturalidade de falante nativo.`
+      : systemPrompt;
+  }
 
-💬 Conta nos comentários: qual sua maior dificuldade com ${topic}?
+  /**
+   * Extra output checks the model can fix on retry (banned words of the brand voice)
+   */
+  getOutputCheck(params) {
+    if (!params.brandVoice) return undefined;
 
-#${topic.replace(/\s+/g, '')} #TransformacaoPessoal #Resultado #Foco`;
+    return data => brandVoiceService.check(outputSchemaService.render(data), params.brandVoice)
+      .filter(violation => violation.rule === 'bannedWord')
+      .map(violation => violation.message);
   }
 
-  generateInstagramStory(topic) {
-    return `🔥 ${topic} em 60 segundos!
-
-→ Deslize para descobrir o método
-→ Salve para não esquecer  
-→ Compartilhe com um amigo
+  async generateWithProvider(params) {
+    const { schema, promptTemplates, ...request } = await this.buildGenerationRequest(params);
+    const response = await this.completeStructured(request, schema, {
+      provider: params.provider,
+      model: params.model,
+      userId: params.userId,
+      operation: 'generation',
+      check: this.getOutputCheck(params)
+    });
 
-#${topic.replace(/\s+/g, '')} #DicaRapida`;
+    return {
+      ...this.buildStructuredResult(response),
+      promptTemplates,
+      experiment: this.getExperimentTag(params),
+      language: this.getLanguage(params) || config.content.defaultLanguage
+    };
   }
 
-  generateInstagramReel(topic) {
-    return `POV: Você descobriu o segredo de ${topic} 🤯
+  /**
+   * Run a completion that must return JSON matching a schema, feeding the
+   * validation errors back to the model until it complies
+   * @param {Object} request - Same as complete()
+   * @param {Object} schema - Schema from outputSchemaService
+   * @param {Object} options - { provider, model, userId, operation, previous, check } where
+   *   previous is an earlier invalid answer { text, errors, provider, model } to repair
+   *   and check(data) returns extra errors for schema-valid output
+   * @returns {Promise<Object>} { data, schemaErrors, text, provider, model, tokensUsed, usage, attempts }
+   *   with usage summed over every attempt
+   */
+  async completeStructured(request, schema, options = {}) {
+    let previous = options.previous;
+    let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    // A previous answer already used one of the attempts
+    let attempts = previous ? 1 : 0;
+
+    while (attempts < config.ai.structuredOutputAttempts) {
+      attempts++;
+      const response = await this.complete(
+        previous ? { ...request, prompt: this.buildRepairPrompt(request.prompt, previous) } : request,
+        // Repairs go back to the model that produced the invalid answer
+        previous ? { ...options, provider: previous.provider, model: previous.model } : options
+      );
+      usage = this.addUsage(usage, response.usage);
+
+      const { valid, errors, value } = this.validateOutput(response.text, schema, options.check);
+      if (valid) {
+        return { ...response, data: value, schemaErrors: [], tokensUsed: usage.totalTokens, usage, attempts };
+      }
+
+      logger.warn(`${response.provider} returned output that does not match ${schema.name}`, { attempt: attempts, errors });
+      previous = { text: response.text, errors, provider: response.provider, model: response.model };
+    }
 
-*música trending*
+    return { ...this.structureInvalidOutput(previous.text, schema), text: previous.text, provider: previous.provider, model: previous.model, tokensUsed: usage.totalTokens, usage, attempts };
+  }
 
-Antes: Lutando com ${topic} 😤
-Depois: Dominando ${topic} 💪
+  addUsage(total, usage = {}) {
+    return {
+      promptTokens: total.promptTokens + (usage.promptTokens || 0),
+      completionTokens: total.completionTokens + (usage.completionTokens || 0),
+      totalTokens: total.totalTokens + (usage.totalTokens || 0),
+      cost: Math.round((total.cost + (usage.cost || 0)) * 1e6) / 1e6
+    };
+  }
 
-O que mudou? Swipe para descobrir! →
+  validateOutput(text, schema, check) {
+    const validation = outputSchemaService.validate(outputSchemaService.parse(text), schema);
+    if (!validation.valid || !check) return validation;
 
-#${topic.replace(/\s+/g, '')} #Transformacao #ViralContent #Fyp`;
+    const errors = check(validation.value);
+    return { ...validation, valid: errors.length === 0, errors };
   }
 
-  generateTikTokVideo(topic) {
-    return `Testei ${topic} por 30 dias e ISSO aconteceu... 😱
+  buildRepairPrompt(prompt, previous) {
+    return `${prompt}
 
-Dia 1: Completamente perdido
-Dia 15: Começando a entender  
-Dia 30: RESULTADO INCRÍVEL!
+Your previous answer was rejected:
+${previous.errors.map(error => `- ${error}`).join('\n')}
 
-Quer saber o método exato? 
-Comenta "MÉTODO" que eu mando no direct! 📩
+Previous answer:
+${previous.text}
 
-#${topic.replace(/\s+/g, '')} #30DiasDesafio #TransformacaoReal #Fyp`;
+Return the corrected answer as a single JSON object that follows the format above.`;
   }
 
-  generateTikTokTrend(topic) {
-    return `Tell me you're learning ${topic} without telling me you're learning ${topic}...
-
-*mostra resultados impressionantes*
+  /**
+   * Keep whatever fields are usable from output that never matched its schema
+   */
+  structureInvalidOutput(text, schema) {
+    const parsed = outputSchemaService.parse(text);
+    const { errors, value } = parsed
+      ? outputSchemaService.validate(parsed, schema)
+      : outputSchemaService.fromText(text, schema);
 
-Parte 2? 👀
+    return { data: value, schemaErrors: errors };
+  }
 
-#${topic.replace(/\s+/g, '')} #TellMeWithoutTellingMe #Trending #Viral`;
+  buildStructuredResult(response) {
+    return {
+      content: outputSchemaService.render(response.data),
+      structured: response.data,
+      schemaErrors: response.schemaErrors,
+      provider: response.provider,
+      model: response.model,
+      tokensUsed: response.tokensUsed,
+      usage: response.usage,
+      cached: false
+    };
   }
 
-  generateYouTubeVideo(topic) {
-    return `${topic}: O Método Que Está REVOLUCIONANDO Tudo! (Resultados em 30 Dias)
+  /**
+   * Stream generated content, reporting progress along the way
+   * @param {Object} params - Same fields as generateContent
+   * @param {Object} options - { signal } to cancel the provider request
+   * @yields {Object} { type: 'progress' | 'token' | 'result', ... }
+   */
+  async *generateContentStream(params, options = {}) {
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
 
-🎯 NESTE VÍDEO VOCÊ VAI DESCOBRIR:
-• O sistema exato que usei para dominar ${topic}
-• Os 3 erros que 90% das pessoas cometem
-• Como aplicar isso na sua vida hoje mesmo
-• Resultados reais de quem aplicou o método
+    const fallbackMode = this.isInFallbackMode(params);
+    if (!fallbackMode) {
+      params = await this.assignExperiment(params);
+    }
 
-⏰ TIMESTAMPS:
-00:00 - Introdução 
-02:30 - O Problema Principal
-05:15 - A Solução Revolucionária  
-08:40 - Como Aplicar (Passo a Passo)
-12:20 - Resultados Reais
-15:00 - Conclusão e Próximos Passos
+    const cacheKey = this.generateCacheKey(params);
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      this.metrics.cacheHits++;
+      yield { type: 'progress', stage: 'cache_hit' };
+      yield { type: 'token', text: cached.content };
+      yield { type: 'result', result: { ...cached, cached: true } };
+      return;
+    }
 
-💰 RECURSOS MENCIONADOS:
-• Link da planilha gratuita (descrição)
-• Curso completo (link na descrição)  
-• Comunidade exclusiva (primeiro comentário)
+    const { schema, promptTemplates, ...request } = await this.buildGenerationRequest(params);
+    request.signal = options.signal;
+    yield { type: 'progress', stage: 'prompt_built' };
 
-👆 SE ESTE VÍDEO TE AJUDOU:
-• Deixe seu LIKE 👍
-• INSCREVA-SE no canal 🔔
-• COMPARTILHE com quem precisa 📤
+    const candidates = fallbackMode ? [] : this.getCandidateProviders(params.provider);
+    for (const [index, provider] of candidates.entries()) {
+      const model = index === 0 ? params.model : undefined;
+      let resolvedModel = provider.resolveModel({ ...request, model });
+      let content = '';
+      let lease = null;
 
-💬 COMENTA AQUI: Qual sua maior dificuldade com ${topic}?
+      if (index < candidates.length - 1 && !this.isServiceAvailable(provider.name, resolvedModel)) {
+        logger.warn(`${provider.name} (${resolvedModel}) is backing off after a 429, trying next provider`);
+        continue;
+      }
 
-#${topic.replace(/\s+/g, '')} #Tutorial #TransformacaoReal #ResultadosReais`;
-  }
+      try {
+        yield { type: 'progress', stage: 'provider_selected', provider: provider.name, model: resolvedModel };
 
-  generateYouTubeShort(topic) {
-    return `${topic} em 60 SEGUNDOS! ⚡
+        // Streams are interactive, so they queue ahead of other generations
+        lease = await rateLimitService.acquire(provider.name, resolvedModel, request, {
+          priority: OPERATION_PRIORITIES.generation + 1,
+          signal: options.signal
+        });
 
-A técnica que mudou TUDO:
+        let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+        for await (const chunk of provider.stream({ ...request, model })) {
+          if (chunk.delta) {
+            content += chunk.delta;
+            yield { type: 'token', text: chunk.delta };
+          }
+          if (chunk.done) {
+            rateLimitService.settle(lease, chunk.usage);
+            usage = usageService.record({
+              userId: params.userId,
+              provider: provider.name,
+              model: chunk.model,
+              operation: 'generation',
+              usage: chunk.usage
+            });
+            resolvedModel = chunk.model;
+          }
+        }
 
-✅ Passo 1: [Fundamento]
-✅ Passo 2: [Ação]  
-✅ Passo 3: [Resultado]
+        let response = { text: content, provider: provider.name, model: resolvedModel, tokensUsed: usage.totalTokens, usage };
+        const check = this.getOutputCheck(params);
+        const { valid, errors, value } = this.validateOutput(content, schema, check);
+        if (valid) {
+          response = { ...response, data: value, schemaErrors: [] };
+        } else {
+          yield { type: 'progress', stage: 'repairing_output', errors };
+          const previous = { text: content, errors, provider: provider.name, model: resolvedModel };
+          try {
+            const repaired = await this.completeStructured(request, schema, {
+              previous,
+              check,
+              userId: params.userId,
+              operation: 'generation'
+            });
+            const total = this.addUsage(usage, repaired.usage);
+            response = { ...repaired, tokensUsed: total.totalTokens, usage: total };
+          } catch (error) {
+            if (options.signal?.aborted) throw error;
+            logger.warn('Output repair failed, keeping the streamed answer', { error: error.message });
+            response = { ...response, ...this.structureInvalidOutput(content, schema) };
+          }
+        }
 
-Resultado? TRANSFORMAÇÃO TOTAL! 🔥
+        const result = {
+          ...this.buildStructuredResult(response),
+          promptTemplates,
+          experiment: this.getExperimentTag(params),
+          language: this.getLanguage(params) || config.content.defaultLanguage
+        };
+
+        this.cacheResult(cacheKey, result);
+        this.metrics.successfulRequests++;
+        performanceService.recordAIRequest(Date.now() - startTime, result.usage, true);
+        yield { type: 'result', result };
+        return;
+      } catch (error) {
+        if (lease) rateLimitService.fail(lease, error);
+        // Once tokens reached the client a silent switch would garble the output
+        if (options.signal?.aborted || content) {
+          this.metrics.failedRequests++;
+          performanceService.recordAIRequest(Date.now() - startTime, {}, false);
+          throw error;
+        }
+        logger.warn(`${provider.name} stream failed, trying next provider`, { error: error.message });
+      }
+    }
 
-Quer o guia completo? Link na bio! 👆
+    const result = this.generateFallbackContent(params);
+    yield { type: 'progress', stage: 'provider_selected', provider: result.provider, model: result.model };
+    yield { type: 'token', text: result.content };
 
-#${topic.replace(/\s+/g, '')} #Shorts #DicaRapida #Transformacao`;
+    this.metrics.successfulRequests++;
+    performanceService.recordAIRequest(Date.now() - startTime, {}, true);
+    yield { type: 'result', result };
   }
 
-  generateGenericContent(topic) {
-    return `# Conteúdo Revolucionário: ${topic}
+  /**
+   * Suggest a title, outline and hook before full generation
+   * @param {Object} params - Same fields as generateContent
+   * @returns {Promise<Object>} { title, outline, hook, content, provider, model }
+   */
+  async generateSuggestion(params) {
+    const { topic, contentType, platform } = params;
+    const schema = outputSchemaService.getSuggestionSchema();
 
-🚀 **Descoberta que Vai Mudar Sua Perspectiva**
+    if (this.isInFallbackMode(params) || this.getCandidateProviders(params.provider).length === 0) {
+      return this.buildSuggestionResult(this.generateFallbackSuggestion(params), 'fallback', 'optimized-template');
+    }
 
-Você está pronto para uma transformação real em ${topic}? 
+    const scope = { platform, contentType };
+    const variables = this.getPromptVariables(params);
+    const [system, user] = await Promise.all([
+      promptTemplateService.renderTemplate('suggestion.system', scope, variables),
+      promptTemplateService.renderTemplate('suggestion.user', scope, variables)
+    ]);
+
+    const response = await this.completeStructured({
+      system: this.withLanguage(this.withBrandVoice(system.text, params.brandVoice), params),
+      prompt: `${user.text}\n\n${outputSchemaService.describe(schema)}`,
+      modelTier: 'fast',
+      maxTokens: 1000
+    }, schema, { provider: params.provider, model: params.model, userId: params.userId, operation: 'suggestion' });
+
+    const fallback = this.generateFallbackSuggestion(params);
+    return {
+      ...this.buildSuggestionResult(
+        // Fill anything the model never got right from the template
+        { ...fallback, ...response.data },
+        response.provider,
+        response.model
+      ),
+      promptTemplates: [system.template, user.template],
+      usage: response.usage
+    };
+  }
 
-## ✨ O Que Você Vai Aprender:
-• Estratégias comprovadas e eficazes
-• Métodos que realmente funcionam  
-• Como aplicar na prática hoje mesmo
+  generateFallbackSuggestion(params) {
+    return fallbackTemplates.getFallbackSuggestion({ topic: params.topic, language: this.getLanguage(params) });
+  }
 
-## 💪 Resultados Esperados:
-• Maior clareza e foco
-• Melhores resultados em menos tempo
-• Confiança para alcançar seus objetivos
+  buildSuggestionResult(suggestion, provider, model) {
+    const content = `**Title:** ${suggestion.title}
 
-## 🎯 Próximos Passos:
-1. Aplique as estratégias compartilhadas
-2. Acompanhe seus resultados
-3. Ajuste conforme necessário
+**Outline:**
+${suggestion.outline.map(point => `- ${point}`).join('\n')}
 
-💡 **Configure suas chaves de API para conteúdo personalizado com IA!**
+**Hook:** ${suggestion.hook}`;
 
----
-*Conteúdo otimizado para máximo engajamento e resultados reais.*`;
+    return { ...suggestion, content, provider, model };
   }
 
-  buildOptimizedSystemPrompt(contentType, platform, tone) {
-    return `Você é um especialista em criação de conteúdo viral otimizado para ${platform}.
+  /**
+   * Localize one platform version of saved content into another language,
+   * adapting hashtags and CTA rather than translating them literally
+   * @param {Object} params - { topic, platform, contentType, language, content, structured, provider, model }
+   * @returns {Promise<Object>} Same shape as generateContent results
+   */
+  async localizeContent(params) {
+    const { topic, platform, contentType, language } = params;
+
+    if (this.isInFallbackMode(params) || this.getCandidateProviders(params.provider).length === 0) {
+      return this.generateFallbackContent({ topic, platform, contentType, language });
+    }
+
+    const schema = outputSchemaService.getSchema(platform, contentType);
+    const scope = { platform, contentType };
+    const variables = {
+      topic,
+      platform,
+      contentType,
+      language: fallbackTemplates.getLanguageName(language),
+      source: params.structured ? JSON.stringify(params.structured, null, 2) : params.content
+    };
 
-DIRETRIZES DE PERFORMANCE:
-- Hooks irresistíveis nos primeiros 3 segundos
-- Storytelling emocional e conectivo
-- Call-to-actions estratégicos para máximo engajamento
-- Otimização para algoritmos de ${platform}
-- Linguagem ${tone || 'inspiradora e acessível'}
+    try {
+      const [system, user] = await Promise.all([
+        promptTemplateService.renderTemplate('translation.system', scope, variables),
+        promptTemplateService.renderTemplate('translation.user', scope, variables)
+      ]);
+
+      const response = await this.completeStructured({
+        system: system.text,
+        prompt: `${user.text}\n\n${outputSchemaService.describe(schema)}`,
+        maxTokens: 3000,
+        temperature: 0.5
+      }, schema, { provider: params.provider, model: params.model, userId: params.userId, operation: 'translation' });
 
-ESTRUTURA OTIMIZADA:
-1. Hook magnético (curiosidade/surpresa)
-2. Desenvolvimento envolvente com valor prático
-3. Exemplos concretos e aplicáveis
-4. CTA específico para ${platform}
+      return {
+        ...this.buildStructuredResult(response),
+        promptTemplates: [system.template, user.template],
+        language
+      };
+    } catch (error) {
+      logger.error('AI localization failed, using fallback', error);
+      return this.generateFallbackContent({ topic, platform, contentType, language });
+    }
+  }
 
-Tipo: ${contentType} | Plataforma: ${platform}`;
+  /**
+   * Read the text out of an image with a vision-capable provider
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} mimeType - Image MIME type
+   * @param {Object} options - { provider, model, userId }
+   * @returns {Promise<Object>} { text, provider, model, usage }, text is '' when none was read
+   */
+  async extractTextFromImage(buffer, mimeType, options = {}) {
+    const response = await this.complete({
+      prompt: 'Extract all text from this image in a structured format:',
+      images: [{ data: buffer.toString('base64'), mimeType }],
+      modelTier: 'vision',
+      maxTokens: 1000
+    }, { ...options, operation: 'extraction' });
+
+    // Providers answer refusals with no text at all
+    return { text: response.text || '', provider: response.provider, model: response.model, usage: response.usage };
   }
 
-  buildOptimizedUserPrompt(topic, extractedData, params) {
-    const { keywords, additionalContext } = params;
+  generateFallbackContent(params) {
+    const { platform, contentType } = params;
+    const language = fallbackTemplates.resolveLanguage(this.getLanguage(params));
 
-    return `Tópico: ${topic}
-${keywords?.length ? `Palavras-chave: ${keywords.join(', ')}` : ''}
-${extractedData ? `\nBase de dados: ${extractedData}` : ''}
-${additionalContext ? `\nContexto: ${additionalContext}` : ''}
+    const content = fallbackTemplates.getFallbackContent({ ...params, language });
+    const { errors, value } = outputSchemaService.fromText(content, outputSchemaService.getSchema(platform, contentType));
 
-Crie conteúdo otimizado para máximo engajamento e potencial viral.`;
+    return {
+      content,
+      structured: value,
+      schemaErrors: errors,
+      promptTemplates: [],
+      language,
+      provider: 'fallback',
+      model: 'optimized-template',
+      tokensUsed: 0,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
+      cached: false
+    };
   }
 
-  isServiceAvailable(service) {
-    const now = Date.now();
-    return now > this.rateLimits[service].resetTime;
+  /**
+   * Whether a provider is outside a 429 backoff
+   * @param {string} service - Provider name
+   * @param {string} model - Model to check, the provider's default when omitted
+   */
+  isServiceAvailable(service, model) {
+    const provider = this.providers[service];
+    if (!provider) return false;
+    return !rateLimitService.isBackingOff(service, model || provider.resolveModel());
   }
 
   startMetricsCollection() {
@@ -438,39 +808,68 @@ Crie conteúdo otimizado para máximo engajamento e potencial viral.`;
   getStatus() {
     return {
       initialized: this.initialized,
-      openai: !!this.openai,
-      fallbackMode: this.fallbackMode,
+      openai: this.providers.openai.available,
+      providers: Object.fromEntries(Object.values(this.providers).map(provider => [provider.name, {
+        configured: provider.isConfigured(),
+        available: provider.available,
+        models: provider.models
+      }])),
+      defaultProvider: this.defaultProvider,
+      failoverOrder: this.failoverOrder,
+      fallbackMode: this.isInFallbackMode(),
+      budget: usageService.getBudgetStatus(),
       metrics: this.metrics,
+      queue: rateLimitService.getStats(),
       cacheSize: this.requestCache.size
     };
   }
 
   async generateImage(prompt, options = {}) {
-    if (!this.openai) {
-      return { error: 'OpenAI not configured for image generation' };
+    if (usageService.isOverBudget(options.userId)) {
+      return { error: usageService.getBudgetStatus(options.userId).reason };
     }
 
-    try {
-      const optimizedPrompt = `${prompt}, ${options.style || 'digital art, professional, high quality'}, trending, viral aesthetic`;
-      
-      const response = await this.openai.images.generate({
-        model: "dall-e-3",
-        prompt: optimizedPrompt,
-        n: 1,
-        size: options.size || "1024x1024",
-        quality: "hd",
-        style: options.artistic_style || "vivid"
-      });
+    const candidates = this.getCandidateProviders(options.provider, provider => provider.supportsImages);
+    if (candidates.length === 0) {
+      return { error: 'No AI provider configured for image generation' };
+    }
 
-      return {
-        imageUrl: response.data[0].url,
-        provider: 'openai',
-        prompt: optimizedPrompt
-      };
-    } catch (error) {
-      logger.error('Image generation failed', error);
-      return { error: error.message };
+    const optimizedPrompt = `${prompt}, ${options.style || 'digital art, professional, high quality'}, trending, viral aesthetic`;
+
+    let lastError;
+    for (const [index, provider] of candidates.entries()) {
+      try {
+        const model = index === 0 ? options.model : undefined;
+        const result = await rateLimitService.schedule(
+          provider.name,
+          provider.resolveModel({ model, modelTier: 'image' }),
+          // Images count against the request limit only
+          { prompt: '', maxTokens: 0 },
+          () => provider.generateImage(optimizedPrompt, { ...options, model }),
+          { priority: OPERATION_PRIORITIES.image }
+        );
+        const usage = usageService.record({
+          userId: options.userId,
+          provider: provider.name,
+          model: result.model,
+          operation: 'image',
+          usage: { images: 1 }
+        });
+
+        return {
+          imageUrl: result.imageUrl,
+          provider: provider.name,
+          model: result.model,
+          prompt: optimizedPrompt,
+          usage
+        };
+      } catch (error) {
+        lastError = error;
+        logger.error(`Image generation failed on ${provider.name}`, error);
+      }
     }
+
+    return { error: lastError.message };
   }
 }
 
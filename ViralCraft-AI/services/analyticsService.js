@@ -0,0 +1,405 @@
+/**
+ * Analytics Service - Ingestion of engagement snapshots (JSON or CSV) and the
+ * reports built on them: time series, leaderboards and predicted vs. actual
+ *
+ * Snapshots hold cumulative counters as read from the platform at recordedAt;
+ * growth within a period is the difference between consecutive snapshots.
+ */
+
+const config = require('../config/app');
+const csv = require('../utils/csv');
+const { createError } = require('../utils/error-handler');
+const { isValidTimeZone, parseInTimeZone, listPeriods } = require('../utils/timezone');
+const { mean, pearsonCorrelation, spearmanCorrelation, percentileRanks } = require('../utils/statistics');
+
+const COUNTERS = ['views', 'likes', 'shares', 'comments', 'clickThrough'];
+const RANKED_METRICS = [...COUNTERS, 'engagementRate'];
+const INTERVALS = ['day', 'week', 'month'];
+
+// CSV headers, lowercased without separators, to snapshot fields
+const CSV_COLUMNS = {
+  contentid: 'contentId',
+  content: 'contentId',
+  platform: 'platform',
+  views: 'views',
+  likes: 'likes',
+  shares: 'shares',
+  comments: 'comments',
+  clickthrough: 'clickThrough',
+  clicks: 'clickThrough',
+  engagementrate: 'engagementRate',
+  recordedat: 'recordedAt',
+  date: 'recordedAt'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const emptyCounters = () => Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+
+class AnalyticsService {
+  db() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    return global.db;
+  }
+
+  /**
+   * Likes, shares and comments per view, in percent
+   */
+  calculateEngagementRate({ views, likes, shares, comments }) {
+    return views > 0 ? round((likes + shares + comments) / views * 100) : 0;
+  }
+
+  /**
+   * Store snapshots; invalid ones are reported back instead of failing the batch
+   * @param {Array<Object>} snapshots - [{ contentId, platform, views, likes, shares, comments, clickThrough, engagementRate, recordedAt }]
+   * @returns {Promise<Object>} { inserted: [snapshot], errors: [{ index, error }] }
+   */
+  async ingest(snapshots) {
+    const db = this.db();
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+      throw createError('At least one snapshot is required', 400);
+    }
+    if (snapshots.length > config.analytics.maxBatchSize) {
+      throw createError(`At most ${config.analytics.maxBatchSize} snapshots per request`, 400);
+    }
+
+    // Malformed ids would fail the whole lookup on Postgres; they are reported as not found
+    const ids = [...new Set(snapshots.map(snapshot => snapshot?.contentId).filter(id => UUID.test(id)))];
+    const contents = new Map((await db.getContentByIds(ids)).map(content => [content.id, content]));
+
+    const valid = [];
+    const errors = [];
+    snapshots.forEach((snapshot, index) => {
+      try {
+        valid.push(this.normalizeSnapshot(snapshot, contents));
+      } catch (error) {
+        errors.push({ index, contentId: snapshot?.contentId, error: error.message });
+      }
+    });
+
+    if (valid.length === 0) {
+      throw createError('No valid snapshots', 400, errors);
+    }
+
+    const inserted = await db.createAnalytics(valid);
+    return { inserted, errors };
+  }
+
+  /**
+   * Snapshots from CSV text with a header row (contentId, platform, views, likes,
+   * shares, comments, clickThrough, engagementRate, recordedAt; snake_case works too)
+   */
+  parseCsv(text) {
+    let rows;
+    try {
+      rows = csv.parse(text);
+    } catch (error) {
+      throw createError(`Invalid CSV: ${error.message}`, 400);
+    }
+
+    return rows.map(row => {
+      const snapshot = {};
+      for (const [column, value] of Object.entries(row)) {
+        const field = CSV_COLUMNS[column.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && value !== '') snapshot[field] = value;
+      }
+      return snapshot;
+    });
+  }
+
+  /**
+   * Validate a snapshot against its content
+   * @throws {Error} With the reason the snapshot was rejected
+   */
+  normalizeSnapshot(input, contents) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Snapshot must be an object');
+    }
+
+    const content = contents.get(input.contentId);
+    if (!content) {
+      throw new Error(`Content not found: ${input.contentId}`);
+    }
+
+    // A single-platform content can omit the platform
+    const platform = input.platform || (content.platform !== 'universal' ? content.platform : null);
+    if (!config.content.platforms.includes(platform)) {
+      throw new Error(platform ? `Unsupported platform: ${platform}` : 'platform is required');
+    }
+
+    const counters = {};
+    for (const counter of COUNTERS) {
+      const value = input[counter] === undefined || input[counter] === '' ? 0 : Number(input[counter]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${counter} must be a non-negative integer`);
+      }
+      counters[counter] = value;
+    }
+
+    let engagementRate = this.calculateEngagementRate(counters);
+    if (input.engagementRate !== undefined && input.engagementRate !== '') {
+      engagementRate = Number(input.engagementRate);
+      if (!Number.isFinite(engagementRate) || engagementRate < 0) {
+        throw new Error('engagementRate must be a non-negative number');
+      }
+    }
+
+    const recordedAt = input.recordedAt ? new Date(input.recordedAt) : new Date();
+    if (isNaN(recordedAt)) {
+      throw new Error('recordedAt must be an ISO 8601 date');
+    }
+    if (recordedAt > Date.now() + 60000) {
+      throw new Error('recordedAt is in the future');
+    }
+
+    return { contentId: content.id, platform, ...counters, engagementRate, recordedAt };
+  }
+
+  /**
+   * Validated interval, time zone and [from, to) of a report request;
+   * the range defaults to the last defaultRangeDays days
+   */
+  resolvePeriod({ interval = 'day', from, to, timezone = 'UTC' }) {
+    if (!INTERVALS.includes(interval)) {
+      throw createError(`interval must be one of ${INTERVALS.join(', ')}`, 400);
+    }
+    if (!isValidTimeZone(timezone)) {
+      throw createError(`Invalid timezone: ${timezone}`, 400);
+    }
+
+    const end = to ? parseInTimeZone(to, timezone) : new Date();
+    const start = from ? parseInTimeZone(from, timezone) : new Date((end || Date.now()) - config.analytics.defaultRangeDays * DAY_MS);
+    if (!start || !end) {
+      throw createError('from and to must be ISO 8601 dates', 400);
+    }
+    if (end <= start) {
+      throw createError('to must be after from', 400);
+    }
+    if (end - start > config.analytics.maxRangeDays * DAY_MS) {
+      throw createError(`Range can't exceed ${config.analytics.maxRangeDays} days`, 400);
+    }
+
+    return { interval, timezone, start, end };
+  }
+
+  /**
+   * Snapshots in the range plus the last one before it, per content/platform
+   * @returns {Promise<Map>} key -> { contentId, platform, baseline, snapshots }
+   */
+  async loadSeries(filters, start, end) {
+    const db = this.db();
+    const [baselines, snapshots] = await Promise.all([
+      db.getLatestAnalytics({ ...filters, to: start }),
+      db.getAnalyticsSnapshots({ ...filters, from: start, to: end })
+    ]);
+
+    const series = new Map();
+    const seriesFor = ({ contentId, platform }) => {
+      const key = `${contentId}:${platform}`;
+      if (!series.has(key)) series.set(key, { contentId, platform, baseline: null, snapshots: [] });
+      return series.get(key);
+    };
+
+    for (const baseline of baselines) seriesFor(baseline).baseline = baseline;
+    for (const snapshot of snapshots) seriesFor(snapshot).snapshots.push(snapshot);
+    return series;
+  }
+
+  /**
+   * One point per period: the counters at its last snapshot (carried over
+   * from earlier periods when it has none) and the growth within it
+   */
+  bucketSeries({ baseline, snapshots }, periods) {
+    let previous = baseline;
+    let index = 0;
+
+    return periods.map(period => {
+      let last = null;
+      let count = 0;
+      while (index < snapshots.length && new Date(snapshots[index].recordedAt) < period.end) {
+        last = snapshots[index++];
+        count++;
+      }
+
+      const current = last || previous;
+      const gained = emptyCounters();
+      if (last) {
+        for (const counter of COUNTERS) {
+          // Counters only grow; a lower reading is a correction, not negative growth
+          gained[counter] = Math.max(0, last[counter] - (previous ? previous[counter] : 0));
+        }
+        previous = last;
+      }
+
+      return {
+        key: period.key,
+        start: period.start,
+        snapshots: count,
+        ...Object.fromEntries(COUNTERS.map(counter => [counter, current ? current[counter] : null])),
+        engagementRate: current ? current.engagementRate : null,
+        gained
+      };
+    });
+  }
+
+  /**
+   * Time series of one content, per platform
+   * @param {Object} query - { interval, from, to, timezone, platform }
+   */
+  async getContentTimeSeries(contentId, query = {}) {
+    const content = await this.db().getContentById(contentId);
+    if (!content) {
+      throw createError('Content not found', 404);
+    }
+
+    const { interval, timezone, start, end } = this.resolvePeriod(query);
+    const periods = listPeriods(start, end, interval, timezone);
+    const series = await this.loadSeries({ contentId, platform: query.platform }, start, end);
+
+    const platforms = {};
+    for (const platformSeries of series.values()) {
+      platforms[platformSeries.platform] = this.bucketSeries(platformSeries, periods);
+    }
+
+    return { contentId, title: content.title, interval, timezone, from: start, to: end, platforms };
+  }
+
+  /**
+   * Growth per platform and period, summed over all content
+   * @param {Object} query - { interval, from, to, timezone, platform }
+   */
+  async getPlatformTimeSeries(query = {}) {
+    const { interval, timezone, start, end } = this.resolvePeriod(query);
+    const periods = listPeriods(start, end, interval, timezone);
+    const series = await this.loadSeries({ platform: query.platform }, start, end);
+
+    const platforms = {};
+    for (const contentSeries of series.values()) {
+      const points = this.bucketSeries(contentSeries, periods);
+      const totals = platforms[contentSeries.platform] = platforms[contentSeries.platform] ||
+        periods.map(period => ({ key: period.key, start: period.start, gained: emptyCounters(), contents: 0, rates: [] }));
+
+      points.forEach((point, index) => {
+        for (const counter of COUNTERS) totals[index].gained[counter] += point.gained[counter];
+        if (point.snapshots > 0) {
+          totals[index].contents++;
+          totals[index].rates.push(point.engagementRate);
+        }
+      });
+    }
+
+    for (const [platform, totals] of Object.entries(platforms)) {
+      platforms[platform] = totals.map(({ rates, ...point }) => ({
+        ...point,
+        // Average over the content measured in the period
+        engagementRate: rates.length ? round(mean(rates)) : null
+      }));
+    }
+
+    return { interval, timezone, from: start, to: end, platforms };
+  }
+
+  /**
+   * Top content/platform pairs by a metric of their latest snapshot
+   * @param {Object} query - { metric, platform, type, from, to, limit }
+   */
+  async getLeaderboard({ metric = 'engagementRate', platform, type, from, to, limit = 10 } = {}) {
+    if (!RANKED_METRICS.includes(metric)) {
+      throw createError(`metric must be one of ${RANKED_METRICS.join(', ')}`, 400);
+    }
+    const range = this.parseRange(from, to);
+    const size = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const latest = await this.db().getLatestAnalytics({ platform, type, ...range });
+    const entries = latest
+      .sort((a, b) => b[metric] - a[metric])
+      .slice(0, size)
+      .map((row, index) => ({
+        rank: index + 1,
+        contentId: row.contentId,
+        title: row.title,
+        type: row.type,
+        platform: row.platform,
+        value: row[metric],
+        ...Object.fromEntries(RANKED_METRICS.map(name => [name, row[name]])),
+        predictedScore: this.getPredictedScore(row),
+        recordedAt: row.recordedAt
+      }));
+
+    return { metric, total: latest.length, entries };
+  }
+
+  /**
+   * How well the predicted viralScore ranked content against the engagement
+   * rate it got: correlations, engagement per score bucket, and the biggest misses
+   * (predicted score vs. the percentile of the actual engagement)
+   * @param {Object} query - { platform, type, from, to }
+   */
+  async comparePredictions({ platform, type, from, to } = {}) {
+    const latest = await this.db().getLatestAnalytics({ platform, type, ...this.parseRange(from, to) });
+    const measured = latest.filter(row => row.views > 0);
+
+    const predicted = measured.map(row => this.getPredictedScore(row));
+    const actual = measured.map(row => row.engagementRate);
+    const percentiles = percentileRanks(actual);
+
+    const samples = measured.map((row, index) => ({
+      contentId: row.contentId,
+      title: row.title,
+      platform: row.platform,
+      predictedScore: predicted[index],
+      engagementRate: row.engagementRate,
+      actualPercentile: round(percentiles[index], 1),
+      error: round(predicted[index] - percentiles[index], 1)
+    }));
+
+    const buckets = config.content.scoreBuckets.map(bucket => {
+      const inBucket = samples.filter(sample => sample.predictedScore >= bucket.min && sample.predictedScore <= bucket.max);
+      return {
+        key: bucket.key,
+        count: inBucket.length,
+        averageEngagementRate: inBucket.length ? round(mean(inBucket.map(sample => sample.engagementRate))) : null
+      };
+    });
+
+    const byError = [...samples].sort((a, b) => b.error - a.error);
+    const round3 = value => (value === null ? null : round(value, 3));
+
+    return {
+      count: samples.length,
+      correlation: {
+        pearson: round3(pearsonCorrelation(predicted, actual)),
+        spearman: round3(spearmanCorrelation(predicted, actual))
+      },
+      meanAbsoluteError: samples.length ? round(mean(samples.map(sample => Math.abs(sample.error))), 1) : null,
+      buckets,
+      overestimated: byError.filter(sample => sample.error > 0).slice(0, 5),
+      underestimated: byError.filter(sample => sample.error < 0).reverse().slice(0, 5)
+    };
+  }
+
+  // The score predicted for the snapshot's platform, falling back to the content's overall score
+  getPredictedScore(row) {
+    return row.contentMetadata?.viralScores?.[row.platform] ?? row.contentViralScore;
+  }
+
+  parseRange(from, to) {
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      range[name] = new Date(value);
+      if (isNaN(range[name])) {
+        throw createError(`${name} must be an ISO 8601 date`, 400);
+      }
+    }
+    return range;
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,247 @@
+/**
+ * Brand Voice Service - Persisted brand voice profiles: prompt instructions
+ * for generation and compliance checks on generated output
+ */
+
+const outputSchemaService = require('./outputSchemaService');
+const { createError } = require('../utils/error-handler');
+
+const LIST_FIELDS = ['bannedWords', 'requiredDisclaimers', 'emojiSet', 'samplePosts'];
+
+// Prompt examples are capped so sample posts don't crowd out the request itself
+const MAX_SAMPLE_POSTS = 3;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalizeTag = tag => `#${String(tag).trim().replace(/^#+/, '')}`;
+
+const HASHTAG = /#[\p{L}\p{N}_]+/gu;
+
+// Close the gaps a removed hashtag leaves
+const tidy = text => text
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/[ \t]{2,}/g, ' ')
+  .trim();
+
+class BrandVoiceService {
+  async list() {
+    this.ensureDatabase();
+    return global.db.getBrandVoices();
+  }
+
+  async get(id) {
+    this.ensureDatabase();
+    const brandVoice = await global.db.getBrandVoiceById(id);
+    if (!brandVoice) {
+      throw createError('Brand voice not found', 404);
+    }
+    return brandVoice;
+  }
+
+  async create(data) {
+    this.ensureDatabase();
+    if (!data.name || !String(data.name).trim()) {
+      throw createError('Brand voice name is required', 400);
+    }
+    return this.save(() => global.db.createBrandVoice(this.normalize(data)));
+  }
+
+  async update(id, data) {
+    await this.get(id);
+    return this.save(() => global.db.updateBrandVoice(id, this.normalize(data)));
+  }
+
+  async save(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw createError('A brand voice with this name already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    await this.get(id);
+    return global.db.deleteBrandVoice(id);
+  }
+
+  normalize(data) {
+    const profile = {};
+
+    for (const field of ['name', 'description', 'tone', 'language']) {
+      if (data[field] !== undefined) profile[field] = data[field] === null ? null : String(data[field]).trim();
+    }
+
+    for (const field of LIST_FIELDS) {
+      if (data[field] === undefined) continue;
+      if (!Array.isArray(data[field])) {
+        throw createError(`"${field}" must be an array`, 400);
+      }
+      profile[field] = data[field].map(item => String(item).trim()).filter(Boolean);
+    }
+
+    if (data.hashtagPolicy !== undefined) {
+      const { required = [], banned = [], max } = data.hashtagPolicy || {};
+      if (max !== undefined && max !== null && !(Number.isInteger(max) && max >= 0)) {
+        throw createError('"hashtagPolicy.max" must be a non-negative integer', 400);
+      }
+      profile.hashtagPolicy = {
+        required: required.map(normalizeTag),
+        banned: banned.map(normalizeTag),
+        max: max === undefined ? null : max
+      };
+    }
+
+    return profile;
+  }
+
+  /**
+   * Instructions appended to the system prompt when a profile is selected
+   * @param {Object} brandVoice - Brand voice row
+   * @returns {string} Prompt block
+   */
+  buildPromptInstructions(brandVoice) {
+    const lines = [`VOZ DA MARCA: ${brandVoice.name}`];
+    const policy = brandVoice.hashtagPolicy || {};
+
+    if (brandVoice.description) lines.push(brandVoice.description);
+    if (brandVoice.tone) lines.push(`- Tom: ${brandVoice.tone}`);
+    if (brandVoice.language) lines.push(`- Escreva no idioma: ${brandVoice.language}`);
+    if (brandVoice.bannedWords?.length) lines.push(`- Nunca use estas palavras: ${brandVoice.bannedWords.join(', ')}`);
+    if (brandVoice.requiredDisclaimers?.length) {
+      lines.push(`- Inclua exatamente estes avisos: ${brandVoice.requiredDisclaimers.map(text => `"${text}"`).join('; ')}`);
+    }
+    if (brandVoice.emojiSet?.length) lines.push(`- Use apenas estes emojis: ${brandVoice.emojiSet.join(' ')}`);
+    if (policy.required?.length) lines.push(`- Hashtags obrigatórias: ${policy.required.join(' ')}`);
+    if (policy.banned?.length) lines.push(`- Hashtags proibidas: ${policy.banned.join(' ')}`);
+    if (Number.isInteger(policy.max)) lines.push(`- No máximo ${policy.max} hashtags`);
+
+    const samples = (brandVoice.samplePosts || []).slice(0, MAX_SAMPLE_POSTS);
+    if (samples.length) {
+      lines.push('', 'Exemplos de posts da marca:', ...samples.map((post, index) => `${index + 1}. ${post}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Find brand voice violations in generated text
+   * @param {string} text - Generated content
+   * @param {Object} brandVoice - Brand voice row
+   * @returns {Array<Object>} [{ rule, value, message, start?, end? }]
+   */
+  check(text, brandVoice) {
+    const violations = [];
+    const policy = brandVoice.hashtagPolicy || {};
+
+    for (const word of brandVoice.bannedWords || []) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu');
+      for (const match of text.matchAll(pattern)) {
+        violations.push({
+          rule: 'bannedWord',
+          value: word,
+          message: `Banned word "${match[0]}"`,
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    }
+
+    const lowerText = text.toLowerCase();
+    for (const disclaimer of brandVoice.requiredDisclaimers || []) {
+      if (!lowerText.includes(disclaimer.toLowerCase())) {
+        violations.push({ rule: 'missingDisclaimer', value: disclaimer, message: `Missing disclaimer "${disclaimer}"` });
+      }
+    }
+
+    const hashtags = (text.match(HASHTAG) || []).map(tag => tag.toLowerCase());
+    for (const tag of policy.banned || []) {
+      if (hashtags.includes(tag.toLowerCase())) {
+        violations.push({ rule: 'bannedHashtag', value: tag, message: `Banned hashtag ${tag}` });
+      }
+    }
+    for (const tag of policy.required || []) {
+      if (!hashtags.includes(tag.toLowerCase())) {
+        violations.push({ rule: 'missingHashtag', value: tag, message: `Missing required hashtag ${tag}` });
+      }
+    }
+    if (Number.isInteger(policy.max) && new Set(hashtags).size > policy.max) {
+      violations.push({ rule: 'tooManyHashtags', value: policy.max, message: `More than ${policy.max} hashtags` });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Apply the fixes that don't need the model (disclaimers and hashtag policy),
+   * then re-check. Banned hashtags are removed wherever they appear, not only
+   * from the hashtag list. Banned words can only be fixed by regenerating.
+   * @param {Object} result - Generation result ({ content, structured, ... })
+   * @param {Object} brandVoice - Brand voice row
+   * @returns {Object} { result, compliance: { passed, violations, fixes } } where
+   *   fixes describe the changes made
+   */
+  enforce(result, brandVoice) {
+    const initial = this.check(result.content, brandVoice);
+    const fixable = ['missingDisclaimer', 'bannedHashtag', 'missingHashtag', 'tooManyHashtags'];
+
+    if (!initial.some(violation => fixable.includes(violation.rule))) {
+      return { result, compliance: { passed: initial.length === 0, violations: initial, fixes: [] } };
+    }
+
+    const policy = brandVoice.hashtagPolicy || {};
+    const fixes = [];
+    let structured = { ...result.structured };
+
+    const banned = (policy.banned || []).map(tag => tag.toLowerCase());
+    const removed = new Map();
+    const stripBanned = value => {
+      if (typeof value === 'string') {
+        const stripped = value.replace(HASHTAG, tag => {
+          if (!banned.includes(tag.toLowerCase())) return tag;
+          removed.set(tag.toLowerCase(), tag);
+          return '';
+        });
+        return stripped === value ? value : tidy(stripped);
+      }
+      if (Array.isArray(value)) return value.map(stripBanned).filter(item => item !== '');
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, stripBanned(item)]));
+      }
+      return value;
+    };
+    structured = stripBanned(structured);
+    if (removed.size) fixes.push(`Removed ${[...removed.values()].join(' ')}`);
+
+    let hashtags = structured.hashtags || [];
+    const missing = (policy.required || [])
+      .filter(tag => !hashtags.some(existing => existing.toLowerCase() === tag.toLowerCase()));
+    if (missing.length) fixes.push(`Added ${missing.join(' ')}`);
+    hashtags = [...missing, ...hashtags];
+    if (Number.isInteger(policy.max) && hashtags.length > policy.max) {
+      fixes.push(`Dropped ${hashtags.slice(policy.max).join(' ')} to stay within ${policy.max} hashtags`);
+      hashtags = hashtags.slice(0, policy.max);
+    }
+    structured.hashtags = hashtags;
+
+    const missingDisclaimers = initial
+      .filter(violation => violation.rule === 'missingDisclaimer')
+      .map(violation => violation.value);
+    structured.disclaimers = [...(structured.disclaimers || []), ...missingDisclaimers];
+    fixes.push(...missingDisclaimers.map(disclaimer => `Added disclaimer "${disclaimer}"`));
+
+    const fixed = { ...result, structured, content: outputSchemaService.render(structured) };
+    const violations = this.check(fixed.content, brandVoice);
+
+    return { result: fixed, compliance: { passed: violations.length === 0, violations, fixes } };
+  }
+
+  ensureDatabase() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+  }
+}
+
+module.exports = new BrandVoiceService();
@@ -0,0 +1,252 @@
+/**
+ * Calendar Service - Editorial calendar of scheduled and published content,
+ * grouped by day, week or month and platform, with posting conflicts and an .ics feed
+ */
+
+const config = require('../config/app');
+const { createError } = require('../utils/error-handler');
+const { isValidTimeZone, parseInTimeZone, formatInTimeZone, startOfPeriod, nextPeriod, listPeriods } = require('../utils/timezone');
+const { buildCalendar } = require('../utils/icalendar');
+const publishingService = require('./publishingService');
+
+const GROUP_UNITS = ['day', 'week', 'month'];
+
+// Entries that take a posting slot; failed posts still show, but don't count
+const SLOT_STATUSES = ['pending', 'publishing', 'published'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarService {
+  db() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    return global.db;
+  }
+
+  getConflictRule(platform) {
+    const rules = config.calendar.conflictRules;
+    return rules[platform] || rules.default;
+  }
+
+  resolveTimeZone(timezone) {
+    const zone = timezone || config.calendar.timezone;
+    if (!isValidTimeZone(zone)) {
+      throw createError(`Invalid timezone: ${zone}`, 400);
+    }
+    return zone;
+  }
+
+  /**
+   * [from, to) of a request; defaults to the current month in the time zone.
+   * Dates without a time ("2024-05-01") are midnight in the time zone.
+   */
+  resolveRange(from, to, timeZone) {
+    const start = from ? parseInTimeZone(from, timeZone) : startOfPeriod(new Date(), 'month', timeZone);
+    const end = to ? parseInTimeZone(to, timeZone) : nextPeriod(startOfPeriod(start || new Date(), 'month', timeZone), 'month', timeZone);
+
+    if (!start || !end) {
+      throw createError('from and to must be ISO 8601 dates', 400);
+    }
+    if (end <= start) {
+      throw createError('to must be after from', 400);
+    }
+    if (end - start > config.calendar.maxRangeDays * DAY_MS) {
+      throw createError(`Range can't exceed ${config.calendar.maxRangeDays} days`, 400);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Scheduled posts (one per content/platform schedule) plus content published
+   * without the scheduler, in [from, to)
+   * @returns {Promise<Array<Object>>} Entries sorted by time
+   */
+  async getEntries(from, to, platform) {
+    const db = this.db();
+    const [schedules, unscheduled] = await Promise.all([
+      db.getPublishSchedules({ from, to, platform }),
+      db.getUnscheduledPublishedContent(from, to, platform)
+    ]);
+
+    const entries = [
+      ...schedules
+        .filter(schedule => schedule.status !== 'cancelled')
+        .map(schedule => ({
+          id: schedule.id,
+          scheduleId: schedule.id,
+          contentId: schedule.contentId,
+          title: schedule.content?.title || null,
+          type: schedule.content?.type || null,
+          viralScore: schedule.content?.viralScore ?? null,
+          platform: schedule.platform,
+          status: schedule.status,
+          at: new Date(schedule.scheduledAt),
+          timezone: schedule.timezone,
+          publishedAt: schedule.publishedAt,
+          lastError: schedule.lastError,
+          updatedAt: schedule.updatedAt
+        })),
+      ...unscheduled.map(content => ({
+        id: `content:${content.id}`,
+        scheduleId: null,
+        contentId: content.id,
+        title: content.title,
+        type: content.type,
+        viralScore: content.viralScore,
+        platform: content.platform,
+        status: 'published',
+        at: new Date(content.publishedAt),
+        timezone: null,
+        publishedAt: content.publishedAt,
+        lastError: null,
+        updatedAt: content.updatedAt
+      }))
+    ];
+
+    return entries.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Groups of entries on one platform with more than the platform's maxPosts
+   * within its window; overlapping windows are merged into one conflict
+   * @returns {Array<Object>} [{ platform, start, end, count, maxPosts, windowMinutes, entryIds }]
+   */
+  detectConflicts(entries) {
+    const byPlatform = new Map();
+    for (const entry of entries) {
+      if (!SLOT_STATUSES.includes(entry.status)) continue;
+      if (!byPlatform.has(entry.platform)) byPlatform.set(entry.platform, []);
+      byPlatform.get(entry.platform).push(entry);
+    }
+
+    const conflicts = [];
+    for (const [platform, platformEntries] of byPlatform) {
+      const { maxPosts, windowMinutes } = this.getConflictRule(platform);
+      const windowMs = windowMinutes * 60000;
+      let current = null;
+
+      for (let first = 0, last = 0; first < platformEntries.length; first++) {
+        while (last < platformEntries.length && platformEntries[last].at - platformEntries[first].at < windowMs) {
+          last++;
+        }
+        if (last - first <= maxPosts) continue;
+
+        const crowded = platformEntries.slice(first, last);
+        if (current && crowded[0].at <= current.end) {
+          for (const entry of crowded) current.entries.add(entry);
+          current.end = crowded[crowded.length - 1].at;
+        } else {
+          current = { platform, entries: new Set(crowded), start: crowded[0].at, end: crowded[crowded.length - 1].at, maxPosts, windowMinutes };
+          conflicts.push(current);
+        }
+      }
+    }
+
+    return conflicts.map(({ entries: conflicting, ...conflict }) => ({
+      ...conflict,
+      count: conflicting.size,
+      entryIds: [...conflicting].map(entry => entry.id)
+    }));
+  }
+
+  /**
+   * Calendar of a range, grouped by period and platform
+   * @param {Object} query - { from, to, groupBy: 'day' | 'week' | 'month', platform, timezone }
+   * @returns {Promise<Object>} { timezone, groupBy, from, to, total, groups: [{ key, start, end, total, platforms }], conflicts }
+   */
+  async getCalendar({ from, to, groupBy = 'day', platform, timezone } = {}) {
+    if (!GROUP_UNITS.includes(groupBy)) {
+      throw createError(`groupBy must be one of ${GROUP_UNITS.join(', ')}`, 400);
+    }
+    const zone = this.resolveTimeZone(timezone);
+    const { start, end } = this.resolveRange(from, to, zone);
+    const entries = await this.getEntries(start, end, platform);
+
+    const groups = listPeriods(start, end, groupBy, zone)
+      .map(period => ({ ...period, total: 0, platforms: {} }));
+
+    let group = 0;
+    for (const entry of entries) {
+      while (entry.at >= groups[group].end) group++;
+      const { platforms } = groups[group];
+      (platforms[entry.platform] = platforms[entry.platform] || []).push(this.present(entry, zone));
+      groups[group].total++;
+    }
+
+    return {
+      timezone: zone,
+      groupBy,
+      from: start,
+      to: end,
+      total: entries.length,
+      groups,
+      conflicts: this.detectConflicts(entries)
+    };
+  }
+
+  /**
+   * Move a scheduled post (drag and drop) and report conflicts at its new time
+   * @returns {Promise<Object>} { schedule, conflicts }
+   */
+  async reschedule(id, { publishAt, timezone, userId }) {
+    const schedule = await publishingService.reschedule(id, { publishAt, timezone, userId });
+
+    const { windowMinutes } = this.getConflictRule(schedule.platform);
+    const scheduledAt = new Date(schedule.scheduledAt);
+    const margin = windowMinutes * 60000;
+    const entries = await this.getEntries(
+      new Date(scheduledAt.getTime() - margin),
+      new Date(scheduledAt.getTime() + margin),
+      schedule.platform
+    );
+
+    return {
+      schedule,
+      conflicts: this.detectConflicts(entries).filter(conflict => conflict.entryIds.includes(schedule.id))
+    };
+  }
+
+  /**
+   * iCalendar feed of the posts from feedPastDays ago to feedFutureDays ahead
+   */
+  async buildFeed({ platform } = {}) {
+    const now = Date.now();
+    const entries = await this.getEntries(
+      new Date(now - config.calendar.feedPastDays * DAY_MS),
+      new Date(now + config.calendar.feedFutureDays * DAY_MS),
+      platform
+    );
+
+    const eventMs = config.calendar.eventMinutes * 60000;
+    return buildCalendar({
+      name: platform ? `ViralCraft-AI – ${platform}` : 'ViralCraft-AI',
+      description: 'Scheduled and published content',
+      events: entries.map(entry => ({
+        uid: `${entry.id.replace(':', '-')}@viralcraft-ai`,
+        start: entry.at,
+        end: new Date(entry.at.getTime() + eventMs),
+        summary: `[${entry.platform}] ${entry.title || 'Untitled'}`,
+        description: [
+          `Status: ${entry.status}`,
+          entry.type && `Type: ${entry.type}`,
+          entry.viralScore !== null && `Viral score: ${entry.viralScore}`,
+          entry.lastError && `Last error: ${entry.lastError}`,
+          `Content: ${entry.contentId}`
+        ].filter(Boolean).join('\n'),
+        status: entry.status === 'published' ? 'CONFIRMED' : 'TENTATIVE',
+        categories: [entry.platform, entry.type].filter(Boolean),
+        updatedAt: entry.updatedAt
+      }))
+    });
+  }
+
+  present(entry, timeZone) {
+    return {
+      ...entry,
+      localTime: formatInTimeZone(entry.at, timeZone)
+    };
+  }
+}
+
+module.exports = new CalendarService();
@@ -1,5 +1,53 @@
 const { Sequelize, DataTypes } = require('sequelize');
 const config = require('../config/app');
+const migrationService = require('./migrationService');
+const { versionText } = require('../utils/thread-builder');
+
+// Search index columns, most important first (weights in the same order)
+const SEARCH_FIELDS = ['title', 'body', 'keywords', 'metadata'];
+const SEARCH_WEIGHTS = { sqlite: [10.0, 5.0, 3.0, 1.0], postgres: ['A', 'B', 'C', 'D'] };
+// The index highlights with private-use characters; the text is HTML-escaped before they become <mark>
+const HIGHLIGHT = { open: '\uE000', close: '\uE001' };
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Stored text is user content, so only the highlights may come out as markup
+const toHighlightHtml = text => (text == null
+  ? text
+  : escapeHtml(String(text)).split(HIGHLIGHT.open).join('<mark>').split(HIGHLIGHT.close).join('</mark>'));
+
+// Content fields kept in each revision snapshot
+const REVISION_FIELDS = ['title', 'type', 'platform', 'content', 'keywords', 'metadata', 'viralScore', 'status'];
+
+const pickRevisionFields = content =>
+  Object.fromEntries(REVISION_FIELDS.map(field => [field, content[field] ?? null]));
+
+/**
+ * Flatten a Content row into the text indexed for search
+ * @param {Object} content - Content row (JSON)
+ * @returns {Object} { title, body, keywords, metadata }
+ */
+const buildSearchDocument = (content) => {
+  const versions = content.content;
+  const metadata = content.metadata || {};
+
+  return {
+    title: content.title || '',
+    body: typeof versions === 'string' ? versions : Object.values(versions || {}).map(versionText).join('\n\n'),
+    keywords: (content.keywords || []).join(' '),
+    metadata: [
+      metadata.tone,
+      metadata.language,
+      metadata.brandVoice?.name,
+      ...(metadata.targets || []).map(target => target.contentType)
+    ].filter(Boolean).join(' ')
+  };
+};
 
 class DatabaseService {
   constructor() {
@@ -7,16 +55,21 @@ class DatabaseService {
     this.models = {};
     this.isConnected = false;
     this.isMigrating = false; // Add a flag to track migration status
+    this.fullTextSearch = null; // 'fts5', 'tsvector' or null (LIKE search)
   }
 
-  async initialize() {
+  /**
+   * @param {Object} options - { migrate: false } to connect without running
+   *   pending migrations (used by the migration CLI)
+   */
+  async initialize(options = {}) {
     console.log('📊 Initializing database...');
 
     try {
       // Determine database type
       const isSqlite = config.database.url.startsWith('sqlite:');
 
-      const options = {
+      const sequelizeOptions = {
         ...config.database.options,
         dialect: isSqlite ? 'sqlite' : 'postgres',
         retry: {
@@ -33,7 +86,7 @@ class DatabaseService {
 
       // Add SSL for PostgreSQL in production
       if (!isSqlite && process.env.NODE_ENV === 'production') {
-        options.dialectOptions = {
+        sequelizeOptions.dialectOptions = {
           ssl: {
             require: true,
             rejectUnauthorized: false
@@ -41,7 +94,7 @@ class DatabaseService {
         };
       }
 
-      this.sequelize = new Sequelize(config.database.url, options);
+      this.sequelize = new Sequelize(config.database.url, sequelizeOptions);
 
       // Test connection
       await this.sequelize.authenticate();
@@ -50,8 +103,9 @@ class DatabaseService {
       // Define models
       this.defineModels(isSqlite);
 
-      // Sync database - replaced with migration handling
-      await this.runMigrations();
+      if (options.migrate !== false) {
+        await this.runMigrations();
+      }
 
       this.isConnected = true;
       return true;
@@ -62,7 +116,7 @@ class DatabaseService {
       // Fallback to SQLite
       if (!config.database.url.startsWith('sqlite:')) {
         console.log('🔄 Falling back to SQLite...');
-        return this.initializeSQLiteFallback();
+        return this.initializeSQLiteFallback(options);
       }
 
       this.isConnected = false;
@@ -70,7 +124,7 @@ class DatabaseService {
     }
   }
 
-  async initializeSQLiteFallback() {
+  async initializeSQLiteFallback(options = {}) {
     try {
       const sqliteUrl = 'sqlite:./soulclap.db';
       this.sequelize = new Sequelize(sqliteUrl, {
@@ -80,7 +134,9 @@ class DatabaseService {
 
       await this.sequelize.authenticate();
       this.defineModels(true);
-      await this.runMigrations();
+      if (options.migrate !== false) {
+        await this.runMigrations();
+      }
 
       console.log('✅ SQLite fallback initialized');
       this.isConnected = true;
@@ -106,15 +162,14 @@ class DatabaseService {
 
       this.isMigrating = true;
 
-      // Use logging: false to prevent SQL spam and alter: false to prevent loops
-      await this.sequelize.sync({ 
-        alter: false,
-        force: false,
-        logging: false
-      });
+      // Versioned migrations (see /migrations) instead of sync(), so schema
+      // changes reach existing databases
+      const applied = await migrationService.migrate(this.sequelize);
+
+      await this.setupFullTextSearch();
 
       this.isMigrating = false;
-      console.log('✅ Database migrations completed');
+      console.log(`✅ Database migrations completed (${applied.length} applied)`);
     } catch (migrationError) {
       this.isMigrating = false;
       console.error('❌ Migration error:', migrationError.message);
@@ -139,7 +194,8 @@ class DatabaseService {
         }
       },
       type: {
-        type: DataTypes.ENUM(...config.content.contentTypes),
+        // "mixed" when the platform versions have different types (see metadata.targets)
+        type: DataTypes.ENUM(...config.content.contentTypes, 'mixed'),
         allowNull: false
       },
       platform: {
@@ -256,109 +312,1108 @@ class DatabaseService {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
       }
+    }, {
+      indexes: [
+        { name: 'analytics_content_id_platform_recorded_at', fields: ['contentId', 'platform', 'recordedAt'] },
+        { name: 'analytics_platform_recorded_at', fields: ['platform', 'recordedAt'] }
+      ]
     });
 
-    // Define associations
-    this.models.Content.hasMany(this.models.Analytics, { 
-      foreignKey: 'contentId', 
-      as: 'analytics' 
-    });
-    this.models.Analytics.belongsTo(this.models.Content, { 
-      foreignKey: 'contentId', 
-      as: 'content' 
+    // Prompt template model - one row per version of a prompt in a scope
+    // (key + optional platform/contentType override)
+    this.models.PromptTemplate = this.sequelize.define('PromptTemplate', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      platform: {
+        type: DataTypes.ENUM(...config.content.platforms),
+        allowNull: true
+      },
+      contentType: {
+        type: DataTypes.ENUM(...config.content.contentTypes),
+        allowNull: true
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      variables: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: isSqlite ? '[]' : [],
+        get() {
+          const value = this.getDataValue('variables');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('variables', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      }
+    }, {
+      indexes: [
+        { fields: ['key', 'platform', 'contentType', 'version'], unique: true },
+        { fields: ['isActive'] }
+      ]
     });
-  }
-
-  async createContent(data) {
-    if (!this.isConnected) return null;
-
-    try {
-      const content = await this.models.Content.create({
-        ...data,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      });
-
-      return content.toJSON();
-    } catch (error) {
-      console.error('Database create error:', error);
-      throw error;
-    }
-  }
-
-  async getContent(filters = {}, options = {}) {
-    if (!this.isConnected) return [];
-
-    try {
-      const { limit = 20, offset = 0, include = [] } = options;
-
-      const contents = await this.models.Content.findAll({
-        where: filters,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [['createdAt', 'DESC']],
-        include
-      });
-
-      return contents.map(content => content.toJSON());
-    } catch (error) {
-      console.error('Database query error:', error);
-      return [];
-    }
-  }
 
-  async getContentById(id) {
-    if (!this.isConnected) return null;
-
-    try {
-      const content = await this.models.Content.findByPk(id, {
-        include: [{ 
-          model: this.models.Analytics, 
-          as: 'analytics' 
-        }]
-      });
-
-      return content ? content.toJSON() : null;
-    } catch (error) {
-      console.error('Database fetch error:', error);
-      return null;
-    }
-  }
-
-  async updateContent(id, data) {
-    if (!this.isConnected) return null;
-
-    try {
-      const [updatedRows] = await this.models.Content.update(
-        { ...data, updatedAt: new Date() },
-        { where: { id } }
-      );
-
-      if (updatedRows > 0) {
-        return this.getContentById(id);
+    // Experiment model - prompt variants competing on the same scope
+    this.models.Experiment = this.sequelize.define('Experiment', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('running', 'paused', 'completed'),
+        defaultValue: 'running'
+      },
+      platform: {
+        type: DataTypes.ENUM(...config.content.platforms),
+        allowNull: true
+      },
+      contentType: {
+        type: DataTypes.ENUM(...config.content.contentTypes),
+        allowNull: true
+      },
+      variants: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('variants');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('variants', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+      },
+      endedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
       }
-      return null;
-    } catch (error) {
-      console.error('Database update error:', error);
-      throw error;
-    }
-  }
+    }, {
+      indexes: [
+        { fields: ['status'] }
+      ]
+    });
 
-  async deleteContent(id) {
-    if (!this.isConnected) return false;
+    // Which variant produced each platform version of a Content row
+    this.models.ExperimentAssignment = this.sequelize.define('ExperimentAssignment', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      experimentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: this.models.Experiment,
+          key: 'id'
+        }
+      },
+      variantId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: this.models.Content,
+          key: 'id'
+        }
+      },
+      platform: {
+        type: DataTypes.ENUM(...config.content.platforms),
+        allowNull: false
+      }
+    }, {
+      indexes: [
+        { fields: ['experimentId', 'variantId'] },
+        { fields: ['contentId'] }
+      ]
+    });
 
-    try {
-      const deletedRows = await this.models.Content.destroy({
-        where: { id }
-      });
+    // Brand voice model - reusable voice rules injected into prompts and checked on output
+    this.models.BrandVoice = this.sequelize.define('BrandVoice', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      tone: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      language: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      bannedWords: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.TEXT),
+        defaultValue: isSqlite ? '[]' : [],
+        get() {
+          const value = this.getDataValue('bannedWords');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('bannedWords', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      requiredDisclaimers: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.TEXT),
+        defaultValue: isSqlite ? '[]' : [],
+        get() {
+          const value = this.getDataValue('requiredDisclaimers');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('requiredDisclaimers', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      emojiSet: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.TEXT),
+        defaultValue: isSqlite ? '[]' : [],
+        get() {
+          const value = this.getDataValue('emojiSet');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('emojiSet', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      hashtagPolicy: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        defaultValue: isSqlite ? '{}' : {},
+        get() {
+          const value = this.getDataValue('hashtagPolicy');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('hashtagPolicy', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      samplePosts: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.TEXT),
+        defaultValue: isSqlite ? '[]' : [],
+        get() {
+          const value = this.getDataValue('samplePosts');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('samplePosts', isSqlite ? JSON.stringify(value) : value);
+        }
+      }
+    });
 
-      return deletedRows > 0;
-    } catch (error) {
+    // AI usage model - one row per provider call, priced when it was made
+    this.models.AIUsage = this.sequelize.define('AIUsage', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      model: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      operation: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      promptTokens: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      completionTokens: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      totalTokens: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      cost: {
+        type: DataTypes.DECIMAL(12, 6),
+        defaultValue: 0,
+        get() {
+          return parseFloat(this.getDataValue('cost')) || 0;
+        }
+      }
+    }, {
+      indexes: [
+        { fields: ['createdAt'] },
+        { fields: ['userId'] },
+        { fields: ['provider'] }
+      ]
+    });
+
+    // Content revision model - snapshot of a content row after each change
+    this.models.ContentRevision = this.sequelize.define('ContentRevision', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Contents',
+          key: 'id'
+        }
+      },
+      revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      changedFields: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('changedFields');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('changedFields', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      snapshot: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('snapshot');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('snapshot', isSqlite ? JSON.stringify(value) : value);
+        }
+      },
+      viralScore: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      indexes: [
+        { fields: ['contentId', 'revision'], unique: true }
+      ]
+    });
+
+    // Publish schedule model - when and where a content gets published, worked by the scheduler
+    this.models.PublishSchedule = this.sequelize.define('PublishSchedule', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      contentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Contents',
+          key: 'id'
+        }
+      },
+      platform: {
+        type: DataTypes.ENUM(...config.content.platforms),
+        allowNull: false
+      },
+      // UTC instant; timezone is the zone the time was picked in
+      scheduledAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      timezone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'publishing', 'published', 'failed', 'cancelled'),
+        defaultValue: 'pending'
+      },
+      publisher: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      result: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: true,
+        get() {
+          const value = this.getDataValue('result');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('result', isSqlite && value ? JSON.stringify(value) : value);
+        }
+      },
+      publishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    }, {
+      indexes: [
+        { fields: ['contentId', 'platform'], unique: true },
+        { fields: ['status', 'nextAttemptAt'] },
+        { fields: ['scheduledAt'] }
+      ]
+    });
+
+    // Viral model - a trained viral score model; the newest per platform is the one in use
+    this.models.ViralModel = this.sequelize.define('ViralModel', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      // A platform, or 'all' for the model shared by platforms with too little data
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      algorithm: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'logistic-regression'
+      },
+      features: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('features');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('features', isSqlite && value ? JSON.stringify(value) : value);
+        }
+      },
+      parameters: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('parameters');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('parameters', isSqlite && value ? JSON.stringify(value) : value);
+        }
+      },
+      // Engagement rate at or above which a post counted as viral
+      threshold: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      sampleCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      metrics: {
+        type: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+        allowNull: true,
+        get() {
+          const value = this.getDataValue('metrics');
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+        set(value) {
+          this.setDataValue('metrics', isSqlite && value ? JSON.stringify(value) : value);
+        }
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    }, {
+      indexes: [
+        { fields: ['platform', 'createdAt'] }
+      ]
+    });
+
+    // Define associations
+    this.models.Content.hasMany(this.models.Analytics, { 
+      foreignKey: 'contentId', 
+      as: 'analytics' 
+    });
+    this.models.Analytics.belongsTo(this.models.Content, { 
+      foreignKey: 'contentId', 
+      as: 'content' 
+    });
+    this.models.Content.hasMany(this.models.ContentRevision, {
+      foreignKey: 'contentId',
+      as: 'revisions',
+      onDelete: 'CASCADE'
+    });
+    this.models.Content.hasMany(this.models.PublishSchedule, {
+      foreignKey: 'contentId',
+      as: 'schedules',
+      onDelete: 'CASCADE'
+    });
+    this.models.PublishSchedule.belongsTo(this.models.Content, {
+      foreignKey: 'contentId',
+      as: 'content'
+    });
+    this.models.Experiment.hasMany(this.models.ExperimentAssignment, {
+      foreignKey: 'experimentId',
+      as: 'assignments'
+    });
+    this.models.ExperimentAssignment.belongsTo(this.models.Content, {
+      foreignKey: 'contentId',
+      as: 'content'
+    });
+  }
+
+  async createContent(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const content = await this.sequelize.transaction(async transaction => {
+        const created = await this.models.Content.create({
+          ...data,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }, { transaction });
+
+        await this.models.ContentRevision.create({
+          contentId: created.id,
+          revision: 1,
+          userId: created.userId,
+          changedFields: REVISION_FIELDS,
+          snapshot: pickRevisionFields(created.toJSON()),
+          viralScore: created.viralScore
+        }, { transaction });
+
+        return created;
+      });
+
+      await this.indexContent(content.toJSON());
+      return content.toJSON();
+    } catch (error) {
+      console.error('Database create error:', error);
+      throw error;
+    }
+  }
+
+  async getContent(filters = {}, options = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const { limit = 20, offset = 0, include = [] } = options;
+
+      const contents = await this.models.Content.findAll({
+        where: filters,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC']],
+        include
+      });
+
+      return contents.map(content => content.toJSON());
+    } catch (error) {
+      console.error('Database query error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Detect the full-text index created by the content-search migration: an
+   * FTS5 table on SQLite, a weighted tsvector column on Postgres. Search
+   * falls back to LIKE when neither is there.
+   */
+  async setupFullTextSearch() {
+    this.fullTextSearch = null;
+    const queryInterface = this.sequelize.getQueryInterface();
+
+    try {
+      if (this.sequelize.getDialect() === 'sqlite') {
+        this.fullTextSearch = await queryInterface.tableExists('content_search') ? 'fts5' : null;
+      } else {
+        const columns = await queryInterface.describeTable('Contents');
+        this.fullTextSearch = columns.searchVector ? 'tsvector' : null;
+      }
+
+      if (this.fullTextSearch) {
+        await this.reindexContent();
+      }
+    } catch (error) {
+      this.fullTextSearch = null;
+      console.warn('⚠️ Full-text search index unavailable, using LIKE search:', error.message);
+    }
+  }
+
+  /**
+   * Index rows missing from the search index (all of them after an upgrade)
+   */
+  async reindexContent() {
+    const { QueryTypes } = Sequelize;
+    const missing = this.fullTextSearch === 'fts5'
+      ? 'SELECT id FROM Contents WHERE id NOT IN (SELECT contentId FROM content_search)'
+      : 'SELECT id FROM "Contents" WHERE "searchVector" IS NULL';
+
+    const rows = await this.sequelize.query(missing, { type: QueryTypes.SELECT });
+    for (const { id } of rows) {
+      const content = await this.models.Content.findByPk(id);
+      await this.indexContent(content.toJSON());
+    }
+    if (rows.length > 0) {
+      console.log(`🔎 Indexed ${rows.length} content rows for search`);
+    }
+  }
+
+  // Index failures are logged, not thrown: the row itself was saved
+  async indexContent(content) {
+    if (!this.fullTextSearch || !content) return;
+
+    try {
+      await this.writeSearchDocument(content.id, buildSearchDocument(content));
+    } catch (error) {
+      console.error('Database search index error:', error);
+    }
+  }
+
+  async writeSearchDocument(id, document) {
+    if (this.fullTextSearch === 'fts5') {
+      await this.removeFromSearchIndex(id);
+      await this.sequelize.query(
+        `INSERT INTO content_search (contentId, ${SEARCH_FIELDS.join(', ')}) VALUES (:id, ${SEARCH_FIELDS.map(field => `:${field}`).join(', ')})`,
+        { replacements: { id, ...document } }
+      );
+    } else {
+      const vector = SEARCH_FIELDS
+        .map((field, index) => `setweight(to_tsvector('simple', :${field}), '${SEARCH_WEIGHTS.postgres[index]}')`)
+        .join(' || ');
+      await this.sequelize.query(
+        `UPDATE "Contents" SET "searchVector" = ${vector} WHERE id = :id`,
+        { replacements: { id, ...document } }
+      );
+    }
+  }
+
+  async removeFromSearchIndex(id) {
+    if (this.fullTextSearch === 'fts5') {
+      await this.sequelize.query('DELETE FROM content_search WHERE contentId = :id', { replacements: { id } });
+    }
+  }
+
+  /**
+   * Ranked full-text search
+   * @param {Array<string>} terms - Normalized search terms, all required (prefix match)
+   * @param {Object} filters - Equality filters on platform, type, status; viralScore { min, max }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { matches: [{ id, score, title, snippet }], facetRows: [{ platform, type, status, viralScore }] }
+   *   where title and snippet are HTML-escaped text with <mark> highlights (null on the LIKE fallback)
+   */
+  async searchContent(terms, filters = {}, options = {}) {
+    if (!this.isConnected) return { matches: [], facetRows: [] };
+
+    try {
+      if (!this.fullTextSearch) {
+        return this.searchContentLike(terms, filters, options);
+      }
+
+      const { QueryTypes } = Sequelize;
+      const { limit = 20, offset = 0 } = options;
+      const fts = this.fullTextSearch === 'fts5';
+      const table = fts ? 'Contents' : '"Contents"';
+
+      const conditions = [];
+      const replacements = { ...HIGHLIGHT, limit: parseInt(limit), offset: parseInt(offset) };
+      for (const field of ['platform', 'type', 'status']) {
+        if (filters[field]) {
+          conditions.push(`${table}.${fts ? field : `"${field}"`} = :${field}`);
+          replacements[field] = filters[field];
+        }
+      }
+      if (filters.viralScore) {
+        conditions.push(`${table}.${fts ? 'viralScore' : '"viralScore"'} BETWEEN :minScore AND :maxScore`);
+        replacements.minScore = filters.viralScore.min;
+        replacements.maxScore = filters.viralScore.max;
+      }
+
+      let from;
+      let select;
+      let order;
+      if (fts) {
+        replacements.match = terms.map(term => `"${term}"*`).join(' ');
+        from = 'content_search JOIN Contents ON Contents.id = content_search.contentId';
+        conditions.unshift('content_search MATCH :match');
+        select = `Contents.id AS id,
+          -bm25(content_search, 0.0, ${SEARCH_WEIGHTS.sqlite.join(', ')}) AS score,
+          highlight(content_search, 1, :open, :close) AS title,
+          snippet(content_search, -1, :open, :close, '…', 24) AS snippet`;
+        order = 'bm25(content_search, 0.0, ' + SEARCH_WEIGHTS.sqlite.join(', ') + ')';
+      } else {
+        replacements.tsquery = terms.map(term => `${term}:*`).join(' & ');
+        replacements.titleOptions = `StartSel=${HIGHLIGHT.open}, StopSel=${HIGHLIGHT.close}, HighlightAll=true`;
+        replacements.snippetOptions = `StartSel=${HIGHLIGHT.open}, StopSel=${HIGHLIGHT.close}, MaxWords=24, MinWords=8`;
+        from = `"Contents", to_tsquery('simple', :tsquery) search_query`;
+        conditions.unshift('"Contents"."searchVector" @@ search_query');
+        // Content holds one text per platform, or a single string
+        const body = `CASE WHEN jsonb_typeof("Contents".content) = 'object'
+          THEN (SELECT string_agg(value, ' ') FROM jsonb_each_text("Contents".content))
+          ELSE "Contents".content #>> '{}' END`;
+        select = `"Contents".id AS id,
+          ts_rank_cd("Contents"."searchVector", search_query) AS score,
+          ts_headline('simple', "Contents".title, search_query, :titleOptions) AS title,
+          ts_headline('simple', COALESCE(${body}, ''), search_query, :snippetOptions) AS snippet`;
+        order = 'score DESC';
+      }
+
+      const where = conditions.join(' AND ');
+      const columns = ['platform', 'type', 'status', 'viralScore'].map(column => `${table}.${fts ? column : `"${column}"`} AS "${column}"`);
+
+      const [matches, facetRows] = await Promise.all([
+        this.sequelize.query(
+          `SELECT ${select} FROM ${from} WHERE ${where} ORDER BY ${order} LIMIT :limit OFFSET :offset`,
+          { replacements, type: QueryTypes.SELECT }
+        ),
+        this.sequelize.query(
+          `SELECT ${columns.join(', ')} FROM ${from} WHERE ${where}`,
+          { replacements, type: QueryTypes.SELECT }
+        )
+      ]);
+
+      return {
+        matches: matches.map(match => ({
+          ...match,
+          score: parseFloat(match.score) || 0,
+          title: toHighlightHtml(match.title),
+          snippet: toHighlightHtml(match.snippet)
+        })),
+        facetRows
+      };
+    } catch (error) {
+      // A failed query is not an empty result
+      console.error('Database search error:', error);
+      throw error;
+    }
+  }
+
+  // Unranked search when no full-text index could be created
+  async searchContentLike(terms, filters, options) {
+    const { Op } = Sequelize;
+    const { limit = 20, offset = 0 } = options;
+    const like = this.sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+    const asText = column => this.sequelize.cast(this.sequelize.col(column), 'TEXT');
+
+    const where = {
+      [Op.and]: terms.map(term => ({
+        [Op.or]: [
+          { title: { [like]: `%${term}%` } },
+          this.sequelize.where(asText('keywords'), like, `%${term}%`),
+          this.sequelize.where(asText('content'), like, `%${term}%`)
+        ]
+      }))
+    };
+    for (const field of ['platform', 'type', 'status']) {
+      if (filters[field]) where[field] = filters[field];
+    }
+    if (filters.viralScore) {
+      where.viralScore = { [Op.between]: [filters.viralScore.min, filters.viralScore.max] };
+    }
+
+    const [matches, facetRows] = await Promise.all([
+      this.models.Content.findAll({
+        where,
+        attributes: ['id'],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC']],
+        raw: true
+      }),
+      this.models.Content.findAll({ where, attributes: ['platform', 'type', 'status', 'viralScore'], raw: true })
+    ]);
+
+    return {
+      matches: matches.map(({ id }) => ({ id, score: 0, title: null, snippet: null })),
+      facetRows
+    };
+  }
+
+  async getContentByIds(ids) {
+    if (!this.isConnected || ids.length === 0) return [];
+
+    try {
+      const contents = await this.models.Content.findAll({ where: { id: ids } });
+      return contents.map(content => content.toJSON());
+    } catch (error) {
+      console.error('Database query error:', error);
+      return [];
+    }
+  }
+
+  async getContentById(id) {
+    if (!this.isConnected) return null;
+
+    try {
+      const content = await this.models.Content.findByPk(id, {
+        include: [{ 
+          model: this.models.Analytics, 
+          as: 'analytics' 
+        }]
+      });
+
+      return content ? content.toJSON() : null;
+    } catch (error) {
+      console.error('Database fetch error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a content row and record the change as a new revision
+   * @param {string} id - Content id
+   * @param {Object} data - Fields to change
+   * @param {Object} options - { userId } author of the change
+   * @returns {Promise<Object|null>} Updated content, or null when it doesn't exist
+   */
+  async updateContent(id, data, options = {}) {
+    if (!this.isConnected) return null;
+
+    try {
+      const updated = await this.sequelize.transaction(async transaction => {
+        const content = await this.models.Content.findByPk(id, { transaction, lock: this.sequelize.getDialect() === 'postgres' });
+        if (!content) return false;
+
+        const before = content.toJSON();
+        await content.update({ ...data, updatedAt: new Date() }, { transaction });
+        await this.recordRevision(before, content.toJSON(), options.userId, transaction);
+        return true;
+      });
+
+      if (updated) {
+        const content = await this.getContentById(id);
+        await this.indexContent(content);
+        return content;
+      }
+      return null;
+    } catch (error) {
+      console.error('Database update error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a revision for the fields that changed between two states of a content row
+   * @returns {Promise<Object|null>} The revision, or null when nothing changed
+   */
+  async recordRevision(before, after, userId, transaction) {
+    const changedFields = REVISION_FIELDS.filter(field =>
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+    if (changedFields.length === 0) return null;
+
+    const { ContentRevision } = this.models;
+    let revision = await ContentRevision.max('revision', { where: { contentId: after.id }, transaction }) || 0;
+
+    // Content created before revision history: keep its original state as revision 1
+    if (revision === 0) {
+      await ContentRevision.create({
+        contentId: after.id,
+        revision: ++revision,
+        userId: before.userId,
+        changedFields: REVISION_FIELDS,
+        snapshot: pickRevisionFields(before),
+        viralScore: before.viralScore
+      }, { transaction });
+    }
+
+    const created = await ContentRevision.create({
+      contentId: after.id,
+      revision: revision + 1,
+      userId: userId || null,
+      changedFields,
+      snapshot: pickRevisionFields(after),
+      viralScore: after.viralScore
+    }, { transaction });
+
+    return created.toJSON();
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Revisions of a content, newest first
+   */
+  async getContentRevisions(contentId) {
+    if (!this.isConnected) return [];
+
+    try {
+      const revisions = await this.models.ContentRevision.findAll({
+        where: { contentId },
+        order: [['revision', 'DESC']]
+      });
+
+      return revisions.map(revision => revision.toJSON());
+    } catch (error) {
+      console.error('Database revisions error:', error);
+      return [];
+    }
+  }
+
+  async getContentRevision(contentId, revision) {
+    if (!this.isConnected) return null;
+
+    try {
+      const record = await this.models.ContentRevision.findOne({
+        where: { contentId, revision }
+      });
+
+      return record ? record.toJSON() : null;
+    } catch (error) {
+      console.error('Database revision fetch error:', error);
+      return null;
+    }
+  }
+
+  async deleteContent(id) {
+    if (!this.isConnected) return false;
+
+    try {
+      // SQLite doesn't enforce the cascade unless foreign keys are switched on
+      await this.models.ContentRevision.destroy({ where: { contentId: id } });
+      await this.models.PublishSchedule.destroy({ where: { contentId: id } });
+      const deletedRows = await this.models.Content.destroy({
+        where: { id }
+      });
+
+      await this.removeFromSearchIndex(id);
+      return deletedRows > 0;
+    } catch (error) {
       console.error('Database delete error:', error);
       return false;
     }
   }
 
+  /**
+   * @param {Object} filters - { contentId, platform, status (one or a list), from, to } where from/to bound scheduledAt
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array<Object>>} Schedules with their content, soonest first
+   */
+  async getPublishSchedules(filters = {}, options = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const { Op } = Sequelize;
+      const where = {};
+      if (filters.contentId) where.contentId = filters.contentId;
+      if (filters.platform) where.platform = filters.platform;
+      if (filters.status) where.status = filters.status;
+      if (filters.from || filters.to) {
+        where.scheduledAt = {};
+        if (filters.from) where.scheduledAt[Op.gte] = filters.from;
+        if (filters.to) where.scheduledAt[Op.lt] = filters.to;
+      }
+
+      const schedules = await this.models.PublishSchedule.findAll({
+        where,
+        include: [{
+          model: this.models.Content,
+          as: 'content',
+          attributes: ['id', 'title', 'type', 'status', 'viralScore']
+        }],
+        order: [['scheduledAt', 'ASC']],
+        limit: options.limit,
+        offset: options.offset
+      });
+
+      return schedules.map(schedule => schedule.toJSON());
+    } catch (error) {
+      console.error('Database schedule query error:', error);
+      return [];
+    }
+  }
+
+  async getPublishScheduleById(id) {
+    if (!this.isConnected) return null;
+
+    try {
+      const schedule = await this.models.PublishSchedule.findByPk(id);
+      return schedule ? schedule.toJSON() : null;
+    } catch (error) {
+      console.error('Database schedule fetch error:', error);
+      return null;
+    }
+  }
+
+  async findPublishSchedule(contentId, platform) {
+    if (!this.isConnected) return null;
+
+    try {
+      const schedule = await this.models.PublishSchedule.findOne({ where: { contentId, platform } });
+      return schedule ? schedule.toJSON() : null;
+    } catch (error) {
+      console.error('Database schedule fetch error:', error);
+      return null;
+    }
+  }
+
+  async createPublishSchedule(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const schedule = await this.models.PublishSchedule.create(data);
+      return schedule.toJSON();
+    } catch (error) {
+      console.error('Database schedule create error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} where - Extra conditions, e.g. { status: 'pending' } to update only from that state
+   * @returns {Promise<Object|null>} Updated schedule, or null when no row matched
+   */
+  async updatePublishSchedule(id, data, where = {}) {
+    if (!this.isConnected) return null;
+
+    try {
+      const [updatedRows] = await this.models.PublishSchedule.update(data, { where: { ...where, id } });
+      return updatedRows > 0 ? this.getPublishScheduleById(id) : null;
+    } catch (error) {
+      console.error('Database schedule update error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending schedules whose next attempt is due
+   */
+  async getDuePublishSchedules(now = new Date(), limit = 10) {
+    if (!this.isConnected) return [];
+
+    try {
+      const { Op } = Sequelize;
+      const schedules = await this.models.PublishSchedule.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        order: [['nextAttemptAt', 'ASC']],
+        limit
+      });
+
+      return schedules.map(schedule => schedule.toJSON());
+    } catch (error) {
+      console.error('Database due schedules error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Put schedules left mid-publish by a stopped process back in the queue
+   * @returns {Promise<number>} Schedules reset
+   */
+  async resetStalePublishSchedules() {
+    if (!this.isConnected) return 0;
+
+    try {
+      const [updatedRows] = await this.models.PublishSchedule.update(
+        { status: 'pending', nextAttemptAt: new Date() },
+        { where: { status: 'publishing' } }
+      );
+      return updatedRows;
+    } catch (error) {
+      console.error('Database schedule reset error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Content published in [from, to) that has no publish schedule (published outside the scheduler)
+   */
+  async getUnscheduledPublishedContent(from, to, platform) {
+    if (!this.isConnected) return [];
+
+    try {
+      const { Op } = Sequelize;
+      const where = {
+        publishedAt: { [Op.gte]: from, [Op.lt]: to },
+        '$schedules.id$': null
+      };
+      if (platform) where.platform = platform;
+
+      const contents = await this.models.Content.findAll({
+        where,
+        include: [{ model: this.models.PublishSchedule, as: 'schedules', attributes: [], required: false }],
+        order: [['publishedAt', 'ASC']]
+      });
+
+      return contents.map(content => content.toJSON());
+    } catch (error) {
+      console.error('Database published content query error:', error);
+      return [];
+    }
+  }
+
   async getAnalytics(contentId) {
     if (!this.isConnected) return [];
 
@@ -375,6 +1430,452 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Store metric snapshots in one transaction
+   * @returns {Promise<Array<Object>>} Created snapshots
+   */
+  async createAnalytics(records) {
+    if (!this.isConnected) return [];
+
+    try {
+      const created = await this.sequelize.transaction(transaction =>
+        this.models.Analytics.bulkCreate(records, { transaction }));
+      return created.map(record => record.toJSON());
+    } catch (error) {
+      console.error('Database analytics create error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshots in [from, to), oldest first
+   * @param {Object} filters - { contentId, platform, from, to }
+   */
+  async getAnalyticsSnapshots(filters = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const { Op } = Sequelize;
+      const where = {};
+      if (filters.contentId) where.contentId = filters.contentId;
+      if (filters.platform) where.platform = filters.platform;
+      if (filters.from || filters.to) {
+        where.recordedAt = {};
+        if (filters.from) where.recordedAt[Op.gte] = filters.from;
+        if (filters.to) where.recordedAt[Op.lt] = filters.to;
+      }
+
+      const snapshots = await this.models.Analytics.findAll({
+        where,
+        order: [['recordedAt', 'ASC']]
+      });
+      return snapshots.map(snapshot => snapshot.toJSON());
+    } catch (error) {
+      console.error('Database analytics query error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Latest snapshot of each content/platform pair recorded in [from, to)
+   * (either bound optional), with the content's title, type and viral score
+   * @param {Object} filters - { contentId, platform, type, from, to }
+   */
+  async getLatestAnalytics(filters = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const conditions = [];
+      const replacements = {};
+      for (const field of ['contentId', 'platform']) {
+        if (filters[field]) {
+          conditions.push(`"${field}" = :${field}`);
+          replacements[field] = filters[field];
+        }
+      }
+      if (filters.from) {
+        conditions.push('"recordedAt" >= :from');
+        replacements.from = filters.from;
+      }
+      if (filters.to) {
+        conditions.push('"recordedAt" < :to');
+        replacements.to = filters.to;
+      }
+      // Mixed rows hold versions of several types, so their platform's type is checked below
+      const contentConditions = filters.type ? "WHERE c.type IN (:type, 'mixed')" : '';
+      if (filters.type) replacements.type = filters.type;
+
+      const rows = await this.sequelize.query(`
+        SELECT a.*, c.title, c.type, c."viralScore" AS "contentViralScore", c.metadata AS "contentMetadata"
+        FROM "Analytics" a
+        JOIN (
+          SELECT "contentId", platform, MAX("recordedAt") AS "latestAt"
+          FROM "Analytics"
+          ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+          GROUP BY "contentId", platform
+        ) latest ON latest."contentId" = a."contentId" AND latest.platform = a.platform AND latest."latestAt" = a."recordedAt"
+        JOIN "Contents" c ON c.id = a."contentId"
+        ${contentConditions}
+      `, { replacements, type: Sequelize.QueryTypes.SELECT });
+
+      // Snapshots recorded at the same instant would appear twice
+      const latest = new Map();
+      for (const row of rows) {
+        const contentMetadata = typeof row.contentMetadata === 'string' ? JSON.parse(row.contentMetadata) : row.contentMetadata;
+        // The type of the version this snapshot measures
+        const type = contentMetadata?.targets?.find(target => target.platform === row.platform)?.contentType || row.type;
+        if (filters.type && type !== filters.type) continue;
+        // Raw queries return dates as the driver stores them (a string on SQLite)
+        latest.set(`${row.contentId}:${row.platform}`, {
+          ...row,
+          type,
+          contentMetadata,
+          recordedAt: new Date(row.recordedAt),
+          createdAt: new Date(row.createdAt),
+          updatedAt: new Date(row.updatedAt)
+        });
+      }
+      return [...latest.values()];
+    } catch (error) {
+      console.error('Database latest analytics error:', error);
+      return [];
+    }
+  }
+
+  async createViralModel(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const model = await this.models.ViralModel.create(data);
+      return model.toJSON();
+    } catch (error) {
+      console.error('Database viral model create error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest model of each platform (and of 'all')
+   */
+  async getLatestViralModels() {
+    if (!this.isConnected) return [];
+
+    try {
+      const models = await this.models.ViralModel.findAll({ order: [['createdAt', 'DESC']] });
+      const latest = new Map();
+      for (const model of models) {
+        if (!latest.has(model.platform)) latest.set(model.platform, model.toJSON());
+      }
+      return [...latest.values()];
+    } catch (error) {
+      console.error('Database viral model query error:', error);
+      return [];
+    }
+  }
+
+  async getPromptTemplates(filters = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const templates = await this.models.PromptTemplate.findAll({
+        where: filters,
+        order: [['key', 'ASC'], ['version', 'DESC']]
+      });
+
+      return templates.map(template => template.toJSON());
+    } catch (error) {
+      console.error('Database prompt template query error:', error);
+      return [];
+    }
+  }
+
+  async getPromptTemplateById(id) {
+    if (!this.isConnected) return null;
+
+    try {
+      const template = await this.models.PromptTemplate.findByPk(id);
+      return template ? template.toJSON() : null;
+    } catch (error) {
+      console.error('Database prompt template fetch error:', error);
+      return null;
+    }
+  }
+
+  async createPromptTemplate(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const template = await this.models.PromptTemplate.create(data);
+      return template.toJSON();
+    } catch (error) {
+      console.error('Database prompt template create error:', error);
+      throw error;
+    }
+  }
+
+  async updatePromptTemplate(id, data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const [updatedRows] = await this.models.PromptTemplate.update(data, { where: { id } });
+      return updatedRows > 0 ? this.getPromptTemplateById(id) : null;
+    } catch (error) {
+      console.error('Database prompt template update error:', error);
+      throw error;
+    }
+  }
+
+  async getExperiments(filters = {}) {
+    if (!this.isConnected) return [];
+
+    try {
+      const experiments = await this.models.Experiment.findAll({
+        where: filters,
+        order: [['createdAt', 'DESC']]
+      });
+
+      return experiments.map(experiment => experiment.toJSON());
+    } catch (error) {
+      console.error('Database experiment query error:', error);
+      return [];
+    }
+  }
+
+  async getExperimentById(id) {
+    if (!this.isConnected) return null;
+
+    try {
+      const experiment = await this.models.Experiment.findByPk(id);
+      return experiment ? experiment.toJSON() : null;
+    } catch (error) {
+      console.error('Database experiment fetch error:', error);
+      return null;
+    }
+  }
+
+  async createExperiment(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const experiment = await this.models.Experiment.create(data);
+      return experiment.toJSON();
+    } catch (error) {
+      console.error('Database experiment create error:', error);
+      throw error;
+    }
+  }
+
+  async updateExperiment(id, data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const [updatedRows] = await this.models.Experiment.update(data, { where: { id } });
+      return updatedRows > 0 ? this.getExperimentById(id) : null;
+    } catch (error) {
+      console.error('Database experiment update error:', error);
+      throw error;
+    }
+  }
+
+  async createExperimentAssignments(assignments) {
+    if (!this.isConnected || assignments.length === 0) return [];
+
+    try {
+      const created = await this.models.ExperimentAssignment.bulkCreate(assignments);
+      return created.map(assignment => assignment.toJSON());
+    } catch (error) {
+      console.error('Database experiment assignment error:', error);
+      throw error;
+    }
+  }
+
+  // Assignments of an experiment with their content and its analytics
+  async getExperimentAssignments(experimentId) {
+    if (!this.isConnected) return [];
+
+    try {
+      const assignments = await this.models.ExperimentAssignment.findAll({
+        where: { experimentId },
+        include: [{
+          model: this.models.Content,
+          as: 'content',
+          include: [{ model: this.models.Analytics, as: 'analytics' }]
+        }]
+      });
+
+      return assignments.map(assignment => assignment.toJSON());
+    } catch (error) {
+      console.error('Database experiment assignment query error:', error);
+      return [];
+    }
+  }
+
+  async getBrandVoices() {
+    if (!this.isConnected) return [];
+
+    try {
+      const brandVoices = await this.models.BrandVoice.findAll({ order: [['name', 'ASC']] });
+      return brandVoices.map(brandVoice => brandVoice.toJSON());
+    } catch (error) {
+      console.error('Database brand voice query error:', error);
+      return [];
+    }
+  }
+
+  async getBrandVoiceById(id) {
+    if (!this.isConnected) return null;
+
+    try {
+      const brandVoice = await this.models.BrandVoice.findByPk(id);
+      return brandVoice ? brandVoice.toJSON() : null;
+    } catch (error) {
+      console.error('Database brand voice fetch error:', error);
+      return null;
+    }
+  }
+
+  async createBrandVoice(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const brandVoice = await this.models.BrandVoice.create(data);
+      return brandVoice.toJSON();
+    } catch (error) {
+      console.error('Database brand voice create error:', error);
+      throw error;
+    }
+  }
+
+  async updateBrandVoice(id, data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const [updatedRows] = await this.models.BrandVoice.update(data, { where: { id } });
+      return updatedRows > 0 ? this.getBrandVoiceById(id) : null;
+    } catch (error) {
+      console.error('Database brand voice update error:', error);
+      throw error;
+    }
+  }
+
+  async deleteBrandVoice(id) {
+    if (!this.isConnected) return false;
+
+    try {
+      const deletedRows = await this.models.BrandVoice.destroy({ where: { id } });
+      return deletedRows > 0;
+    } catch (error) {
+      console.error('Database brand voice delete error:', error);
+      return false;
+    }
+  }
+
+  async createAIUsage(data) {
+    if (!this.isConnected) return null;
+
+    try {
+      const usage = await this.models.AIUsage.create(data);
+      return usage.toJSON();
+    } catch (error) {
+      console.error('Database AI usage create error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Usage totals grouped by UTC day or month
+   * @param {Object} filters - { since, userId, provider }
+   * @param {string} period - 'day' or 'month'
+   * @returns {Promise<Array<Object>>} [{ period, provider, requests, promptTokens, completionTokens, totalTokens, cost }]
+   */
+  async getAIUsageSummary(filters = {}, period = 'day') {
+    if (!this.isConnected) return [];
+
+    try {
+      const { Op } = Sequelize;
+      const where = {};
+      if (filters.since) where.createdAt = { [Op.gte]: filters.since };
+      if (filters.userId) where.userId = filters.userId;
+      if (filters.provider) where.provider = filters.provider;
+
+      const bucket = this.sequelize.getDialect() === 'sqlite'
+        ? this.sequelize.fn('strftime', period === 'month' ? '%Y-%m' : '%Y-%m-%d', this.sequelize.col('createdAt'))
+        : this.sequelize.fn('to_char',
+          this.sequelize.literal('"createdAt" AT TIME ZONE \'UTC\''),
+          period === 'month' ? 'YYYY-MM' : 'YYYY-MM-DD');
+
+      const rows = await this.models.AIUsage.findAll({
+        where,
+        attributes: [
+          [bucket, 'period'],
+          'provider',
+          [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'requests'],
+          [this.sequelize.fn('SUM', this.sequelize.col('promptTokens')), 'promptTokens'],
+          [this.sequelize.fn('SUM', this.sequelize.col('completionTokens')), 'completionTokens'],
+          [this.sequelize.fn('SUM', this.sequelize.col('totalTokens')), 'totalTokens'],
+          [this.sequelize.fn('SUM', this.sequelize.col('cost')), 'cost']
+        ],
+        group: [bucket, 'provider'],
+        order: [[bucket, 'ASC']],
+        raw: true
+      });
+
+      return rows.map(row => ({
+        period: row.period,
+        provider: row.provider,
+        requests: parseInt(row.requests) || 0,
+        promptTokens: parseInt(row.promptTokens) || 0,
+        completionTokens: parseInt(row.completionTokens) || 0,
+        totalTokens: parseInt(row.totalTokens) || 0,
+        cost: parseFloat(row.cost) || 0
+      }));
+    } catch (error) {
+      console.error('Database AI usage summary error:', error);
+      return [];
+    }
+  }
+
+  // Total cost since a date, optionally grouped by user
+  async getAIUsageCost(since, groupByUser = false) {
+    if (!this.isConnected) return groupByUser ? [] : 0;
+
+    try {
+      const { Op } = Sequelize;
+      const where = { createdAt: { [Op.gte]: since } };
+
+      if (!groupByUser) {
+        return parseFloat(await this.models.AIUsage.sum('cost', { where })) || 0;
+      }
+
+      const rows = await this.models.AIUsage.findAll({
+        where: { ...where, userId: { [Op.ne]: null } },
+        attributes: ['userId', [this.sequelize.fn('SUM', this.sequelize.col('cost')), 'cost']],
+        group: ['userId'],
+        raw: true
+      });
+      return rows.map(row => ({ userId: row.userId, cost: parseFloat(row.cost) || 0 }));
+    } catch (error) {
+      console.error('Database AI usage cost error:', error);
+      return groupByUser ? [] : 0;
+    }
+  }
+
+  async migrate() {
+    const applied = await migrationService.migrate(this.sequelize);
+    await this.setupFullTextSearch();
+    return applied;
+  }
+
+  async rollbackMigrations() {
+    const rolledBack = await migrationService.rollback(this.sequelize);
+    await this.setupFullTextSearch();
+    return rolledBack;
+  }
+
+  async getMigrationStatus() {
+    return migrationService.status(this.sequelize);
+  }
+
   async healthCheck() {
     if (!this.isConnected) {
       return { status: 'disconnected', error: 'Database not connected' };
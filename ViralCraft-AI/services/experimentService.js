@@ -0,0 +1,234 @@
+/**
+ * Experiment Service - Prompt A/B experiments: variant assignment at
+ * generation time and per-variant performance from Analytics
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/app');
+const promptTemplateService = require('./promptTemplateService');
+const { createError } = require('../utils/error-handler');
+const { mean, meanConfidenceInterval, wilsonInterval, differenceConfidenceInterval } = require('../utils/statistics');
+
+// Only prompts that shape generated content can be varied
+const EXPERIMENT_TEMPLATE_KEYS = ['generation.system', 'generation.user'];
+
+class ExperimentService {
+  /**
+   * Create a running experiment
+   * @param {Object} data - { name, description, platform, contentType, variants }
+   *   where variants are [{ id, name, weight, templates: { 'generation.user': body } }];
+   *   a variant without templates uses the registry prompts (control)
+   * @returns {Promise<Object>} Experiment row
+   */
+  async create(data) {
+    this.ensureDatabase();
+    const { name, description } = data;
+    const platform = data.platform || null;
+    const contentType = data.contentType || null;
+
+    if (!name) {
+      throw createError('Experiment name is required', 400);
+    }
+    if (platform && !config.content.platforms.includes(platform)) {
+      throw createError(`Unsupported platform "${platform}"`, 400);
+    }
+    if (contentType && !config.content.contentTypes.includes(contentType)) {
+      throw createError(`Unsupported content type "${contentType}"`, 400);
+    }
+
+    return global.db.createExperiment({
+      name,
+      description,
+      platform,
+      contentType,
+      variants: this.normalizeVariants(data.variants),
+      status: 'running',
+      startedAt: new Date()
+    });
+  }
+
+  normalizeVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw createError('An experiment needs at least two variants', 400);
+    }
+
+    const normalized = variants.map((variant, index) => ({
+      id: String(variant.id || String.fromCharCode(65 + index)),
+      name: variant.name || `Variant ${String.fromCharCode(65 + index)}`,
+      weight: variant.weight === undefined ? 1 : Number(variant.weight),
+      templates: variant.templates || {}
+    }));
+
+    const ids = normalized.map(variant => variant.id);
+    if (new Set(ids).size !== ids.length) {
+      throw createError('Variant ids must be unique', 400);
+    }
+
+    for (const variant of normalized) {
+      if (!(variant.weight > 0)) {
+        throw createError(`Variant "${variant.id}" needs a positive weight`, 400);
+      }
+
+      for (const [key, body] of Object.entries(variant.templates)) {
+        if (!EXPERIMENT_TEMPLATE_KEYS.includes(key)) {
+          throw createError(`Variant "${variant.id}" can only override ${EXPERIMENT_TEMPLATE_KEYS.join(', ')}`, 400);
+        }
+        promptTemplateService.validate({ key, body });
+      }
+    }
+
+    return normalized;
+  }
+
+  async list(filters = {}) {
+    this.ensureDatabase();
+    return global.db.getExperiments(filters.status ? { status: filters.status } : {});
+  }
+
+  async get(id) {
+    this.ensureDatabase();
+    const experiment = await global.db.getExperimentById(id);
+    if (!experiment) {
+      throw createError('Experiment not found', 404);
+    }
+    return experiment;
+  }
+
+  /**
+   * Rename, pause, resume or complete an experiment. Variants are fixed once
+   * created so earlier assignments stay comparable.
+   */
+  async update(id, changes) {
+    await this.get(id);
+    const data = {};
+
+    if (changes.name) data.name = changes.name;
+    if (changes.description !== undefined) data.description = changes.description;
+    if (changes.status) {
+      if (!['running', 'paused', 'completed'].includes(changes.status)) {
+        throw createError(`Unsupported status "${changes.status}"`, 400);
+      }
+      data.status = changes.status;
+      data.endedAt = changes.status === 'completed' ? new Date() : null;
+    }
+
+    return global.db.updateExperiment(id, data);
+  }
+
+  /**
+   * Pick a variant of the newest running experiment covering a generation
+   * @param {Object} scope - { platform, contentType }
+   * @returns {Promise<Object|null>} { experimentId, variantId, templates } or null
+   */
+  async assign(scope) {
+    if (!global.db || !global.db.isConnected) return null;
+
+    const [experiment] = await global.db.getExperiments({
+      status: 'running',
+      platform: { [Op.or]: [scope.platform, null] },
+      contentType: { [Op.or]: [scope.contentType, null] }
+    });
+    if (!experiment) return null;
+
+    const variant = this.pickVariant(experiment.variants);
+    return { experimentId: experiment.id, variantId: variant.id, templates: variant.templates };
+  }
+
+  pickVariant(variants, random = Math.random()) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = random * total;
+
+    for (const variant of variants) {
+      threshold -= variant.weight;
+      if (threshold < 0) return variant;
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Store which variant produced each platform version of a saved Content row
+   * @param {string} contentId - Saved Content id
+   * @param {Array<Object>} outputs - [{ platform, result }] from generateForTargets
+   */
+  async recordAssignments(contentId, outputs) {
+    const assignments = outputs
+      .filter(({ result }) => result.experiment)
+      .map(({ platform, result }) => ({
+        experimentId: result.experiment.experimentId,
+        variantId: result.experiment.variantId,
+        contentId,
+        platform
+      }));
+
+    return global.db.createExperimentAssignments(assignments);
+  }
+
+  /**
+   * Per-variant performance from the latest Analytics snapshot of each
+   * assigned content/platform, with 95% confidence intervals. The first
+   * variant is the baseline the others are compared against.
+   * @param {string} id - Experiment id
+   * @returns {Promise<Object>} Report
+   */
+  async report(id) {
+    const experiment = await this.get(id);
+    const assignments = await global.db.getExperimentAssignments(id);
+
+    const samples = assignments.map(assignment => {
+      const snapshots = (assignment.content?.analytics || [])
+        .filter(record => record.platform === assignment.platform)
+        .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt));
+      return { variantId: assignment.variantId, analytics: snapshots[0] || null };
+    });
+
+    const rates = variantId => samples
+      .filter(sample => sample.variantId === variantId && sample.analytics)
+      .map(sample => sample.analytics.engagementRate);
+    const baselineRates = rates(experiment.variants[0].id);
+
+    const variants = experiment.variants.map((variant, index) => {
+      const measured = samples.filter(sample => sample.variantId === variant.id && sample.analytics);
+      const totals = ['views', 'likes', 'shares', 'comments'].reduce((sum, metric) => ({
+        ...sum,
+        [metric]: measured.reduce((total, sample) => total + (sample.analytics[metric] || 0), 0)
+      }), {});
+
+      return {
+        id: variant.id,
+        name: variant.name,
+        weight: variant.weight,
+        assignments: samples.filter(sample => sample.variantId === variant.id).length,
+        measured: measured.length,
+        totals,
+        averageViews: mean(measured.map(sample => sample.analytics.views || 0)),
+        engagementRate: meanConfidenceInterval(rates(variant.id)),
+        likeRate: wilsonInterval(totals.likes, totals.views),
+        shareRate: wilsonInterval(totals.shares, totals.views),
+        vsBaseline: index === 0 ? null : differenceConfidenceInterval(rates(variant.id), baselineRates)
+      };
+    });
+
+    return {
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        platform: experiment.platform,
+        contentType: experiment.contentType,
+        startedAt: experiment.startedAt,
+        endedAt: experiment.endedAt
+      },
+      baseline: experiment.variants[0].id,
+      variants,
+      generatedAt: new Date()
+    };
+  }
+
+  ensureDatabase() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,639 @@
+/**
+ * Extraction Service - Turns uploaded documents into structured text
+ * that can be fed as `extractedData` into content generation
+ */
+
+const fs = require('fs').promises;
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const cheerio = require('cheerio');
+const config = require('../config/app');
+const textAnalysisService = require('./textAnalysisService');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Elements that never hold article text
+const NOISE_SELECTORS = 'script, style, noscript, iframe, svg, form, nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+
+// Common containers for the main article body, in order of preference
+const ARTICLE_SELECTORS = ['article', '[itemprop="articleBody"]', '[role="main"]', 'main', '.post-content', '.entry-content', '.article-body', '.article-content', '#content'];
+
+// Addresses a fetched page may not be on: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isBlockedAddress = address => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = hostname => {
+  const error = new Error(`Refusing to fetch ${hostname}: it is a private or reserved address`);
+  error.code = 'EBLOCKEDADDRESS';
+  error.statusCode = 400;
+  return error;
+};
+
+// Checked when the socket connects, so a host can't resolve to a public address first and a private one later
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) return callback(blockedError(hostname));
+    callback(null, address, family);
+  });
+};
+
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class ExtractionService {
+  /**
+   * Extract a PDF keeping per-page text and document metadata
+   * @param {Buffer} buffer - Raw PDF bytes
+   * @returns {Promise<Object>} Structured extraction result
+   */
+  async extractPdf(buffer) {
+    const pages = [];
+
+    const data = await pdfParse(buffer, {
+      pagerender: async (pageData) => {
+        const text = await this.renderPdfPage(pageData);
+        pages.push({ number: pageData.pageNumber, text: text.trim() });
+        return text;
+      }
+    });
+
+    pages.sort((a, b) => a.number - b.number);
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+
+    return this.buildResult('pdf', text, {
+      pageCount: data.numpages,
+      pages,
+      sections: this.sectionsFromPages(pages),
+      metadata: this.normalizePdfInfo(data.info)
+    });
+  }
+
+  /**
+   * Render a single PDF page, preserving line breaks between text rows
+   * @param {Object} pageData - pdf.js page proxy
+   * @returns {Promise<string>} Page text
+   */
+  async renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === undefined || lastY === item.transform[5]) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
+  normalizePdfInfo(info) {
+    if (!info) return {};
+
+    return {
+      title: info.Title || null,
+      author: info.Author || null,
+      subject: info.Subject || null,
+      keywords: info.Keywords || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      createdAt: this.parsePdfDate(info.CreationDate),
+      modifiedAt: this.parsePdfDate(info.ModDate)
+    };
+  }
+
+  // PDF dates look like "D:20240131120000+03'00'"
+  parsePdfDate(value) {
+    const match = typeof value === 'string' && value.match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/);
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Extract a DOCX as Markdown so headings, lists and tables survive
+   * @param {Buffer} buffer - Raw DOCX bytes
+   * @returns {Promise<Object>} Structured extraction result
+   */
+  async extractDocx(buffer) {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    const markdown = this.htmlToMarkdown(html);
+
+    return this.buildResult('docx', markdown, {
+      sections: this.sectionsFromMarkdown(markdown),
+      warnings: messages.filter(message => message.type === 'warning').map(message => message.message)
+    });
+  }
+
+  /**
+   * Extract plain text uploads
+   * @param {Buffer} buffer - Raw text bytes
+   * @returns {Object} Structured extraction result
+   */
+  extractText(buffer) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    return this.buildResult('text', text, {
+      sections: this.sectionsFromMarkdown(text)
+    });
+  }
+
+  /**
+   * Dispatch an uploaded file to the right extractor
+   * @param {Object} file - Multer file ({ buffer, mimetype, originalname })
+   * @returns {Promise<Object>} Structured extraction result
+   */
+  async extractFile(file) {
+    const name = (file.originalname || '').toLowerCase();
+
+    if (file.mimetype === 'application/pdf' || name.endsWith('.pdf')) {
+      return this.extractPdf(file.buffer);
+    }
+
+    if (file.mimetype === DOCX_MIME_TYPE || name.endsWith('.docx')) {
+      return this.extractDocx(file.buffer);
+    }
+
+    return this.extractText(file.buffer);
+  }
+
+  /**
+   * Fetch a web article and extract its readable main text and metadata
+   * @param {string} url - Article URL (http or https)
+   * @returns {Promise<Object>} Structured extraction result
+   */
+  async extractUrl(url) {
+    let pageUrl;
+    try {
+      pageUrl = new URL(url);
+    } catch (error) {
+      throw this.createError('Invalid URL', 400);
+    }
+
+    // Redirects are followed here so every hop gets the same checks as the first URL
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      this.assertFetchable(pageUrl);
+      response = await this.fetchPage(pageUrl);
+      if (response.status < 300 || response.status >= 400) break;
+
+      if (!response.headers.location) {
+        throw this.createError(`Redirect without a location from ${pageUrl.href}`, 502);
+      }
+      if (redirects >= config.extraction.maxRedirects) {
+        throw this.createError('Too many redirects', 502);
+      }
+      pageUrl = new URL(response.headers.location, pageUrl);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!/html/i.test(contentType)) {
+      throw this.createError(`Unsupported content type: ${contentType || 'unknown'}`, 415);
+    }
+
+    // Resolve relative references against the final URL after redirects
+    return this.extractHtml(response.data, pageUrl.href);
+  }
+
+  /**
+   * Reject URLs the server must not fetch: other protocols, and hosts that are
+   * private or reserved IP addresses (host names are checked when they resolve)
+   * @param {URL} pageUrl - URL about to be fetched
+   */
+  assertFetchable(pageUrl) {
+    if (!['http:', 'https:'].includes(pageUrl.protocol)) {
+      throw this.createError('Only http and https URLs are supported', 400);
+    }
+
+    const hostname = pageUrl.hostname.replace(/^\[|\]$/g, '');
+    if (!config.extraction.allowPrivateNetworks && net.isIP(hostname) && isBlockedAddress(hostname)) {
+      throw blockedError(hostname);
+    }
+  }
+
+  // One request, without following redirects
+  async fetchPage(pageUrl) {
+    try {
+      return await axios.get(pageUrl.href, {
+        timeout: 15000,
+        maxContentLength: 5 * 1024 * 1024,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        headers: {
+          'User-Agent': 'ViralCraft-AI/1.0',
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        ...(config.extraction.allowPrivateNetworks ? {} : PUBLIC_AGENTS)
+      });
+    } catch (error) {
+      if (error.code === 'EBLOCKEDADDRESS' || error.cause?.code === 'EBLOCKEDADDRESS') {
+        throw blockedError(pageUrl.hostname);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extract article text and metadata from an HTML document
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL, used to resolve relative links
+   * @returns {Object} Structured extraction result
+   */
+  extractHtml(html, url) {
+    const $ = cheerio.load(html);
+    const jsonLd = this.readJsonLd($);
+    const meta = (...names) => {
+      for (const name of names) {
+        const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+        if (value && value.trim()) return value.trim();
+      }
+      return null;
+    };
+
+    const title = meta('og:title', 'twitter:title') || jsonLd.headline ||
+      $('title').first().text().trim() || $('h1').first().text().trim() || null;
+
+    const author = meta('author', 'article:author', 'twitter:creator') ||
+      this.jsonLdName(jsonLd.author) ||
+      $('[rel="author"], [itemprop="author"], .author, .byline').first().text().trim() || null;
+
+    const publishedAt = this.normalizeDate(
+      meta('article:published_time', 'datePublished', 'date', 'pubdate') ||
+      jsonLd.datePublished ||
+      $('time[datetime]').first().attr('datetime')
+    );
+
+    const image = this.resolveUrl(meta('og:image', 'og:image:url', 'twitter:image') || this.jsonLdImage(jsonLd.image), url);
+
+    $(NOISE_SELECTORS).remove();
+    const main = this.findMainContent($);
+    const text = this.contentToMarkdown($, main);
+
+    return this.buildResult('web', text, {
+      url,
+      title,
+      author,
+      publishedAt,
+      image,
+      siteName: meta('og:site_name'),
+      description: meta('og:description', 'description', 'twitter:description'),
+      links: this.outboundLinks($, main, url),
+      sections: this.sectionsFromMarkdown(text)
+    });
+  }
+
+  findMainContent($) {
+    for (const selector of ARTICLE_SELECTORS) {
+      const candidate = $(selector).first();
+      if (candidate.length && candidate.find('p').text().trim().length > 200) {
+        return candidate;
+      }
+    }
+
+    // Fall back to the container holding the most paragraph text
+    let best = $('body');
+    let bestScore = 0;
+    $('p').each((_, paragraph) => {
+      const parent = $(paragraph).parent();
+      const score = parent.children('p').text().trim().length;
+      if (score > bestScore) {
+        best = parent;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  contentToMarkdown($, container) {
+    const blocks = [];
+
+    container.find('h1, h2, h3, h4, h5, h6, p, ul, ol, blockquote, pre, table').each((_, element) => {
+      // Nested blocks are rendered by their outermost block ancestor
+      if ($(element).parents('ul, ol, blockquote, table').filter((__, ancestor) => $.contains(container.get(0), ancestor)).length) {
+        return;
+      }
+
+      const tag = element.tagName.toLowerCase();
+      let block;
+      if (tag === 'blockquote') {
+        block = this.inlineToMarkdown($, element).split('\n').map(line => `> ${line}`).join('\n');
+      } else if (tag === 'pre') {
+        block = '```\n' + $(element).text().trim() + '\n```';
+      } else {
+        block = this.blockToMarkdown($, element);
+      }
+
+      if (block && block.replace(/[#>\s-]/g, '')) blocks.push(block);
+    });
+
+    if (blocks.length === 0) {
+      return container.text().replace(/\s+/g, ' ').trim();
+    }
+
+    return blocks.join('\n\n').trim();
+  }
+
+  outboundLinks($, container, pageUrl) {
+    const pageHost = new URL(pageUrl).hostname;
+    const seen = new Set();
+    const links = [];
+
+    container.find('a[href]').each((_, anchor) => {
+      const href = this.resolveUrl($(anchor).attr('href'), pageUrl);
+      if (!href || seen.has(href)) return;
+
+      const { hostname, protocol } = new URL(href);
+      if (!['http:', 'https:'].includes(protocol) || hostname === pageHost) return;
+
+      seen.add(href);
+      links.push({ url: href, text: $(anchor).text().replace(/\s+/g, ' ').trim() });
+    });
+
+    return links;
+  }
+
+  readJsonLd($) {
+    const entries = [];
+    $('script[type="application/ld+json"]').each((_, script) => {
+      try {
+        const data = JSON.parse($(script).contents().text());
+        const items = Array.isArray(data) ? data : [].concat(data?.['@graph'] || data);
+        // Arrays may hold nulls or bare values next to the objects
+        entries.push(...items.filter(item => item && typeof item === 'object'));
+      } catch (error) {
+        // Ignore malformed structured data
+      }
+    });
+
+    return entries.find(entry => /Article|BlogPosting|NewsArticle/.test([].concat(entry['@type']).join(' '))) || {};
+  }
+
+  jsonLdName(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.name || null;
+  }
+
+  jsonLdImage(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.url || null;
+  }
+
+  resolveUrl(value, base) {
+    if (!value) return null;
+    try {
+      return new URL(value, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  htmlToMarkdown(html) {
+    const $ = cheerio.load(html);
+    const blocks = [];
+
+    $('body').children().each((_, element) => {
+      const block = this.blockToMarkdown($, element);
+      if (block) blocks.push(block);
+    });
+
+    return blocks.join('\n\n').trim();
+  }
+
+  blockToMarkdown($, element) {
+    const tag = element.tagName ? element.tagName.toLowerCase() : '';
+
+    if (/^h[1-6]$/.test(tag)) {
+      return `${'#'.repeat(Number(tag[1]))} ${this.inlineToMarkdown($, element)}`;
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      return this.listToMarkdown($, element, 0);
+    }
+
+    if (tag === 'table') {
+      return this.tableToMarkdown($, element);
+    }
+
+    return this.inlineToMarkdown($, element);
+  }
+
+  inlineToMarkdown($, element) {
+    return $(element).contents().toArray().map(node => {
+      if (node.type === 'text') return node.data;
+
+      const tag = node.tagName ? node.tagName.toLowerCase() : '';
+      const inner = this.inlineToMarkdown($, node);
+
+      if (tag === 'strong' || tag === 'b') return inner.trim() ? `**${inner}**` : inner;
+      if (tag === 'em' || tag === 'i') return inner.trim() ? `_${inner}_` : inner;
+      if (tag === 'br') return '\n';
+      if (tag === 'a') {
+        const href = $(node).attr('href');
+        return href && !href.startsWith('#') ? `[${inner}](${href})` : inner;
+      }
+      return inner;
+    }).join('').replace(/[ \t]+/g, ' ').trim();
+  }
+
+  listToMarkdown($, list, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    $(list).children('li').each((index, item) => {
+      const nested = $(item).children('ul, ol').toArray();
+      const clone = $(item).clone();
+      clone.children('ul, ol').remove();
+
+      const marker = ordered ? `${index + 1}.` : '-';
+      lines.push(`${indent}${marker} ${this.inlineToMarkdown($, clone.get(0))}`);
+      nested.forEach(child => lines.push(this.listToMarkdown($, child, depth + 1)));
+    });
+
+    return lines.join('\n');
+  }
+
+  tableToMarkdown($, table) {
+    const rows = $(table).find('tr').toArray().map(row =>
+      $(row).children('td, th').toArray().map(cell =>
+        this.inlineToMarkdown($, cell).replace(/\n+/g, ' ').replace(/\|/g, '\\|')
+      )
+    ).filter(cells => cells.length > 0);
+
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const pad = cells => cells.concat(Array(width - cells.length).fill(''));
+    const [header, ...body] = rows.map(pad);
+
+    return [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...body.map(cells => `| ${cells.join(' | ')} |`)
+    ].join('\n');
+  }
+
+  sectionsFromMarkdown(markdown) {
+    const sections = [];
+    let current = { title: null, level: 0, lines: [] };
+
+    for (const line of markdown.split('\n')) {
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        sections.push(current);
+        current = { title: heading[2].trim(), level: heading[1].length, lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+
+    return sections
+      .map(({ title, level, lines }) => ({ title, level, content: lines.join('\n').trim() }))
+      .filter(section => section.title || section.content);
+  }
+
+  // PDFs carry no heading markup, so short title-like lines are treated as headings
+  sectionsFromPages(pages) {
+    const sections = [];
+    let current = null;
+
+    for (const page of pages) {
+      for (const line of page.text.split('\n')) {
+        if (this.looksLikeHeading(line)) {
+          current = { title: line.trim(), level: 1, page: page.number, lines: [] };
+          sections.push(current);
+        } else {
+          if (!current) {
+            current = { title: null, level: 0, page: page.number, lines: [] };
+            sections.push(current);
+          }
+          current.lines.push(line);
+        }
+      }
+    }
+
+    return sections
+      .map(({ title, level, page, lines }) => ({ title, level, page, content: lines.join('\n').trim() }))
+      .filter(section => section.title || section.content);
+  }
+
+  looksLikeHeading(line) {
+    const text = line.trim();
+    if (text.length < 3 || text.length > 80 || /[.,;:!?]$/.test(text)) return false;
+
+    const letters = text.replace(/[^A-Za-zÀ-ÿ]/g, '');
+    const isUpperCase = letters.length >= 3 && letters === letters.toUpperCase();
+    const isNumbered = /^(\d+\.|\d+(\.\d+)+|[IVX]+\.)\s+\S/.test(text);
+
+    return isUpperCase || isNumbered;
+  }
+
+  /**
+   * Keep an extraction's text as a JSON file, for hashtag research
+   * @param {Object} document - Result of buildResult()
+   * @param {Object} source - { fileName } or { url }
+   * @returns {Promise<string|null>} Saved extraction id, null when keeping is off
+   */
+  async save(document, source = {}) {
+    if (!config.extraction.keep) return null;
+
+    const id = uuidv4();
+    await fs.mkdir(config.extraction.directory, { recursive: true });
+    await fs.writeFile(path.join(config.extraction.directory, `${id}.json`), JSON.stringify({
+      id,
+      format: document.format,
+      language: document.language,
+      source,
+      text: document.text,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+    return id;
+  }
+
+  /**
+   * Saved extractions, newest first
+   * @returns {Promise<Array<Object>>} [{ id, format, language, source, text, createdAt }]
+   */
+  async listSaved() {
+    let files;
+    try {
+      files = await fs.readdir(config.extraction.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const saved = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        saved.push(JSON.parse(await fs.readFile(path.join(config.extraction.directory, file), 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable extraction ${file}:`, error.message);
+      }
+    }
+    return saved.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  buildResult(format, text, extra = {}) {
+    return {
+      format,
+      text,
+      wordCount: textAnalysisService.countWords(text),
+      characterCount: text.length,
+      language: textAnalysisService.detectLanguage(text),
+      sections: [],
+      ...extra
+    };
+  }
+}
+
+module.exports = new ExtractionService();
+module.exports.DOCX_MIME_TYPE = DOCX_MIME_TYPE;
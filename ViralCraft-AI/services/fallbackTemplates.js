@@ -0,0 +1,483 @@
+/**
+ * Fallback Templates - Localized content used when no AI provider is available
+ */
+
+const config = require('../config/app');
+const { toHashtag } = require('../utils/hashtags');
+
+const topicTag = topic => toHashtag(topic) || '';
+const pick = options => options[Math.floor(Math.random() * options.length)];
+
+const LANGUAGE_NAMES = {
+  pt: 'português do Brasil',
+  en: 'English',
+  es: 'español'
+};
+
+const TEMPLATES = {
+  pt: {
+    instagram: {
+      post: topic => `${pick([
+        `🚀 ${topic} mudou minha vida em 30 dias`,
+        `💡 O segredo de ${topic} que ninguém conta`,
+        `⚡ Como dominar ${topic} em tempo recorde`
+      ])}
+
+✨ Se você quer transformar sua relação com ${topic}, este post é para você!
+
+💪 3 estratégias comprovadas:
+• Foque no essencial (princípio 80/20)
+• Pratique consistentemente
+• Meça seus resultados
+
+📈 Resultados em 30 dias:
+• Mais clareza e foco
+• Melhores resultados
+• Menos stress e ansiedade
+
+💬 Conta nos comentários: qual sua maior dificuldade com ${topic}?
+
+${topicTag(topic)} #TransformacaoPessoal #Resultado #Foco`,
+
+      story: topic => `🔥 ${topic} em 60 segundos!
+
+→ Deslize para descobrir o método
+→ Salve para não esquecer
+→ Compartilhe com um amigo
+
+${topicTag(topic)} #DicaRapida`,
+
+      reel: topic => `POV: Você descobriu o segredo de ${topic} 🤯
+
+*música trending*
+
+Antes: Lutando com ${topic} 😤
+Depois: Dominando ${topic} 💪
+
+O que mudou? Swipe para descobrir! →
+
+${topicTag(topic)} #Transformacao #ViralContent #Fyp`
+    },
+    tiktok: {
+      video: topic => `Testei ${topic} por 30 dias e ISSO aconteceu... 😱
+
+Dia 1: Completamente perdido
+Dia 15: Começando a entender
+Dia 30: RESULTADO INCRÍVEL!
+
+Quer saber o método exato?
+Comenta "MÉTODO" que eu mando no direct! 📩
+
+${topicTag(topic)} #30DiasDesafio #TransformacaoReal #Fyp`,
+
+      trend: topic => `Tell me you're learning ${topic} without telling me you're learning ${topic}...
+
+*mostra resultados impressionantes*
+
+Parte 2? 👀
+
+${topicTag(topic)} #TellMeWithoutTellingMe #Trending #Viral`
+    },
+    youtube: {
+      video: topic => `${topic}: O Método Que Está REVOLUCIONANDO Tudo! (Resultados em 30 Dias)
+
+🎯 NESTE VÍDEO VOCÊ VAI DESCOBRIR:
+• O sistema exato que usei para dominar ${topic}
+• Os 3 erros que 90% das pessoas cometem
+• Como aplicar isso na sua vida hoje mesmo
+• Resultados reais de quem aplicou o método
+
+⏰ TIMESTAMPS:
+00:00 - Introdução
+02:30 - O Problema Principal
+05:15 - A Solução Revolucionária
+08:40 - Como Aplicar (Passo a Passo)
+12:20 - Resultados Reais
+15:00 - Conclusão e Próximos Passos
+
+💰 RECURSOS MENCIONADOS:
+• Link da planilha gratuita (descrição)
+• Curso completo (link na descrição)
+• Comunidade exclusiva (primeiro comentário)
+
+👆 SE ESTE VÍDEO TE AJUDOU:
+• Deixe seu LIKE 👍
+• INSCREVA-SE no canal 🔔
+• COMPARTILHE com quem precisa 📤
+
+💬 COMENTA AQUI: Qual sua maior dificuldade com ${topic}?
+
+${topicTag(topic)} #Tutorial #TransformacaoReal #ResultadosReais`,
+
+      short: topic => `${topic} em 60 SEGUNDOS! ⚡
+
+A técnica que mudou TUDO:
+
+✅ Passo 1: [Fundamento]
+✅ Passo 2: [Ação]
+✅ Passo 3: [Resultado]
+
+Resultado? TRANSFORMAÇÃO TOTAL! 🔥
+
+Quer o guia completo? Link na bio! 👆
+
+${topicTag(topic)} #Shorts #DicaRapida #Transformacao`
+    },
+    generic: topic => `# Conteúdo Revolucionário: ${topic}
+
+🚀 **Descoberta que Vai Mudar Sua Perspectiva**
+
+Você está pronto para uma transformação real em ${topic}?
+
+## ✨ O Que Você Vai Aprender:
+• Estratégias comprovadas e eficazes
+• Métodos que realmente funcionam
+• Como aplicar na prática hoje mesmo
+
+## 💪 Resultados Esperados:
+• Maior clareza e foco
+• Melhores resultados em menos tempo
+• Confiança para alcançar seus objetivos
+
+## 🎯 Próximos Passos:
+1. Aplique as estratégias compartilhadas
+2. Acompanhe seus resultados
+3. Ajuste conforme necessário
+
+💡 **Configure suas chaves de API para conteúdo personalizado com IA!**
+
+---
+*Conteúdo otimizado para máximo engajamento e resultados reais.*`,
+    suggestion: topic => ({
+      title: `7 Segredos Infalíveis sobre ${topic} que Ninguém te Contou`,
+      outline: [
+        `O método revolucionário que está transformando ${topic}`,
+        'Como aplicar o princípio 80/20 para resultados imediatos',
+        'Ferramentas práticas que você pode implementar hoje mesmo'
+      ],
+      hook: `"O que eu descobri sobre ${topic} mudou completamente minha perspectiva - e vai mudar a sua também."`
+    })
+  },
+
+  en: {
+    instagram: {
+      post: topic => `${pick([
+        `🚀 ${topic} changed my life in 30 days`,
+        `💡 The ${topic} secret nobody talks about`,
+        `⚡ How to master ${topic} in record time`
+      ])}
+
+✨ If you want to change your relationship with ${topic}, this post is for you!
+
+💪 3 proven strategies:
+• Focus on what matters (the 80/20 rule)
+• Practice consistently
+• Track your results
+
+📈 Results in 30 days:
+• More clarity and focus
+• Better results
+• Less stress and anxiety
+
+💬 Tell us in the comments: what's your biggest struggle with ${topic}?
+
+${topicTag(topic)} #SelfImprovement #Results #Focus`,
+
+      story: topic => `🔥 ${topic} in 60 seconds!
+
+→ Swipe to discover the method
+→ Save it for later
+→ Share it with a friend
+
+${topicTag(topic)} #QuickTip`,
+
+      reel: topic => `POV: You just found the secret to ${topic} 🤯
+
+*trending audio*
+
+Before: Struggling with ${topic} 😤
+After: Crushing ${topic} 💪
+
+What changed? Swipe to find out! →
+
+${topicTag(topic)} #Transformation #ViralContent #Fyp`
+    },
+    tiktok: {
+      video: topic => `I tried ${topic} for 30 days and THIS happened... 😱
+
+Day 1: Completely lost
+Day 15: Starting to get it
+Day 30: INCREDIBLE RESULTS!
+
+Want the exact method?
+Comment "METHOD" and I'll DM it to you! 📩
+
+${topicTag(topic)} #30DayChallenge #RealResults #Fyp`,
+
+      trend: topic => `Tell me you're learning ${topic} without telling me you're learning ${topic}...
+
+*shows impressive results*
+
+Part 2? 👀
+
+${topicTag(topic)} #TellMeWithoutTellingMe #Trending #Viral`
+    },
+    youtube: {
+      video: topic => `${topic}: The Method That's CHANGING Everything! (Results in 30 Days)
+
+🎯 IN THIS VIDEO YOU'LL LEARN:
+• The exact system I used to master ${topic}
+• The 3 mistakes 90% of people make
+• How to apply it to your life today
+• Real results from people who used the method
+
+⏰ TIMESTAMPS:
+00:00 - Introduction
+02:30 - The Core Problem
+05:15 - The Breakthrough Solution
+08:40 - How to Apply It (Step by Step)
+12:20 - Real Results
+15:00 - Wrap-up and Next Steps
+
+💰 RESOURCES MENTIONED:
+• Free spreadsheet (link in description)
+• Full course (link in description)
+• Private community (pinned comment)
+
+👆 IF THIS VIDEO HELPED YOU:
+• Hit LIKE 👍
+• SUBSCRIBE to the channel 🔔
+• SHARE it with someone who needs it 📤
+
+💬 COMMENT BELOW: What's your biggest struggle with ${topic}?
+
+${topicTag(topic)} #Tutorial #RealResults #HowTo`,
+
+      short: topic => `${topic} in 60 SECONDS! ⚡
+
+The technique that changed EVERYTHING:
+
+✅ Step 1: [Foundation]
+✅ Step 2: [Action]
+✅ Step 3: [Result]
+
+The result? TOTAL TRANSFORMATION! 🔥
+
+Want the full guide? Link in bio! 👆
+
+${topicTag(topic)} #Shorts #QuickTip #Transformation`
+    },
+    generic: topic => `# Game-Changing Content: ${topic}
+
+🚀 **A Discovery That Will Change Your Perspective**
+
+Are you ready for a real transformation in ${topic}?
+
+## ✨ What You'll Learn:
+• Proven, effective strategies
+• Methods that actually work
+• How to put them into practice today
+
+## 💪 Expected Results:
+• More clarity and focus
+• Better results in less time
+• Confidence to reach your goals
+
+## 🎯 Next Steps:
+1. Apply the strategies shared here
+2. Track your results
+3. Adjust as needed
+
+💡 **Set up your API keys for AI-personalized content!**
+
+---
+*Content optimized for maximum engagement and real results.*`,
+    suggestion: topic => ({
+      title: `7 Proven ${topic} Secrets Nobody Told You`,
+      outline: [
+        `The breakthrough method transforming ${topic}`,
+        'How to use the 80/20 rule for immediate results',
+        'Practical tools you can start using today'
+      ],
+      hook: `"What I discovered about ${topic} completely changed my perspective - and it will change yours too."`
+    })
+  },
+
+  es: {
+    instagram: {
+      post: topic => `${pick([
+        `🚀 ${topic} cambió mi vida en 30 días`,
+        `💡 El secreto de ${topic} que nadie cuenta`,
+        `⚡ Cómo dominar ${topic} en tiempo récord`
+      ])}
+
+✨ Si quieres transformar tu relación con ${topic}, ¡este post es para ti!
+
+💪 3 estrategias comprobadas:
+• Enfócate en lo esencial (principio 80/20)
+• Practica con constancia
+• Mide tus resultados
+
+📈 Resultados en 30 días:
+• Más claridad y enfoque
+• Mejores resultados
+• Menos estrés y ansiedad
+
+💬 Cuéntanos en los comentarios: ¿cuál es tu mayor dificultad con ${topic}?
+
+${topicTag(topic)} #CrecimientoPersonal #Resultados #Enfoque`,
+
+      story: topic => `🔥 ¡${topic} en 60 segundos!
+
+→ Desliza para descubrir el método
+→ Guárdalo para no olvidarlo
+→ Compártelo con un amigo
+
+${topicTag(topic)} #TipRapido`,
+
+      reel: topic => `POV: Descubriste el secreto de ${topic} 🤯
+
+*audio en tendencia*
+
+Antes: Luchando con ${topic} 😤
+Después: Dominando ${topic} 💪
+
+¿Qué cambió? ¡Desliza para descubrirlo! →
+
+${topicTag(topic)} #Transformacion #ContenidoViral #ParaTi`
+    },
+    tiktok: {
+      video: topic => `Probé ${topic} durante 30 días y pasó ESTO... 😱
+
+Día 1: Totalmente perdido
+Día 15: Empezando a entender
+Día 30: ¡RESULTADO INCREÍBLE!
+
+¿Quieres el método exacto?
+¡Comenta "MÉTODO" y te lo mando por DM! 📩
+
+${topicTag(topic)} #Reto30Dias #ResultadosReales #ParaTi`,
+
+      trend: topic => `Dime que estás aprendiendo ${topic} sin decirme que estás aprendiendo ${topic}...
+
+*muestra resultados impresionantes*
+
+¿Parte 2? 👀
+
+${topicTag(topic)} #DimeSinDecirme #Tendencia #Viral`
+    },
+    youtube: {
+      video: topic => `${topic}: ¡El Método Que Está REVOLUCIONANDO Todo! (Resultados en 30 Días)
+
+🎯 EN ESTE VIDEO VAS A DESCUBRIR:
+• El sistema exacto que usé para dominar ${topic}
+• Los 3 errores que comete el 90% de las personas
+• Cómo aplicarlo en tu vida hoy mismo
+• Resultados reales de quienes aplicaron el método
+
+⏰ TIMESTAMPS:
+00:00 - Introducción
+02:30 - El Problema Principal
+05:15 - La Solución Revolucionaria
+08:40 - Cómo Aplicarlo (Paso a Paso)
+12:20 - Resultados Reales
+15:00 - Conclusión y Próximos Pasos
+
+💰 RECURSOS MENCIONADOS:
+• Plantilla gratuita (enlace en la descripción)
+• Curso completo (enlace en la descripción)
+• Comunidad exclusiva (comentario fijado)
+
+👆 SI ESTE VIDEO TE AYUDÓ:
+• Dale LIKE 👍
+• SUSCRÍBETE al canal 🔔
+• COMPÁRTELO con quien lo necesite 📤
+
+💬 COMENTA AQUÍ: ¿Cuál es tu mayor dificultad con ${topic}?
+
+${topicTag(topic)} #Tutorial #ResultadosReales #Aprende`,
+
+      short: topic => `¡${topic} en 60 SEGUNDOS! ⚡
+
+La técnica que lo cambió TODO:
+
+✅ Paso 1: [Fundamento]
+✅ Paso 2: [Acción]
+✅ Paso 3: [Resultado]
+
+¿El resultado? ¡TRANSFORMACIÓN TOTAL! 🔥
+
+¿Quieres la guía completa? ¡Enlace en la bio! 👆
+
+${topicTag(topic)} #Shorts #TipRapido #Transformacion`
+    },
+    generic: topic => `# Contenido Revolucionario: ${topic}
+
+🚀 **Un Descubrimiento Que Cambiará Tu Perspectiva**
+
+¿Estás listo para una transformación real en ${topic}?
+
+## ✨ Lo Que Vas a Aprender:
+• Estrategias comprobadas y eficaces
+• Métodos que realmente funcionan
+• Cómo aplicarlos hoy mismo
+
+## 💪 Resultados Esperados:
+• Más claridad y enfoque
+• Mejores resultados en menos tiempo
+• Confianza para alcanzar tus objetivos
+
+## 🎯 Próximos Pasos:
+1. Aplica las estrategias compartidas
+2. Mide tus resultados
+3. Ajusta según sea necesario
+
+💡 **¡Configura tus claves de API para contenido personalizado con IA!**
+
+---
+*Contenido optimizado para máximo engagement y resultados reales.*`,
+    suggestion: topic => ({
+      title: `7 Secretos Infalibles sobre ${topic} que Nadie te Contó`,
+      outline: [
+        `El método revolucionario que está transformando ${topic}`,
+        'Cómo aplicar el principio 80/20 para resultados inmediatos',
+        'Herramientas prácticas que puedes usar hoy mismo'
+      ],
+      hook: `"Lo que descubrí sobre ${topic} cambió por completo mi perspectiva, y también cambiará la tuya."`
+    })
+  }
+};
+
+/**
+ * Reduce a language tag (e.g. 'pt-BR', 'es_MX') to a supported template language
+ * @param {string} language - Requested language
+ * @returns {string} 'pt', 'en' or 'es'; unknown languages get the default
+ */
+const resolveLanguage = (language) => {
+  const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return TEMPLATES[base] ? base : config.content.defaultLanguage;
+};
+
+const getLanguageName = (language) => {
+  const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_NAMES[base] || language;
+};
+
+/**
+ * Localized fallback content for a platform/content type pair
+ * @returns {string} Template text
+ */
+const getFallbackContent = ({ topic, platform, contentType, language }) => {
+  const templates = TEMPLATES[resolveLanguage(language)];
+  const template = templates[platform]?.[contentType] || templates.generic;
+  return template(topic);
+};
+
+const getFallbackSuggestion = ({ topic, language }) => TEMPLATES[resolveLanguage(language)].suggestion(topic);
+
+module.exports = {
+  resolveLanguage,
+  getLanguageName,
+  getFallbackContent,
+  getFallbackSuggestion
+};
@@ -0,0 +1,282 @@
+/**
+ * Hashtag Service - Hashtag research over our saved content, the YouTube
+ * analyses in data/youtube and saved extractions. Tags are ranked by how often
+ * they appear alongside the topic's keywords and by the engagement of the
+ * posts that used them, then recommended as a broad/niche/branded mix per
+ * platform. Banned and overused tags are flagged instead of recommended.
+ */
+
+const config = require('../config/app');
+const { createError } = require('../utils/error-handler');
+const { mean } = require('../utils/statistics');
+const { HASHTAG, extractHashtags, tagKey, toHashtag } = require('../utils/hashtags');
+const { versionText } = require('../utils/thread-builder');
+const YouTubeAnalyzer = require('../utils/youtube-analyzer');
+const analyticsService = require('./analyticsService');
+const extractionService = require('./extractionService');
+
+// Words shorter than this are mostly articles and prepositions, which say nothing about the topic
+const MIN_TERM_LENGTH = 4;
+
+// A tag that spells out one of the topic's words is relevant even without co-occurrences
+const DIRECT_MATCH_BONUS = 0.5;
+
+// Engagement lift is capped so one outlier post doesn't decide the ranking
+const MAX_LIFT = 1;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Lowercase without accents, so "Educação" and "educacao" are the same term
+const normalize = text => String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const termsOf = (...texts) => new Set(
+  (normalize(texts.join(' ').replace(HASHTAG, ' ')).match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length >= MIN_TERM_LENGTH)
+);
+
+class HashtagService {
+  /**
+   * Documents to mine: one per saved platform version, YouTube analysis and extraction
+   * @returns {Promise<Array<Object>>} [{ source, platform, tags, terms, engagementRate }]
+   */
+  async loadDocuments() {
+    const [content, youtube, extractions] = await Promise.all([
+      this.loadContentDocuments(),
+      YouTubeAnalyzer.getAllAnalyses().catch(error => {
+        console.warn('⚠️ YouTube analyses unavailable for hashtag research:', error.message);
+        return [];
+      }),
+      extractionService.listSaved().catch(error => {
+        console.warn('⚠️ Extractions unavailable for hashtag research:', error.message);
+        return [];
+      })
+    ]);
+
+    return [
+      ...content,
+      ...youtube.map(analysis => {
+        const { metadata = {}, engagement = {} } = analysis;
+        return {
+          source: 'youtube',
+          platform: 'youtube',
+          // Video tags are keywords without the #
+          tags: extractHashtags([metadata.description, ...(metadata.keywords || []).map(toHashtag).filter(Boolean)].join(' ')),
+          terms: termsOf(metadata.title, metadata.description, (metadata.keywords || []).join(' ')),
+          engagementRate: metadata.viewCount > 0
+            ? analyticsService.calculateEngagementRate({
+              views: metadata.viewCount,
+              likes: engagement.likeCount || 0,
+              shares: 0,
+              comments: engagement.commentCount || 0
+            })
+            : null
+        };
+      }),
+      ...extractions.map(extraction => ({
+        source: 'extraction',
+        platform: null,
+        tags: extractHashtags(extraction.text),
+        terms: termsOf(extraction.text),
+        engagementRate: null
+      }))
+    ];
+  }
+
+  /**
+   * One document per platform version of the latest Content rows, with the
+   * engagement rate of its latest analytics snapshot
+   */
+  async loadContentDocuments() {
+    if (!global.db || !global.db.isConnected) return [];
+
+    const [contents, snapshots] = await Promise.all([
+      global.db.getContent({}, { limit: config.hashtags.maxDocuments }),
+      global.db.getLatestAnalytics()
+    ]);
+    const rates = new Map(snapshots.map(snapshot => [`${snapshot.contentId}:${snapshot.platform}`, Number(snapshot.engagementRate)]));
+
+    return contents.flatMap(content => {
+      const versions = typeof content.content === 'string'
+        ? { [content.platform]: content.content }
+        : content.content || {};
+
+      return Object.entries(versions).map(([platform, version]) => {
+        const text = versionText(version);
+        const structuredTags = content.metadata?.structured?.[platform]?.hashtags || [];
+        const rate = rates.get(`${content.id}:${platform}`);
+        return {
+          source: 'content',
+          platform,
+          tags: extractHashtags(`${text} ${structuredTags.join(' ')}`),
+          terms: termsOf(content.title, (content.keywords || []).join(' '), text),
+          engagementRate: Number.isFinite(rate) ? rate : null
+        };
+      });
+    });
+  }
+
+  /**
+   * Why a tag shouldn't be used: banned by the platforms or the brand, or overused
+   * @param {Object} brandVoice - Brand voice row, optional
+   * @param {Set<string>} corpusOverused - Tag keys overused in our own posts
+   * @returns {Array<string>} Reasons: 'banned', 'brandBanned', 'overused'
+   */
+  flagsFor(tag, brandVoice = null, corpusOverused = new Set()) {
+    const key = tagKey(tag);
+    const reasons = [];
+    if (config.hashtags.banned.includes(key)) reasons.push('banned');
+    if ((brandVoice?.hashtagPolicy?.banned || []).some(banned => tagKey(banned) === key)) reasons.push('brandBanned');
+    if (config.hashtags.overused.includes(key) || corpusOverused.has(key)) reasons.push('overused');
+    return reasons;
+  }
+
+  /**
+   * Flag banned and overused tags in a list, e.g. the hashtags of generated content
+   * @param {Array<string>} tags - Hashtags to check
+   * @param {Object} brandVoice - Brand voice row, optional
+   * @returns {Object} { passed, flagged: [{ tag, reasons }] }
+   */
+  review(tags, brandVoice = null) {
+    const flagged = [...new Map((tags || []).map(tag => [tagKey(tag), tag])).values()]
+      .map(tag => ({ tag, reasons: this.flagsFor(tag, brandVoice) }))
+      .filter(entry => entry.reasons.length > 0);
+    return { passed: flagged.length === 0, flagged };
+  }
+
+  /**
+   * Recommend hashtags for a topic on a platform
+   * @param {Object} params - { topic, keywords, platform, brandVoice }
+   * @returns {Promise<Object>} { platform, hashtags, broad, niche, branded, flagged, sources }
+   *   where each recommended tag is { tag, score, relevance, engagementLift, documents, sources, tier }:
+   *   relevance (0-1) is the share of the tag's documents about the topic, engagementLift
+   *   its posts' engagement against the platform average, and score relevance x (1 + lift / 2) x 100
+   */
+  async recommend({ topic, keywords = [], platform, brandVoice = null }) {
+    if (!topic || !String(topic).trim()) {
+      throw createError('topic is required', 400);
+    }
+    if (!config.content.platforms.includes(platform)) {
+      throw createError(`Unsupported platform: ${platform}`, 400);
+    }
+
+    const documents = await this.loadDocuments();
+    const query = termsOf(topic, keywords.join(' '));
+    const stats = new Map();
+
+    for (const document of documents) {
+      const topical = [...document.terms].some(term => query.has(term));
+      for (const tag of document.tags) {
+        const key = tagKey(tag);
+        if (!stats.has(key)) stats.set(key, { spellings: new Map(), documents: 0, topical: 0, own: 0, rates: [], sources: new Set() });
+        const entry = stats.get(key);
+        entry.spellings.set(tag, (entry.spellings.get(tag) || 0) + 1);
+        entry.documents++;
+        if (topical) entry.topical++;
+        if (document.source === 'content') entry.own++;
+        // Engagement only carries over from the same platform
+        if (document.engagementRate !== null && document.platform === platform) entry.rates.push(document.engagementRate);
+        entry.sources.add(document.source);
+      }
+    }
+
+    // Tags in most of our own posts are a habit, not a choice
+    const ownPosts = documents.filter(document => document.source === 'content').length;
+    const corpusOverused = new Set(ownPosts >= config.hashtags.minDocuments
+      ? [...stats].filter(([, entry]) => entry.own / ownPosts > config.hashtags.overusedShare).map(([key]) => key)
+      : []);
+
+    const baseline = mean(documents
+      .filter(document => document.engagementRate !== null && document.platform === platform)
+      .map(document => document.engagementRate));
+
+    const candidates = [];
+    for (const [key, entry] of stats) {
+      const direct = [...query].some(term => normalize(key).includes(term));
+      const relevance = Math.min(1, entry.topical / (entry.documents + 1) + (direct ? DIRECT_MATCH_BONUS : 0));
+      if (relevance === 0) continue;
+
+      const lift = entry.rates.length > 0 && baseline > 0
+        ? Math.max(-MAX_LIFT, Math.min(MAX_LIFT, mean(entry.rates) / baseline - 1))
+        : null;
+      const [tag] = [...entry.spellings].sort((a, b) => b[1] - a[1])[0];
+
+      candidates.push({
+        tag,
+        score: Math.round(relevance * (1 + (lift || 0) / 2) * 100),
+        relevance: round(relevance),
+        engagementLift: lift === null ? null : round(lift),
+        documents: entry.documents,
+        sources: [...entry.sources],
+        // A handful of documents can't tell broad tags from niche ones
+        tier: documents.length >= config.hashtags.minDocuments && entry.documents / documents.length >= config.hashtags.broadShare
+          ? 'broad'
+          : 'niche'
+      });
+    }
+
+    // The topic and keywords as tags, for topics the corpus hasn't seen
+    const known = new Set(stats.keys());
+    for (const phrase of [topic, ...keywords]) {
+      const tag = toHashtag(phrase);
+      if (tag && !known.has(tagKey(tag))) {
+        known.add(tagKey(tag));
+        candidates.push({ tag, score: 50, relevance: 1, engagementLift: null, documents: 0, sources: ['topic'], tier: 'niche' });
+      }
+    }
+
+    // Brand voice tags are required, so they go in unless they are banned or overused
+    const mix = config.hashtags.mix[platform];
+    const brandTags = brandVoice?.hashtagPolicy?.required?.length
+      ? brandVoice.hashtagPolicy.required
+      : config.hashtags.branded.slice(0, mix.branded);
+    const brandEntries = brandTags.map(tag => ({ tag: toHashtag(tag), sources: ['brand'] })).filter(entry => entry.tag);
+    const brandKeys = new Set(brandEntries.map(entry => tagKey(entry.tag)));
+
+    // A brand tag is meant to be on every post
+    for (const key of brandKeys) corpusOverused.delete(key);
+
+    const flagged = [];
+    const branded = [];
+    for (const entry of brandEntries) {
+      const reasons = this.flagsFor(entry.tag, brandVoice, corpusOverused);
+      if (reasons.length > 0) flagged.push({ tag: entry.tag, reasons });
+      else branded.push(entry);
+    }
+
+    const usable = [];
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+      if (brandKeys.has(tagKey(candidate.tag))) continue;
+      const reasons = this.flagsFor(candidate.tag, brandVoice, corpusOverused);
+      if (reasons.length > 0) flagged.push({ tag: candidate.tag, reasons });
+      else usable.push(candidate);
+    }
+
+    const pickTier = (tier, count) => usable.filter(candidate => candidate.tier === tier).slice(0, count);
+    const broad = pickTier('broad', mix.broad);
+    const niche = pickTier('niche', mix.niche);
+
+    // Within the platform's mix and hashtag limit and the brand's cap, dropping broad tags
+    // first, then niche ones, and brand tags only when they alone are over the cap
+    const cap = Math.min(...[mix.broad + mix.niche + mix.branded, config.content.limits[platform]?.hashtags, brandVoice?.hashtagPolicy?.max]
+      .filter(limit => Number.isInteger(limit)));
+    while (broad.length + niche.length + branded.length > cap) {
+      [broad, niche, branded].find(tier => tier.length > 0).pop();
+    }
+
+    return {
+      platform,
+      hashtags: [...niche, ...broad, ...branded].map(entry => entry.tag),
+      broad,
+      niche,
+      branded,
+      flagged,
+      sources: {
+        content: ownPosts,
+        youtube: documents.filter(document => document.source === 'youtube').length,
+        extraction: documents.filter(document => document.source === 'extraction').length
+      }
+    };
+  }
+}
+
+module.exports = new HashtagService();
@@ -0,0 +1,181 @@
+/**
+ * Migration Service - Ordered, versioned schema migrations with up/down steps,
+ * tracked in a `migrations` table. Migrations live in /migrations as
+ * NNN-description.js files exporting { up(context), down(context) }; one
+ * exporting `baseline: true` is never rolled back. Each step runs in its own
+ * transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataTypes, QueryTypes } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'migrations';
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+class MigrationService {
+  /**
+   * Migration files in version order
+   * @returns {Array<Object>} [{ name, up, down }]
+   */
+  load() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => MIGRATION_FILE.test(file))
+      .sort()
+      .map(file => ({ name: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+  }
+
+  /**
+   * What migrations receive: the query interface plus helpers that keep
+   * both dialects on the same schema. Queries a migration runs itself must
+   * pass { transaction } so they are part of the step.
+   */
+  buildContext(sequelize, transaction = null) {
+    const queryInterface = sequelize.getQueryInterface();
+    const isSqlite = sequelize.getDialect() === 'sqlite';
+    const options = { transaction };
+
+    return {
+      sequelize,
+      queryInterface,
+      transaction,
+      DataTypes,
+      isSqlite,
+      // JSON documents are TEXT on SQLite and JSONB on Postgres, as in the models
+      jsonType: isSqlite ? DataTypes.TEXT : DataTypes.JSONB,
+      listType: itemType => isSqlite ? DataTypes.TEXT : DataTypes.ARRAY(itemType),
+      /**
+       * Create a table and its indexes unless it exists: databases created
+       * before migrations already have the tables sync() made
+       */
+      createTable: async (tableName, attributes, indexes = []) => {
+        if (await queryInterface.tableExists(tableName, options)) return false;
+
+        await queryInterface.createTable(tableName, attributes, options);
+        for (const index of indexes) {
+          await queryInterface.addIndex(tableName, { ...index, transaction });
+        }
+        return true;
+      },
+      dropTable: async (tableName) => {
+        await queryInterface.dropTable(tableName, options);
+        if (!isSqlite) {
+          // Postgres keeps the ENUM types (enum_<table>_<column>) of dropped tables around
+          const enums = await queryInterface.pgListEnums(null, options);
+          for (const { enum_name: name } of enums.filter(type => type.enum_name.startsWith(`enum_${tableName}_`))) {
+            await queryInterface.dropEnum(name, options);
+          }
+        }
+      },
+      // Add a column unless it exists (also for databases created by sync())
+      addColumn: async (tableName, column, attribute) => {
+        const columns = await queryInterface.describeTable(tableName, options);
+        if (columns[column]) return false;
+        await queryInterface.addColumn(tableName, column, attribute, options);
+        return true;
+      }
+    };
+  }
+
+  async ensureTable(sequelize) {
+    const queryInterface = sequelize.getQueryInterface();
+    if (await queryInterface.tableExists(MIGRATIONS_TABLE)) return;
+
+    await queryInterface.createTable(MIGRATIONS_TABLE, {
+      name: {
+        type: DataTypes.STRING,
+        primaryKey: true
+      },
+      batch: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      executedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  }
+
+  async getExecuted(sequelize) {
+    await this.ensureTable(sequelize);
+    const rows = await sequelize.query(
+      `SELECT name, batch, "executedAt" FROM ${MIGRATIONS_TABLE}`,
+      { type: QueryTypes.SELECT }
+    );
+    return rows.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Run every pending migration, as one batch
+   * @returns {Promise<Array<string>>} Names of the migrations run
+   */
+  async migrate(sequelize) {
+    const executed = await this.getExecuted(sequelize);
+    const done = new Set(executed.map(row => row.name));
+    const pending = this.load().filter(migration => !done.has(migration.name));
+    if (pending.length === 0) return [];
+
+    const batch = Math.max(0, ...executed.map(row => row.batch)) + 1;
+    const queryInterface = sequelize.getQueryInterface();
+
+    for (const migration of pending) {
+      console.log(`⬆️  Migrating ${migration.name}`);
+      // Applied and recorded together, so a failure leaves the earlier ones in place
+      // and nothing of the failed one
+      await sequelize.transaction(async transaction => {
+        await migration.up(this.buildContext(sequelize, transaction));
+        await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: migration.name, batch, executedAt: new Date() }], { transaction });
+      });
+    }
+
+    return pending.map(migration => migration.name);
+  }
+
+  /**
+   * Undo the most recent batch, newest migration first. Baseline migrations
+   * stay: they describe tables that may hold data from before migrations.
+   * @returns {Promise<Array<string>>} Names of the migrations rolled back
+   */
+  async rollback(sequelize) {
+    const migrations = new Map(this.load().map(migration => [migration.name, migration]));
+    const executed = (await this.getExecuted(sequelize)).filter(row => !migrations.get(row.name)?.baseline);
+    if (executed.length === 0) return [];
+
+    const lastBatch = Math.max(...executed.map(row => row.batch));
+    const toUndo = executed.filter(row => row.batch === lastBatch).reverse();
+
+    const missing = toUndo.find(row => !migrations.has(row.name));
+    if (missing) {
+      throw new Error(`Migration file for ${missing.name} not found, cannot roll back`);
+    }
+
+    const queryInterface = sequelize.getQueryInterface();
+    for (const row of toUndo) {
+      console.log(`⬇️  Rolling back ${row.name}`);
+      await sequelize.transaction(async transaction => {
+        await migrations.get(row.name).down(this.buildContext(sequelize, transaction));
+        await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name: row.name }, { transaction });
+      });
+    }
+
+    return toUndo.map(row => row.name);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} [{ name, status: 'up' | 'pending', batch, executedAt }]
+   */
+  async status(sequelize) {
+    const executed = new Map((await this.getExecuted(sequelize)).map(row => [row.name, row]));
+
+    return this.load().map(migration => {
+      const row = executed.get(migration.name);
+      return row
+        ? { name: migration.name, status: 'up', batch: row.batch, executedAt: row.executedAt }
+        : { name: migration.name, status: 'pending', batch: null, executedAt: null };
+    });
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,307 @@
+/**
+ * Output Schema Service - Declares the structured output expected for each
+ * platform/content type pair, and parses, validates and repairs model JSON
+ */
+
+// Fields every piece of content has
+const BASE_FIELDS = {
+  hook: { type: 'string', required: true, description: 'Frase de abertura que prende a atenção nos primeiros 3 segundos' },
+  body: { type: 'string', required: true, description: 'Desenvolvimento principal do conteúdo' },
+  cta: { type: 'string', required: true, description: 'Chamada para ação específica da plataforma' },
+  hashtags: { type: 'string[]', required: true, description: 'Hashtags relevantes, cada uma começando com #' }
+};
+
+const PLATFORM_FIELDS = {
+  instagram: {
+    caption: { type: 'string', required: false, description: 'Legenda completa pronta para publicar' }
+  },
+  tiktok: {
+    caption: { type: 'string', required: true, description: 'Legenda curta do vídeo' },
+    audioSuggestion: { type: 'string', required: false, description: 'Sugestão de áudio ou som em alta' }
+  },
+  youtube: {
+    title: { type: 'string', required: true, description: 'Título do vídeo (até 100 caracteres)' },
+    description: { type: 'string', required: true, description: 'Descrição do vídeo' }
+  },
+  linkedin: {},
+  twitter: {},
+  facebook: {
+    caption: { type: 'string', required: false, description: 'Texto da publicação pronto para publicar' }
+  }
+};
+
+const CONTENT_TYPE_FIELDS = {
+  reel: {
+    body: { type: 'string', required: true, description: 'Roteiro falado/narrado do vídeo' },
+    onScreenText: { type: 'string[]', required: true, description: 'Textos que aparecem na tela, em ordem' },
+    caption: { type: 'string', required: true, description: 'Legenda da publicação' }
+  },
+  video: {
+    body: { type: 'string', required: true, description: 'Roteiro falado/narrado do vídeo' },
+    onScreenText: { type: 'string[]', required: false, description: 'Textos que aparecem na tela, em ordem' }
+  },
+  short: {
+    body: { type: 'string', required: true, description: 'Roteiro falado/narrado do vídeo' },
+    onScreenText: { type: 'string[]', required: true, description: 'Textos que aparecem na tela, em ordem' }
+  },
+  story: {
+    onScreenText: { type: 'string[]', required: true, description: 'Texto de cada tela do story, em ordem' }
+  },
+  article: {
+    title: { type: 'string', required: true, description: 'Título do artigo' }
+  },
+  thread: {
+    posts: { type: 'string[]', required: true, description: 'Posts da thread, em ordem, o primeiro com o hook' }
+  }
+};
+
+// Fields that only make sense for one exact platform/content type pair
+const PAIR_FIELDS = {
+  'youtube:video': {
+    timestamps: { type: 'timestamp[]', required: true, description: 'Capítulos do vídeo como { "time": "mm:ss", "label": "..." }' }
+  }
+};
+
+// Shape of /api/suggest answers
+const SUGGESTION_SCHEMA = {
+  name: 'suggestion',
+  fields: {
+    title: { type: 'string', required: true, description: 'A compelling title that would go viral' },
+    outline: { type: 'string[]', required: true, description: '3-5 bullet points the content should cover' },
+    hook: { type: 'string', required: true, description: 'A suggested hook to start the content' }
+  }
+};
+
+class OutputSchemaService {
+  /**
+   * Resolve the output schema for a platform/content type pair
+   * @param {string} platform - Target platform
+   * @param {string} contentType - Content type
+   * @returns {Object} { name, fields }
+   */
+  getSchema(platform, contentType) {
+    return {
+      name: `${platform}:${contentType}`,
+      fields: {
+        ...BASE_FIELDS,
+        ...PLATFORM_FIELDS[platform],
+        ...CONTENT_TYPE_FIELDS[contentType],
+        ...PAIR_FIELDS[`${platform}:${contentType}`]
+      }
+    };
+  }
+
+  getSuggestionSchema() {
+    return SUGGESTION_SCHEMA;
+  }
+
+  /**
+   * Prompt instructions describing the JSON the model must return
+   * @param {Object} schema - Schema from getSchema()
+   * @returns {string} Instructions to append to the user prompt
+   */
+  describe(schema) {
+    const entries = Object.entries(schema.fields);
+    const lines = entries.map(([name, spec], index) => {
+      const example = {
+        'string': '"..."',
+        'string[]': '["...", "..."]',
+        'timestamp[]': '[{ "time": "00:00", "label": "..." }]'
+      }[spec.type];
+      const separator = index < entries.length - 1 ? ',' : '';
+      return `  "${name}": ${example}${separator} // ${spec.required ? '' : '(optional) '}${spec.description}`;
+    });
+
+    return `Respond ONLY with a valid JSON object, with no text before or after it, in this format:
+{
+${lines.join('\n')}
+}`;
+  }
+
+  /**
+   * Parse JSON out of raw model output, tolerating code fences, surrounding
+   * prose and trailing commas
+   * @param {string} text - Raw model output
+   * @returns {Object|null} Parsed object or null when nothing usable was found
+   */
+  parse(text) {
+    if (!text) return null;
+
+    let candidate = text.trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '');
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    candidate = candidate.slice(start, end + 1);
+
+    const attempts = [
+      candidate,
+      candidate.replace(/,\s*([}\]])/g, '$1'),
+      candidate
+        .replace(/,\s*([}\]])/g, '$1')
+        .replace(/[“”]/g, '"')
+        // Raw line breaks inside strings are invalid JSON
+        .replace(/"(?:[^"\\]|\\.)*"/gs, match => match.replace(/\r?\n/g, '\\n'))
+    ];
+
+    for (const attempt of attempts) {
+      try {
+        const value = JSON.parse(attempt);
+        if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+      } catch (error) {
+        // Try the next repair
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate an object against a schema, coercing near-misses into shape
+   * @param {Object} data - Parsed model output
+   * @param {Object} schema - Schema from getSchema()
+   * @returns {Object} { valid, errors, value }
+   */
+  validate(data, schema) {
+    const errors = [];
+    const value = {};
+
+    if (!data || typeof data !== 'object') {
+      return { valid: false, errors: ['Output is not a JSON object'], value };
+    }
+
+    for (const [name, spec] of Object.entries(schema.fields)) {
+      const coerced = this.coerce(name, data[name], spec);
+
+      if (coerced === undefined || (Array.isArray(coerced) ? coerced.length === 0 : coerced === '')) {
+        if (spec.required) errors.push(`Missing required field "${name}"`);
+        continue;
+      }
+
+      if (spec.type === 'timestamp[]' && coerced.some(entry => !entry.time || !entry.label)) {
+        errors.push(`Field "${name}" needs a time and a label in every entry`);
+        continue;
+      }
+
+      value[name] = coerced;
+    }
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  coerce(name, raw, spec) {
+    if (raw === undefined || raw === null) return undefined;
+
+    if (spec.type === 'string') {
+      if (Array.isArray(raw)) return raw.map(String).join('\n').trim();
+      if (typeof raw === 'object') return undefined;
+      return String(raw).trim();
+    }
+
+    if (spec.type === 'string[]') {
+      let items = raw;
+      if (typeof raw === 'string') {
+        items = name === 'hashtags' ? raw.split(/[\s,]+/) : raw.split('\n');
+      }
+      if (!Array.isArray(items)) return undefined;
+
+      items = items
+        .map(item => (typeof item === 'string' || typeof item === 'number') ? String(item).trim() : '')
+        .map(item => item.replace(/^[-•*]\s+/, ''))
+        .filter(Boolean);
+
+      if (name === 'hashtags') {
+        items = items.map(tag => `#${tag.replace(/^#+/, '').replace(/\s+/g, '')}`);
+      }
+      return items;
+    }
+
+    if (spec.type === 'timestamp[]') {
+      const entries = typeof raw === 'string' ? raw.split('\n') : raw;
+      if (!Array.isArray(entries)) return undefined;
+
+      return entries
+        .map(entry => {
+          if (typeof entry === 'string') {
+            const match = entry.match(/(\d{1,2}:\d{2}(?::\d{2})?)\s*[-–:]?\s*(.*)/);
+            return match ? { time: match[1], label: match[2].trim() } : null;
+          }
+          return entry && typeof entry === 'object'
+            ? { time: String(entry.time || '').trim(), label: String(entry.label || entry.title || '').trim() }
+            : null;
+        })
+        .filter(Boolean);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Best-effort structure for prose output (fallback templates or output
+   * that never matched the schema)
+   * @param {string} text - Prose content
+   * @param {Object} schema - Schema from getSchema()
+   * @returns {Object} { valid, errors, value } as in validate()
+   */
+  fromText(text, schema) {
+    const lines = text.split('\n').map(line => line.trim());
+    const nonEmpty = lines.filter(Boolean);
+    const hashtags = [...new Set(text.match(/#[\p{L}\p{N}_]+/gu) || [])];
+    const withoutTags = nonEmpty.filter(line => line.replace(/#[\p{L}\p{N}_]+/gu, '').trim());
+
+    const hook = withoutTags[0] || '';
+    const ctaLine = [...withoutTags].reverse().find(line =>
+      /\?|comente|comenta|compartilhe|salve|siga|inscreva|link|comment|share|follow|subscribe/i.test(line)
+    ) || '';
+    const body = withoutTags.slice(1).filter(line => line !== ctaLine).join('\n');
+    const timestamps = lines
+      .map(line => line.match(/^(\d{1,2}:\d{2})\s*[-–]\s*(.+)$/))
+      .filter(Boolean)
+      .map(match => ({ time: match[1], label: match[2].trim() }));
+
+    const guesses = {
+      hook,
+      body,
+      cta: ctaLine,
+      hashtags,
+      title: hook,
+      caption: body,
+      description: body,
+      timestamps,
+      posts: text.split(/\n{2,}/).map(block => block.trim()).filter(Boolean)
+    };
+
+    return this.validate(guesses, schema);
+  }
+
+  /**
+   * Render structured fields back to publishable text
+   * @param {Object} data - Validated structured fields
+   * @returns {string} Flat text
+   */
+  render(data) {
+    const blocks = [];
+
+    if (data.title) blocks.push(data.title);
+    if (data.hook && data.hook !== data.title) blocks.push(data.hook);
+    if (data.posts) {
+      blocks.push(data.posts.join('\n\n'));
+    } else if (data.body) {
+      blocks.push(data.body);
+    }
+    if (data.description && data.description !== data.body) blocks.push(data.description);
+    if (data.onScreenText) blocks.push(`🎬 Texto na tela:\n${data.onScreenText.map(text => `• ${text}`).join('\n')}`);
+    if (data.timestamps) blocks.push(`⏰ TIMESTAMPS:\n${data.timestamps.map(entry => `${entry.time} - ${entry.label}`).join('\n')}`);
+    if (data.audioSuggestion) blocks.push(`🎵 Áudio: ${data.audioSuggestion}`);
+    if (data.cta) blocks.push(data.cta);
+    if (data.disclaimers?.length) blocks.push(data.disclaimers.join('\n'));
+    if (data.caption && data.caption !== data.body) blocks.push(`📝 Legenda:\n${data.caption}`);
+    if (data.hashtags?.length) blocks.push(data.hashtags.join(' '));
+
+    return blocks.join('\n\n');
+  }
+}
+
+module.exports = new OutputSchemaService();
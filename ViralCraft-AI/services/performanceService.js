@@ -26,7 +26,10 @@ class PerformanceService {
         requests: 0,
         averageResponseTime: 0,
         errors: 0,
-        tokens: 0
+        tokens: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0
       }
     };
     
@@ -102,9 +105,12 @@ class PerformanceService {
       this.queryTimes.reduce((a, b) => a + b, 0) / this.queryTimes.length;
   }
 
-  recordAIRequest(responseTime, tokens = 0, success = true) {
+  recordAIRequest(responseTime, usage = {}, success = true) {
     this.metrics.ai.requests++;
-    this.metrics.ai.tokens += tokens;
+    this.metrics.ai.tokens += usage.totalTokens || 0;
+    this.metrics.ai.promptTokens += usage.promptTokens || 0;
+    this.metrics.ai.completionTokens += usage.completionTokens || 0;
+    this.metrics.ai.cost += usage.cost || 0;
     
     if (!success) {
       this.metrics.ai.errors++;
@@ -0,0 +1,261 @@
+/**
+ * Platform Constraint Service - Checks generated content against hard
+ * platform limits (length, hashtag count) and optionally fixes it by moving
+ * hashtags to a first comment, splitting into a thread or trimming. Also lays
+ * "thread" content out as numbered posts within the post limit.
+ */
+
+const config = require('../config/app');
+const { createError } = require('../utils/error-handler');
+const { measure, buildThread, versionText } = require('../utils/thread-builder');
+const outputSchemaService = require('./outputSchemaService');
+
+const HASHTAG = /#[\p{L}\p{N}_]+/gu;
+const ELLIPSIS = '…';
+
+const tidy = text => text
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .replace(/[ \t]{2,}/g, ' ')
+  .trim();
+
+/**
+ * Cut a text to the limit at a word boundary, ending with an ellipsis
+ */
+const trim = (text, limit, platform) => {
+  const { overflowAt } = measure(text, platform, limit - 1);
+  if (overflowAt === null) return text;
+
+  const cut = text.slice(0, overflowAt);
+  const boundary = cut.search(/\s\S*$/);
+  // Only back off to a word boundary when that doesn't throw away most of the text
+  const end = boundary > cut.length * 0.7 ? boundary : cut.length;
+  return cut.slice(0, end).replace(/[\s.,;:!?-]+$/u, '') + ELLIPSIS;
+};
+
+const hashtagsOf = text => [...text.matchAll(HASHTAG)];
+
+const removeHashtags = (text, keep = 0) => {
+  let seen = 0;
+  return tidy(text.replace(HASHTAG, tag => (seen++ < keep ? tag : '')));
+};
+
+class PlatformConstraintService {
+  /**
+   * Limits of a platform
+   * @returns {Object} { [field]: maxCharacters, hashtags?: maxHashtags }
+   */
+  getLimits(platform) {
+    const limits = config.content.limits[platform];
+    if (!limits) {
+      throw createError(`Unsupported platform: ${platform}`, 400);
+    }
+    return limits;
+  }
+
+  /**
+   * Character limit of one post on a platform: its text, or caption, limit
+   */
+  getPostLimit(platform) {
+    const limits = this.getLimits(platform);
+    return limits.text || limits.caption || limits.description;
+  }
+
+  /**
+   * Lay a "thread" result out as numbered posts within the platform's post
+   * limit: the hook opens post 1 and the CTA closes the last post
+   * @param {Object} result - Generation result ({ content, structured, ... })
+   * @param {string} platform - Target platform
+   * @returns {Object} The result with structured.posts set and content rebuilt from them
+   */
+  buildThread(result, platform) {
+    const structured = result.structured || {};
+    const body = Array.isArray(structured.posts) && structured.posts.length > 0
+      ? structured.posts
+      : structured.body || result.content || '';
+    const posts = buildThread(
+      {
+        hook: structured.hook,
+        body,
+        cta: structured.cta,
+        disclaimers: structured.disclaimers || [],
+        hashtags: structured.hashtags || []
+      },
+      { platform, limit: this.getPostLimit(platform) }
+    );
+
+    return {
+      ...result,
+      structured: { ...structured, posts },
+      content: versionText(posts)
+    };
+  }
+
+  /**
+   * Texts the limits apply to, each with the field it is stored in.
+   * The published text is the rendered content; YouTube's title and
+   * description are their structured fields. Threads are checked per post.
+   * @returns {Array<Object>} [{ field, limit, text }]
+   */
+  getFields(result, platform) {
+    const limits = this.getLimits(platform);
+    const structured = result.structured || {};
+    const fields = [];
+
+    for (const [field, limit] of Object.entries(limits)) {
+      if (field === 'hashtags') continue;
+
+      if (field === 'title') {
+        if (structured.title) fields.push({ field, limit, text: structured.title });
+      } else if (field === 'description') {
+        fields.push({ field, limit, text: structured.description || result.content || '' });
+      } else if (Array.isArray(structured.posts) && structured.posts.length > 0) {
+        structured.posts.forEach((post, index) => fields.push({ field: `posts[${index}]`, limit, text: post }));
+      } else {
+        fields.push({ field, limit, text: result.content || '' });
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Find limit violations, with their [start, end) offsets in the field's text
+   * @param {Object} result - Generation result ({ content, structured, ... })
+   * @param {string} platform - Target platform
+   * @returns {Array<Object>} [{ rule, field, limit, value, message, start, end }]
+   */
+  check(result, platform) {
+    const limits = this.getLimits(platform);
+    const fields = this.getFields(result, platform);
+    const violations = [];
+
+    for (const { field, limit, text } of fields) {
+      const { length, overflowAt } = measure(text, platform, limit);
+      if (overflowAt !== null) {
+        violations.push({
+          rule: 'maxLength',
+          field,
+          limit,
+          value: length,
+          message: `${field} has ${length} characters, the ${platform} limit is ${limit}`,
+          start: overflowAt,
+          end: text.length
+        });
+      }
+    }
+
+    if (limits.hashtags !== undefined) {
+      // Hashtags are counted where the platform reads them: the caption, or YouTube's description
+      const { field, text } = fields.find(entry => entry.field !== 'title') || fields[0];
+      const hashtags = hashtagsOf(text);
+      if (hashtags.length > limits.hashtags) {
+        const extra = hashtags.slice(limits.hashtags);
+        violations.push({
+          rule: 'maxHashtags',
+          field,
+          limit: limits.hashtags,
+          value: hashtags.length,
+          message: `${hashtags.length} hashtags, the ${platform} limit is ${limits.hashtags}`,
+          start: extra[0].index,
+          end: extra[extra.length - 1].index + extra[extra.length - 1][0].length
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check a result and, with `fix`, repair what can be repaired without the model:
+   * - too many hashtags: moved to a first comment where the platform allows it, otherwise the extras are dropped
+   * - X post too long: split into a numbered thread (thread posts are split in place)
+   * - any other text too long: hashtags moved to a first comment first, then trimmed
+   * @param {Object} result - Generation result ({ content, structured, ... })
+   * @param {string} platform - Target platform
+   * @param {Object} options - { fix }
+   * @returns {Object} { result, constraints: { passed, violations, fixes } }
+   */
+  enforce(result, platform, { fix = false } = {}) {
+    const initial = this.check(result, platform);
+    if (!fix || initial.length === 0) {
+      return { result, constraints: { passed: initial.length === 0, violations: initial, fixes: [] } };
+    }
+
+    const limits = this.getLimits(platform);
+    const canMoveHashtags = config.content.firstCommentPlatforms.includes(platform);
+    const fixes = [];
+    const fixed = { ...result, structured: { ...(result.structured || {}) } };
+    let postsChanged = false;
+
+    const moveHashtags = () => {
+      const tags = [...new Set(hashtagsOf(fixed.content).map(match => match[0]))];
+      if (tags.length === 0) return;
+      const kept = limits.hashtags === undefined ? tags : tags.slice(0, limits.hashtags);
+      fixed.firstComment = [fixed.firstComment, kept.join(' ')].filter(Boolean).join('\n');
+      fixed.structured.firstComment = fixed.firstComment;
+      fixed.structured.hashtags = [];
+      fixed.content = removeHashtags(fixed.content);
+      if (Array.isArray(fixed.structured.posts)) {
+        fixed.structured.posts = fixed.structured.posts.map(post => removeHashtags(post)).filter(Boolean);
+        postsChanged = true;
+      }
+      fixes.push(`Moved ${kept.length} hashtags to the first comment` +
+        (kept.length < tags.length ? `, dropped ${tags.length - kept.length}` : ''));
+    };
+
+    if (initial.some(violation => violation.rule === 'maxHashtags')) {
+      if (canMoveHashtags) {
+        moveHashtags();
+      } else {
+        const description = fixed.structured.description;
+        if (description) fixed.structured.description = removeHashtags(description, limits.hashtags);
+        else fixed.content = removeHashtags(fixed.content, limits.hashtags);
+        fixed.structured.hashtags = (fixed.structured.hashtags || []).slice(0, limits.hashtags);
+        fixes.push(`Kept the first ${limits.hashtags} hashtags`);
+      }
+    }
+
+    const tooLong = this.check(fixed, platform).filter(entry => entry.rule === 'maxLength');
+    const longPosts = tooLong.filter(entry => entry.field.startsWith('posts['));
+    if (longPosts.length > 0) {
+      // Rebuilt rather than spliced, so the numbering counts the posts the split adds
+      const count = fixed.structured.posts.length;
+      fixed.structured.posts = buildThread({ body: fixed.structured.posts }, { platform, limit: longPosts[0].limit });
+      postsChanged = true;
+      fixes.push(`Split ${longPosts.length} thread ${longPosts.length === 1 ? 'post' : 'posts'}, ` +
+        `renumbering ${count} posts as ${fixed.structured.posts.length}`);
+    }
+
+    for (const violation of tooLong.filter(entry => !entry.field.startsWith('posts['))) {
+      const { field, limit } = violation;
+
+      if (platform === 'twitter') {
+        fixed.structured.posts = buildThread({ body: fixed.content }, { platform, limit });
+        postsChanged = true;
+        fixes.push(`Split into a thread of ${fixed.structured.posts.length} posts`);
+      } else if (field === 'title' || (field === 'description' && fixed.structured.description)) {
+        fixed.structured[field] = trim(fixed.structured[field], limit, platform);
+        fixes.push(`Trimmed ${field} to ${limit} characters`);
+      } else {
+        if (canMoveHashtags && !fixed.firstComment) {
+          moveHashtags();
+          if (measure(fixed.content, platform).length <= limit) continue;
+        }
+        fixed.content = trim(fixed.content, limit, platform);
+        fixes.push(`Trimmed ${field} to ${limit} characters`);
+      }
+    }
+
+    // Thread posts and structured fields are what gets published, so the text follows them
+    if (postsChanged) {
+      fixed.content = versionText(fixed.structured.posts);
+    } else if (fixed.structured.title !== result.structured?.title || fixed.structured.description !== result.structured?.description) {
+      fixed.content = outputSchemaService.render(fixed.structured);
+    }
+
+    const violations = this.check(fixed, platform);
+    return { result: fixed, constraints: { passed: violations.length === 0, violations, fixes } };
+  }
+}
+
+module.exports = new PlatformConstraintService();
@@ -0,0 +1,274 @@
+/**
+ * Prompt Template Service - Versioned prompt templates stored in the database,
+ * with per-platform/contentType overrides and built-in defaults
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/app');
+const { createError } = require('../utils/error-handler');
+
+// Built-in templates, used when the database has no active version for a key
+const DEFAULT_TEMPLATES = {
+  'generation.system': {
+    description: 'System prompt for content generation',
+    variables: ['topic', 'platform', 'contentType', 'tone', 'keywords', 'extractedData', 'additionalContext', 'language'],
+    body: `Você é um especialista em criação de conteúdo viral otimizado para {{platform}}.
+
+DIRETRIZES DE PERFORMANCE:
+- Hooks irresistíveis nos primeiros 3 segundos
+- Storytelling emocional e conectivo
+- Call-to-actions estratégicos para máximo engajamento
+- Otimização para algoritmos de {{platform}}
+- Linguagem {{tone|inspiradora e acessível}}
+
+ESTRUTURA OTIMIZADA:
+1. Hook magnético (curiosidade/surpresa)
+2. Desenvolvimento envolvente com valor prático
+3. Exemplos concretos e aplicáveis
+4. CTA específico para {{platform}}
+
+Tipo: {{contentType}} | Plataforma: {{platform}}`
+  },
+  'generation.user': {
+    description: 'User prompt for content generation',
+    variables: ['topic', 'platform', 'contentType', 'tone', 'keywords', 'extractedData', 'additionalContext', 'language'],
+    body: `Tópico: {{topic}}
+{{#keywords}}Palavras-chave: {{keywords}}{{/keywords}}
+{{#extractedData}}
+Base de dados: {{extractedData}}{{/extractedData}}
+{{#additionalContext}}
+Contexto: {{additionalContext}}{{/additionalContext}}
+
+Crie conteúdo otimizado para máximo engajamento e potencial viral.`
+  },
+  'suggestion.system': {
+    description: 'System prompt for title/outline/hook suggestions',
+    variables: ['topic', 'platform', 'contentType', 'tone', 'keywords', 'extractedData', 'additionalContext', 'language'],
+    body: `You are an expert content strategist specializing in viral content creation.
+Your task is to suggest a compelling title and brief content outline that follows the Soulclap template.
+
+Platform: {{platform}}
+Type: {{contentType}}
+Tone: {{tone|inspiring, accessible and transformative}}`
+  },
+  'suggestion.user': {
+    description: 'User prompt for title/outline/hook suggestions',
+    variables: ['topic', 'platform', 'contentType', 'tone', 'keywords', 'extractedData', 'additionalContext', 'language'],
+    body: `Topic: {{topic}}
+Keywords: {{keywords}}
+{{#extractedData}}
+Extracted data to use as basis:
+{{extractedData}}{{/extractedData}}
+{{#additionalContext}}
+Additional context:
+{{additionalContext}}{{/additionalContext}}
+
+Suggest a title that would go viral on {{platform}}, an outline and a hook.`
+  },
+  'translation.system': {
+    description: 'System prompt for localizing saved content into another language',
+    variables: ['topic', 'platform', 'contentType', 'language', 'source'],
+    body: `You are a native {{language}} social media copywriter who localizes content for {{platform}}.
+Translate the meaning, not the words: replace idioms and references with ones that feel natural to {{language}} speakers.
+Rewrite the call to action the way {{language}}-speaking creators phrase it on {{platform}}.
+Replace hashtags with the ones {{language}}-speaking audiences actually follow; keep brand and product hashtags unchanged.`
+  },
+  'translation.user': {
+    description: 'User prompt for localizing saved content into another language',
+    variables: ['topic', 'platform', 'contentType', 'language', 'source'],
+    body: `Localize this {{platform}} {{contentType}} about "{{topic}}" into {{language}}.
+
+Original:
+{{source}}`
+  }
+};
+
+class PromptTemplateService {
+  getDefaults() {
+    return Object.entries(DEFAULT_TEMPLATES).map(([key, template]) => ({ key, ...template }));
+  }
+
+  /**
+   * Find the template to use for a key, preferring the most specific override
+   * (platform + contentType, then platform, then contentType, then global)
+   * @param {string} key - Template key, e.g. 'generation.system'
+   * @param {Object} scope - { platform, contentType }
+   * @returns {Promise<Object>} Template row, or the built-in default with source 'default'
+   */
+  async resolve(key, scope = {}) {
+    const { platform = null, contentType = null } = scope;
+
+    const candidates = await this.query({
+      key,
+      isActive: true,
+      platform: { [Op.or]: [platform, null] },
+      contentType: { [Op.or]: [contentType, null] }
+    });
+
+    const specificity = template => (template.platform ? 2 : 0) + (template.contentType ? 1 : 0);
+    const best = candidates.sort((a, b) => specificity(b) - specificity(a) || b.version - a.version)[0];
+
+    if (best) {
+      return { ...best, source: 'database' };
+    }
+
+    return { key, platform: null, contentType: null, version: 0, ...DEFAULT_TEMPLATES[key], source: 'default' };
+  }
+
+  /**
+   * Resolve and render a template
+   * @param {string} key - Template key
+   * @param {Object} scope - { platform, contentType }
+   * @param {Object} variables - Values for the template variables
+   * @param {string} overrideBody - Body to render instead of the registry's (experiment variants)
+   * @returns {Promise<Object>} { text, template: { key, id, version, platform, contentType, source } }
+   */
+  async renderTemplate(key, scope, variables, overrideBody) {
+    const template = overrideBody
+      ? { key, body: overrideBody, version: null, platform: null, contentType: null, source: 'experiment' }
+      : await this.resolve(key, scope);
+
+    return {
+      text: this.render(template.body, variables),
+      template: {
+        key,
+        id: template.id || null,
+        version: template.version,
+        platform: template.platform,
+        contentType: template.contentType,
+        source: template.source
+      }
+    };
+  }
+
+  /**
+   * Fill {{name}}, {{name|fallback}} and {{#name}}...{{/name}} blocks
+   * @param {string} body - Template body
+   * @param {Object} variables - Values; arrays are joined with commas
+   * @returns {string} Rendered text
+   */
+  render(body, variables) {
+    const valueOf = name => {
+      const value = variables[name];
+      if (Array.isArray(value)) return value.join(', ');
+      return value === undefined || value === null ? '' : String(value);
+    };
+
+    return body
+      .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, name, inner) => valueOf(name) ? inner : '')
+      .replace(/{{(\w+)(?:\|([^}]*))?}}/g, (match, name, fallback) => valueOf(name) || fallback || '')
+      // Skipped blocks leave empty lines behind
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  getVariables(body) {
+    const names = [...body.matchAll(/{{[#/]?(\w+)(?:\|[^}]*)?}}/g)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+
+  async list(filters = {}) {
+    const where = {};
+    if (filters.key) where.key = filters.key;
+    if (filters.platform) where.platform = filters.platform;
+    if (filters.contentType) where.contentType = filters.contentType;
+    if (!filters.includeInactive) where.isActive = true;
+
+    return this.query(where);
+  }
+
+  async get(id) {
+    this.ensureDatabase();
+    const template = await global.db.getPromptTemplateById(id);
+    if (!template) {
+      throw createError('Prompt template not found', 404);
+    }
+    return template;
+  }
+
+  /**
+   * Save a new version of a template; the scope's version number increments
+   * @param {Object} data - { key, platform, contentType, body, description }
+   * @returns {Promise<Object>} Created template row
+   */
+  async create(data) {
+    this.ensureDatabase();
+    const { key, body, description } = data;
+    const platform = data.platform || null;
+    const contentType = data.contentType || null;
+
+    this.validate({ key, platform, contentType, body });
+
+    const versions = await global.db.getPromptTemplates({ key, platform, contentType });
+    const version = versions.reduce((max, template) => Math.max(max, template.version), 0) + 1;
+
+    return global.db.createPromptTemplate({
+      key,
+      platform,
+      contentType,
+      version,
+      body,
+      variables: this.getVariables(body),
+      description: description || DEFAULT_TEMPLATES[key].description,
+      isActive: true
+    });
+  }
+
+  /**
+   * Edit a template by saving the changes as the next version of its scope;
+   * earlier versions are kept so generated content stays traceable
+   */
+  async update(id, changes) {
+    const current = await this.get(id);
+
+    return this.create({
+      key: current.key,
+      platform: current.platform,
+      contentType: current.contentType,
+      body: changes.body || current.body,
+      description: changes.description || current.description
+    });
+  }
+
+  /**
+   * Deactivate a version; resolution falls back to the previous active one
+   */
+  async deactivate(id) {
+    await this.get(id);
+    return global.db.updatePromptTemplate(id, { isActive: false });
+  }
+
+  validate({ key, platform, contentType, body }) {
+    const template = DEFAULT_TEMPLATES[key];
+    if (!template) {
+      throw createError(`Unknown template key "${key}". Use one of: ${Object.keys(DEFAULT_TEMPLATES).join(', ')}`, 400);
+    }
+    if (platform && !config.content.platforms.includes(platform)) {
+      throw createError(`Unsupported platform "${platform}"`, 400);
+    }
+    if (contentType && !config.content.contentTypes.includes(contentType)) {
+      throw createError(`Unsupported content type "${contentType}"`, 400);
+    }
+    if (!body || !body.trim()) {
+      throw createError('Template body is required', 400);
+    }
+
+    const unknown = this.getVariables(body).filter(name => !template.variables.includes(name));
+    if (unknown.length) {
+      throw createError(`Unknown variables for ${key}: ${unknown.join(', ')}`, 400, { allowed: template.variables });
+    }
+  }
+
+  async query(where) {
+    if (!global.db || !global.db.isConnected) return [];
+    return global.db.getPromptTemplates(where);
+  }
+
+  ensureDatabase() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+  }
+}
+
+module.exports = new PromptTemplateService();
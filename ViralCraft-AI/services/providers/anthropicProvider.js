@@ -0,0 +1,149 @@
+/**
+ * Anthropic Provider - Claude models through the Messages API
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.options = options;
+    this.models = options.models || {};
+    this.client = null;
+    this.available = false;
+    this.supportsVision = true;
+    this.supportsImages = false;
+  }
+
+  isConfigured() {
+    const key = process.env.ANTHROPIC_API_KEY;
+    return !!key &&
+           key !== 'your_anthropic_api_key_here' &&
+           key.startsWith('sk-ant-');
+  }
+
+  async initialize() {
+    this.client = null;
+    this.available = false;
+
+    if (!this.isConfigured()) return false;
+
+    this.client = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      timeout: this.options.timeout || 30000,
+      maxRetries: this.options.maxRetries || 3
+    });
+
+    this.available = await this.testConnection();
+    return this.available;
+  }
+
+  async testConnection() {
+    try {
+      await this.client.messages.create({
+        model: this.resolveModel({ modelTier: 'fast' }),
+        messages: [{ role: 'user', content: 'Test connection' }],
+        max_tokens: 5
+      });
+
+      console.log('✅ anthropic connection verified');
+      return true;
+    } catch (error) {
+      console.error('❌ anthropic connection test failed:', error.message);
+      return false;
+    }
+  }
+
+  resolveModel(request = {}) {
+    return request.model || this.models[request.modelTier] || this.models.default;
+  }
+
+  buildMessages(request) {
+    if (!request.images?.length) {
+      return [{ role: 'user', content: request.prompt }];
+    }
+
+    return [{
+      role: 'user',
+      content: [
+        ...request.images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: request.prompt }
+      ]
+    }];
+  }
+
+  /**
+   * Run a single completion
+   * @param {Object} request - { system, prompt, images, model, modelTier, maxTokens, temperature, signal }
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async complete(request) {
+    const model = this.resolveModel(request);
+
+    const response = await this.client.messages.create({
+      model,
+      system: request.system,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens || 1000,
+      temperature: request.temperature ?? 0.7
+    }, { signal: request.signal });
+
+    const promptTokens = response.usage?.input_tokens || 0;
+    const completionTokens = response.usage?.output_tokens || 0;
+
+    return {
+      text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Stream a completion as it is generated
+   * @param {Object} request - Same shape as complete()
+   * @yields {Object} { delta } for each text chunk, then { done, model, usage }
+   */
+  async *stream(request) {
+    const model = this.resolveModel(request);
+
+    const stream = await this.client.messages.create({
+      model,
+      system: request.system,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens || 1000,
+      temperature: request.temperature ?? 0.7,
+      stream: true
+    }, { signal: request.signal });
+
+    let promptTokens = 0;
+    let completionTokens = 0;
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        promptTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield { delta: event.delta.text };
+      } else if (event.type === 'message_delta') {
+        completionTokens = event.usage?.output_tokens || completionTokens;
+      }
+    }
+
+    yield {
+      done: true,
+      model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async generateImage() {
+    throw new Error('Anthropic does not support image generation');
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,48 @@
+/**
+ * Local Provider - Any OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio)
+ */
+
+const { OpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'local';
+    this.supportsVision = !!this.models.vision;
+    this.supportsImages = false;
+    // Most local servers reject OpenAI's stream_options
+    this.streamUsage = false;
+  }
+
+  isConfigured() {
+    return !!this.options.baseUrl;
+  }
+
+  createClient() {
+    return new OpenAI({
+      baseURL: this.options.baseUrl,
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      timeout: this.options.timeout || 120000,
+      maxRetries: 1
+    });
+  }
+
+  async testConnection() {
+    try {
+      await this.client.models.list();
+      console.log(`✅ ${this.name} LLM endpoint reachable at ${this.options.baseUrl}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${this.name} LLM endpoint unreachable:`, error.message);
+      return false;
+    }
+  }
+
+  async generateImage() {
+    throw new Error('Local provider does not support image generation');
+  }
+}
+
+module.exports = LocalProvider;
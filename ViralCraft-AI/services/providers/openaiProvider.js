@@ -0,0 +1,173 @@
+/**
+ * OpenAI Provider - Chat completions, vision and image generation through the OpenAI API
+ */
+
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.options = options;
+    this.models = options.models || {};
+    this.client = null;
+    this.available = false;
+    this.supportsVision = true;
+    this.supportsImages = true;
+    this.streamUsage = true;
+  }
+
+  isConfigured() {
+    const key = process.env.OPENAI_API_KEY;
+    return !!key &&
+           key !== 'your_openai_api_key_here' &&
+           key.length > 20 &&
+           key.startsWith('sk-');
+  }
+
+  createClient() {
+    return new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: this.options.timeout || 30000,
+      maxRetries: this.options.maxRetries || 3,
+      defaultHeaders: {
+        'User-Agent': 'ViralCraft-AI/1.0'
+      }
+    });
+  }
+
+  async initialize() {
+    this.client = null;
+    this.available = false;
+
+    if (!this.isConfigured()) return false;
+
+    this.client = this.createClient();
+    this.available = await this.testConnection();
+    return this.available;
+  }
+
+  async testConnection() {
+    try {
+      await this.client.chat.completions.create({
+        model: this.resolveModel({ modelTier: 'fast' }),
+        messages: [{ role: 'user', content: 'Test connection' }],
+        max_tokens: 5
+      });
+
+      console.log(`✅ ${this.name} connection verified`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${this.name} connection test failed:`, error.message);
+      return false;
+    }
+  }
+
+  resolveModel(request = {}) {
+    return request.model || this.models[request.modelTier] || this.models.default;
+  }
+
+  buildMessages(request) {
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+
+    if (request.images?.length) {
+      messages.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: request.prompt },
+          ...request.images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      });
+    } else {
+      messages.push({ role: 'user', content: request.prompt });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Run a single completion
+   * @param {Object} request - { system, prompt, images, model, modelTier, maxTokens, temperature, signal }
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async complete(request) {
+    const model = this.resolveModel(request);
+
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens || 1000,
+      temperature: request.temperature ?? 0.7,
+      presence_penalty: request.presencePenalty,
+      frequency_penalty: request.frequencyPenalty
+    }, { signal: request.signal });
+
+    return {
+      text: response.choices[0].message.content,
+      model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Stream a completion as it is generated
+   * @param {Object} request - Same shape as complete()
+   * @yields {Object} { delta } for each text chunk, then { done, model, usage }
+   */
+  async *stream(request) {
+    const model = this.resolveModel(request);
+
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens || 1000,
+      temperature: request.temperature ?? 0.7,
+      presence_penalty: request.presencePenalty,
+      frequency_penalty: request.frequencyPenalty,
+      stream: true,
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+    }, { signal: request.signal });
+
+    let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield { delta };
+
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens || 0,
+          completionTokens: chunk.usage.completion_tokens || 0,
+          totalTokens: chunk.usage.total_tokens || 0
+        };
+      }
+    }
+
+    yield { done: true, model, usage };
+  }
+
+  async generateImage(prompt, options = {}) {
+    const model = options.model || this.models.image;
+
+    const response = await this.client.images.generate({
+      model,
+      prompt,
+      n: 1,
+      size: options.size || '1024x1024',
+      quality: options.quality || 'hd',
+      style: options.artistic_style || 'vivid'
+    });
+
+    return { imageUrl: response.data[0].url, model };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,43 @@
+/**
+ * File Publisher - Writes each publish as a JSON file, for local testing without platform accounts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class FilePublisher {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.options = options;
+  }
+
+  isConfigured() {
+    return !!this.options.directory;
+  }
+
+  /**
+   * @param {Object} post - { schedule, content, platform, text }
+   * @returns {Promise<Object>} { externalId, url }
+   */
+  async publish({ schedule, content, platform, text }) {
+    await fs.mkdir(this.options.directory, { recursive: true });
+
+    const externalId = `${content.id}-${platform}-${Date.now()}`;
+    const file = path.join(this.options.directory, `${externalId}.json`);
+    await fs.writeFile(file, JSON.stringify({
+      scheduleId: schedule.id,
+      contentId: content.id,
+      platform,
+      title: content.title,
+      type: content.type,
+      text,
+      scheduledAt: schedule.scheduledAt,
+      timezone: schedule.timezone,
+      publishedAt: new Date().toISOString()
+    }, null, 2));
+
+    return { externalId, url: `file://${path.resolve(file)}` };
+  }
+}
+
+module.exports = FilePublisher;
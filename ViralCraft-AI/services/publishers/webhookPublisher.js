@@ -0,0 +1,53 @@
+/**
+ * Webhook Publisher - POSTs each publish to a URL (Zapier, Make, n8n or an own endpoint),
+ * signed with HMAC-SHA256 when a secret is set
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+class WebhookPublisher {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.options = options;
+  }
+
+  isConfigured() {
+    return !!this.options.url;
+  }
+
+  /**
+   * @param {Object} post - { schedule, content, platform, text }
+   * @returns {Promise<Object>} { externalId, url } as answered by the webhook, when it does
+   */
+  async publish({ schedule, content, platform, text }) {
+    const payload = JSON.stringify({
+      event: 'content.publish',
+      scheduleId: schedule.id,
+      contentId: content.id,
+      platform,
+      title: content.title,
+      type: content.type,
+      text,
+      keywords: content.keywords,
+      scheduledAt: schedule.scheduledAt,
+      timezone: schedule.timezone
+    });
+
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'ViralCraft-AI/1.0' };
+    if (this.options.secret) {
+      headers['X-ViralCraft-Signature'] = `sha256=${crypto.createHmac('sha256', this.options.secret).update(payload).digest('hex')}`;
+    }
+
+    // Non-2xx answers reject, so the scheduler retries them
+    const response = await axios.post(this.options.url, payload, {
+      headers,
+      timeout: this.options.timeout || 10000
+    });
+
+    const body = response.data && typeof response.data === 'object' ? response.data : {};
+    return { externalId: body.id || null, url: body.url || null, status: response.status };
+  }
+}
+
+module.exports = WebhookPublisher;
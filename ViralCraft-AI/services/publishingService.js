@@ -0,0 +1,362 @@
+/**
+ * Publishing Service - Database-backed scheduler that publishes content per
+ * platform at its scheduled time, retrying failures with backoff
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/error-handler');
+const { isValidTimeZone, parseInTimeZone, formatInTimeZone } = require('../utils/timezone');
+const FilePublisher = require('./publishers/filePublisher');
+const WebhookPublisher = require('./publishers/webhookPublisher');
+
+// Schedules still waiting to be published
+const ACTIVE_STATUSES = ['pending', 'publishing'];
+
+class PublishingService {
+  constructor() {
+    const { publishers } = config.publishing;
+    this.publishers = new Map();
+    this.registerPublisher(new FilePublisher(publishers.file));
+    this.registerPublisher(new WebhookPublisher(publishers.webhook));
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Add or replace a publisher. Publishers have a `name`, `isConfigured()`
+   * and `publish({ schedule, content, platform, text })` resolving to
+   * { externalId, url }; a rejection counts as a failed attempt.
+   */
+  registerPublisher(publisher) {
+    this.publishers.set(publisher.name, publisher);
+  }
+
+  getPublisher(name = config.publishing.publisher) {
+    const publisher = this.publishers.get(name);
+    if (!publisher) {
+      throw createError(`Unknown publisher: ${name}`, 400, { available: [...this.publishers.keys()] });
+    }
+    if (!publisher.isConfigured()) {
+      throw createError(`Publisher ${name} is not configured`, 400);
+    }
+    return publisher;
+  }
+
+  listPublishers() {
+    return [...this.publishers.values()].map(publisher => ({
+      name: publisher.name,
+      configured: publisher.isConfigured(),
+      default: publisher.name === config.publishing.publisher
+    }));
+  }
+
+  /**
+   * Text published on a platform: its version of the content, or the content
+   * itself when it is a single text
+   */
+  getPlatformText(content, platform) {
+    const versions = content.content;
+    if (typeof versions === 'string') return versions;
+
+    const version = versions?.[platform];
+    if (Array.isArray(version)) return version.join('\n\n');
+    return typeof version === 'string' ? version : null;
+  }
+
+  db() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    return global.db;
+  }
+
+  /**
+   * Requeue schedules interrupted by a restart and start polling for due ones
+   */
+  async initialize() {
+    if (!global.db || !global.db.isConnected) return;
+
+    const reset = await global.db.resetStalePublishSchedules();
+    if (reset > 0) {
+      logger.warn(`Requeued ${reset} schedule(s) interrupted while publishing`);
+    }
+
+    this.start();
+    console.log('📅 Publishing scheduler started');
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), config.publishing.pollInterval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    this.processDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule a content on one or more platforms, replacing their earlier schedules
+   * @param {Object} request - { contentId, platforms, publishAt, timezone, publisher, userId }
+   *   where publishAt is ISO 8601, read as wall-clock time in `timezone` when it has no offset
+   * @returns {Promise<Array<Object>>} One schedule per platform
+   */
+  async schedule({ contentId, platforms, publishAt, timezone = 'UTC', publisher, userId }) {
+    const db = this.db();
+
+    if (!isValidTimeZone(timezone)) {
+      throw createError(`Invalid timezone: ${timezone}`, 400);
+    }
+    const scheduledAt = parseInTimeZone(publishAt, timezone);
+    if (!scheduledAt) {
+      throw createError('publishAt must be an ISO 8601 date', 400);
+    }
+    if (publisher) this.getPublisher(publisher);
+
+    const content = await db.getContentById(contentId);
+    if (!content) {
+      throw createError('Content not found', 404);
+    }
+
+    const targets = [...new Set(platforms?.length ? platforms : [content.platform])];
+    for (const platform of targets) {
+      if (!config.content.platforms.includes(platform)) {
+        throw createError(`Unsupported platform: ${platform}`, 400);
+      }
+      if (!this.getPlatformText(content, platform)) {
+        throw createError(`Content has no ${platform} version`, 400);
+      }
+    }
+
+    const schedules = [];
+    for (const platform of targets) {
+      const fields = {
+        scheduledAt,
+        timezone,
+        publisher: publisher || null,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: scheduledAt,
+        lastError: null,
+        userId: userId || null
+      };
+
+      const existing = await db.findPublishSchedule(contentId, platform);
+      if (existing?.status === 'publishing') {
+        throw createError(`Content is being published on ${platform}`, 409);
+      }
+
+      schedules.push(existing
+        ? await db.updatePublishSchedule(existing.id, { ...fields, result: null, publishedAt: null })
+        : await db.createPublishSchedule({ contentId, platform, ...fields }));
+    }
+
+    await this.syncContentStatus(contentId, userId);
+    return schedules.map(schedule => this.present(schedule));
+  }
+
+  /**
+   * @param {Object} filters - { contentId, platform, status, from, to }
+   * @param {Object} options - { limit, offset }
+   */
+  async list(filters = {}, options = {}) {
+    const schedules = await this.db().getPublishSchedules(filters, options);
+    return schedules.map(schedule => this.present(schedule));
+  }
+
+  async get(id) {
+    const schedule = await this.db().getPublishScheduleById(id);
+    if (!schedule) {
+      throw createError('Schedule not found', 404);
+    }
+    return schedule;
+  }
+
+  /**
+   * Move a pending or failed schedule to a new time; a failed one is queued again
+   * @param {Object} changes - { publishAt, timezone (defaults to the schedule's), userId }
+   */
+  async reschedule(id, { publishAt, timezone, userId }) {
+    const schedule = await this.get(id);
+    if (!['pending', 'failed'].includes(schedule.status)) {
+      throw createError(`Cannot reschedule a ${schedule.status} schedule`, 409);
+    }
+
+    const zone = timezone || schedule.timezone;
+    if (!isValidTimeZone(zone)) {
+      throw createError(`Invalid timezone: ${zone}`, 400);
+    }
+    const scheduledAt = parseInTimeZone(publishAt, zone);
+    if (!scheduledAt) {
+      throw createError('publishAt must be an ISO 8601 date', 400);
+    }
+
+    const rescheduled = await this.db().updatePublishSchedule(id, {
+      scheduledAt,
+      timezone: zone,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: scheduledAt,
+      lastError: null
+    }, { status: schedule.status });
+    if (!rescheduled) {
+      throw createError('Schedule changed while rescheduling, try again', 409);
+    }
+
+    await this.syncContentStatus(schedule.contentId, userId);
+    return this.present(rescheduled);
+  }
+
+  async cancel(id, userId) {
+    const schedule = await this.get(id);
+    if (!['pending', 'failed'].includes(schedule.status)) {
+      throw createError(`Cannot cancel a ${schedule.status} schedule`, 409);
+    }
+
+    // Only from the same state, so a publish that started meanwhile isn't overwritten
+    const cancelled = await this.db().updatePublishSchedule(id, { status: 'cancelled' }, { status: schedule.status });
+    if (!cancelled) {
+      throw createError('Schedule changed while cancelling, try again', 409);
+    }
+
+    await this.syncContentStatus(schedule.contentId, userId);
+    return this.present(cancelled);
+  }
+
+  /**
+   * Queue a failed or cancelled schedule again, due now, with a fresh attempt count
+   */
+  async retry(id, userId) {
+    const schedule = await this.get(id);
+    if (!['failed', 'cancelled'].includes(schedule.status)) {
+      throw createError(`Cannot retry a ${schedule.status} schedule`, 409);
+    }
+
+    const retried = await this.db().updatePublishSchedule(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null
+    }, { status: schedule.status });
+    if (!retried) {
+      throw createError('Schedule changed while retrying, try again', 409);
+    }
+
+    await this.syncContentStatus(schedule.contentId, userId);
+    setImmediate(() => this.processDue());
+    return this.present(retried);
+  }
+
+  /**
+   * Publish every schedule that is due, one at a time
+   */
+  async processDue() {
+    if (this.processing || !global.db || !global.db.isConnected) return;
+    this.processing = true;
+
+    try {
+      let due;
+      do {
+        due = await global.db.getDuePublishSchedules(new Date(), config.publishing.batchSize);
+        for (const schedule of due) {
+          await this.publish(schedule);
+        }
+      } while (due.length === config.publishing.batchSize);
+    } catch (error) {
+      logger.error('Publishing scheduler run failed', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * One publish attempt for a due schedule
+   */
+  async publish(schedule) {
+    const db = global.db;
+
+    // Claim it, so a schedule is never published twice
+    const claimed = await db.updatePublishSchedule(schedule.id, { status: 'publishing' }, { status: 'pending' });
+    if (!claimed) return;
+
+    const attempts = schedule.attempts + 1;
+    try {
+      const content = await db.getContentById(schedule.contentId);
+      if (!content) throw new Error('Content no longer exists');
+
+      const text = this.getPlatformText(content, schedule.platform);
+      if (!text) throw new Error(`Content has no ${schedule.platform} version`);
+
+      const publisher = this.getPublisher(schedule.publisher || undefined);
+      const result = await publisher.publish({ schedule, content, platform: schedule.platform, text });
+
+      await db.updatePublishSchedule(schedule.id, {
+        status: 'published',
+        attempts,
+        publisher: publisher.name,
+        publishedAt: new Date(),
+        lastError: null,
+        result
+      });
+      console.log(`📤 Published ${schedule.contentId} on ${schedule.platform} via ${publisher.name}`);
+    } catch (error) {
+      const { maxAttempts, retryBaseDelay, retryMaxDelay } = config.publishing;
+      const exhausted = attempts >= maxAttempts;
+      const delay = Math.min(retryBaseDelay * 2 ** (attempts - 1), retryMaxDelay);
+
+      await db.updatePublishSchedule(schedule.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: exhausted ? new Date() : new Date(Date.now() + delay),
+        lastError: error.message
+      });
+      logger.warn(`Publishing ${schedule.contentId} on ${schedule.platform} failed (attempt ${attempts}/${maxAttempts})` +
+        (exhausted ? '' : `, retrying in ${Math.round(delay / 1000)}s`), { error: error.message });
+    }
+
+    await this.syncContentStatus(schedule.contentId, schedule.userId);
+  }
+
+  /**
+   * Content status follows its schedules: `scheduled` while any is waiting,
+   * `published` (with publishedAt) once one went out and none is waiting,
+   * back to `draft` when every schedule was cancelled or failed
+   */
+  async syncContentStatus(contentId, userId) {
+    const db = global.db;
+    const [content, schedules] = await Promise.all([
+      db.getContentById(contentId),
+      db.getPublishSchedules({ contentId })
+    ]);
+    if (!content || content.status === 'archived') return;
+
+    const published = schedules.filter(schedule => schedule.status === 'published');
+    let updates;
+    if (schedules.some(schedule => ACTIVE_STATUSES.includes(schedule.status))) {
+      updates = { status: 'scheduled' };
+    } else if (published.length > 0) {
+      const firstPublish = new Date(Math.min(...published.map(schedule => new Date(schedule.publishedAt))));
+      updates = { status: 'published', publishedAt: content.publishedAt || firstPublish };
+    } else if (content.status === 'scheduled') {
+      updates = { status: 'draft' };
+    }
+
+    if (updates && (updates.status !== content.status || (updates.publishedAt && !content.publishedAt))) {
+      await db.updateContent(contentId, updates, { userId });
+    }
+  }
+
+  // Schedule as returned by the API, with its time in the zone it was set in
+  present(schedule) {
+    return {
+      ...schedule,
+      localTime: formatInTimeZone(schedule.scheduledAt, schedule.timezone)
+    };
+  }
+}
+
+module.exports = new PublishingService();
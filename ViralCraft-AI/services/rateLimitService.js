@@ -0,0 +1,203 @@
+/**
+ * Rate Limit Service - Request and token buckets per provider and model, with
+ * a priority queue for calls over the limit and backoff after 429 responses
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const TokenBucket = require('../utils/token-bucket');
+const { WorkQueue } = require('../utils/async-manager');
+
+// Rough prompt size before the provider reports real usage
+const CHARS_PER_TOKEN = 4;
+
+const abortError = () => Object.assign(new Error('Request aborted while waiting for rate limit'), { name: 'AbortError' });
+
+// Sleep that ends early, rejecting, when the signal aborts
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+class RateLimitService {
+  constructor() {
+    this.limiters = new Map();
+  }
+
+  getLimits(provider, model) {
+    const limits = config.ai.rateLimits[provider];
+    if (!limits) return null;
+
+    const { models, ...providerLimits } = limits;
+    return { ...providerLimits, ...models?.[model] };
+  }
+
+  /**
+   * Limiter state for a provider/model pair, created on first use
+   */
+  getLimiter(provider, model) {
+    const key = `${provider}:${model || 'default'}`;
+
+    if (!this.limiters.has(key)) {
+      const limits = this.getLimits(provider, model) || {};
+      this.limiters.set(key, {
+        key,
+        provider,
+        model,
+        requests: limits.rpm ? new TokenBucket(limits.rpm) : null,
+        tokens: limits.tpm ? new TokenBucket(limits.tpm) : null,
+        // One waiter at a time, so capacity goes to the highest priority call first
+        queue: new WorkQueue({ concurrency: 1, onError: () => {} }),
+        backoffUntil: 0,
+        consecutive429s: 0
+      });
+    }
+
+    return this.limiters.get(key);
+  }
+
+  estimateTokens(request) {
+    const promptLength = (request.system || '').length + (request.prompt || '').length;
+    return Math.ceil(promptLength / CHARS_PER_TOKEN) + (request.maxTokens || 1000);
+  }
+
+  isBackingOff(provider, model) {
+    const limiter = this.limiters.get(`${provider}:${model || 'default'}`);
+    return Boolean(limiter) && limiter.backoffUntil > Date.now();
+  }
+
+  getWaitTime(limiter, tokens) {
+    return Math.max(
+      limiter.backoffUntil - Date.now(),
+      limiter.requests ? limiter.requests.timeUntil(1) : 0,
+      limiter.tokens ? limiter.tokens.timeUntil(tokens) : 0,
+      0
+    );
+  }
+
+  /**
+   * Wait in the provider/model queue until the call fits the limits
+   * @param {string} provider - Provider name
+   * @param {string} model - Model the call will use
+   * @param {Object} request - Provider request, to estimate its tokens
+   * @param {Object} options - { priority, signal }
+   * @returns {Promise<Object>} Lease to settle() or fail() once the call ends
+   */
+  async acquire(provider, model, request, options = {}) {
+    const limiter = this.getLimiter(provider, model);
+    const tokens = this.estimateTokens(request);
+    const lease = { limiter, tokens };
+
+    if (!limiter.requests && !limiter.tokens && limiter.backoffUntil <= Date.now()) {
+      return lease;
+    }
+
+    // A failed or aborted wait must not run again while holding the queue. Set per
+    // task: the queue's constructor treats retries: 0 as unset.
+    await limiter.queue.add(async () => {
+      let wait;
+      while ((wait = this.getWaitTime(limiter, tokens)) > 0) {
+        // Aborting mid-sleep frees the queue at once, not after the wait
+        await delay(wait, options.signal);
+      }
+      if (options.signal?.aborted) throw abortError();
+
+      limiter.requests?.take(1);
+      limiter.tokens?.take(tokens);
+    }, { priority: options.priority || 0, retries: 0 });
+
+    return lease;
+  }
+
+  /**
+   * Replace the token estimate with the usage the provider reported
+   */
+  settle(lease, usage = {}) {
+    const { limiter, tokens } = lease;
+    if (limiter.tokens && usage.totalTokens) {
+      limiter.tokens.adjust(usage.totalTokens - tokens);
+    }
+    limiter.consecutive429s = 0;
+  }
+
+  /**
+   * Back off the provider/model after a 429, honoring Retry-After when present
+   */
+  fail(lease, error) {
+    if (!this.isRateLimitError(error)) return;
+
+    const { limiter } = lease;
+    const { baseDelay, maxDelay } = config.ai.rateLimitBackoff;
+    const retryAfter = this.getRetryAfter(error);
+    const wait = retryAfter ?? Math.min(baseDelay * 2 ** limiter.consecutive429s, maxDelay);
+
+    limiter.consecutive429s++;
+    limiter.backoffUntil = Math.max(limiter.backoffUntil, Date.now() + wait);
+    logger.warn(`${limiter.key} rate limited, backing off for ${wait}ms`);
+  }
+
+  /**
+   * Run a provider call inside the limits
+   * @param {string} provider - Provider name
+   * @param {string} model - Model the call will use
+   * @param {Object} request - Provider request
+   * @param {Function} call - Performs the call, resolving to { usage, ... }
+   * @param {Object} options - { priority, signal }
+   */
+  async schedule(provider, model, request, call, options = {}) {
+    const lease = await this.acquire(provider, model, request, options);
+
+    try {
+      const result = await call();
+      this.settle(lease, result.usage);
+      return result;
+    } catch (error) {
+      this.fail(lease, error);
+      throw error;
+    }
+  }
+
+  isRateLimitError(error) {
+    return error?.status === 429 || error?.statusCode === 429;
+  }
+
+  getRetryAfter(error) {
+    const headers = error.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+  }
+
+  /**
+   * Queue depth and remaining capacity per provider/model
+   */
+  getStats() {
+    const limiters = {};
+    let queued = 0;
+
+    for (const limiter of this.limiters.values()) {
+      const stats = limiter.queue.getStats();
+      const waiting = stats.queued + stats.running;
+      queued += waiting;
+      limiters[limiter.key] = {
+        queued: waiting,
+        requestsAvailable: limiter.requests ? limiter.requests.available() : null,
+        tokensAvailable: limiter.tokens ? limiter.tokens.available() : null,
+        backoffUntil: limiter.backoffUntil > Date.now() ? new Date(limiter.backoffUntil).toISOString() : null
+      };
+    }
+
+    return { queued, limiters };
+  }
+}
+
+module.exports = new RateLimitService();
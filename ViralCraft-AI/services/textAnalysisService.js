@@ -3,7 +3,43 @@
  * Serviço para análise de texto e conteúdo
  * Responsável por analisar, pontuar e otimizar conteúdo textual
  */
+
+const config = require('../config/app');
+const sentiment = require('../utils/sentiment');
+const readability = require('../utils/readability');
+const { analyzeHook } = require('../utils/hook-analyzer');
+
+// Palavras funcionais mais frequentes por idioma, usadas na detecção de idioma
+const LANGUAGE_STOPWORDS = {
+  pt: ['de', 'que', 'não', 'o', 'os', 'uma', 'um', 'para', 'com', 'é', 'em', 'da', 'do', 'das', 'dos', 'se', 'mais', 'como', 'mas', 'você', 'isso', 'ao', 'pelo', 'pela', 'também', 'são', 'está'],
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'you', 'with', 'on', 'this', 'are', 'be', 'was', 'have', 'not', 'or', 'by', 'from', 'your', 'what', 'can', 'will', 'an', 'at'],
+  es: ['el', 'la', 'los', 'las', 'y', 'que', 'de', 'en', 'un', 'una', 'por', 'con', 'no', 'es', 'para', 'del', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'muy', 'está', 'también']
+};
+
+// Faixa ideal de palavras por plataforma
+const PLATFORM_OPTIMAL_LENGTH = {
+  twitter: { min: 15, max: 40 },
+  instagram: { min: 100, max: 300 },
+  linkedin: { min: 200, max: 500 },
+  blog: { min: 800, max: 2000 }
+};
+const DEFAULT_OPTIMAL_LENGTH = { min: 100, max: 500 };
+
 class TextAnalysisService {
+  constructor() {
+    // Modelo treinado com analytics reais (viralModelService), registrado na inicialização
+    this.viralModel = null;
+  }
+
+  /**
+   * Registra o modelo que substitui a heurística quando há dados suficientes.
+   * O modelo expõe predict(content, platform) => { score, modelId, platform, contributions } | null
+   * @param {Object|null} model - Modelo, ou null para voltar à heurística
+   */
+  useViralModel(model) {
+    this.viralModel = model;
+  }
+
   /**
    * Analisa um conteúdo textual
    * @param {string} content - Conteúdo a ser analisado
@@ -11,16 +47,61 @@ class TextAnalysisService {
    * @returns {Object} Resultado da análise
    */
   analyzeContent(content, platform) {
+    const { score, ...viralScoreDetails } = this.scoreViral(content, platform);
+    const { label, score: sentimentScore, emotions, dominantEmotion } = this.analyzeSentiment(content);
     return {
       wordCount: this.countWords(content),
       characterCount: content.length,
       estimatedReadTime: this.calculateReadTime(content),
-      viralScore: this.calculateViralScore(content, platform),
-      sentiment: this.analyzeSentiment(content),
+      viralScore: score,
+      viralScoreDetails,
+      sentiment: label,
+      sentimentScore,
+      emotions,
+      dominantEmotion,
+      readability: this.analyzeReadability(content),
+      hook: this.analyzeHook(content, platform),
       suggestions: this.getOptimizationSuggestions(content, platform)
     };
   }
 
+  /**
+   * Legibilidade do texto: índice de Flesch do idioma (Flesch adaptado para pt,
+   * Fernández Huerta para es), distribuição do tamanho das frases e voz passiva.
+   * Os trechos encontrados trazem start/end (offsets no texto) para destaque na interface.
+   * @param {string} content - Conteúdo para análise
+   * @returns {Object} { language, readingEase, sentenceLengths, passiveVoice, findings }
+   */
+  analyzeReadability(content) {
+    const detected = this.detectLanguage(content);
+    // O índice depende do idioma; sem idioma detectado, usa o padrão da aplicação
+    const language = detected === 'unknown' ? config.content.defaultLanguage : detected;
+    const { longSentences, ...sentenceLengths } = readability.sentenceLengths(content);
+    const passive = readability.findPassiveVoice(content, detected);
+
+    return {
+      language,
+      readingEase: readability.readingEase(content, language),
+      sentenceLengths,
+      passiveVoice: {
+        count: passive.length,
+        ratio: sentenceLengths.count ? Math.round(passive.length / sentenceLengths.count * 100) / 100 : 0
+      },
+      findings: [...longSentences, ...passive].sort((a, b) => a.start - b.start)
+    };
+  }
+
+  /**
+   * Analisa o gancho (primeira linha, ou os 3 primeiros segundos em vídeo):
+   * lacunas de curiosidade, números, fala direta e quebras de padrão
+   * @param {string} content - Conteúdo para análise
+   * @param {string} platform - Plataforma alvo
+   * @returns {Object|null} { text, start, end, words, score, elements, findings }
+   */
+  analyzeHook(content, platform) {
+    return analyzeHook(content, { language: this.detectLanguage(content), platform });
+  }
+
   /**
    * Conta palavras em um texto
    * @param {string} text - Texto para contagem
@@ -30,6 +111,26 @@ class TextAnalysisService {
     return text.split(/\s+/).filter(word => word.length > 0).length;
   }
 
+  /**
+   * Detecta o idioma predominante do texto por frequência de stopwords
+   * @param {string} text - Texto para análise
+   * @returns {string} Código do idioma (pt, en, es) ou 'unknown'
+   */
+  detectLanguage(text) {
+    const words = (text || '').toLowerCase().match(/[a-záàâãéêíóôõúüñç]+/g) || [];
+    if (words.length === 0) return 'unknown';
+
+    const scores = Object.entries(LANGUAGE_STOPWORDS).map(([language, stopwords]) => ({
+      language,
+      hits: words.filter(word => stopwords.includes(word)).length
+    }));
+
+    scores.sort((a, b) => b.hits - a.hits);
+    // Exige um mínimo de evidência e alguma margem sobre o segundo colocado
+    if (scores[0].hits < 2 || scores[0].hits === scores[1].hits) return 'unknown';
+    return scores[0].language;
+  }
+
   /**
    * Calcula tempo estimado de leitura
    * @param {string} text - Texto para cálculo
@@ -41,6 +142,17 @@ class TextAnalysisService {
     return Math.ceil(wordCount / wordsPerMinute);
   }
 
+  /**
+   * Verifica se o número de palavras está na faixa ideal da plataforma
+   * @param {number} wordCount - Número de palavras
+   * @param {string} platform - Plataforma alvo
+   * @returns {boolean}
+   */
+  isOptimalLength(wordCount, platform) {
+    const optimal = PLATFORM_OPTIMAL_LENGTH[platform] || DEFAULT_OPTIMAL_LENGTH;
+    return wordCount >= optimal.min && wordCount <= optimal.max;
+  }
+
   /**
    * Calcula pontuação de viralidade do conteúdo
    * @param {string} content - Conteúdo para análise
@@ -48,19 +160,42 @@ class TextAnalysisService {
    * @returns {number} Pontuação de 0 a 100
    */
   calculateViralScore(content, platform) {
+    return this.scoreViral(content, platform).score;
+  }
+
+  /**
+   * Pontuação de viralidade com sua origem: o modelo treinado da plataforma,
+   * quando existe, ou a heurística
+   * @param {string} content - Conteúdo para análise
+   * @param {string} platform - Plataforma alvo
+   * @returns {Object} { score, source: 'model' | 'heuristic', modelId, modelPlatform, contributions }
+   */
+  scoreViral(content, platform) {
+    const prediction = this.viralModel ? this.viralModel.predict(content, platform) : null;
+    if (prediction) {
+      return {
+        score: prediction.score,
+        source: 'model',
+        modelId: prediction.modelId,
+        modelPlatform: prediction.platform,
+        contributions: prediction.contributions
+      };
+    }
+
+    return { score: this.calculateHeuristicScore(content, platform), source: 'heuristic' };
+  }
+
+  /**
+   * Pontuação heurística, usada enquanto não há analytics suficientes para treinar um modelo
+   * @param {string} content - Conteúdo para análise
+   * @param {string} platform - Plataforma alvo
+   * @returns {number} Pontuação de 0 a 100
+   */
+  calculateHeuristicScore(content, platform) {
     let score = 60; // Pontuação base
     
     // Otimização de comprimento
-    const wordCount = this.countWords(content);
-    const platformOptimal = {
-      twitter: { min: 15, max: 40 },
-      instagram: { min: 100, max: 300 },
-      linkedin: { min: 200, max: 500 },
-      blog: { min: 800, max: 2000 }
-    };
-    
-    const optimal = platformOptimal[platform] || { min: 100, max: 500 };
-    if (wordCount >= optimal.min && wordCount <= optimal.max) {
+    if (this.isOptimalLength(this.countWords(content), platform)) {
       score += 15;
     }
     
@@ -76,6 +211,11 @@ class TextAnalysisService {
     
     score += Math.min(emotionalCount * 3, 15);
     
+    // Emoção intensa, positiva ou negativa, favorece o compartilhamento
+    const { score: polarity, dominantEmotion } = this.analyzeSentiment(content);
+    score += Math.round(Math.abs(polarity) * 8);
+    if (['joy', 'surprise'].includes(dominantEmotion)) score += 4;
+    
     // Elementos de engajamento
     if (content.includes('?')) score += 5; // Perguntas
     if (/[🎯💡🚀✨⚡🔥💪🎉]/g.test(content)) score += 8; // Emojis de impacto
@@ -90,29 +230,14 @@ class TextAnalysisService {
   }
 
   /**
-   * Analisa o sentimento do texto
+   * Analisa o sentimento do texto com os léxicos do idioma detectado (pt, en, es),
+   * considerando negações, intensificadores, contraste e emojis
    * @param {string} content - Conteúdo para análise
-   * @returns {string} Sentimento (positive, negative, neutral)
+   * @returns {Object} { score (-1 a 1), label (positive, negative, neutral), language,
+   *   emotions: { joy, surprise, anger, fear, trust }, dominantEmotion, terms }
    */
   analyzeSentiment(content) {
-    // Análise simples de sentimento
-    const positiveWords = [
-      'excelente', 'incrível', 'fantástico', 'perfeito', 'sucesso',
-      'ótimo', 'maravilhoso', 'espetacular', 'extraordinário', 'feliz'
-    ];
-    
-    const negativeWords = [
-      'problema', 'dificuldade', 'erro', 'fracasso', 'impossível',
-      'ruim', 'péssimo', 'terrível', 'horrível', 'falha'
-    ];
-    
-    const words = content.toLowerCase().split(/\s+/);
-    const positiveCount = positiveWords.filter(word => words.includes(word)).length;
-    const negativeCount = negativeWords.filter(word => words.includes(word)).length;
-    
-    if (positiveCount > negativeCount) return 'positive';
-    if (negativeCount > positiveCount) return 'negative';
-    return 'neutral';
+    return sentiment.analyze(content, { language: this.detectLanguage(content) });
   }
 
   /**
@@ -155,6 +280,21 @@ class TextAnalysisService {
       suggestions.push('Melhore a formatação com quebras de linha para facilitar a leitura');
     }
     
+    // Legibilidade e gancho
+    const { readingEase, passiveVoice } = this.analyzeReadability(content);
+    if (readingEase && readingEase.score < 50) {
+      suggestions.push('Simplifique o texto: frases mais curtas e palavras mais simples facilitam a leitura');
+    }
+    
+    if (passiveVoice.count > 0) {
+      suggestions.push('Prefira a voz ativa para deixar o texto mais direto');
+    }
+    
+    const hook = this.analyzeHook(content, platform);
+    if (hook && hook.score < 50) {
+      suggestions.push('Fortaleça a primeira linha com uma pergunta, um número ou uma promessa clara');
+    }
+    
     return suggestions;
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * Translation Service - Localized variants of saved content, stored as
+ * Content rows linked to their original
+ */
+
+const textAnalysisService = require('./textAnalysisService');
+const platformConstraintService = require('./platformConstraintService');
+const { createError } = require('../utils/error-handler');
+const { versionText } = require('../utils/thread-builder');
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}([-_][a-z]{2,4})?$/i;
+
+class TranslationService {
+  /**
+   * Create one localized Content row per language
+   * @param {string} contentId - Content to translate
+   * @param {Array<string>} languages - Language tags, e.g. ['en', 'es-MX']
+   * @param {Object} options - { provider, model, userId }
+   * @returns {Promise<Array<Object>>} [{ language, contentId, content, structured, viralScores }]
+   */
+  async translate(contentId, languages, options = {}) {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    if (!Array.isArray(languages) || languages.length === 0) {
+      throw createError('At least one language is required', 400);
+    }
+    const invalid = languages.find(language => !LANGUAGE_PATTERN.test(language));
+    if (invalid) {
+      throw createError(`Invalid language "${invalid}"`, 400);
+    }
+
+    const source = await global.db.getContentById(contentId);
+    if (!source) {
+      throw createError('Content not found', 404);
+    }
+
+    // Variants always hang off the original, even when a variant is translated
+    const originalId = source.metadata?.translationOf || source.id;
+    const original = originalId === source.id ? source : await global.db.getContentById(originalId);
+
+    const translations = [];
+    for (const language of languages) {
+      translations.push(await this.createVariant(source, language, options));
+    }
+
+    await global.db.updateContent(original.id, {
+      metadata: {
+        ...original.metadata,
+        translations: {
+          ...original.metadata?.translations,
+          ...Object.fromEntries(translations.map(translation => [translation.language, translation.contentId]))
+        }
+      }
+    });
+
+    return translations;
+  }
+
+  async createVariant(source, language, options) {
+    const originalId = source.metadata?.translationOf || source.id;
+    const targets = source.metadata?.targets || [];
+
+    const outputs = await Promise.all(Object.entries(source.content).map(async ([platform, text]) => {
+      const contentType = targets.find(target => target.platform === platform)?.contentType || source.type;
+      const result = await global.aiService.localizeContent({
+        topic: source.title,
+        platform,
+        contentType,
+        language,
+        content: versionText(text),
+        structured: source.metadata?.structured?.[platform],
+        provider: options.provider,
+        model: options.model,
+        userId: options.userId
+      });
+      // Translated threads are laid out again, since the posts' lengths changed
+      return {
+        platform,
+        contentType,
+        result: contentType === 'thread' ? platformConstraintService.buildThread(result, platform) : result
+      };
+    }));
+
+    const content = {};
+    const structured = {};
+    const viralScores = {};
+    const analysis = {};
+    for (const { platform, contentType, result } of outputs) {
+      content[platform] = contentType === 'thread' ? result.structured.posts : result.content;
+      structured[platform] = result.structured;
+      analysis[platform] = textAnalysisService.analyzeContent(result.content, platform);
+      viralScores[platform] = textAnalysisService.calculateViralScore(result.content, platform);
+    }
+    const scores = Object.values(viralScores);
+
+    const saved = await global.db.createContent({
+      title: source.title,
+      type: source.type,
+      platform: source.platform,
+      content,
+      keywords: source.keywords || [],
+      userId: options.userId || source.userId,
+      viralScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+      metadata: {
+        language,
+        translationOf: originalId,
+        generatedAt: new Date(),
+        targets: outputs.map(({ platform, contentType, result }) => ({
+          platform,
+          contentType,
+          provider: result.provider,
+          model: result.model,
+          promptTemplates: result.promptTemplates,
+          // Fallback templates exist only for some languages
+          language: result.language
+        })),
+        structured,
+        viralScores,
+        analysis
+      }
+    });
+
+    return { language, contentId: saved.id, content, structured, viralScores };
+  }
+}
+
+module.exports = new TranslationService();
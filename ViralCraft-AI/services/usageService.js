@@ -0,0 +1,247 @@
+/**
+ * Usage Service - Token and cost accounting per AI call, with spend budgets
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/error-handler');
+
+// UTC period keys, so budgets roll over at the same instant on every server
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+const monthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+class UsageService {
+  constructor() {
+    this.totals = this.emptyTotals();
+    this.warnings = new Set();
+
+    // The per-user cap is advisory (utils/request-user), so it can't be the only one
+    const { monthlyHardCap, dailyCap, userMonthlyCap } = config.ai.budgets;
+    if (userMonthlyCap && !monthlyHardCap && !dailyCap) {
+      logger.warn('AI_USER_MONTHLY_BUDGET is set without AI_MONTHLY_BUDGET or AI_DAILY_BUDGET: ' +
+        'user ids come from the client, so only a global cap bounds AI spend');
+    }
+  }
+
+  emptyTotals() {
+    return { day: dayKey(), month: monthKey(), dayCost: 0, monthCost: 0, users: new Map() };
+  }
+
+  /**
+   * Load this month's spend from the database so budgets survive restarts
+   */
+  async initialize() {
+    if (!global.db || !global.db.isConnected) return;
+
+    try {
+      const now = new Date();
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+      const [monthCost, dayCost, users] = await Promise.all([
+        global.db.getAIUsageCost(monthStart),
+        global.db.getAIUsageCost(dayStart),
+        global.db.getAIUsageCost(monthStart, true)
+      ]);
+
+      this.totals = {
+        ...this.emptyTotals(),
+        monthCost,
+        dayCost,
+        users: new Map(users.map(user => [user.userId, user.cost]))
+      };
+      console.log(`💰 AI spend this month: $${monthCost.toFixed(4)}`);
+    } catch (error) {
+      logger.warn('Could not load AI usage totals', { error: error.message });
+    }
+  }
+
+  /**
+   * Price entry for a call: the model's, then the provider's, then the default
+   */
+  getPrice(provider, model) {
+    const { pricing } = config.ai;
+    return pricing[model] || pricing[provider] || pricing.default;
+  }
+
+  /**
+   * Estimated cost in USD of a call
+   * @param {string} provider - Provider name
+   * @param {string} model - Model that served the call
+   * @param {Object} usage - { promptTokens, completionTokens, images }
+   * @returns {number} Cost in USD
+   */
+  calculateCost(provider, model, usage = {}) {
+    const price = this.getPrice(provider, model);
+
+    return roundCost(
+      (usage.promptTokens || 0) / 1000 * (price.prompt || 0) +
+      (usage.completionTokens || 0) / 1000 * (price.completion || 0) +
+      (usage.images || 0) * (price.image || 0)
+    );
+  }
+
+  /**
+   * Price a call, add it to the running totals and persist it
+   * @param {Object} call - { userId, provider, model, operation, usage }
+   * @returns {Object} Usage with its cost: { promptTokens, completionTokens, totalTokens, cost }
+   */
+  record({ userId, provider, model, operation, usage = {} }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const entry = {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      cost: this.calculateCost(provider, model, usage)
+    };
+
+    this.rollOver();
+    this.totals.dayCost += entry.cost;
+    this.totals.monthCost += entry.cost;
+    if (userId) {
+      this.totals.users.set(userId, (this.totals.users.get(userId) || 0) + entry.cost);
+    }
+    this.warnNearCaps(userId);
+
+    if (global.db && global.db.isConnected) {
+      // Accounting must never fail the call it describes
+      global.db.createAIUsage({ userId: userId || null, provider, model, operation, ...entry })
+        .catch(error => logger.warn('Could not save AI usage', { error: error.message }));
+    }
+
+    return entry;
+  }
+
+  rollOver() {
+    const now = new Date();
+    if (this.totals.month !== monthKey(now)) {
+      this.totals = this.emptyTotals();
+      this.warnings.clear();
+    } else if (this.totals.day !== dayKey(now)) {
+      this.totals.day = dayKey(now);
+      this.totals.dayCost = 0;
+    }
+  }
+
+  /**
+   * Spend against each configured cap
+   * @param {string} userId - Optional user to include the per-user cap for
+   * @returns {Object} { exceeded, reason, month, day, user }
+   */
+  getBudgetStatus(userId) {
+    this.rollOver();
+    const { monthlyHardCap, dailyCap, userMonthlyCap } = config.ai.budgets;
+
+    const status = (spent, cap) => ({
+      spent: roundCost(spent),
+      cap,
+      remaining: cap ? roundCost(Math.max(cap - spent, 0)) : null,
+      exceeded: Boolean(cap) && spent >= cap
+    });
+
+    const budget = {
+      month: { period: this.totals.month, ...status(this.totals.monthCost, monthlyHardCap) },
+      day: { period: this.totals.day, ...status(this.totals.dayCost, dailyCap) },
+      user: userId ? { userId, ...status(this.totals.users.get(userId) || 0, userMonthlyCap) } : null
+    };
+
+    const reason = budget.month.exceeded ? 'Monthly AI budget exceeded'
+      : budget.day.exceeded ? 'Daily AI budget exceeded'
+        : budget.user?.exceeded ? `Monthly AI budget exceeded for user ${userId}`
+          : null;
+
+    return { exceeded: Boolean(reason), reason, ...budget };
+  }
+
+  isOverBudget(userId) {
+    return this.getBudgetStatus(userId).exceeded;
+  }
+
+  /**
+   * Refuse a provider call once a cap is reached
+   */
+  assertBudget(userId) {
+    const { exceeded, reason } = this.getBudgetStatus(userId);
+    if (exceeded) {
+      throw createError(reason, 429);
+    }
+  }
+
+  warnNearCaps(userId) {
+    const { warningRatio } = config.ai.budgets;
+    const budget = this.getBudgetStatus(userId);
+
+    for (const [name, entry] of [['month', budget.month], ['day', budget.day], ['user', budget.user]]) {
+      if (!entry?.cap || entry.spent < entry.cap * warningRatio) continue;
+
+      const key = `${name}:${entry.period || entry.userId}:${entry.exceeded ? 'exceeded' : 'warning'}`;
+      if (this.warnings.has(key)) continue;
+      this.warnings.add(key);
+
+      const scope = name === 'user' ? `user ${entry.userId} monthly` : name === 'day' ? 'daily' : 'monthly';
+      if (entry.exceeded) {
+        logger.warn(`AI ${scope} budget reached ($${entry.spent}/$${entry.cap}), serving fallback content`);
+      } else {
+        logger.warn(`AI ${scope} budget at ${Math.round(entry.spent / entry.cap * 100)}% ($${entry.spent}/$${entry.cap})`);
+      }
+    }
+  }
+
+  /**
+   * Daily and monthly spend for the usage report
+   * @param {Object} filters - { userId, provider, days }
+   * @returns {Promise<Object>} { budget, daily, monthly }
+   */
+  async getReport(filters = {}) {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+
+    const days = Math.min(Math.max(parseInt(filters.days) || 30, 1), 366);
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - days + 1));
+    const monthsSince = new Date(Date.UTC(now.getUTCFullYear() - 1, now.getUTCMonth() + 1, 1));
+    const query = { userId: filters.userId, provider: filters.provider };
+
+    const [daily, monthly] = await Promise.all([
+      global.db.getAIUsageSummary({ ...query, since }, 'day'),
+      global.db.getAIUsageSummary({ ...query, since: monthsSince }, 'month')
+    ]);
+
+    return {
+      budget: this.getBudgetStatus(filters.userId),
+      daily: this.summarize(daily),
+      monthly: this.summarize(monthly)
+    };
+  }
+
+  /**
+   * Merge per-provider rows into one entry per period
+   */
+  summarize(rows) {
+    const periods = new Map();
+
+    for (const row of rows) {
+      const entry = periods.get(row.period) || {
+        period: row.period, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, providers: {}
+      };
+      for (const field of ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost']) {
+        entry[field] += row[field];
+      }
+      entry.cost = roundCost(entry.cost);
+      entry.providers[row.provider] = {
+        requests: row.requests,
+        totalTokens: row.totalTokens,
+        cost: roundCost(row.cost)
+      };
+      periods.set(row.period, entry);
+    }
+
+    return [...periods.values()];
+  }
+}
+
+module.exports = new UsageService();
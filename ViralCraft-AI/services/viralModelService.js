@@ -0,0 +1,303 @@
+/**
+ * Viral Model Service - Logistic regression viral score trained from real
+ * engagement in Analytics, one model per platform with enough data and a
+ * shared one for the rest. Replaces the text analysis heuristic once trained.
+ *
+ * A post counts as viral when its latest engagement rate is at or above the
+ * median of the posts it is trained with; the score is that probability x 100.
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/error-handler');
+const { median } = require('../utils/statistics');
+const regression = require('../utils/logistic-regression');
+const { EMOTIONS } = require('../utils/sentiment');
+const textAnalysisService = require('./textAnalysisService');
+const publishingService = require('./publishingService');
+
+// Model shared by platforms without enough samples of their own
+const GLOBAL_MODEL = 'all';
+
+const CTA_PATTERN = /\b(compartilhe|comente|marque|salve|siga|share|comment|tag|save|follow|subscribe|comparte|comenta|etiqueta|guarda|sigue|suscríbete)\b|link (in|na) bio/i;
+
+const LIST_ITEM = /^\s*([-•*▪►✅]|\d+[.)])\s+/;
+
+// Features every model uses; the shared model adds one `platform:<name>` indicator per platform
+const BASE_FEATURES = [
+  'words', 'lengthFit', 'hook', 'readability', 'questions', 'cta', 'hashtags', 'emojis', 'lines', 'listItems',
+  'sentiment', ...EMOTIONS.map(emotion => `emotion:${emotion}`)
+];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Stable split of samples into training and holdout, so retraining on the same data gives the same metrics
+const holdoutBucket = id => {
+  let hash = 0;
+  for (const char of String(id)) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return (hash % 1000) / 1000;
+};
+
+class ViralModelService {
+  constructor() {
+    // Latest model per platform (and GLOBAL_MODEL)
+    this.models = new Map();
+    this.training = false;
+  }
+
+  db() {
+    if (!global.db || !global.db.isConnected) {
+      throw createError('Database not connected', 503);
+    }
+    return global.db;
+  }
+
+  /**
+   * Load the latest trained models and take over viral scoring from the heuristic
+   */
+  async initialize() {
+    if (!global.db || !global.db.isConnected) return;
+
+    const models = await global.db.getLatestViralModels();
+    this.models = new Map(models.map(model => [model.platform, model]));
+    textAnalysisService.useViralModel(this);
+
+    if (models.length > 0) {
+      console.log(`🧠 Viral score models loaded: ${models.map(model => model.platform).join(', ')}`);
+    }
+  }
+
+  /**
+   * Feature values of a text on a platform
+   * @returns {Object} { [feature]: number }
+   */
+  extractFeatures(text, platform) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const wordCount = textAnalysisService.countWords(text);
+    const sentiment = textAnalysisService.analyzeSentiment(text);
+    const hook = textAnalysisService.analyzeHook(text, platform);
+    const { readingEase } = textAnalysisService.analyzeReadability(text);
+
+    const features = {
+      words: Math.log1p(wordCount),
+      lengthFit: textAnalysisService.isOptimalLength(wordCount, platform) ? 1 : 0,
+      hook: hook ? hook.score / 100 : 0,
+      readability: readingEase ? readingEase.score / 100 : 0,
+      questions: Math.min((text.match(/\?/g) || []).length, 5),
+      cta: CTA_PATTERN.test(text) ? 1 : 0,
+      hashtags: Math.log1p((text.match(/#[\p{L}\p{N}_]+/gu) || []).length),
+      emojis: Math.log1p((text.match(/\p{Extended_Pictographic}/gu) || []).length),
+      lines: Math.log1p(lines.length),
+      listItems: Math.log1p(lines.filter(line => LIST_ITEM.test(line)).length),
+      sentiment: sentiment.score
+    };
+
+    for (const emotion of EMOTIONS) {
+      features[`emotion:${emotion}`] = sentiment.emotions[emotion];
+    }
+
+    for (const name of config.content.platforms) {
+      features[`platform:${name}`] = name === platform ? 1 : 0;
+    }
+    return features;
+  }
+
+  /**
+   * Viral score of a text with the platform's model, or the shared one
+   * @returns {Object|null} { score, modelId, platform, contributions } - null without a model
+   */
+  predict(text, platform) {
+    const model = this.models.get(platform) || this.models.get(GLOBAL_MODEL);
+    if (!model || !text) return null;
+
+    const values = this.extractFeatures(String(text), platform);
+    const row = model.features.map(feature => values[feature] ?? 0);
+    const { probability, logit, contributions } = regression.predict(model.parameters, row);
+
+    return {
+      score: Math.round(probability * 100),
+      modelId: model.id,
+      platform: model.platform,
+      // Points each feature adds to (or takes from) the score, relative to an average post
+      contributions: model.features
+        .map((feature, i) => ({
+          feature,
+          value: round(row[i], 3),
+          impact: round(contributions[i], 3),
+          points: round((probability - regression.sigmoid(logit - contributions[i])) * 100, 1)
+        }))
+        .filter(contribution => contribution.impact !== 0)
+        .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+    };
+  }
+
+  /**
+   * Latest snapshot of every content/platform pair with enough views, with the
+   * text published there
+   * @returns {Promise<Array<Object>>} [{ contentId, platform, text, engagementRate }]
+   */
+  async loadSamples() {
+    const db = this.db();
+    const snapshots = (await db.getLatestAnalytics())
+      .filter(snapshot => snapshot.views >= config.viralModel.minViews);
+
+    const contents = await db.getContentByIds([...new Set(snapshots.map(snapshot => snapshot.contentId))]);
+    const byId = new Map(contents.map(content => [content.id, content]));
+
+    return snapshots
+      .map(snapshot => ({
+        contentId: snapshot.contentId,
+        platform: snapshot.platform,
+        text: byId.has(snapshot.contentId) ? publishingService.getPlatformText(byId.get(snapshot.contentId), snapshot.platform) : null,
+        engagementRate: Number(snapshot.engagementRate) || 0
+      }))
+      .filter(sample => sample.text);
+  }
+
+  /**
+   * Fit one model: measure it on the holdout, then refit on every sample
+   * @returns {Object|null} Model fields, or null when the samples can't train one
+   */
+  fit(samples, platform) {
+    const { minSamples, holdoutRatio, iterations, learningRate, l2 } = config.viralModel;
+    if (samples.length < minSamples) return null;
+
+    const threshold = median(samples.map(sample => sample.engagementRate));
+    const labels = samples.map(sample => (sample.engagementRate >= threshold ? 1 : 0));
+    if (labels.every(label => label === labels[0])) return null;
+
+    const platforms = [...new Set(samples.map(sample => sample.platform))].sort();
+    const features = platform === GLOBAL_MODEL
+      ? [...BASE_FEATURES, ...platforms.map(name => `platform:${name}`)]
+      : BASE_FEATURES;
+    const rows = samples.map(sample => {
+      const values = this.extractFeatures(sample.text, sample.platform);
+      return features.map(feature => values[feature]);
+    });
+    const options = { iterations, learningRate, l2 };
+
+    const holdout = samples.map(sample => holdoutBucket(`${sample.contentId}:${sample.platform}`) < holdoutRatio);
+    const trainRows = rows.filter((row, i) => !holdout[i]);
+    const trainLabels = labels.filter((label, i) => !holdout[i]);
+    const testRows = rows.filter((row, i) => holdout[i]);
+    const testLabels = labels.filter((label, i) => holdout[i]);
+
+    let evaluation = null;
+    if (testRows.length > 0 && new Set(trainLabels).size === 2) {
+      const parameters = regression.train(trainRows, trainLabels, options);
+      const probabilities = testRows.map(row => regression.predict(parameters, row).probability);
+      const correct = probabilities.filter((probability, i) => (probability >= 0.5 ? 1 : 0) === testLabels[i]).length;
+      const majority = Math.max(testLabels.filter(Boolean).length, testLabels.filter(label => !label).length);
+      const auc = regression.auc(probabilities, testLabels);
+
+      evaluation = {
+        holdoutSize: testRows.length,
+        auc: auc === null ? null : round(auc, 3),
+        accuracy: round(correct / testRows.length, 3),
+        // Accuracy of always guessing the most common label, for comparison
+        baselineAccuracy: round(majority / testRows.length, 3)
+      };
+    }
+
+    return {
+      platform,
+      features,
+      parameters: regression.train(rows, labels, options),
+      threshold,
+      sampleCount: samples.length,
+      metrics: {
+        ...evaluation,
+        positiveRate: round(labels.filter(Boolean).length / labels.length, 3),
+        platforms
+      }
+    };
+  }
+
+  /**
+   * Retrain from the current analytics. Platforms below minSamples are left to
+   * the shared model, which is retrained too unless a single platform is asked for.
+   * @param {Object} options - { platform, userId }
+   * @returns {Promise<Object>} { trained: [model], skipped: [{ platform, samples, reason }] }
+   */
+  async train({ platform, userId } = {}) {
+    const db = this.db();
+    if (platform && platform !== GLOBAL_MODEL && !config.content.platforms.includes(platform)) {
+      throw createError(`Unsupported platform: ${platform}`, 400);
+    }
+    if (this.training) {
+      throw createError('Training already in progress', 409);
+    }
+
+    this.training = true;
+    try {
+      const samples = await this.loadSamples();
+      const targets = platform
+        ? [platform]
+        : [...new Set(samples.map(sample => sample.platform)), GLOBAL_MODEL];
+
+      const trained = [];
+      const skipped = [];
+      for (const target of targets) {
+        const targetSamples = target === GLOBAL_MODEL
+          ? samples
+          : samples.filter(sample => sample.platform === target);
+
+        const fitted = this.fit(targetSamples, target);
+        if (!fitted) {
+          skipped.push({
+            platform: target,
+            samples: targetSamples.length,
+            reason: targetSamples.length < config.viralModel.minSamples
+              ? `Needs at least ${config.viralModel.minSamples} posts with ${config.viralModel.minViews}+ views`
+              : 'Every post has the same engagement rate'
+          });
+          continue;
+        }
+
+        const model = await db.createViralModel({ ...fitted, userId: userId || null });
+        this.models.set(target, model);
+        trained.push(this.present(model));
+      }
+
+      textAnalysisService.useViralModel(this);
+      logger.info(`Viral score models trained: ${trained.map(model => model.platform).join(', ') || 'none'}`);
+      return { trained, skipped };
+    } finally {
+      this.training = false;
+    }
+  }
+
+  /**
+   * Models in use and which platforms still score with the heuristic
+   */
+  getStatus() {
+    const models = [...this.models.values()];
+    return {
+      minSamples: config.viralModel.minSamples,
+      minViews: config.viralModel.minViews,
+      training: this.training,
+      models: models.map(model => this.present(model)),
+      platforms: Object.fromEntries(config.content.platforms.map(platform => [
+        platform,
+        this.models.has(platform) ? platform : this.models.has(GLOBAL_MODEL) ? GLOBAL_MODEL : 'heuristic'
+      ]))
+    };
+  }
+
+  // Model as returned by the API, with its weights by feature
+  present(model) {
+    return {
+      id: model.id,
+      platform: model.platform,
+      algorithm: model.algorithm,
+      sampleCount: model.sampleCount,
+      threshold: model.threshold,
+      metrics: model.metrics,
+      weights: Object.fromEntries(model.features.map((feature, i) => [feature, round(model.parameters.weights[i], 4)])),
+      bias: round(model.parameters.bias, 4),
+      trainedAt: model.createdAt
+    };
+  }
+}
+
+module.exports = new ViralModelService();
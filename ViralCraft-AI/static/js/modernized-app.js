@@ -168,6 +168,54 @@ class APIClient {
     }
   }
 
+  // Stream a POST endpoint that answers with Server-Sent Events
+  async stream(endpoint, body, { signal, onEvent } = {}) {
+    this.performance.recordMetric('apiCalls');
+
+    const response = await fetch(`${APP_CONFIG.api.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'X-Request-ID': this.generateRequestId()
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok || !response.body) {
+      this.performance.recordMetric('errors');
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+
+        if (data) onEvent?.(event, JSON.parse(data));
+      }
+    }
+  }
+
   generateRequestId() {
     return Math.random().toString(36).substr(2, 9);
   }
@@ -262,32 +310,110 @@ class UIManager {
 
   async handleGenerate(e) {
     e.preventDefault();
-    
-    const loadingId = this.showLoading('Gerando conteúdo otimizado...');
-    
+
+    // Only one generation at a time
+    this.cancelGeneration();
+    const controller = new AbortController();
+    this.generationController = controller;
+
+    const formData = this.collectFormData(e.target);
+    const view = this.createStreamingResult(formData.platform, () => this.cancelGeneration());
+
     try {
-      const formData = this.collectFormData(e.target);
-      const response = await this.apiClient.request('/api/generate', {
-        method: 'POST',
-        body: JSON.stringify(formData)
+      let finished = false;
+
+      await this.apiClient.stream('/api/generate/stream', formData, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'token') {
+            view.append(data.text);
+          } else if (event === 'progress') {
+            view.setStatus(this.formatProgress(data));
+          } else if (event === 'done') {
+            finished = true;
+            this.displayResults(data.content);
+            this.showNotification(
+              `✅ Conteúdo gerado com sucesso!${data.analysis ? ` Score viral: ${data.analysis.viralScore}` : ''}`,
+              'success'
+            );
+          } else if (event === 'error') {
+            throw new Error(data.details || data.error || 'Erro desconhecido');
+          }
+        }
       });
 
-      if (response.success) {
-        this.displayResults(response.content);
-        this.showNotification('✅ Conteúdo gerado com sucesso!', 'success');
-      } else {
-        throw new Error(response.error || 'Erro desconhecido');
+      if (!finished) {
+        throw new Error('A conexão foi encerrada antes do fim da geração');
       }
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        view.setStatus('⏹️ Geração cancelada');
+        this.showNotification('⏹️ Geração cancelada', 'info');
+        return;
+      }
+
       console.error('Erro na geração:', error);
       this.showNotification(`❌ Erro: ${error.message}`, 'error');
       this.displayFallbackContent();
     } finally {
-      this.hideLoading(loadingId);
+      if (this.generationController === controller) {
+        this.generationController = null;
+      }
     }
   }
 
+  cancelGeneration() {
+    if (this.generationController) {
+      this.generationController.abort();
+      this.generationController = null;
+    }
+  }
+
+  formatProgress(progress) {
+    const stages = {
+      cache_hit: '⚡ Conteúdo encontrado no cache',
+      prompt_built: '🧠 Prompt montado',
+      provider_selected: `🤖 Gerando com ${progress.provider}${progress.model ? ` (${progress.model})` : ''}...`,
+      saving: '💾 Salvando conteúdo...'
+    };
+    return stages[progress.stage] || progress.stage;
+  }
+
+  // Result card that fills in as tokens arrive
+  createStreamingResult(platform, onCancel) {
+    const resultsContainer = document.getElementById('results');
+    if (!resultsContainer) {
+      return { append: () => {}, setStatus: () => {} };
+    }
+
+    resultsContainer.innerHTML = `
+      <div class="result-card streaming" data-platform="${this.escapeHtml(platform || '')}">
+        <div class="result-header">
+          <h3>${this.formatPlatformName(platform || 'conteúdo')}</h3>
+          <div class="result-actions">
+            <span class="stream-status">Gerando conteúdo otimizado...</span>
+            <button class="cancel-btn">⏹️ Cancelar</button>
+          </div>
+        </div>
+        <div class="result-content">
+          <pre class="stream-output"></pre>
+        </div>
+      </div>
+    `;
+
+    const output = resultsContainer.querySelector('.stream-output');
+    const status = resultsContainer.querySelector('.stream-status');
+    resultsContainer.querySelector('.cancel-btn').addEventListener('click', onCancel);
+    this.animateIn(resultsContainer);
+
+    return {
+      // textContent keeps model output from being parsed as HTML
+      append: (text) => { output.textContent += text; },
+      setStatus: (text) => { status.textContent = text; }
+    };
+  }
+
   async handleSuggest(e) {
     e.preventDefault();
     
@@ -372,9 +498,9 @@ class UIManager {
         ${suggestion.title ? `<div class="suggestion-item">
           <strong>Título:</strong> ${this.escapeHtml(suggestion.title)}
         </div>` : ''}
-        ${suggestion.outline ? `<div class="suggestion-item">
+        ${suggestion.outline?.length ? `<div class="suggestion-item">
           <strong>Estrutura:</strong>
-          <pre>${this.escapeHtml(suggestion.outline)}</pre>
+          <ul>${suggestion.outline.map(point => `<li>${this.escapeHtml(point)}</li>`).join('')}</ul>
         </div>` : ''}
         ${suggestion.hook ? `<div class="suggestion-item">
           <strong>Hook:</strong> ${this.escapeHtml(suggestion.hook)}
@@ -633,7 +759,10 @@ class UIManager {
   }
 
   isValidFile(file) {
-    const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'text/plain'];
+    const validTypes = [
+      'image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'text/plain',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ];
     const maxSize = 10 * 1024 * 1024; // 10MB
     
     return validTypes.includes(file.type) && file.size <= maxSize;
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh SQLite file, set before the config is loaded
+const DATABASE_FILE = path.join(os.tmpdir(), `viralcraft-analytics-${process.pid}.sqlite`);
+process.env.DATABASE_URL = `sqlite:${DATABASE_FILE}`;
+
+const databaseService = require('./services/database');
+const analyticsService = require('./services/analyticsService');
+const { listPeriods } = require('./utils/timezone');
+
+// São Paulo is UTC-3 all year, so its days start at 03:00Z
+const TIMEZONE = 'America/Sao_Paulo';
+const DAY = 24 * 60 * 60 * 1000;
+
+const snapshot = (recordedAt, views, likes) => ({
+  platform: 'instagram',
+  views,
+  likes,
+  shares: 0,
+  comments: 0,
+  clickThrough: 0,
+  engagementRate: analyticsService.calculateEngagementRate({ views, likes, shares: 0, comments: 0 }),
+  recordedAt
+});
+
+const BASELINE = snapshot('2026-02-27T12:00:00.000Z', 100, 10);
+const SNAPSHOTS = [
+  snapshot('2026-03-01T12:00:00.000Z', 150, 12),
+  // 23:30 on March 1st in São Paulo, already March 2nd in UTC
+  snapshot('2026-03-02T02:30:00.000Z', 180, 15),
+  // A lower view count is a correction by the platform
+  snapshot('2026-03-03T10:00:00.000Z', 170, 20)
+];
+
+const summarize = points => points.map(point => ({
+  key: point.key,
+  snapshots: point.snapshots,
+  views: point.views,
+  gained: { views: point.gained.views, likes: point.gained.likes }
+}));
+
+async function testAnalytics() {
+  console.log('🧪 Starting analytics tests...\n');
+
+  const { interval, timezone, start, end } = analyticsService.resolvePeriod({ from: '2026-03-01', to: '2026-03-04', timezone: TIMEZONE });
+  assert.deepStrictEqual([interval, timezone], ['day', TIMEZONE]);
+  assert.deepStrictEqual([start, end], [new Date('2026-03-01T03:00:00Z'), new Date('2026-03-04T03:00:00Z')], 'local dates are read in the zone');
+  const absolute = analyticsService.resolvePeriod({ from: '2026-03-01T00:00:00Z', to: '2026-03-04T00:00:00Z', timezone: TIMEZONE });
+  assert.deepStrictEqual(absolute.start, new Date('2026-03-01T00:00:00Z'), 'dates with an offset are absolute');
+  const recent = analyticsService.resolvePeriod({});
+  assert.ok(Math.abs(recent.end - Date.now()) < 60000);
+  assert.strictEqual(recent.end - recent.start, 30 * DAY, 'the last 30 days by default');
+  console.log('✅ Periods resolve in the requested time zone');
+
+  for (const [query, message] of [
+    [{ interval: 'hour' }, /interval must be one of/],
+    [{ timezone: 'Mars/Olympus_Mons' }, /Invalid timezone/],
+    [{ from: 'yesterday' }, /ISO 8601/],
+    [{ from: '2026-03-04', to: '2026-03-01' }, /to must be after from/],
+    [{ from: '2025-01-01', to: '2026-03-01' }, /can't exceed 366 days/]
+  ]) {
+    assert.throws(() => analyticsService.resolvePeriod(query), error => error.statusCode === 400 && message.test(error.message));
+  }
+  console.log('✅ Bad intervals, time zones and ranges are rejected');
+
+  const days = listPeriods(start, end, 'day', TIMEZONE);
+  assert.deepStrictEqual(summarize(analyticsService.bucketSeries({ baseline: BASELINE, snapshots: SNAPSHOTS }, days)), [
+    { key: '2026-03-01', snapshots: 2, views: 180, gained: { views: 80, likes: 5 } },
+    { key: '2026-03-02', snapshots: 0, views: 180, gained: { views: 0, likes: 0 } },
+    { key: '2026-03-03', snapshots: 1, views: 170, gained: { views: 0, likes: 5 } }
+  ]);
+  console.log('✅ Growth is the difference between consecutive snapshots, carried over empty days');
+
+  const utcDays = listPeriods(new Date('2026-03-01T00:00:00Z'), new Date('2026-03-04T00:00:00Z'), 'day', 'UTC');
+  assert.deepStrictEqual(summarize(analyticsService.bucketSeries({ baseline: BASELINE, snapshots: SNAPSHOTS }, utcDays)).slice(0, 2), [
+    { key: '2026-03-01', snapshots: 1, views: 150, gained: { views: 50, likes: 2 } },
+    { key: '2026-03-02', snapshots: 1, views: 180, gained: { views: 30, likes: 3 } }
+  ]);
+  const months = listPeriods(start, end, 'month', TIMEZONE);
+  assert.deepStrictEqual(summarize(analyticsService.bucketSeries({ baseline: BASELINE, snapshots: SNAPSHOTS }, months)), [
+    { key: '2026-03', snapshots: 3, views: 170, gained: { views: 70, likes: 10 } }
+  ]);
+  const unmeasured = analyticsService.bucketSeries({ baseline: null, snapshots: [] }, days);
+  assert.ok(unmeasured.every(point => point.views === null && point.gained.views === 0));
+  console.log('✅ Snapshots fall in the period of their local time');
+
+  try {
+    assert.strictEqual(await databaseService.initialize(), true);
+    const { db } = global;
+    global.db = databaseService;
+
+    try {
+      const content = await databaseService.createContent({ title: 'Measured', type: 'post', platform: 'instagram', content: { instagram: 'text' } });
+      const { inserted } = await analyticsService.ingest([BASELINE, ...SNAPSHOTS].map(entry => ({ ...entry, contentId: content.id })));
+      assert.strictEqual(inserted.length, 4);
+
+      const [latest] = await databaseService.getLatestAnalytics({ contentId: content.id });
+      assert.ok(latest.recordedAt instanceof Date, `recordedAt is a Date, not ${JSON.stringify(latest.recordedAt)}`);
+      assert.deepStrictEqual(latest.recordedAt, new Date(SNAPSHOTS[2].recordedAt));
+      assert.strictEqual(JSON.stringify(latest.recordedAt), JSON.stringify(inserted[3].recordedAt), 'serialized like ingested snapshots');
+      console.log('✅ Latest snapshots come back with Date timestamps');
+
+      const series = await analyticsService.getContentTimeSeries(content.id, { from: '2026-03-01', to: '2026-03-04', timezone: TIMEZONE });
+      assert.deepStrictEqual(summarize(series.platforms.instagram), summarize(analyticsService.bucketSeries({ baseline: BASELINE, snapshots: SNAPSHOTS }, days)));
+      console.log('✅ Stored time series start from the snapshot before the range');
+    } finally {
+      global.db = db;
+    }
+  } finally {
+    await databaseService.close();
+    fs.rmSync(DATABASE_FILE, { force: true });
+  }
+
+  console.log('\n🏁 Analytics tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testAnalytics().catch(error => {
+    console.error('❌ Analytics test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testAnalytics;
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const YouTubeAnalyzer = require('./utils/youtube-analyzer');
+const extractionService = require('./services/extractionService');
+const hashtagService = require('./services/hashtagService');
+
+// Our own posts only: half about the topic, half not, all with the brand tag.
+// #FunilDeVendas and #f4f are in one post, the topic's other tags in a quarter of them.
+const POSTS = Array.from({ length: 24 }, (_, index) => {
+  const topical = index % 2 === 1;
+  const text = topical
+    ? `Dica ${index} #minhamarca ${index % 4 === 1 ? '#MarketingDigital' : '#ConteudoDigital'}${index === 1 ? ' #FunilDeVendas #f4f' : ''}`
+    : `Receita ${index} #vegan #minhamarca`;
+  return {
+    id: `content-${index}`,
+    title: topical ? 'Marketing digital no Instagram' : 'Receitas veganas',
+    platform: 'instagram',
+    keywords: [],
+    content: { instagram: text },
+    metadata: {}
+  };
+});
+
+const useCorpus = posts => {
+  global.db = {
+    isConnected: true,
+    getContent: async () => posts,
+    getLatestAnalytics: async () => posts.map(post => ({ contentId: post.id, platform: 'instagram', engagementRate: 3 }))
+  };
+};
+
+const tagsOf = entries => entries.map(entry => entry.tag.toLowerCase());
+const reasonsFor = (result, tag) => result.flagged.find(entry => entry.tag.toLowerCase() === tag)?.reasons;
+
+async function testHashtags() {
+  console.log('🧪 Starting hashtag tests...\n');
+
+  const { getAllAnalyses } = YouTubeAnalyzer;
+  const { listSaved } = extractionService;
+  const { db } = global;
+  YouTubeAnalyzer.getAllAnalyses = async () => [];
+  extractionService.listSaved = async () => [];
+
+  try {
+    useCorpus(POSTS);
+    const topic = { topic: 'marketing digital', keywords: ['instagram'], platform: 'instagram' };
+
+    const result = await hashtagService.recommend(topic);
+    assert.deepStrictEqual(tagsOf(result.broad), ['#marketingdigital', '#conteudodigital']);
+    assert.deepStrictEqual(tagsOf(result.niche), ['#funildevendas']);
+    assert.strictEqual(result.sources.content, POSTS.length);
+    console.log('✅ Tags in many documents are broad, rare ones niche');
+
+    useCorpus(POSTS.slice(0, 6));
+    const small = await hashtagService.recommend(topic);
+    assert.strictEqual(small.broad.length, 0, 'a handful of documents gives no broad tags');
+    assert.ok(tagsOf(small.niche).includes('#marketingdigital'));
+    useCorpus(POSTS);
+    console.log('✅ Small corpora only recommend niche tags');
+
+    assert.deepStrictEqual(reasonsFor(result, '#f4f'), ['banned']);
+    assert.deepStrictEqual(reasonsFor(result, '#instagram'), ['overused']);
+    assert.deepStrictEqual(reasonsFor(result, '#minhamarca'), ['overused'], 'a tag on every post is a habit');
+    assert.ok(!result.hashtags.some(tag => ['#f4f', '#instagram', '#minhamarca'].includes(tag.toLowerCase())));
+    assert.deepStrictEqual(hashtagService.review(['#F4F', '#fyp', '#Vegan', '#vegan'], { hashtagPolicy: { banned: ['vegan'] } }), {
+      passed: false,
+      flagged: [
+        { tag: '#F4F', reasons: ['banned'] },
+        { tag: '#fyp', reasons: ['overused'] },
+        { tag: '#vegan', reasons: ['brandBanned'] }
+      ]
+    });
+    assert.strictEqual(hashtagService.review(['#MarketingDigital']).passed, true);
+    console.log('✅ Banned, brand-banned and overused tags are flagged, not recommended');
+
+    const brandVoice = { hashtagPolicy: { required: ['#MinhaMarca', '#F4F'], banned: ['#ConteudoDigital'] } };
+    const branded = await hashtagService.recommend({ ...topic, brandVoice });
+    assert.deepStrictEqual(tagsOf(branded.branded), ['#minhamarca'], 'a required brand tag is never overused');
+    assert.deepStrictEqual(reasonsFor(branded, '#f4f'), ['banned'], 'required brand tags are flagged too');
+    assert.deepStrictEqual(reasonsFor(branded, '#conteudodigital'), ['brandBanned']);
+    assert.strictEqual(branded.flagged.filter(entry => entry.tag.toLowerCase() === '#f4f').length, 1);
+    assert.ok(!branded.hashtags.some(tag => tag.toLowerCase() === '#f4f'));
+    console.log('✅ Required brand tags go in unless they are banned');
+
+    const capped = await hashtagService.recommend({ ...topic, brandVoice: { hashtagPolicy: { required: ['#MinhaMarca'], max: 2 } } });
+    assert.deepStrictEqual(capped.hashtags.map(tag => tag.toLowerCase()), ['#funildevendas', '#minhamarca'], 'broad tags go first');
+    console.log('✅ The brand cap drops broad tags first');
+
+    const brandTags = ['#MinhaMarca', '#MarcaDois', '#MarcaTres'];
+    const tweet = await hashtagService.recommend({ ...topic, platform: 'twitter', brandVoice: { hashtagPolicy: { required: brandTags } } });
+    assert.deepStrictEqual(tweet.hashtags, brandTags.slice(0, 2), 'brand tags count towards the cap');
+    assert.deepStrictEqual([tweet.broad.length, tweet.niche.length], [0, 0]);
+    console.log('✅ Brand tags can\'t push a platform past its cap');
+
+    await assert.rejects(hashtagService.recommend({ ...topic, platform: 'myspace' }), { statusCode: 400 });
+    await assert.rejects(hashtagService.recommend({ ...topic, topic: ' ' }), { statusCode: 400 });
+    console.log('✅ Unknown platforms and empty topics are rejected');
+  } finally {
+    YouTubeAnalyzer.getAllAnalyses = getAllAnalyses;
+    extractionService.listSaved = listSaved;
+    global.db = db;
+  }
+
+  console.log('\n🏁 Hashtag tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testHashtags().catch(error => {
+    console.error('❌ Hashtag test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testHashtags;
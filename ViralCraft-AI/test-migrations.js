@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh SQLite file, set before the config is loaded
+const DATABASE_FILE = path.join(os.tmpdir(), `viralcraft-migrations-${process.pid}.sqlite`);
+process.env.DATABASE_URL = `sqlite:${DATABASE_FILE}`;
+
+const { QueryTypes } = require('sequelize');
+const databaseService = require('./services/database');
+const migrationService = require('./services/migrationService');
+
+async function testMigrations() {
+  console.log('🧪 Starting migration tests...\n');
+
+  try {
+    assert.strictEqual(await databaseService.initialize({ migrate: false }), true);
+
+    const fresh = await databaseService.getMigrationStatus();
+    assert.ok(fresh.length > 0, 'finds the migration files');
+    assert.ok(fresh.every(migration => migration.status === 'pending'), 'connecting with { migrate: false } applies nothing');
+    console.log('✅ Status on a fresh database leaves every migration pending');
+
+    // A database from before migrations: the tables sync() made, holding content
+    const { sequelize } = databaseService;
+    const [baseline] = migrationService.load();
+    await baseline.up(migrationService.buildContext(sequelize));
+    await sequelize.query(
+      `INSERT INTO "Contents" (id, title, type, platform, content, "createdAt", "updatedAt")
+       VALUES ('c0ffee00-0000-4000-8000-000000000000', 'Kept', 'post', 'instagram', '"text"', '2026-01-01', '2026-01-01')`
+    );
+
+    const applied = await databaseService.migrate();
+    assert.strictEqual(applied.length, fresh.length);
+    assert.ok((await databaseService.getMigrationStatus()).every(migration => migration.status === 'up'));
+    console.log('✅ Migrate applies every pending migration');
+
+    const rolledBack = await databaseService.rollbackMigrations();
+    assert.strictEqual(rolledBack.length, fresh.length - 1, 'one batch holds every migration of the run but the baseline');
+    assert.ok(!rolledBack.includes(baseline.name));
+    const status = await databaseService.getMigrationStatus();
+    assert.strictEqual(status[0].status, 'up');
+    assert.ok(status.slice(1).every(migration => migration.status === 'pending'));
+    const kept = await sequelize.query('SELECT title FROM "Contents"', { type: QueryTypes.SELECT });
+    assert.deepStrictEqual(kept, [{ title: 'Kept' }], 'existing content survives a rollback');
+    assert.deepStrictEqual(await databaseService.rollbackMigrations(), [], 'the baseline is never rolled back');
+    console.log('✅ Rollback undoes the last batch and keeps the baseline tables');
+
+    const { load } = migrationService;
+    migrationService.load = () => [...load.call(migrationService), {
+      name: '999-broken',
+      async up({ DataTypes, createTable }) {
+        await createTable('Broken', { id: { type: DataTypes.INTEGER, primaryKey: true } });
+        throw new Error('halfway');
+      }
+    }];
+    try {
+      await assert.rejects(databaseService.migrate(), /halfway/);
+      const afterFailure = await databaseService.getMigrationStatus();
+      assert.ok(afterFailure.slice(0, -1).every(migration => migration.status === 'up'), 'the migrations before it stay applied');
+      assert.strictEqual(afterFailure[afterFailure.length - 1].status, 'pending');
+      assert.strictEqual(await sequelize.getQueryInterface().tableExists('Broken'), false, 'nothing of the failed one is left');
+    } finally {
+      migrationService.load = load;
+    }
+    console.log('✅ A failing migration leaves no partial schema behind');
+  } finally {
+    await databaseService.close();
+    fs.rmSync(DATABASE_FILE, { force: true });
+  }
+
+  console.log('\n🏁 Migration tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testMigrations().catch(error => {
+    console.error('❌ Migration test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testMigrations;
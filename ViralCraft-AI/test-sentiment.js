@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { analyze } = require('./utils/sentiment');
+
+// Term valences are rounded to two decimals
+const round2 = value => Math.round(value * 100) / 100;
+const valenceOf = (result, term) => result.terms.find(entry => entry.term === term)?.valence;
+
+async function testSentiment() {
+  console.log('🧪 Starting sentiment tests...\n');
+
+  const happy = analyze('I am happy', { language: 'en' });
+  const unhappy = analyze('I am not happy', { language: 'en' });
+  assert.strictEqual(happy.label, 'positive');
+  assert.strictEqual(unhappy.label, 'negative');
+  assert.strictEqual(valenceOf(unhappy, 'happy'), round2(valenceOf(happy, 'happy') * -0.74));
+  assert.strictEqual(analyze('Não estou feliz', { language: 'pt' }).label, 'negative');
+  assert.strictEqual(analyze('I never said it was not good', { language: 'en' }).label, 'negative', 'the window is three words');
+  assert.strictEqual(analyze('Not that I mind, it was good', { language: 'en' }).label, 'positive', 'negations further back are ignored');
+  assert.strictEqual(analyze('I am not afraid', { language: 'en' }).dominantEmotion, null, 'a negated emotion is not expressed');
+  console.log('✅ Negations flip and damp the words after them');
+
+  assert.ok(valenceOf(analyze('very happy', { language: 'en' }), 'happy') > valenceOf(happy, 'happy'));
+  assert.ok(valenceOf(analyze('muito feliz', { language: 'pt' }), 'feliz') > valenceOf(analyze('feliz', { language: 'pt' }), 'feliz'));
+  assert.strictEqual(valenceOf(analyze('not very happy', { language: 'en' }), 'happy'), round2(3 * 1.3 * -0.74));
+  console.log('✅ Intensifiers scale the word after them');
+
+  const sad = analyze('I am not happy 😢', { language: 'en' });
+  assert.strictEqual(valenceOf(sad, '😢'), valenceOf(analyze('😢'), '😢'), 'a negation doesn\'t flip emoji');
+  assert.ok(valenceOf(sad, '😢') < 0);
+  assert.ok(sad.score < unhappy.score, 'a sad emoji makes it sadder');
+  assert.strictEqual(analyze('not :(', { language: 'en' }).label, 'negative', 'or emoticons');
+  assert.strictEqual(valenceOf(analyze('very 😍', { language: 'en' }), '😍'), valenceOf(analyze('😍'), '😍'), 'intensifiers don\'t scale emoji');
+  assert.strictEqual(analyze('Launch day 🚀🎉', { language: 'en' }).dominantEmotion, 'joy');
+  console.log('✅ Emoji and emoticons keep their own valence');
+
+  console.log('\n🏁 Sentiment tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testSentiment().catch(error => {
+    console.error('❌ Sentiment test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testSentiment;
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { tokenize, diffWords } = require('./utils/text-diff');
+
+// Each side of a diff is its unchanged text plus what it alone has
+const rebuild = (changes, side) => changes
+  .filter(change => change.type === 'equal' || change.type === side)
+  .map(change => change.text)
+  .join('');
+
+const words = (count, word = index => `word${index % 997}`) => Array.from({ length: count }, (_, index) => word(index)).join(' ');
+
+async function testTextDiff() {
+  console.log('🧪 Starting text diff tests...\n');
+
+  assert.deepStrictEqual(tokenize('Hello  big\nworld '), ['Hello  ', 'big\n', 'world ']);
+  assert.deepStrictEqual(tokenize(''), []);
+  console.log('✅ Tokens keep their whitespace, so joining them rebuilds the text');
+
+  const { changes, stats } = diffWords('The quick brown fox jumps', 'The quick red fox leaps high');
+  assert.deepStrictEqual(changes, [
+    { type: 'equal', text: 'The quick ' },
+    { type: 'removed', text: 'brown ' },
+    { type: 'added', text: 'red ' },
+    { type: 'equal', text: 'fox ' },
+    { type: 'removed', text: 'jumps' },
+    { type: 'added', text: 'leaps high' }
+  ]);
+  assert.deepStrictEqual(stats, { added: 3, removed: 2, unchanged: 3 });
+  console.log('✅ Small edits come out as equal, removed and added runs');
+
+  assert.deepStrictEqual(diffWords('same text', 'same text').stats, { added: 0, removed: 0, unchanged: 2 });
+  assert.deepStrictEqual(diffWords('', 'new text').changes, [{ type: 'added', text: 'new text' }]);
+  assert.deepStrictEqual(diffWords('old text', '').changes, [{ type: 'removed', text: 'old text' }]);
+  assert.strictEqual(diffWords('Word', 'word').stats.removed, 1, 'case changes are changes');
+  console.log('✅ Identical, emptied and new texts');
+
+  // 20k-word revisions: an LCS table would need 1.6 GB
+  const before = words(20000);
+  const edited = before.split(' ');
+  for (let index = 150; index < edited.length; index += 500) edited[index] = 'edited';
+  edited.splice(10000, 0, 'inserted', 'words');
+  const after = edited.join(' ');
+
+  const started = Date.now();
+  const large = diffWords(before, after);
+  assert.ok(Date.now() - started < 5000, 'large revisions diff in seconds');
+  assert.deepStrictEqual(large.stats, { added: 42, removed: 40, unchanged: 19960 }, 'the diff is minimal');
+  assert.strictEqual(rebuild(large.changes, 'added'), after);
+  assert.strictEqual(rebuild(large.changes, 'removed'), before);
+  console.log('✅ Large revisions with a few edits diff exactly, without the LCS table');
+
+  const rewritten = words(20000, index => `other${index}`);
+  const replaced = diffWords(before, rewritten);
+  assert.deepStrictEqual(replaced.stats, { added: 20000, removed: 20000, unchanged: 0 });
+  assert.strictEqual(rebuild(replaced.changes, 'added'), rewritten);
+  assert.strictEqual(rebuild(replaced.changes, 'removed'), before);
+  console.log('✅ Large rewrites come out as a replacement');
+
+  console.log('\n🏁 Text diff tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testTextDiff().catch(error => {
+    console.error('❌ Text diff test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testTextDiff;
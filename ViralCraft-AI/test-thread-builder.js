@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { measure, splitText, buildThread } = require('./utils/thread-builder');
+const platformConstraintService = require('./services/platformConstraintService');
+
+const LIMIT = 280;
+const HOOK = 'Most email lists are dead weight.';
+const CTA = 'Which of these will you try first?';
+const LINK = 'https://example.com/guides/email-marketing-that-actually-converts?utm_source=thread';
+
+const sentence = index => `Point ${index}: segment your list by what people clicked, not by when they signed up.`;
+const paragraph = (from, count) => Array.from({ length: count }, (_, index) => sentence(from + index)).join(' ');
+
+const numberingOf = post => post.match(/ (\d+)\/(\d+)$/);
+
+const assertThread = (posts, limit) => {
+  posts.forEach((post, index) => {
+    assert.ok(measure(post, 'twitter').length <= limit, `post ${index + 1} fits ${limit}: ${post}`);
+    const numbering = numberingOf(post);
+    assert.ok(numbering, `post ${index + 1} is numbered`);
+    assert.deepStrictEqual([Number(numbering[1]), Number(numbering[2])], [index + 1, posts.length]);
+  });
+};
+
+const copiesOf = (posts, text) => posts.join('\n').split(text).length - 1;
+
+async function testThreadBuilder() {
+  console.log('🧪 Starting thread builder tests...\n');
+
+  assert.strictEqual(measure(`Read ${LINK}`, 'twitter').length, 5 + 23);
+  assert.strictEqual(measure('🚀', 'twitter').length, 2);
+  assert.strictEqual(measure('🚀', 'linkedin').length, 1);
+  console.log('✅ Twitter counts links as 23 characters and emoji twice');
+
+  const body = [paragraph(1, 4), paragraph(5, 4), `Full guide: ${LINK} #EmailMarketing #Newsletters`].join('\n\n');
+  const posts = buildThread({ hook: HOOK, body, cta: CTA, hashtags: ['#Growth'] }, { platform: 'twitter', limit: LIMIT });
+  assert.ok(posts.length > 3, 'long content becomes a thread');
+  assertThread(posts, LIMIT);
+  assert.ok(posts[0].startsWith(HOOK), 'the hook opens post 1');
+  assert.ok(posts[posts.length - 1].includes(CTA), 'the CTA closes the last post');
+  console.log('✅ Posts fit the limit, are numbered and open with the hook and close with the CTA');
+
+  for (const token of [LINK, '#EmailMarketing', '#Newsletters', '#Growth']) {
+    assert.strictEqual(posts.filter(post => post.split(/\s+/).includes(token)).length, 1, `${token} is kept whole once`);
+  }
+  const cut = splitText(`${'a'.repeat(300)} ${LINK} #${'b'.repeat(290)}`, 100, 'twitter');
+  assert.ok(cut.includes(LINK) && cut.includes(`#${'b'.repeat(290)}`), 'links and hashtags are never cut');
+  assert.strictEqual(cut.slice(0, 3).join(''), 'a'.repeat(300), 'other long words are cut to the limit');
+  console.log('✅ Links and hashtags stay whole');
+
+  const repeated = buildThread({
+    hook: HOOK,
+    body: [`${HOOK} ${sentence(1)}`, `${sentence(2)} ${CTA}`, CTA, `${sentence(3)}\n\n${CTA}`],
+    cta: CTA
+  }, { platform: 'twitter', limit: LIMIT });
+  assertThread(repeated, LIMIT);
+  assert.strictEqual(copiesOf(repeated, HOOK), 1, 'the hook is published once');
+  assert.strictEqual(copiesOf(repeated, CTA), 1, 'the CTA is published once');
+  assert.ok(repeated[repeated.length - 1].includes(CTA));
+  console.log('✅ A hook or CTA repeated in any post is published once');
+
+  const renumbered = buildThread({ body: ['First 4/9', 'Second 5/9', 'Open 24/7 6/9'] }, { platform: 'twitter', limit: LIMIT });
+  assert.deepStrictEqual(renumbered, ['First 1/3', 'Second 2/3', 'Open 24/7 3/3']);
+  assert.deepStrictEqual(buildThread({ body: ['First', 'Open 24/7'] }, { platform: 'twitter', limit: LIMIT }), ['First 1/2', 'Open 24/7 2/2']);
+  console.log('✅ Rebuilding a numbered thread replaces its numbering');
+
+  const thread = ['Why segments beat blasts 1/3', `${paragraph(1, 6)} 2/3`, `${CTA} 3/3`];
+  const { result, constraints } = platformConstraintService.enforce(
+    { content: thread.join('\n\n'), structured: { posts: thread } },
+    'twitter',
+    { fix: true }
+  );
+  const fixed = result.structured.posts;
+  assert.ok(constraints.passed, `fixed thread passes: ${JSON.stringify(constraints.violations)}`);
+  assert.ok(fixed.length > thread.length, 'the long post is split');
+  assertThread(fixed, LIMIT);
+  assert.strictEqual(new Set(fixed.map(post => numberingOf(post)[0])).size, fixed.length, 'no index is repeated');
+  assert.ok(fixed[0].startsWith('Why segments beat blasts'));
+  assert.ok(fixed[fixed.length - 1].startsWith(CTA));
+  assert.strictEqual(result.content, fixed.join('\n\n'), 'the content follows the posts');
+  console.log('✅ Auto-fix splits an over-long post and renumbers the thread');
+
+  console.log('\n🏁 Thread builder tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testThreadBuilder().catch(error => {
+    console.error('❌ Thread builder test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testThreadBuilder;
@@ -0,0 +1,152 @@
+const http = require('http');
+const assert = require('assert');
+const config = require('./config/app');
+const extractionService = require('./services/extractionService');
+
+// Fixture article served by a local HTTP server
+const ARTICLE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Fallback Title | Example Blog</title>
+  <meta property="og:title" content="How Short Videos Took Over Social Media">
+  <meta property="og:image" content="/images/cover.jpg">
+  <meta property="og:site_name" content="Example Blog">
+  <meta name="author" content="Jane Doe">
+  <meta property="article:published_time" content="2025-03-14T10:00:00Z">
+  <script>window.tracking = true;</script>
+</head>
+<body>
+  <header><nav><a href="/">Home</a><a href="/about">About</a></nav></header>
+  <article>
+    <h1>How Short Videos Took Over Social Media</h1>
+    <p>Short videos are now the fastest growing format on every major platform, and creators who adapt early see the biggest gains in reach.</p>
+    <h2>Why the format works</h2>
+    <p>Attention spans did not shrink, but the competition for them grew. A strong hook in the first three seconds decides whether a viewer stays.</p>
+    <ul>
+      <li>Hook in the first seconds</li>
+      <li>One idea per video</li>
+    </ul>
+    <p>Read the <a href="https://research.example.org/study">original study</a> and our <a href="/related">related post</a> for more context on the data.</p>
+  </article>
+  <aside>Subscribe to our newsletter!</aside>
+  <footer>Copyright Example Blog</footer>
+</body>
+</html>`;
+
+// Valid JSON-LD arrays may hold nulls next to the article entry
+const JSON_LD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <script type="application/ld+json">[null, "x", { "@type": "NewsArticle", "headline": "Structured Headline" }]</script>
+</head>
+<body><p>Short page.</p></body>
+</html>`;
+
+function startFixtureServer() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      if (req.url === '/article') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_HTML);
+      } else if (req.url === '/json-ld') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(JSON_LD_HTML);
+      } else if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/article' });
+        res.end();
+      } else if (req.url === '/data.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function testUrlExtraction() {
+  console.log('🧪 Starting URL extraction tests...\n');
+  const server = await startFixtureServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // The fixture server is on loopback
+  const { allowPrivateNetworks } = config.extraction;
+  config.extraction.allowPrivateNetworks = true;
+
+  try {
+    const document = await extractionService.extractUrl(`${baseUrl}/article`);
+
+    assert.strictEqual(document.format, 'web');
+    assert.strictEqual(document.title, 'How Short Videos Took Over Social Media');
+    assert.strictEqual(document.author, 'Jane Doe');
+    assert.strictEqual(document.publishedAt, '2025-03-14T10:00:00.000Z');
+    assert.strictEqual(document.image, `${baseUrl}/images/cover.jpg`);
+    assert.strictEqual(document.language, 'en');
+    assert.ok(document.text.includes('## Why the format works'), 'keeps headings');
+    assert.ok(document.text.includes('- One idea per video'), 'keeps lists');
+    assert.ok(!document.text.includes('Subscribe to our newsletter'), 'drops asides');
+    assert.ok(!document.text.includes('Home'), 'drops navigation');
+    assert.deepStrictEqual(document.links, [
+      { url: 'https://research.example.org/study', text: 'original study' }
+    ]);
+    assert.ok(document.sections.some(section => section.title === 'Why the format works'));
+    console.log('✅ Article text and metadata extracted');
+
+    const structured = await extractionService.extractUrl(`${baseUrl}/json-ld`);
+    assert.strictEqual(structured.title, 'Structured Headline');
+    console.log('✅ JSON-LD arrays with null entries read');
+
+    await assert.rejects(
+      extractionService.extractUrl(`${baseUrl}/data.json`),
+      error => error.statusCode === 415
+    );
+    console.log('✅ Non-HTML responses rejected');
+
+    await assert.rejects(
+      extractionService.extractUrl('ftp://example.com/file'),
+      error => error.statusCode === 400
+    );
+    console.log('✅ Unsupported protocols rejected');
+
+    const redirected = await extractionService.extractUrl(`${baseUrl}/moved`);
+    assert.strictEqual(redirected.url, `${baseUrl}/article`);
+    console.log('✅ Redirects followed, relative links resolved against the final URL');
+
+    config.extraction.allowPrivateNetworks = false;
+    for (const url of [`${baseUrl}/article`, `http://localhost:${server.address().port}/article`, 'http://[::1]/', 'http://169.254.169.254/latest/meta-data/']) {
+      await assert.rejects(extractionService.extractUrl(url), error => error.statusCode === 400, url);
+    }
+    console.log('✅ Loopback, private and metadata addresses rejected');
+
+    // A public page redirecting to an internal address is stopped at the redirect
+    const fetchPage = extractionService.fetchPage;
+    const fetched = [];
+    extractionService.fetchPage = async pageUrl => {
+      fetched.push(pageUrl.href);
+      return { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } };
+    };
+    try {
+      await assert.rejects(extractionService.extractUrl('http://93.184.216.34/'), error => error.statusCode === 400);
+      assert.deepStrictEqual(fetched, ['http://93.184.216.34/']);
+    } finally {
+      extractionService.fetchPage = fetchPage;
+    }
+    console.log('✅ Redirects to internal addresses rejected');
+  } finally {
+    config.extraction.allowPrivateNetworks = allowPrivateNetworks;
+    server.close();
+  }
+
+  console.log('\n🏁 URL extraction tests passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+  testUrlExtraction().catch(error => {
+    console.error('❌ URL extraction test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = testUrlExtraction;
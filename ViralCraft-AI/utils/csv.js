@@ -0,0 +1,72 @@
+/**
+ * CSV parsing (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+const parseRows = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by header
+ * @returns {Array<Object>} One object per data row
+ */
+const parse = (text, delimiter = ',') => {
+  const [header, ...rows] = parseRows(text, delimiter);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, (fields[index] ?? '').trim()])));
+};
+
+module.exports = {
+  parseRows,
+  parse
+};
@@ -38,5 +38,17 @@ module.exports = {
     error.statusCode = statusCode;
     error.details = details;
     return error;
+  },
+
+  // Respond with an error's status code, logging only unexpected errors (no status code)
+  sendError: (res, error, logMessage) => {
+    if (!error.statusCode) {
+      logger.error(logMessage, error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || undefined
+    });
   }
 };
@@ -0,0 +1,42 @@
+/**
+ * Hashtag helpers: finding tags in text, comparing them and building a tag
+ * from a phrase
+ */
+
+const HASHTAG = /#[\p{L}\p{N}_]+/gu;
+
+// Platforms match hashtags case-insensitively: #MarketingDigital is #marketingdigital
+const tagKey = tag => `#${String(tag).trim().replace(/^#+/, '')}`.toLowerCase();
+
+/**
+ * Hashtags in a text, in order of appearance, without repeats (case-insensitive)
+ */
+const extractHashtags = text => {
+  const seen = new Set();
+  return (String(text || '').match(HASHTAG) || []).filter(tag => {
+    const key = tagKey(tag);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Hashtag for a phrase: "marketing digital!" -> "#MarketingDigital"
+ * @returns {string|null} null when the phrase has no letters or digits
+ */
+const toHashtag = phrase => {
+  const words = String(phrase || '').replace(/^#+/, '').match(/[\p{L}\p{N}_]+/gu) || [];
+  if (words.length === 0) return null;
+  const body = words.length === 1
+    ? words[0]
+    : words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  return `#${body}`;
+};
+
+module.exports = {
+  HASHTAG,
+  extractHashtags,
+  tagKey,
+  toHashtag
+};
@@ -0,0 +1,168 @@
+/**
+ * Hook analyzer - scores the opening of a post (its first line, or what is
+ * said in the first 3 seconds of a video) for curiosity gaps, numbers, direct
+ * address and pattern interrupts. Findings carry [start, end) offsets into
+ * the whole text so they can be highlighted.
+ */
+
+const { words } = require('./readability');
+
+// Platforms whose text is a script: the hook is what is said in the first seconds
+const VIDEO_PLATFORMS = ['tiktok', 'youtube'];
+const HOOK_SECONDS = 3;
+const WORDS_PER_SECOND = 2.5;
+
+// Hooks up to this many words get the brevity points; longer than LONG_HOOK_WORDS are reported
+const SHORT_HOOK_WORDS = 12;
+const LONG_HOOK_WORDS = 20;
+
+const BASE_SCORE = 20;
+const POINTS = {
+  curiosityGap: 25,
+  number: 15,
+  directAddress: 15,
+  patternInterrupt: 20,
+  brevity: 10,
+  weakOpener: -20,
+  longHook: -10
+};
+
+// Whole-word alternatives, accent-aware (\b only knows ASCII letters)
+const terms = alternatives => new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+const PATTERNS = {
+  pt: {
+    curiosityGap: terms(['o segredo', 'segredos?', 'ningu[eé]m (?:te )?(?:conta|fala)', 'voc[eê] n[aã]o vai acreditar', 'o que (?:acontece|aconteceu)', 'descubra', 'a verdade sobre', 'por que', 'o motivo', 'o erro que', 'isso mudou']),
+    directAddress: terms(['voc[eê]s?', 'seus?', 'suas?', 'te', 'teus?', 'tuas?', 'contigo']),
+    patternInterrupt: terms(['pare', 'para de', 'espera', 'esque[cç]a', 'esquece', 'nunca', 'errado', 'mito', 'mentira', 'opini[aã]o impopular', 'alerta', 'aten[cç][aã]o']),
+    weakOpener: /^(?:ol[aá]|oi|bom dia|boa tarde|boa noite|hoje (?:eu )?vou|n(?:este|esse) (?:post|v[ií]deo)|fala,? galera|e a[ií],? pessoal)(?![\p{L}\p{N}])/iu
+  },
+  en: {
+    curiosityGap: terms(['the secret', 'secrets?', 'nobody (?:tells|talks)', "you won['’]t believe", 'what (?:happens|happened)', 'the truth about', 'why', "here['’]s (?:why|how|what)", 'the reason', 'the mistake']),
+    directAddress: terms(['you', 'your', 'yours', "you['’]re", 'yourself']),
+    patternInterrupt: terms(['stop', 'wait', 'forget', 'never', 'wrong', 'myth', 'lie', 'unpopular opinion', 'warning', 'attention']),
+    weakOpener: /^(?:hi|hello|hey (?:guys|everyone)|today i|in this (?:post|video)|welcome)(?![\p{L}\p{N}])/iu
+  },
+  es: {
+    curiosityGap: terms(['el secreto', 'secretos?', 'nadie te (?:dice|cuenta)', 'no vas a creer', 'lo que (?:pasa|pas[oó])', 'descubre', 'la verdad sobre', 'por qu[eé]', 'la raz[oó]n', 'el error que']),
+    directAddress: terms(['t[uú]', 'tus', 'te', 'usted', 'ustedes', 'vos']),
+    patternInterrupt: terms(['deja de', 'espera', 'olvida', 'nunca', 'error', 'mito', 'mentira', 'opini[oó]n impopular', 'alerta', 'atenci[oó]n']),
+    weakOpener: /^(?:hola|buenos d[ií]as|buenas tardes|hoy (?:voy|les)|en este (?:post|video)|bienvenid[oa]s?)(?![\p{L}\p{N}])/iu
+  }
+};
+
+// Language independent signals
+const NUMBER = /\d+(?:[.,]\d+)?(?:\s?%|[xk](?!\p{L}))?/giu;
+const OPEN_LOOP = /(?:\?|\.{3}|…)\s*$/u;
+const SHOUTED_WORD = /(?<![\p{L}\p{N}])\p{Lu}{3,}(?![\p{L}\p{N}])/gu;
+const LEADING_EMOJI = /^\p{Extended_Pictographic}/u;
+
+const FINDING_TYPES = {
+  curiosityGap: 'curiosity-gap',
+  number: 'number',
+  directAddress: 'direct-address',
+  patternInterrupt: 'pattern-interrupt',
+  weakOpener: 'weak-opener',
+  longHook: 'long-hook'
+};
+
+/**
+ * The hook's span in the text: its first non-empty line, cut to the words
+ * said in the first HOOK_SECONDS on video platforms
+ * @returns {Object|null} { text, start, end, words }
+ */
+const locateHook = (text, platform) => {
+  const match = /[^\n]*\S[^\n]*/.exec(text);
+  if (!match) return null;
+
+  const start = match.index + match[0].length - match[0].trimStart().length;
+  let end = match.index + match[0].trimEnd().length;
+  let hookWords = words(text.slice(start, end), start);
+
+  if (VIDEO_PLATFORMS.includes(platform)) {
+    const spoken = Math.ceil(HOOK_SECONDS * WORDS_PER_SECOND);
+    if (hookWords.length > spoken) {
+      hookWords = hookWords.slice(0, spoken);
+      end = hookWords[hookWords.length - 1].end;
+    }
+  }
+  if (hookWords.length === 0) return null;
+
+  return { text: text.slice(start, end), start, end, words: hookWords.length };
+};
+
+/**
+ * Score the hook of a text
+ * @param {string} text - Full text
+ * @param {Object} options - { language: 'pt' | 'en' | 'es' | 'unknown', platform }
+ * @returns {Object|null} { text, start, end, words, score (0-100), elements: { [element]: boolean },
+ *   findings: [{ type, text, start, end }] } - null for text without words
+ */
+const analyzeHook = (text, { language, platform } = {}) => {
+  const hook = locateHook(String(text || ''), platform);
+  if (!hook) return null;
+
+  const languages = PATTERNS[language] ? [PATTERNS[language]] : Object.values(PATTERNS);
+  const findings = [];
+  const add = (element, match, index = match.index) => findings.push({
+    type: FINDING_TYPES[element],
+    element,
+    text: match[0],
+    start: hook.start + index,
+    end: hook.start + index + match[0].length
+  });
+  const addAll = (element, pattern) => {
+    for (const match of hook.text.matchAll(pattern)) add(element, match);
+  };
+
+  for (const patterns of languages) {
+    addAll('curiosityGap', patterns.curiosityGap);
+    addAll('directAddress', patterns.directAddress);
+    addAll('patternInterrupt', patterns.patternInterrupt);
+    const weak = patterns.weakOpener.exec(hook.text);
+    if (weak) add('weakOpener', weak);
+  }
+
+  const openLoop = OPEN_LOOP.exec(hook.text);
+  if (openLoop) add('curiosityGap', openLoop);
+  addAll('number', NUMBER);
+  // Shouting only interrupts when the rest of the hook isn't shouted too
+  if (/\p{Ll}/u.test(hook.text)) addAll('patternInterrupt', SHOUTED_WORD);
+  const emoji = LEADING_EMOJI.exec(hook.text);
+  if (emoji) add('patternInterrupt', emoji);
+  if (hook.words > LONG_HOOK_WORDS) {
+    findings.push({ type: FINDING_TYPES.longHook, element: 'longHook', text: hook.text, start: hook.start, end: hook.end });
+  }
+
+  const elements = Object.fromEntries(Object.keys(POINTS).map(element => [
+    element,
+    element === 'brevity' ? hook.words <= SHORT_HOOK_WORDS : findings.some(finding => finding.element === element)
+  ]));
+  const score = Object.entries(elements)
+    .reduce((total, [element, present]) => total + (present ? POINTS[element] : 0), BASE_SCORE);
+
+  // Overlapping matches from several languages would highlight the same span twice
+  const seen = new Set();
+  const unique = findings
+    .filter(finding => {
+      const key = `${finding.type}:${finding.start}:${finding.end}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start)
+    .map(({ element, ...finding }) => finding);
+
+  return {
+    ...hook,
+    score: Math.min(100, Math.max(0, score)),
+    elements,
+    findings: unique
+  };
+};
+
+module.exports = {
+  VIDEO_PLATFORMS,
+  locateHook,
+  analyzeHook
+};
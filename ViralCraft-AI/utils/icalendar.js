@@ -0,0 +1,76 @@
+/**
+ * iCalendar (RFC 5545) feed builder
+ */
+
+// Content lines longer than 75 octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20240510T093000Z
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const foldLine = line => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar - { name, description, events }
+ *   where events are { uid, start, end, summary, description, url, status, categories, updatedAt }
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+const buildCalendar = ({ name, description, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ViralCraft-AI//Content Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+
+  const stamp = formatDate(new Date());
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDate,
+  buildCalendar
+};
@@ -0,0 +1,77 @@
+/**
+ * Emoji and emoticon sentiment, language independent.
+ * Emoji are keyed without the variation selector (U+FE0F).
+ */
+
+module.exports = {
+  // Joy
+  '😀': { valence: 3, emotion: 'joy' },
+  '😃': { valence: 3, emotion: 'joy' },
+  '😄': { valence: 3, emotion: 'joy' },
+  '😁': { valence: 3, emotion: 'joy' },
+  '😆': { valence: 3, emotion: 'joy' },
+  '😂': { valence: 3, emotion: 'joy' },
+  '🤣': { valence: 3, emotion: 'joy' },
+  '😊': { valence: 3, emotion: 'joy' },
+  '🙂': { valence: 2, emotion: 'joy' },
+  '😍': { valence: 4, emotion: 'joy' },
+  '🥰': { valence: 4, emotion: 'joy' },
+  '😘': { valence: 3, emotion: 'joy' },
+  '❤': { valence: 3, emotion: 'joy' },
+  '💖': { valence: 3, emotion: 'joy' },
+  '💕': { valence: 3, emotion: 'joy' },
+  '🎉': { valence: 3, emotion: 'joy' },
+  '🥳': { valence: 3, emotion: 'joy' },
+  '✨': { valence: 2, emotion: 'joy' },
+  '🌟': { valence: 2, emotion: 'joy' },
+  '🔥': { valence: 2, emotion: 'joy' },
+  '🚀': { valence: 2, emotion: 'joy' },
+  '💪': { valence: 2, emotion: 'trust' },
+  '👍': { valence: 2, emotion: 'trust' },
+  '👏': { valence: 2, emotion: 'joy' },
+  '🙌': { valence: 2, emotion: 'joy' },
+  '🙏': { valence: 2, emotion: 'trust' },
+  '🤝': { valence: 2, emotion: 'trust' },
+  '✅': { valence: 1, emotion: 'trust' },
+  '💯': { valence: 2, emotion: 'trust' },
+  '🏆': { valence: 3, emotion: 'joy' },
+  '💡': { valence: 1, emotion: 'surprise' },
+  // Surprise
+  '😮': { valence: 0, emotion: 'surprise' },
+  '😲': { valence: 0, emotion: 'surprise' },
+  '😯': { valence: 0, emotion: 'surprise' },
+  '🤯': { valence: 1, emotion: 'surprise' },
+  '😱': { valence: -2, emotion: 'fear' },
+  '👀': { valence: 0, emotion: 'surprise' },
+  '‼': { valence: 0, emotion: 'surprise' },
+  '⁉': { valence: 0, emotion: 'surprise' },
+  // Negative
+  '😢': { valence: -2, emotion: null },
+  '😭': { valence: -3, emotion: null },
+  '😞': { valence: -2, emotion: null },
+  '😔': { valence: -2, emotion: null },
+  '☹': { valence: -2, emotion: null },
+  '🙁': { valence: -2, emotion: null },
+  '💔': { valence: -3, emotion: null },
+  '😡': { valence: -3, emotion: 'anger' },
+  '😠': { valence: -3, emotion: 'anger' },
+  '🤬': { valence: -4, emotion: 'anger' },
+  '😤': { valence: -2, emotion: 'anger' },
+  '👎': { valence: -2, emotion: 'anger' },
+  '🤮': { valence: -3, emotion: 'anger' },
+  '😨': { valence: -2, emotion: 'fear' },
+  '😰': { valence: -2, emotion: 'fear' },
+  '😬': { valence: -1, emotion: 'fear' },
+  '⚠': { valence: -1, emotion: 'fear' },
+  '🚨': { valence: -1, emotion: 'fear' },
+  '❌': { valence: -1, emotion: null },
+  // Emoticons
+  ':)': { valence: 2, emotion: 'joy' },
+  ':-)': { valence: 2, emotion: 'joy' },
+  ':d': { valence: 3, emotion: 'joy' },
+  ':-d': { valence: 3, emotion: 'joy' },
+  ';)': { valence: 1, emotion: 'joy' },
+  ':(': { valence: -2, emotion: null },
+  ':-(': { valence: -2, emotion: null },
+  ':o': { valence: 0, emotion: 'surprise' }
+};
@@ -0,0 +1,54 @@
+/**
+ * English sentiment lexicon
+ */
+
+module.exports = {
+  valence: {
+    // Positive
+    'love': 3, 'loved': 3, 'loves': 3, 'loving': 3, 'lovely': 3, 'adore*': 3, 'like': 1, 'liked': 2,
+    'happy': 3, 'happiness': 3, 'joy*': 3, 'fun': 2, 'enjoy*': 2, 'glad': 2, 'delight*': 3,
+    'excellent': 4, 'amazing': 4, 'awesome': 4, 'incredible': 4, 'fantastic': 4, 'wonderful': 4,
+    'outstanding': 4, 'brilliant': 4, 'spectacular': 4, 'extraordinary': 4, 'superb': 4,
+    'perfect*': 3, 'great': 3, 'good': 2, 'better': 2, 'best': 3, 'nice': 2, 'cool': 1,
+    'beautiful': 3, 'gorgeous': 3, 'stunning': 3,
+    'success*': 3, 'win': 3, 'wins': 3, 'winning': 3, 'won': 3, 'achiev*': 2, 'victory': 3,
+    'inspir*': 2, 'motivat*': 2, 'transform*': 2, 'grow*': 1, 'improv*': 2,
+    'recommend*': 2, 'grateful': 3, 'gratitude': 3, 'thank*': 2, 'congrat*': 3,
+    'easy': 1, 'simple': 1, 'useful': 2, 'helpful': 2, 'trust*': 2, 'safe': 1, 'secure': 1,
+    'guarantee*': 1, 'surpris*': 2, 'wow': 3, 'proud': 2, 'hope': 2, 'hopes': 2, 'hopeful': 2, 'peace*': 2, 'free': 1,
+    // Negative
+    'bad': -3, 'worse': -3, 'worst': -4, 'awful': -4, 'terrible': -4, 'horrible': -4, 'horror': -3,
+    'hate': -4, 'hated': -4, 'hates': -4, 'hating': -4, 'dislike*': -2, 'sad': -2, 'sadness': -2,
+    'boring': -2, 'bored': -2, 'disappoint*': -3, 'frustrat*': -3, 'anger': -3, 'angry': -3,
+    'annoy*': -2, 'outrage*': -3, 'absurd': -3, 'shame*': -2, 'embarrass*': -2,
+    'fear': -2, 'fears': -2, 'feared': -2, 'fearful': -2, 'scare*': -2, 'scary': -2, 'panic*': -3, 'anxi*': -2, 'worr*': -2, 'danger*': -2,
+    'problem': -2, 'problems': -2, 'difficult*': -1, 'hard': -1, 'error*': -2, 'mistake*': -2,
+    'fail*': -2, 'impossible': -2, 'lose': -2, 'loss': -2, 'lost': -2, 'scam*': -3, 'fraud*': -3,
+    'lie': -3, 'lies': -3, 'liar*': -3, 'blame*': -2, 'crisis': -2, 'pain': -2, 'painful': -3, 'suffer*': -3,
+    'death': -3, 'die': -3, 'garbage': -3, 'trash': -3, 'disgust*': -3, 'tired': -1,
+    'expensive': -1, 'slow': -1, 'broken': -2, 'wrong': -2, 'ugly': -3, 'stupid': -3
+  },
+
+  negations: ['not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor', 'without',
+    "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "weren't", "can't", "couldn't",
+    "won't", "wouldn't", "shouldn't", 'cannot', 'dont', 'doesnt', 'didnt', 'isnt', 'cant', 'wont'],
+
+  // Multipliers for the sentiment word that follows
+  intensifiers: {
+    'very': 1.3, 'really': 1.3, 'so': 1.25, 'super': 1.4, 'extremely': 1.5, 'incredibly': 1.4,
+    'totally': 1.3, 'completely': 1.3, 'absolutely': 1.4, 'truly': 1.2, 'highly': 1.3,
+    'too': 1.2, 'most': 1.2, 'mega': 1.4,
+    'slightly': 0.7, 'somewhat': 0.7, 'kinda': 0.7, 'barely': 0.6, 'little': 0.7
+  },
+
+  // Sentiment after these outweighs sentiment before
+  contrast: ['but', 'however', 'yet', 'although', 'though'],
+
+  emotions: {
+    joy: ['happy', 'happiness', 'joy*', 'fun', 'enjoy*', 'glad', 'delight*', 'love', 'loved', 'celebrat*', 'smile*', 'laugh*', 'congrat*', 'win', 'success*', 'beautiful'],
+    surprise: ['surpris*', 'amazing', 'incredible', 'wow', 'shock*', 'unbelievable', 'discover*', 'secret*', 'reveal*', 'unexpected', 'astonish*', 'omg'],
+    anger: ['anger', 'angry', 'hate', 'hated', 'annoy*', 'outrage*', 'absurd', 'unfair', 'furious', 'rage', 'disgust*', 'shame*'],
+    fear: ['fear', 'fears', 'fearful', 'scare*', 'scary', 'panic*', 'anxi*', 'worr*', 'danger*', 'risk*', 'threat*', 'crisis', 'warning', 'beware'],
+    trust: ['trust*', 'guarantee*', 'safe', 'secure', 'proven', 'recommend*', 'expert*', 'proof', 'truth', 'honest*', 'transparen*', 'certified', 'reliable', 'loyal*']
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Spanish sentiment lexicon
+ */
+
+module.exports = {
+  valence: {
+    // Positive
+    'encant*': 3, 'amar': 3, 'amo': 3, 'amé': 3, 'amor': 3, 'gust*': 2,
+    'alegr*': 3, 'feliz': 3, 'felices': 3, 'felicidad': 3, 'divert*': 2, 'disfrut*': 2,
+    'excelente': 4, 'excelentes': 4, 'increíble': 4, 'increíbles': 4, 'fantástic*': 4,
+    'maravill*': 4, 'espectacular': 4, 'extraordinari*': 4, 'genial': 3, 'geniales': 3,
+    'perfect*': 3, 'buen': 2, 'bueno': 2, 'buena': 2, 'buenos': 2, 'buenas': 2, 'mejor': 2, 'mejores': 2,
+    'hermos*': 3, 'bonit*': 2, 'lind*': 3, 'brutal': 2,
+    'éxito': 3, 'éxitos': 3, 'logr*': 2, 'victoria': 3, 'gan*': 2, 'conquist*': 2,
+    'inspir*': 2, 'motiv*': 2, 'transform*': 2, 'crec*': 1, 'mejor*': 2,
+    'recomiend*': 2, 'recomend*': 2, 'gracias': 2, 'agradec*': 3, 'felicidades': 3, 'enhorabuena': 3,
+    'fácil': 1, 'sencill*': 1, 'útil': 2, 'útiles': 2, 'confi*': 2, 'segur*': 1,
+    'garant*': 1, 'sorprend*': 2, 'guau': 3, 'orgull*': 2, 'esperanza': 2, 'paz': 2,
+    // Negative
+    'mal': -2, 'malo': -3, 'mala': -3, 'malos': -3, 'malas': -3, 'pésim*': -4, 'terrible': -4, 'terribles': -4,
+    'horrible': -4, 'horribles': -4, 'horror': -3, 'peor': -3, 'peores': -3, 'odi*': -4, 'detest*': -3,
+    'triste': -2, 'tristes': -2, 'tristeza': -2, 'aburrid*': -2, 'decepci*': -3, 'decepcion*': -3,
+    'frustr*': -3, 'rabia': -3, 'enoj*': -3, 'enfad*': -3, 'irrit*': -2, 'absurd*': -3, 'vergüenza': -2,
+    'miedo': -2, 'miedos': -2, 'asust*': -2, 'pánico': -3, 'ansi*': -2, 'preocup*': -2, 'peligr*': -2,
+    'problema': -2, 'problemas': -2, 'dificultad*': -2, 'difícil': -1,
+    'error': -2, 'errores': -2, 'fall*': -2, 'fracas*': -3, 'imposible': -2, 'perd*': -2,
+    'estafa*': -3, 'fraude': -3, 'mentir*': -3, 'mentira*': -3, 'culpa': -2, 'crisis': -2,
+    'dolor': -2, 'sufr*': -3, 'muerte': -3, 'basura': -3, 'asco': -3, 'cansad*': -1, 'caro': -1, 'lent*': -1
+  },
+
+  negations: ['no', 'nunca', 'jamás', 'jamas', 'ni', 'ningún', 'ninguno', 'ninguna', 'nada', 'sin', 'nadie', 'tampoco'],
+
+  // Multipliers for the sentiment word that follows
+  intensifiers: {
+    'muy': 1.3, 'mucho': 1.3, 'mucha': 1.3, 'muchos': 1.3, 'muchas': 1.3, 'súper': 1.4, 'super': 1.4,
+    'extremadamente': 1.5, 'totalmente': 1.3, 'completamente': 1.3, 'absolutamente': 1.4,
+    'realmente': 1.2, 'bastante': 1.2, 'tan': 1.3, 'demasiado': 1.3, 're': 1.2,
+    'poco': 0.6, 'algo': 0.8, 'ligeramente': 0.7, 'casi': 0.7
+  },
+
+  // Sentiment after these outweighs sentiment before
+  contrast: ['pero', 'aunque', 'sino'],
+
+  emotions: {
+    joy: ['alegr*', 'feliz', 'felices', 'felicidad', 'divert*', 'disfrut*', 'amo', 'amor', 'encant*', 'celebr*', 'sonri*', 'reír', 'risa*', 'felicidades', 'éxito', 'victoria'],
+    surprise: ['sorpre*', 'sorprend*', 'increíble', 'increíbles', 'guau', 'impactante', 'descubr*', 'secreto*', 'revel*', 'inesperad*', 'impresion*', 'asombr*'],
+    anger: ['rabia', 'enoj*', 'enfad*', 'odi*', 'irrit*', 'absurd*', 'injust*', 'furios*', 'indign*', 'asco', 'vergüenza'],
+    fear: ['miedo', 'miedos', 'asust*', 'pánico', 'ansi*', 'preocup*', 'peligr*', 'riesgo*', 'amenaza*', 'crisis', 'cuidado', 'alerta'],
+    trust: ['confi*', 'garant*', 'segur*', 'comprob*', 'recomiend*', 'experto*', 'prueba', 'verdad', 'honest*', 'transparen*', 'certific*', 'lealtad']
+  }
+};
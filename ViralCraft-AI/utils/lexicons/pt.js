@@ -0,0 +1,52 @@
+/**
+ * Portuguese sentiment lexicon
+ */
+
+module.exports = {
+  valence: {
+    // Positive
+    'adorar': 3, 'adoro': 3, 'adorei': 3, 'amar': 3, 'amo': 3, 'amei': 4, 'amor': 3,
+    'alegr*': 3, 'feliz': 3, 'felizes': 3, 'felicidade': 3, 'divert*': 2,
+    'excelente': 4, 'excelentes': 4, 'incrível': 4, 'incríveis': 4, 'fantástic*': 4,
+    'maravilh*': 4, 'espetacular': 4, 'espetaculares': 4, 'extraordinári*': 4, 'sensacional': 4,
+    'perfeit*': 3, 'ótim*': 3, 'boa': 2, 'bom': 2, 'bons': 2, 'boas': 2, 'melhor': 2, 'melhores': 2,
+    'lind*': 3, 'bonit*': 2, 'top': 2, 'show': 2, 'demais': 2,
+    'sucesso': 3, 'conquist*': 2, 'vitória': 3, 'venc*': 2, 'ganh*': 2,
+    'inspir*': 2, 'motiv*': 2, 'transform*': 2, 'evolu*': 1, 'cresc*': 1,
+    'recomend*': 2, 'aprov*': 2, 'gratidão': 3, 'grat*': 2, 'obrigad*': 2, 'parabéns': 3,
+    'fácil': 1, 'simples': 1, 'útil': 2, 'úteis': 2, 'valeu': 2, 'confi*': 2, 'segur*': 1,
+    'garant*': 1, 'surpreend*': 2, 'uau': 3, 'nossa': 1, 'orgulh*': 2, 'esperança': 2, 'paz': 2,
+    // Negative
+    'ruim': -3, 'ruins': -3, 'péssim*': -4, 'terrível': -4, 'terríveis': -4, 'horrível': -4, 'horríveis': -4,
+    'horror': -3, 'pior': -3, 'piores': -3, 'odi*': -4, 'detest*': -3,
+    'triste': -2, 'tristes': -2, 'tristeza': -2, 'chat*': -2, 'decepç*': -3, 'decepcion*': -3,
+    'frustr*': -3, 'raiva': -3, 'irrit*': -2, 'revolt*': -3, 'absurd*': -3, 'vergonh*': -2,
+    'medo': -2, 'medos': -2, 'assust*': -2, 'pânico': -3, 'ansi*': -2, 'preocup*': -2, 'perig*': -2,
+    'problema': -2, 'problemas': -2, 'dificuldade': -2, 'dificuldades': -2, 'difícil': -1,
+    'erro': -2, 'erros': -2, 'err*': -2, 'falha': -2, 'falhas': -2, 'falh*': -2,
+    'fracass*': -3, 'impossível': -2, 'perd*': -2, 'prejuízo': -3, 'golpe': -3, 'fraude': -3,
+    'mentir*': -3, 'mentira': -3, 'culpa': -2, 'crise': -2, 'dor': -2, 'sofr*': -3, 'morte': -3,
+    'lixo': -3, 'nojo': -3, 'cansad*': -1, 'caro': -1, 'lent*': -1
+  },
+
+  negations: ['não', 'nao', 'nunca', 'jamais', 'nem', 'nenhum', 'nenhuma', 'nada', 'sem', 'ninguém'],
+
+  // Multipliers for the sentiment word that follows
+  intensifiers: {
+    'muito': 1.3, 'muita': 1.3, 'muitos': 1.3, 'muitas': 1.3, 'super': 1.4, 'extremamente': 1.5,
+    'totalmente': 1.3, 'completamente': 1.3, 'absolutamente': 1.4, 'bem': 1.15, 'bastante': 1.2,
+    'tão': 1.3, 'mega': 1.4, 'hiper': 1.4, 'realmente': 1.2,
+    'pouco': 0.6, 'meio': 0.7, 'levemente': 0.7, 'quase': 0.7
+  },
+
+  // Sentiment after these outweighs sentiment before
+  contrast: ['mas', 'porém', 'contudo', 'entretanto', 'todavia'],
+
+  emotions: {
+    joy: ['alegr*', 'feliz', 'felizes', 'felicidade', 'divert*', 'amo', 'amei', 'amor', 'ador*', 'celebr*', 'comemor*', 'sorri*', 'rir', 'risada*', 'parabéns', 'sucesso', 'vitória', 'lind*'],
+    surprise: ['surpre*', 'incrível', 'incríveis', 'uau', 'chocante', 'inacreditável', 'descobr*', 'segredo', 'revel*', 'inesperad*', 'impression*', 'caramba', 'nossa'],
+    anger: ['raiva', 'odi*', 'irrit*', 'revolt*', 'absurd*', 'injust*', 'furios*', 'detest*', 'indign*', 'ódio', 'nojo', 'vergonh*'],
+    fear: ['medo', 'medos', 'assust*', 'pânico', 'ansi*', 'preocup*', 'perig*', 'risco', 'riscos', 'ameaç*', 'crise', 'cuidado', 'alerta'],
+    trust: ['confi*', 'garant*', 'segur*', 'comprov*', 'recomend*', 'especialista', 'prova', 'provado', 'verdade', 'honest*', 'transparen*', 'certific*', 'lealdade']
+  }
+};
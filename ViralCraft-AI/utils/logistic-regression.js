@@ -0,0 +1,80 @@
+/**
+ * Logistic regression trained with batch gradient descent and L2 regularization,
+ * on standardized features so the weights are comparable
+ */
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * @param {Array<Array<number>>} rows - Feature vectors
+ * @param {Array<number>} labels - 0 or 1 per row
+ * @param {Object} options - { iterations, learningRate, l2 }
+ * @returns {Object} { weights, bias, means, stds } - plain data, safe to store as JSON
+ */
+const train = (rows, labels, { iterations = 800, learningRate = 0.1, l2 = 0.01 } = {}) => {
+  const size = rows[0].length;
+  const means = new Array(size).fill(0);
+  const stds = new Array(size).fill(0);
+
+  for (const row of rows) row.forEach((value, j) => { means[j] += value / rows.length; });
+  for (const row of rows) row.forEach((value, j) => { stds[j] += (value - means[j]) ** 2 / rows.length; });
+  // Constant features get a unit scale, so they standardize to 0 and learn nothing
+  for (let j = 0; j < size; j++) stds[j] = Math.sqrt(stds[j]) || 1;
+
+  const standardized = rows.map(row => row.map((value, j) => (value - means[j]) / stds[j]));
+  const weights = new Array(size).fill(0);
+  let bias = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = new Array(size).fill(0);
+    let biasGradient = 0;
+
+    standardized.forEach((row, i) => {
+      const error = sigmoid(bias + row.reduce((sum, value, j) => sum + value * weights[j], 0)) - labels[i];
+      row.forEach((value, j) => { gradient[j] += error * value; });
+      biasGradient += error;
+    });
+
+    for (let j = 0; j < size; j++) {
+      weights[j] -= learningRate * (gradient[j] / rows.length + l2 * weights[j]);
+    }
+    bias -= learningRate * biasGradient / rows.length;
+  }
+
+  return { weights, bias, means, stds };
+};
+
+/**
+ * Probability of the positive class, with each feature's share of the log-odds
+ * @returns {Object} { probability, logit, contributions: number[] }
+ */
+const predict = (model, row) => {
+  const contributions = row.map((value, j) => model.weights[j] * (value - model.means[j]) / model.stds[j]);
+  const logit = model.bias + contributions.reduce((sum, contribution) => sum + contribution, 0);
+  return { probability: sigmoid(logit), logit, contributions };
+};
+
+/**
+ * Area under the ROC curve: the chance a random positive scores above a random negative
+ * @returns {number|null} null when a class is missing
+ */
+const auc = (scores, labels) => {
+  const positives = scores.filter((score, i) => labels[i] === 1);
+  const negatives = scores.filter((score, i) => labels[i] === 0);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  let wins = 0;
+  for (const positive of positives) {
+    for (const negative of negatives) {
+      wins += positive > negative ? 1 : positive === negative ? 0.5 : 0;
+    }
+  }
+  return wins / (positives.length * negatives.length);
+};
+
+module.exports = {
+  sigmoid,
+  train,
+  predict,
+  auc
+};
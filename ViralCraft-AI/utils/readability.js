@@ -0,0 +1,235 @@
+/**
+ * Readability metrics for pt, en and es: Flesch reading ease (with the
+ * Portuguese adaptation and Fernández Huerta for Spanish), sentence length
+ * distribution and passive voice. Findings carry [start, end) offsets into
+ * the analyzed text so they can be highlighted.
+ */
+
+const { mean, median } = require('./statistics');
+
+// Sentence ends: terminal punctuation before whitespace (not "3.5" or "site.com"), or line breaks
+const SENTENCE_END = /[.!?…]+(?=\s|$)|\n+/g;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Sentences longer than this many words are reported
+const LONG_SENTENCE_WORDS = 25;
+
+const LENGTH_BUCKETS = [
+  { name: 'short', max: 10 },
+  { name: 'medium', max: 20 },
+  { name: 'long', max: 30 },
+  { name: 'veryLong', max: Infinity }
+];
+
+/**
+ * Flesch reading ease = base - sentenceWeight * words/sentence - syllableWeight * syllables/word
+ * pt: Martins et al. (1996) shift the English formula by 42 for Portuguese's longer words
+ * es: Fernández Huerta (1959)
+ */
+const FORMULAS = {
+  en: { name: 'flesch', base: 206.835, sentenceWeight: 1.015, syllableWeight: 84.6 },
+  pt: { name: 'flesch-pt', base: 248.835, sentenceWeight: 1.015, syllableWeight: 84.6 },
+  es: { name: 'fernandez-huerta', base: 206.84, sentenceWeight: 1.02, syllableWeight: 60 }
+};
+
+const LEVELS = [
+  { min: 90, level: 'very easy' },
+  { min: 80, level: 'easy' },
+  { min: 70, level: 'fairly easy' },
+  { min: 60, level: 'standard' },
+  { min: 50, level: 'fairly difficult' },
+  { min: 30, level: 'difficult' },
+  { min: -Infinity, level: 'very difficult' }
+];
+
+const IRREGULAR_PARTICIPLES = {
+  pt: ['feito', 'feita', 'feitos', 'feitas', 'dito', 'dita', 'ditos', 'ditas', 'escrito', 'escrita', 'escritos', 'escritas',
+    'visto', 'vista', 'vistos', 'vistas', 'aberto', 'aberta', 'abertos', 'abertas', 'posto', 'posta', 'postos', 'postas',
+    'coberto', 'coberta', 'eleito', 'eleita', 'preso', 'presa', 'morto', 'morta', 'pago', 'paga', 'ganho', 'ganha', 'aceito', 'aceita'],
+  en: ['done', 'made', 'said', 'seen', 'written', 'given', 'taken', 'known', 'shown', 'found', 'built', 'sent', 'told', 'held',
+    'kept', 'left', 'lost', 'paid', 'put', 'set', 'sold', 'thought', 'brought', 'bought', 'caught', 'taught', 'chosen',
+    'driven', 'eaten', 'forgotten', 'hidden', 'broken', 'spoken', 'stolen', 'worn', 'born', 'run', 'read', 'hit', 'cut'],
+  es: ['hecho', 'hecha', 'hechos', 'hechas', 'dicho', 'dicha', 'dichos', 'dichas', 'escrito', 'escrita', 'escritos', 'escritas',
+    'visto', 'vista', 'vistos', 'vistas', 'abierto', 'abierta', 'abiertos', 'abiertas', 'puesto', 'puesta', 'puestos', 'puestas',
+    'cubierto', 'cubierta', 'roto', 'rota', 'muerto', 'muerta', 'vuelto', 'vuelta', 'resuelto', 'resuelta']
+};
+
+// Auxiliary, optional adverb, then a participle: "foi feito", "was quickly built", "fue escrito"
+const PASSIVE_PATTERNS = {
+  pt: {
+    auxiliary: /^(é|são|foi|foram|era|eram|será|serão|seria|seriam|ser|sido|sendo|seja|sejam|fosse|fossem|for|forem|ficou|ficaram|fica|ficam)$/i,
+    participle: /^[\p{L}]+(ado|ada|ados|adas|ido|ida|idos|idas)$/iu
+  },
+  en: {
+    auxiliary: /^(am|is|are|was|were|be|been|being|get|gets|got|gotten|getting)$/i,
+    participle: /^[a-z]+(ed|en)$/i
+  },
+  es: {
+    auxiliary: /^(es|son|fue|fueron|era|eran|será|serán|sería|serían|ser|sido|siendo|sea|sean|fuera|fueran)$/i,
+    participle: /^[\p{L}]+(ado|ada|ados|adas|ido|ida|idos|idas)$/iu
+  }
+};
+const ADVERB = { pt: /mente$/i, en: /ly$/i, es: /mente$/i };
+
+// Words that look like participles but are nouns or adjectives after "to be"
+const PARTICIPLE_EXCEPTIONS = {
+  pt: ['vida', 'ida', 'lado', 'cidade', 'mercado', 'resultado', 'cuidado', 'estado', 'dado', 'dados', 'pedido', 'partida', 'comida', 'saída', 'medida', 'bebida', 'sentido', 'conteúdo', 'obrigado', 'obrigada'],
+  en: ['open', 'often', 'even', 'seven', 'eleven', 'garden', 'chicken', 'kitchen', 'golden', 'wooden', 'sudden', 'hidden', 'need', 'seed', 'speed', 'red', 'bed', 'interested', 'excited', 'tired', 'bored', 'married', 'used', 'supposed'],
+  es: ['vida', 'lado', 'ciudad', 'mercado', 'resultado', 'cuidado', 'estado', 'dado', 'pedido', 'partida', 'comida', 'salida', 'medida', 'bebida', 'sentido', 'contenido']
+};
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Words of a text with their offsets
+const words = (text, offset = 0) =>
+  [...text.matchAll(WORD_PATTERN)].map(match => ({ text: match[0], start: offset + match.index, end: offset + match.index + match[0].length }));
+
+/**
+ * Sentences with their offsets, trimmed
+ * @returns {Array<Object>} [{ text, start, end }]
+ */
+const splitSentences = text => {
+  const sentences = [];
+  const push = (from, to) => {
+    const raw = text.slice(from, to);
+    const start = from + raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (/[\p{L}\p{N}]/u.test(trimmed)) sentences.push({ text: trimmed, start, end: start + trimmed.length });
+  };
+
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const isBreak = match[0].startsWith('\n');
+    push(start, isBreak ? match.index : match.index + match[0].length);
+    start = match.index + match[0].length;
+  }
+  push(start, text.length);
+  return sentences;
+};
+
+const STRONG_VOWELS = 'aeoáéóâêôãõà';
+
+/**
+ * Syllables of a word: vowel groups, split at hiatus for pt/es
+ * (strong + strong vowel, or an accented í/ú) and with silent endings dropped for en
+ */
+const countSyllables = (word, language) => {
+  const lower = word.toLowerCase();
+
+  if (language === 'en') {
+    const letters = lower.replace(/[^a-z]/g, '');
+    if (letters.length <= 3) return 1;
+    const trimmed = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+  }
+
+  const groups = lower.match(/[aeiouáéíóúâêôãõàüy]+/g) || [];
+  let syllables = 0;
+  for (const group of groups) {
+    syllables++;
+    for (let i = 1; i < group.length; i++) {
+      const previous = group[i - 1];
+      const current = group[i];
+      // Nasal diphthongs (ão, õe, ãe) stay together
+      const nasal = 'ãõ'.includes(previous);
+      if ((!nasal && STRONG_VOWELS.includes(previous) && STRONG_VOWELS.includes(current)) || 'íú'.includes(current) || 'íú'.includes(previous)) {
+        syllables++;
+      }
+    }
+  }
+  return Math.max(1, syllables);
+};
+
+/**
+ * Flesch-style reading ease (0-100, higher is easier) for the language
+ * @returns {Object|null} { score, level, formula, sentences, words, syllables,
+ *   averageWordsPerSentence, averageSyllablesPerWord } - null for text without words
+ */
+const readingEase = (text, language) => {
+  const formula = FORMULAS[language] || FORMULAS.en;
+  const sentences = splitSentences(text);
+  const tokens = words(text);
+  if (tokens.length === 0 || sentences.length === 0) return null;
+
+  const syllables = tokens.reduce((total, token) => total + countSyllables(token.text, language), 0);
+  const wordsPerSentence = tokens.length / sentences.length;
+  const syllablesPerWord = syllables / tokens.length;
+  const score = Math.min(100, Math.max(0, formula.base - formula.sentenceWeight * wordsPerSentence - formula.syllableWeight * syllablesPerWord));
+
+  return {
+    score: round(score),
+    level: LEVELS.find(({ min }) => score >= min).level,
+    formula: formula.name,
+    sentences: sentences.length,
+    words: tokens.length,
+    syllables,
+    averageWordsPerSentence: round(wordsPerSentence),
+    averageSyllablesPerWord: round(syllablesPerWord, 2)
+  };
+};
+
+/**
+ * Words per sentence: summary, buckets and the sentences over LONG_SENTENCE_WORDS
+ * @returns {Object} { count, mean, median, min, max, buckets: { short, medium, long, veryLong }, longSentences: [finding] }
+ */
+const sentenceLengths = text => {
+  const sentences = splitSentences(text).map(sentence => ({ ...sentence, words: words(sentence.text).length }));
+  const lengths = sentences.map(sentence => sentence.words);
+
+  const buckets = Object.fromEntries(LENGTH_BUCKETS.map(({ name }) => [name, 0]));
+  for (const length of lengths) {
+    buckets[LENGTH_BUCKETS.find(({ max }) => length <= max).name]++;
+  }
+
+  return {
+    count: sentences.length,
+    mean: round(mean(lengths)),
+    median: median(lengths),
+    min: lengths.length ? Math.min(...lengths) : 0,
+    max: lengths.length ? Math.max(...lengths) : 0,
+    buckets,
+    longSentences: sentences
+      .filter(sentence => sentence.words > LONG_SENTENCE_WORDS)
+      .map(sentence => ({ type: 'long-sentence', text: sentence.text, start: sentence.start, end: sentence.end, words: sentence.words }))
+  };
+};
+
+/**
+ * Passive constructions: an auxiliary followed by a participle, with at most one adverb between
+ * @returns {Array<Object>} [{ type: 'passive-voice', text, start, end }]
+ */
+const findPassiveVoice = (text, language) => {
+  const languages = PASSIVE_PATTERNS[language] ? [language] : Object.keys(PASSIVE_PATTERNS);
+  const tokens = words(text);
+  const findings = [];
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    for (const code of languages) {
+      const { auxiliary, participle } = PASSIVE_PATTERNS[code];
+      if (!auxiliary.test(tokens[i].text)) continue;
+
+      let next = i + 1;
+      if (ADVERB[code].test(tokens[next].text) && next + 1 < tokens.length) next++;
+      const candidate = tokens[next].text.toLowerCase();
+      const isParticiple = IRREGULAR_PARTICIPLES[code].includes(candidate) ||
+        (participle.test(candidate) && !PARTICIPLE_EXCEPTIONS[code].includes(candidate));
+
+      if (isParticiple) {
+        findings.push({ type: 'passive-voice', text: text.slice(tokens[i].start, tokens[next].end), start: tokens[i].start, end: tokens[next].end });
+        i = next;
+        break;
+      }
+    }
+  }
+  return findings;
+};
+
+module.exports = {
+  words,
+  splitSentences,
+  countSyllables,
+  readingEase,
+  sentenceLengths,
+  findPassiveVoice
+};
@@ -0,0 +1,18 @@
+/**
+ * Who a request acts for: `userId` in the body or the X-User-Id header.
+ * Used to attribute AI usage, revisions and schedule changes.
+ *
+ * The client supplies it and nothing authenticates it, so it is good for
+ * attribution and reports but not for enforcement: a caller can change or
+ * omit it. That makes the per-user AI budget advisory; the global caps are
+ * the ones that hold.
+ */
+
+/**
+ * @returns {string|null} null when the request names no user
+ */
+const getUserId = req => req.body?.userId || req.get('x-user-id') || null;
+
+module.exports = {
+  getUserId
+};
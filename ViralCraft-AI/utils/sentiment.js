@@ -0,0 +1,176 @@
+/**
+ * Lexicon-based sentiment and emotion scoring (VADER-style) for pt, en and es.
+ *
+ * Each word's valence (-4 to +4) is flipped and damped by a negation in the
+ * three words before it, scaled by a preceding intensifier, boosted when it is
+ * in capitals in a text that isn't, and weighted down before a contrast word
+ * ("mas", "but", "pero") and up after it. The sum is boosted by exclamation
+ * marks and normalized to a polarity score in [-1, 1]. Emoji and emoticons
+ * keep their own valence: negations and intensifiers only apply to words.
+ */
+
+const LEXICONS = {
+  pt: require('./lexicons/pt'),
+  en: require('./lexicons/en'),
+  es: require('./lexicons/es')
+};
+const EMOJI = require('./lexicons/emoji');
+
+const EMOTIONS = ['joy', 'surprise', 'anger', 'fear', 'trust'];
+
+// Constants from VADER (Hutto & Gilbert, 2014)
+const NEGATION_SCALAR = -0.74;
+const CAPS_BOOST = 0.733;
+const EXCLAMATION_BOOST = 0.292;
+const MAX_EXCLAMATIONS = 4;
+const NORMALIZATION_ALPHA = 15;
+const NEGATION_WINDOW = 3;
+const CONTRAST_BEFORE = 0.5;
+const CONTRAST_AFTER = 1.5;
+
+// Polarity beyond which a text is positive or negative
+const NEUTRAL_THRESHOLD = 0.05;
+
+const TOKEN_PATTERN = /[:;]-?[()dDoOpP](?![\p{L}\p{N}])|\p{Extended_Pictographic}|[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Exact terms and `prefix*` stems of a word list or valence map, stems longest first
+ */
+const compileTerms = entries => {
+  const exact = new Map();
+  const stems = [];
+  for (const [term, value] of entries) {
+    if (term.endsWith('*')) stems.push([term.slice(0, -1), value]);
+    else exact.set(term, value);
+  }
+  stems.sort((a, b) => b[0].length - a[0].length);
+  return { exact, stems };
+};
+
+const matchTerm = ({ exact, stems }, word) => {
+  if (exact.has(word)) return exact.get(word);
+  const stem = stems.find(([prefix]) => word.startsWith(prefix));
+  return stem ? stem[1] : undefined;
+};
+
+const COMPILED = Object.fromEntries(Object.entries(LEXICONS).map(([language, lexicon]) => [language, {
+  valence: compileTerms(Object.entries(lexicon.valence)),
+  emotions: compileTerms(EMOTIONS.flatMap(emotion => lexicon.emotions[emotion].map(term => [term, emotion]))),
+  negations: new Map(lexicon.negations.map(word => [word, true])),
+  intensifiers: new Map(Object.entries(lexicon.intensifiers)),
+  contrast: new Map(lexicon.contrast.map(word => [word, true]))
+}]));
+
+/**
+ * Lexicons to read a text with: its own language first, then the others for
+ * borrowed words. Negations, intensifiers and contrast words only come from
+ * the text's language ("no" is a negation in en and es, not in pt).
+ */
+const resolveLexicons = language => {
+  const primary = COMPILED[language] ? [language] : [];
+  const order = [...primary, ...Object.keys(COMPILED).filter(code => code !== language)];
+  const grammar = primary.length ? primary : order;
+  return {
+    words: order.map(code => COMPILED[code]),
+    grammar: grammar.map(code => COMPILED[code])
+  };
+};
+
+const lookup = (lexicons, key, word) => {
+  for (const lexicon of lexicons) {
+    const value = lexicon[key] instanceof Map ? lexicon[key].get(word) : matchTerm(lexicon[key], word);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+};
+
+/**
+ * Sentiment of a text
+ * @param {string} text - Text to score
+ * @param {Object} options - { language: 'pt' | 'en' | 'es' | 'unknown' }
+ * @returns {Object} { score, label, language, emotions, dominantEmotion, terms }
+ *   where score is in [-1, 1], emotions are shares summing to 1 (all 0 when none
+ *   is found) and terms are the scored words with their final valence
+ */
+const analyze = (text, { language } = {}) => {
+  const { words, grammar } = resolveLexicons(language);
+  const tokens = String(text || '').match(TOKEN_PATTERN) || [];
+  const hasLowercase = /\p{Ll}/u.test(String(text || ''));
+
+  const terms = [];
+  const emotionWeights = Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+  let contrastAt = -1;
+
+  tokens.forEach((token, index) => {
+    const word = token.toLowerCase();
+    if (lookup(grammar, 'contrast', word)) contrastAt = terms.length;
+
+    const emoji = EMOJI[word];
+    let valence = emoji ? emoji.valence : lookup(words, 'valence', word);
+    const emotion = emoji ? emoji.emotion : lookup(words, 'emotions', word);
+    if (valence === undefined && !emotion) return;
+    valence = valence || 0;
+
+    // Emoji and emoticons say what they mean: "not happy 😢" is still sad
+    let intensity = 1;
+    let negated = false;
+    if (!emoji) {
+      const previous = tokens[index - 1]?.toLowerCase();
+      const intensifier = previous && lookup(grammar, 'intensifiers', previous);
+      if (intensifier) intensity = intensifier;
+
+      if (valence && hasLowercase && token.length > 1 && token === token.toUpperCase()) {
+        valence += Math.sign(valence) * CAPS_BOOST;
+      }
+
+      negated = tokens
+        .slice(Math.max(0, index - NEGATION_WINDOW), index)
+        .some(before => lookup(grammar, 'negations', before.toLowerCase()));
+    }
+    valence *= intensity;
+    if (negated) valence *= NEGATION_SCALAR;
+
+    // A negated emotion word ("não tenho medo") doesn't express that emotion
+    if (emotion && !negated) emotionWeights[emotion] += intensity;
+    if (valence) terms.push({ term: token, valence });
+  });
+
+  // Contrast: what comes after "but" is what the author means
+  if (contrastAt >= 0) {
+    terms.forEach((term, i) => {
+      term.valence *= i < contrastAt ? CONTRAST_BEFORE : CONTRAST_AFTER;
+    });
+  }
+
+  let sum = terms.reduce((total, term) => total + term.valence, 0);
+  if (sum !== 0) {
+    const exclamations = Math.min((String(text || '').match(/!/g) || []).length, MAX_EXCLAMATIONS);
+    sum += Math.sign(sum) * exclamations * EXCLAMATION_BOOST;
+  }
+  const score = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+
+  const emotionTotal = Object.values(emotionWeights).reduce((total, weight) => total + weight, 0);
+  const emotions = Object.fromEntries(EMOTIONS.map(emotion => [
+    emotion,
+    emotionTotal ? round(emotionWeights[emotion] / emotionTotal) : 0
+  ]));
+  const dominantEmotion = emotionTotal
+    ? EMOTIONS.reduce((best, emotion) => (emotionWeights[emotion] > emotionWeights[best] ? emotion : best))
+    : null;
+
+  return {
+    score: round(score),
+    label: score >= NEUTRAL_THRESHOLD ? 'positive' : score <= -NEUTRAL_THRESHOLD ? 'negative' : 'neutral',
+    language: COMPILED[language] ? language : 'unknown',
+    emotions,
+    dominantEmotion,
+    terms: terms.map(term => ({ term: term.term, valence: round(term.valence, 2) }))
+  };
+};
+
+module.exports = {
+  EMOTIONS,
+  analyze
+};
@@ -0,0 +1,30 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+function initEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // The compression middleware buffers output until flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+module.exports = {
+  initEventStream,
+  sendEvent
+};
@@ -0,0 +1,142 @@
+/**
+ * Statistics helpers for experiment and analytics reports
+ */
+
+// Two-sided 95% critical value of the normal distribution
+const Z_95 = 1.96;
+
+const mean = values => values.length
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : 0;
+
+const median = values => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Sample standard deviation (n - 1)
+const standardDeviation = values => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * 95% confidence interval for the mean (normal approximation)
+ * @param {number[]} values - Observations
+ * @returns {Object} { mean, lower, upper, n } - bounds are null with fewer than 2 observations
+ */
+const meanConfidenceInterval = values => {
+  const average = mean(values);
+  if (values.length < 2) {
+    return { mean: average, lower: null, upper: null, n: values.length };
+  }
+
+  const margin = Z_95 * standardDeviation(values) / Math.sqrt(values.length);
+  return { mean: average, lower: average - margin, upper: average + margin, n: values.length };
+};
+
+/**
+ * 95% Wilson score interval for a proportion (e.g. likes per view)
+ * @param {number} successes - Count of successes
+ * @param {number} trials - Count of trials
+ * @returns {Object} { rate, lower, upper, trials }
+ */
+const wilsonInterval = (successes, trials) => {
+  if (trials <= 0) {
+    return { rate: 0, lower: null, upper: null, trials: 0 };
+  }
+
+  // Engagement counters can exceed views (e.g. likes without a tracked view)
+  const rate = Math.min(successes / trials, 1);
+  const z2 = Z_95 ** 2;
+  const center = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin = (Z_95 / (1 + z2 / trials)) * Math.sqrt(rate * (1 - rate) / trials + z2 / (4 * trials ** 2));
+
+  return { rate, lower: Math.max(0, center - margin), upper: Math.min(1, center + margin), trials };
+};
+
+/**
+ * 95% confidence interval for the difference of two means (Welch)
+ * @returns {Object} { difference, lower, upper, significant }
+ */
+const differenceConfidenceInterval = (values, baseline) => {
+  const difference = mean(values) - mean(baseline);
+  if (values.length < 2 || baseline.length < 2) {
+    return { difference, lower: null, upper: null, significant: false };
+  }
+
+  const standardError = Math.sqrt(
+    standardDeviation(values) ** 2 / values.length + standardDeviation(baseline) ** 2 / baseline.length
+  );
+  const lower = difference - Z_95 * standardError;
+  const upper = difference + Z_95 * standardError;
+
+  return { difference, lower, upper, significant: lower > 0 || upper < 0 };
+};
+
+/**
+ * Pearson correlation of paired values
+ * @returns {number|null} -1 to 1, null with fewer than 3 pairs or no variance
+ */
+const pearsonCorrelation = (xs, ys) => {
+  if (xs.length < 3 || xs.length !== ys.length) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+/**
+ * Rank of each value, 1-based, ties sharing their average rank
+ */
+const ranks = values => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+
+  return result;
+};
+
+// Spearman rank correlation: Pearson over ranks, robust to skewed metrics like views
+const spearmanCorrelation = (xs, ys) => pearsonCorrelation(ranks(xs), ranks(ys));
+
+/**
+ * Percentile (0-100) of each value within the list
+ */
+const percentileRanks = values => {
+  if (values.length < 2) return values.map(() => 50);
+  return ranks(values).map(rank => (rank - 1) / (values.length - 1) * 100);
+};
+
+module.exports = {
+  mean,
+  median,
+  standardDeviation,
+  meanConfidenceInterval,
+  wilsonInterval,
+  differenceConfidenceInterval,
+  pearsonCorrelation,
+  spearmanCorrelation,
+  ranks,
+  percentileRanks
+};
@@ -0,0 +1,185 @@
+/**
+ * Word-level text diff, for comparing content revisions
+ */
+
+// Words with the whitespace that follows them, so joining the tokens rebuilds the text
+const tokenize = text => String(text || '').match(/\s*\S+\s*/g) || [];
+
+const sameWord = (a, b) => a.trim() === b.trim();
+
+// The LCS table takes 4 bytes a cell: 4M cells is 16 MB, about 2000 x 2000 words
+const MAX_TABLE_CELLS = 4e6;
+
+// Myers keeps one frontier per edit for the backtrack, so memory grows with edits squared
+const MAX_EDITS = 2000;
+
+/**
+ * Longest common subsequence of two token lists, as [type, token] operations
+ */
+const lcsOperations = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = sameWord(before[i], after[j])
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (sameWord(before[i], after[j])) {
+      operations.push(['equal', after[j]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      operations.push(['removed', before[i++]]);
+    } else {
+      operations.push(['added', after[j++]]);
+    }
+  }
+  while (i < before.length) operations.push(['removed', before[i++]]);
+  while (j < after.length) operations.push(['added', after[j++]]);
+
+  return operations;
+};
+
+/**
+ * Myers' diff of two token lists, as [type, token] operations: O((n + m) * d)
+ * time for d edits, so large texts with few changes stay cheap
+ * @returns {Array|null} null when the texts differ by more than maxEdits tokens
+ */
+const myersOperations = (before, after, maxEdits) => {
+  const oldWords = before.map(token => token.trim());
+  const newWords = after.map(token => token.trim());
+  const n = oldWords.length;
+  const m = newWords.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal k = x - y, at index k + offset
+  const frontier = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // The frontier before this round, diagonals -d-1 to d+1
+    trace.push(frontier.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1])
+        ? frontier[offset + k + 1]
+        : frontier[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldWords[x] === newWords[y]) {
+        x++;
+        y++;
+      }
+      frontier[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, before, after);
+      }
+    }
+  }
+  return null;
+};
+
+// Walk the Myers trace back from the end of both lists
+const backtrack = (trace, before, after) => {
+  const operations = [];
+  let x = before.length;
+  let y = after.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const reached = k => trace[d][k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && reached(k - 1) < reached(k + 1)) ? k + 1 : k - 1;
+    const previousX = reached(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push(['equal', after[--y]]);
+      x--;
+    }
+    if (previousK === k + 1) {
+      operations.push(['added', after[previousY]]);
+    } else {
+      operations.push(['removed', before[previousX]]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    operations.push(['equal', after[--y]]);
+    x--;
+  }
+
+  return operations.reverse();
+};
+
+/**
+ * Operations for the changed middle of two texts: an exact LCS while its table
+ * is small, Myers beyond that, and a plain replacement when even that would
+ * take too much memory (texts rewritten from scratch)
+ */
+const diffOperations = (before, after) => {
+  if ((before.length + 1) * (after.length + 1) <= MAX_TABLE_CELLS) {
+    return lcsOperations(before, after);
+  }
+  return myersOperations(before, after, MAX_EDITS) || [
+    ...before.map(token => ['removed', token]),
+    ...after.map(token => ['added', token])
+  ];
+};
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Object} { changes: [{ type: 'equal' | 'added' | 'removed', text }], stats: { added, removed, unchanged } }
+ */
+const diffWords = (before, after) => {
+  const oldTokens = tokenize(before);
+  const newTokens = tokenize(after);
+
+  // The common prefix and suffix are usually most of the text; keep them out of the table
+  let prefix = 0;
+  while (prefix < oldTokens.length && prefix < newTokens.length && sameWord(oldTokens[prefix], newTokens[prefix])) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix &&
+    sameWord(oldTokens[oldTokens.length - 1 - suffix], newTokens[newTokens.length - 1 - suffix])) {
+    suffix++;
+  }
+
+  const operations = [
+    ...newTokens.slice(0, prefix).map(token => ['equal', token]),
+    ...diffOperations(oldTokens.slice(prefix, oldTokens.length - suffix), newTokens.slice(prefix, newTokens.length - suffix)),
+    ...newTokens.slice(newTokens.length - suffix).map(token => ['equal', token])
+  ];
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const changes = [];
+  for (const [type, token] of operations) {
+    stats[type === 'equal' ? 'unchanged' : type]++;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.text += token;
+    } else {
+      changes.push({ type, text: token });
+    }
+  }
+
+  return { changes, stats };
+};
+
+module.exports = {
+  tokenize,
+  diffWords
+};
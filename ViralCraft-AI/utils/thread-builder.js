@@ -0,0 +1,223 @@
+/**
+ * Thread builder - measures text the way each platform counts it and splits
+ * long content into numbered posts within a character limit. Posts break at
+ * paragraph, then sentence, then word boundaries; hashtags and links are never
+ * cut. The hook opens post 1 and the CTA closes the last post.
+ */
+
+const { splitSentences } = require('./readability');
+
+const URL_PATTERN = /https?:\/\/\S+/g;
+const HASHTAG = /#[\p{L}\p{N}_]+/gu;
+
+// X counts every link as a t.co link, and characters outside these ranges twice
+const TWITTER_URL_WEIGHT = 23;
+const TWITTER_LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+// Posts are stored and published in order; as one text they are separated by a blank line
+const POST_SEPARATOR = '\n\n';
+
+const isLight = char => {
+  const code = char.codePointAt(0);
+  return TWITTER_LIGHT_RANGES.some(([min, max]) => code >= min && code <= max);
+};
+
+// Tokens that must stay whole even when they don't fit a post
+const isAtomic = word => /^https?:\/\//.test(word) || /^#[\p{L}\p{N}_]+$/u.test(word);
+
+/**
+ * Length of a text as the platform counts it, and the string index where it
+ * passes `limit` (null when it fits)
+ */
+const measure = (text, platform, limit = Infinity) => {
+  let length = 0;
+  let overflowAt = null;
+  const count = (index, weight) => {
+    length += weight;
+    if (overflowAt === null && length > limit) overflowAt = index;
+  };
+
+  if (platform !== 'twitter') {
+    let index = 0;
+    for (const char of text) {
+      count(index, 1);
+      index += char.length;
+    }
+    return { length, overflowAt };
+  }
+
+  let index = 0;
+  for (const url of text.matchAll(URL_PATTERN)) {
+    for (const char of text.slice(index, url.index)) {
+      count(index, isLight(char) ? 1 : 2);
+      index += char.length;
+    }
+    count(url.index, TWITTER_URL_WEIGHT);
+    index = url.index + url[0].length;
+  }
+  for (const char of text.slice(index)) {
+    count(index, isLight(char) ? 1 : 2);
+    index += char.length;
+  }
+  return { length, overflowAt };
+};
+
+/**
+ * Split a text into posts that fit the limit, at paragraph, sentence and
+ * then word boundaries. Words longer than a post are cut, links and hashtags are not.
+ */
+const splitText = (text, limit, platform) => {
+  const fits = candidate => measure(candidate, platform).length <= limit;
+  const pieces = [];
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    splitSentences(paragraph).forEach((sentence, index) => {
+      const separator = index === 0 ? POST_SEPARATOR : ' ';
+      if (fits(sentence.text)) {
+        pieces.push({ text: sentence.text, separator });
+        return;
+      }
+      // A sentence that doesn't fit on its own goes word by word, and a word by characters
+      sentence.text.split(/\s+/).forEach((word, wordIndex) => {
+        const wordSeparator = wordIndex === 0 ? separator : ' ';
+        if (fits(word) || isAtomic(word)) {
+          pieces.push({ text: word, separator: wordSeparator });
+          return;
+        }
+        for (let rest = word; rest;) {
+          const { overflowAt } = measure(rest, platform, limit);
+          const head = overflowAt === null ? rest : rest.slice(0, overflowAt);
+          pieces.push({ text: head, separator: rest === word ? wordSeparator : '' });
+          rest = rest.slice(head.length);
+        }
+      });
+    });
+  }
+
+  const posts = [];
+  for (const piece of pieces) {
+    const current = posts[posts.length - 1];
+    const joined = current === undefined ? null : current + piece.separator + piece.text;
+    if (joined !== null && fits(joined)) posts[posts.length - 1] = joined;
+    else posts.push(piece.text);
+  }
+  return posts;
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A text without any copy of a phrase, e.g. a CTA the model also put mid-thread.
+ * Only whole copies go: "Follow" doesn't take a bite out of "#Following".
+ */
+const removePhrase = (text, phrase) => {
+  if (!phrase) return text;
+  const copies = new RegExp(`(?<![\\p{L}\\p{N}_#])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}_])`, 'gu');
+  const rest = text.replace(copies, '');
+  if (rest === text) return text;
+  // Close the gap the copy leaves
+  return rest
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const NUMBERING = /\s+(\d+)\/(\d+)$/;
+
+/**
+ * Blocks without their " 2/5" numbering, when every one of them has it: a thread
+ * being rebuilt, or a model numbering its own posts. A lone "24/7" is left alone.
+ */
+const stripNumbering = blocks => {
+  const numbered = blocks.length > 1 && blocks.every(block => {
+    const match = block.match(NUMBERING);
+    return match && Number(match[1]) <= Number(match[2]);
+  });
+  return numbered ? blocks.map(block => block.replace(NUMBERING, '')) : blocks;
+};
+
+/**
+ * Posts of a thread, without numbering, for a limit
+ */
+const packThread = ({ hook, sections, cta, hashtags }, limit, platform) => {
+  const fits = candidate => measure(candidate, platform).length <= limit;
+  const posts = [];
+
+  // The hook gets post 1 to itself; each section starts a new post
+  for (const section of [hook, ...sections]) {
+    if (section) posts.push(...splitText(section, limit, platform));
+  }
+
+  if (cta) {
+    const last = posts[posts.length - 1];
+    if (last !== undefined && fits(last + POST_SEPARATOR + cta)) {
+      posts[posts.length - 1] = last + POST_SEPARATOR + cta;
+    } else {
+      posts.push(...splitText(cta, limit, platform));
+    }
+  }
+
+  if (hashtags.length > 0) {
+    const tags = hashtags.join(' ');
+    const lastIndex = posts.length - 1;
+    if (lastIndex >= 0 && fits(posts[lastIndex] + POST_SEPARATOR + tags)) {
+      posts[lastIndex] += POST_SEPARATOR + tags;
+    } else if (lastIndex >= 0 && fits(posts[0] + POST_SEPARATOR + tags)) {
+      posts[0] += POST_SEPARATOR + tags;
+    } else {
+      // Their own post, just before the one with the CTA
+      posts.splice(cta ? lastIndex : lastIndex + 1, 0, ...splitText(tags, limit, platform));
+    }
+  }
+
+  return posts;
+};
+
+/**
+ * Build a numbered thread
+ * @param {Object} parts - { hook, body, cta, disclaimers, hashtags } where body is a text
+ *   (paragraphs are packed together) or an array of posts (each starts a new one)
+ * @param {Object} options - { platform, limit, numbered = true }
+ * @returns {Array<string>} Posts in order, each within the limit (" 1/5" included)
+ */
+const buildThread = ({ hook = '', body = '', cta = '', disclaimers = [], hashtags = [] }, { platform, limit, numbered = true }) => {
+  const blocks = (Array.isArray(body) ? body : [body]).map(block => String(block || '').trim()).filter(Boolean);
+  hook = String(hook || '').trim();
+  cta = String(cta || '').trim();
+
+  // Models often repeat the hook and the CTA in their posts, and not only in the first
+  // and last one; they are published once, in post 1 and in the last post
+  const sections = stripNumbering(blocks)
+    .map(block => removePhrase(removePhrase(block, hook), cta))
+    .filter(Boolean);
+  // Disclaimers are published right after the CTA
+  const closing = [cta, ...disclaimers].filter(Boolean).join('\n');
+  const inText = new Set([hook, ...sections, closing].join(' ').match(HASHTAG) || []);
+  const tags = [...new Set(hashtags)].filter(tag => !inText.has(tag));
+  const parts = { hook, sections, cta: closing, hashtags: tags };
+
+  // Leave room for the numbering, then again if the thread grew a digit
+  let reserve = 0;
+  let posts = packThread(parts, limit, platform);
+  while (numbered && posts.length > 1 && ` ${posts.length}/${posts.length}`.length > reserve) {
+    reserve = ` ${posts.length}/${posts.length}`.length;
+    posts = packThread(parts, limit - reserve, platform);
+  }
+
+  return numbered && posts.length > 1
+    ? posts.map((post, index) => `${post} ${index + 1}/${posts.length}`)
+    : posts;
+};
+
+/**
+ * A stored platform version as one text: threads are arrays of posts
+ */
+const versionText = version => (Array.isArray(version) ? version.join(POST_SEPARATOR) : String(version ?? ''));
+
+module.exports = {
+  measure,
+  splitText,
+  buildThread,
+  versionText
+};
@@ -0,0 +1,155 @@
+/**
+ * IANA time zone helpers built on Intl, for schedules kept in UTC
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const formatters = new Map();
+
+const getFormatter = timeZone => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = timeZone => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } - month is 1-12, weekday 0 (Sunday) to 6
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(date))
+    .map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at an instant
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset can change between the guess and the result around DST transitions
+  let utc = asUtc - getOffset(asUtc, timeZone);
+  utc = asUtc - getOffset(utc, timeZone);
+  return new Date(utc);
+};
+
+/**
+ * Parse a date for a time zone: ISO strings with an offset (or Z) are absolute,
+ * local ones ("2024-05-10T09:30") are read as wall-clock time in the zone
+ * @returns {Date|null} null when the value can't be parsed
+ */
+const parseInTimeZone = (value, timeZone) => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const match = LOCAL_DATE_TIME.exec(String(value || '').trim());
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && Number(part));
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * ISO 8601 wall-clock time of an instant in a time zone, with its offset
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffset(date, timeZone) / 60000);
+  const pad = (value, length = 2) => String(Math.abs(value)).padStart(length, '0');
+  const sign = offsetMinutes < 0 ? '-' : '+';
+
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Start of the day, week (Monday) or month containing a date, in a time zone
+ */
+const startOfPeriod = (date, unit, timeZone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  if (unit === 'month') return zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+
+  const daysBack = unit === 'week' ? (weekday + 6) % 7 : 0;
+  return zonedTimeToUtc({ year, month, day: day - daysBack }, timeZone);
+};
+
+const nextPeriod = (start, unit, timeZone) => {
+  const { year, month, day } = getZonedParts(start, timeZone);
+  if (unit === 'month') return zonedTimeToUtc({ year, month: month + 1, day: 1 }, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + (unit === 'week' ? 7 : 1) }, timeZone);
+};
+
+// 2024-05 for months, the first day (2024-05-06) for days and weeks
+const periodKey = (start, unit, timeZone) => {
+  const { year, month, day } = getZonedParts(start, timeZone);
+  return unit === 'month' ? `${year}-${pad(month)}` : `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Consecutive periods covering [from, to)
+ * @returns {Array<Object>} [{ key, start, end }]
+ */
+const listPeriods = (from, to, unit, timeZone) => {
+  const periods = [];
+  for (let start = startOfPeriod(from, unit, timeZone); start < to;) {
+    const end = nextPeriod(start, unit, timeZone);
+    periods.push({ key: periodKey(start, unit, timeZone), start, end });
+    start = end;
+  }
+  return periods;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseInTimeZone,
+  formatInTimeZone,
+  startOfPeriod,
+  nextPeriod,
+  periodKey,
+  listPeriods
+};
@@ -0,0 +1,52 @@
+/**
+ * Token bucket - a capacity that refills continuously over a window
+ */
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Tokens available per window (also the burst size)
+   * @param {number} windowMs - Time to refill the whole capacity
+   */
+  constructor(capacity, windowMs = 60000) {
+    this.capacity = capacity;
+    this.refillRate = capacity / windowMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` tokens are available (0 when they already are)
+   */
+  timeUntil(amount) {
+    this.refill();
+    // Anything above capacity could never be served, so it waits for a full bucket
+    const needed = Math.min(amount, this.capacity);
+    return needed <= this.tokens ? 0 : Math.ceil((needed - this.tokens) / this.refillRate);
+  }
+
+  take(amount) {
+    this.refill();
+    this.tokens -= amount;
+  }
+
+  /**
+   * Correct an earlier estimate; the balance may go negative, delaying later calls
+   */
+  adjust(delta) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens - delta);
+  }
+
+  available() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+}
+
+module.exports = TokenBucket;